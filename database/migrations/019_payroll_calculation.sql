@@ -0,0 +1,21 @@
+-- ============================================
+-- Migration 019: Server-side Payroll Calculation
+-- ============================================
+
+-- Period covered by a calculated entry
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS period_start DATE;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS period_end DATE;
+
+-- Hours breakdown (payable hours = worked hours minus unpaid break)
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS regular_hours DECIMAL(6,2) DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS overtime_hours DECIMAL(6,2) DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS overtime_pay_kes INT DEFAULT 0;
+
+-- When the engine last produced this entry (NULL = entered by hand)
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS calculated_at TIMESTAMPTZ;
+
+-- Index for period lookups
+CREATE INDEX IF NOT EXISTS idx_payroll_entries_period ON payroll_entries(clinic_id, period_start, period_end);
+
+-- Success message
+SELECT 'Migration 019: Payroll calculation columns added successfully!' AS message;
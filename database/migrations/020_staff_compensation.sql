@@ -0,0 +1,69 @@
+-- ============================================
+-- Migration 020: Staff Compensation Profiles
+-- ============================================
+
+-- One row per rate change; the row in effect on a date is the one whose
+-- effective_from <= date and (effective_to IS NULL OR effective_to >= date)
+CREATE TABLE IF NOT EXISTS staff_compensation (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+
+  -- Pay basis and rate
+  pay_basis TEXT NOT NULL DEFAULT 'MONTHLY',
+  -- Values: MONTHLY (rate per month), DAILY (rate per day), HOURLY (rate per hour)
+  rate_kes INT NOT NULL DEFAULT 0,
+
+  -- Recurring items: [{ "name": "Transport", "amount_kes": 3000 }]
+  -- Amounts are per month for MONTHLY profiles and per worked day for DAILY/HOURLY
+  allowances JSONB DEFAULT '[]',
+  deductions JSONB DEFAULT '[]',
+
+  -- Validity
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(staff_id, effective_from),
+  CHECK (pay_basis IN ('MONTHLY', 'DAILY', 'HOURLY'))
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_staff_compensation_clinic ON staff_compensation(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_staff_compensation_staff ON staff_compensation(staff_id, effective_from);
+
+-- Carry over rates already stored on staff (migration 016)
+INSERT INTO staff_compensation (clinic_id, staff_id, pay_basis, rate_kes, effective_from, notes)
+SELECT
+  clinic_id,
+  id,
+  CASE WHEN pay_basis = 'DAILY' THEN 'DAILY' ELSE 'MONTHLY' END,
+  CASE WHEN pay_basis = 'DAILY' THEN COALESCE(daily_rate_kes, 0) ELSE COALESCE(monthly_salary_kes, 0) END,
+  created_at::date,
+  'Imported from staff record'
+FROM staff
+WHERE COALESCE(monthly_salary_kes, 0) > 0 OR COALESCE(daily_rate_kes, 0) > 0
+ON CONFLICT (staff_id, effective_from) DO NOTHING;
+
+-- Record which profile and recurring items produced each payroll entry
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS compensation_id UUID REFERENCES staff_compensation(id);
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS allowances_kes INT DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS other_deductions_kes INT DEFAULT 0;
+
+-- Enable RLS
+ALTER TABLE staff_compensation ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY staff_compensation_select_policy ON staff_compensation
+  FOR SELECT USING (true);
+
+CREATE POLICY staff_compensation_insert_policy ON staff_compensation
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY staff_compensation_update_policy ON staff_compensation
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 020: Staff compensation profiles created successfully!' AS message;
@@ -0,0 +1,69 @@
+-- ============================================
+-- Migration 021: Kenyan Statutory Deductions
+-- ============================================
+
+-- Versioned rate tables: the table in effect for a period is the latest one
+-- whose effective_from <= period end. A new Finance Act is a new row here.
+CREATE TABLE IF NOT EXISTS statutory_rate_tables (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  effective_from DATE NOT NULL UNIQUE,
+
+  -- Monthly figures in KES:
+  -- {
+  --   "paye": { "bands": [{ "upto": 24000, "rate": 0.10 }, ..., { "upto": null, "rate": 0.35 }], "personal_relief": 2400 },
+  --   "shif": { "rate": 0.0275, "minimum": 300, "deductible": true },
+  --   "nssf": { "rate": 0.06, "lower_limit": 8000, "upper_limit": 72000, "deductible": true },
+  --   "housing_levy": { "rate": 0.015, "deductible": true }
+  -- }
+  -- "deductible" items are taken off gross pay before PAYE is computed
+  rates JSONB NOT NULL,
+
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- NSSF Year 3 limits (Feb 2025); SHIF and Housing Levy deductible under the Tax Laws (Amendment) Act 2024
+INSERT INTO statutory_rate_tables (name, effective_from, rates, notes)
+VALUES (
+  'Kenya 2025',
+  '2025-02-01',
+  '{
+    "paye": {
+      "bands": [
+        { "upto": 24000, "rate": 0.10 },
+        { "upto": 32333, "rate": 0.25 },
+        { "upto": 500000, "rate": 0.30 },
+        { "upto": 800000, "rate": 0.325 },
+        { "upto": null, "rate": 0.35 }
+      ],
+      "personal_relief": 2400
+    },
+    "shif": { "rate": 0.0275, "minimum": 300, "deductible": true },
+    "nssf": { "rate": 0.06, "lower_limit": 8000, "upper_limit": 72000, "deductible": true },
+    "housing_levy": { "rate": 0.015, "deductible": true }
+  }',
+  'PAYE bands per Finance Act 2023; NSSF Tier I/II at 6% employee share'
+)
+ON CONFLICT (effective_from) DO NOTHING;
+
+-- Deductions stored next to gross amount_kes
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS statutory_table_id UUID REFERENCES statutory_rate_tables(id);
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS taxable_pay_kes INT;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS paye_kes INT DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS shif_kes INT DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS nssf_kes INT DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS housing_levy_kes INT DEFAULT 0;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS net_kes INT;
+
+-- Full working for the staff member's period (bands applied, relief, bases)
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS deductions JSONB;
+
+-- Enable RLS
+ALTER TABLE statutory_rate_tables ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY statutory_rate_tables_select_policy ON statutory_rate_tables
+  FOR SELECT USING (true);
+
+-- Success message
+SELECT 'Migration 021: Statutory deductions created successfully!' AS message;
@@ -0,0 +1,59 @@
+-- ============================================
+-- Migration 022: Payslips
+-- ============================================
+
+-- One payslip per staff member per pay period, issued when entries are paid.
+-- Totals are copied from payroll_entries; the PDF is rendered on first download
+-- and kept in the clinic-documents storage bucket.
+CREATE TABLE IF NOT EXISTS payslips (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+
+  -- Period
+  period_label TEXT NOT NULL,
+  period_start DATE,
+  period_end DATE,
+
+  -- Totals (KES)
+  gross_kes INT NOT NULL DEFAULT 0,
+  paye_kes INT DEFAULT 0,
+  shif_kes INT DEFAULT 0,
+  nssf_kes INT DEFAULT 0,
+  housing_levy_kes INT DEFAULT 0,
+  other_deductions_kes INT DEFAULT 0,
+  net_kes INT NOT NULL DEFAULT 0,
+  hours_worked DECIMAL(7,2) DEFAULT 0,
+  overtime_hours DECIMAL(7,2) DEFAULT 0,
+
+  -- Entries included on the slip
+  payroll_keys TEXT[] DEFAULT '{}',
+
+  -- Rendered document
+  file_path TEXT,
+  generated_at TIMESTAMPTZ,
+
+  issued_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(staff_id, period_label)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_payslips_clinic ON payslips(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_payslips_staff ON payslips(staff_id, period_start DESC);
+
+-- Enable RLS
+ALTER TABLE payslips ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payslips_select_policy ON payslips
+  FOR SELECT USING (true);
+
+CREATE POLICY payslips_insert_policy ON payslips
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY payslips_update_policy ON payslips
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 022: Payslips table created successfully!' AS message;
@@ -0,0 +1,63 @@
+-- ============================================
+-- Migration 023: Bank & M-Pesa Payment Batches
+-- ============================================
+
+-- Payment details on the staff record
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS payment_method TEXT;
+-- Values: bank, mpesa (NULL = not set up)
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bank_name TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bank_code TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bank_branch_code TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bank_account_name TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bank_account_number TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS mpesa_phone TEXT;
+
+-- One exported payment file
+CREATE TABLE IF NOT EXISTS payment_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+
+  method TEXT NOT NULL,
+  -- Values: bank, mpesa
+  reference TEXT NOT NULL,
+  -- e.g. HURE-20251231-4F2A, quoted on every payment line
+
+  status TEXT NOT NULL DEFAULT 'exported',
+  -- Values: exported, partially_confirmed, confirmed
+
+  -- One line per staff member: [{ "line_ref", "staff_id", "name", "account", "amount_kes", "payroll_keys", "result", "transaction_ref" }]
+  lines JSONB NOT NULL DEFAULT '[]',
+  line_count INT NOT NULL DEFAULT 0,
+  total_kes INT NOT NULL DEFAULT 0,
+
+  exported_at TIMESTAMPTZ DEFAULT NOW(),
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(clinic_id, reference),
+  CHECK (method IN ('bank', 'mpesa'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batches_clinic ON payment_batches(clinic_id, exported_at DESC);
+
+-- Link entries to the batch that pays them
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS payment_batch_id UUID REFERENCES payment_batches(id);
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS payment_reference TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_entries_batch ON payroll_entries(payment_batch_id);
+
+-- Enable RLS
+ALTER TABLE payment_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payment_batches_select_policy ON payment_batches
+  FOR SELECT USING (true);
+
+CREATE POLICY payment_batches_insert_policy ON payment_batches
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY payment_batches_update_policy ON payment_batches
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 023: Payment batches created successfully!' AS message;
@@ -0,0 +1,51 @@
+-- ============================================
+-- Migration 024: Payroll Locking & Adjustments
+-- ============================================
+
+-- Adjustment entries correct a locked entry without touching it.
+-- They reference the original, carry a reason and an actor, and
+-- belong to the next open period.
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS entry_kind TEXT DEFAULT 'regular';
+-- Values: regular, adjustment
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS adjusts_entry_id UUID REFERENCES payroll_entries(id);
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS adjustment_reason TEXT;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS created_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_entries_adjusts ON payroll_entries(adjusts_entry_id);
+
+-- Approved and paid entries are immutable. The only changes allowed are
+-- moving approved -> paid and recording how the payment went out.
+DROP FUNCTION IF EXISTS protect_locked_payroll_entries() CASCADE;
+
+CREATE OR REPLACE FUNCTION protect_locked_payroll_entries()
+RETURNS TRIGGER AS $$
+DECLARE
+  mutable_columns TEXT[] := ARRAY['status', 'paid_at', 'payment_batch_id', 'payment_reference', 'updated_at'];
+BEGIN
+  IF OLD.status NOT IN ('approved', 'paid') THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RAISE EXCEPTION 'Payroll entry % is % and cannot be deleted', OLD.payroll_key, OLD.status;
+  END IF;
+
+  IF NOT (NEW.status = OLD.status OR (OLD.status = 'approved' AND NEW.status = 'paid')) THEN
+    RAISE EXCEPTION 'Payroll entry % is % and cannot move to %', OLD.payroll_key, OLD.status, NEW.status;
+  END IF;
+
+  IF (to_jsonb(NEW) - mutable_columns) IS DISTINCT FROM (to_jsonb(OLD) - mutable_columns) THEN
+    RAISE EXCEPTION 'Payroll entry % is % and locked; add an adjustment instead', OLD.payroll_key, OLD.status;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER payroll_entries_lock
+  BEFORE UPDATE OR DELETE ON payroll_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_locked_payroll_entries();
+
+-- Success message
+SELECT 'Migration 024: Payroll locking and adjustments added successfully!' AS message;
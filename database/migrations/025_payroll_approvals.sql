@@ -0,0 +1,55 @@
+-- ============================================
+-- Migration 025: Payroll Approval Workflow
+-- ============================================
+
+-- Number of distinct signers needed to approve an entry (1 or 2)
+ALTER TABLE clinic_settings ADD COLUMN IF NOT EXISTS payroll_approvals_required INT DEFAULT 1;
+ALTER TABLE clinic_settings DROP CONSTRAINT IF EXISTS clinic_settings_payroll_approvals_check;
+ALTER TABLE clinic_settings ADD CONSTRAINT clinic_settings_payroll_approvals_check
+  CHECK (payroll_approvals_required IN (1, 2));
+
+-- Who submitted the entry, and who has signed it off so far.
+-- Actors are keyed 'user:<users.id>' (owner login) or 'staff:<staff.id>' (staff admin).
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS submitted_by TEXT;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS submitted_by_name TEXT;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS approvals JSONB DEFAULT '[]';
+-- [{ "actor": "user:...", "name": "Jane", "at": "2025-12-31T10:00:00Z" }]
+
+-- Every status change, in order
+CREATE TABLE IF NOT EXISTS payroll_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  payroll_entry_id UUID REFERENCES payroll_entries(id) ON DELETE CASCADE,
+  payroll_key TEXT NOT NULL,
+
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  -- 'approval' rows record a signature that did not yet complete approval
+  action TEXT NOT NULL,
+  -- Values: submit, approve, approval, return, pay
+
+  actor TEXT NOT NULL,
+  actor_user_id UUID REFERENCES users(id),
+  actor_staff_id UUID REFERENCES staff(id),
+  actor_name TEXT,
+  actor_role TEXT,
+  note TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_status_history_entry ON payroll_status_history(payroll_entry_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payroll_status_history_clinic ON payroll_status_history(clinic_id, created_at DESC);
+
+-- Enable RLS
+ALTER TABLE payroll_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payroll_status_history_select_policy ON payroll_status_history
+  FOR SELECT USING (true);
+
+CREATE POLICY payroll_status_history_insert_policy ON payroll_status_history
+  FOR INSERT WITH CHECK (true);
+
+-- Success message
+SELECT 'Migration 025: Payroll approval workflow created successfully!' AS message;
@@ -0,0 +1,24 @@
+-- ============================================
+-- Migration 026: Premium Pay Rules
+-- ============================================
+
+-- Configurable premiums on top of the daily overtime multiplier.
+-- Each rule: { "id", "name", "type", "multiplier", "enabled", ...type fields }
+--   time_of_day     "start": "22:00", "end": "06:00" (may cross midnight)
+--   day_of_week     "days": [0, 6]  (0 = Sunday)
+--   public_holiday  no extra fields
+--   weekly_hours    "threshold_hours": 45  (payable hours per Mon-Sun week)
+-- Where several rules cover the same minute, the highest multiplier wins.
+ALTER TABLE clinic_settings ADD COLUMN IF NOT EXISTS premium_rules JSONB DEFAULT '[]';
+
+-- Premium pay earned on regular (non-overtime) hours; overtime_pay_kes still
+-- holds all pay for overtime hours, whichever rule priced them
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS premium_pay_kes INT DEFAULT 0;
+
+-- Which rule produced each premium:
+-- [{ "rule_id", "name", "type", "multiplier", "overtime", "hours", "pay_kes" }]
+-- pay_kes is the amount above straight-time pay for those hours
+ALTER TABLE payroll_entries ADD COLUMN IF NOT EXISTS premiums JSONB DEFAULT '[]';
+
+-- Success message
+SELECT 'Migration 026: Premium pay rules added successfully!' AS message;
@@ -0,0 +1,61 @@
+-- ============================================
+-- Migration 027: Clinic Holiday Calendar
+-- ============================================
+
+-- Public holidays per clinic. National holidays are seeded per clinic and
+-- year the first time that year is read (lib/holidays.js), so new clinics
+-- and new years need no manual step. Clinics add ad-hoc gazetted days as
+-- 'custom' rows and can switch a national day off without deleting it.
+CREATE TABLE IF NOT EXISTS clinic_holidays (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+
+  date DATE NOT NULL,
+  name TEXT NOT NULL,
+
+  source TEXT NOT NULL DEFAULT 'custom',
+  -- Values: national, custom
+  is_active BOOLEAN DEFAULT TRUE,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(clinic_id, date)
+);
+
+-- Years whose national holidays have been seeded for a clinic, so a
+-- national day a clinic deleted is not seeded again
+CREATE TABLE IF NOT EXISTS clinic_holiday_years (
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  year INT NOT NULL,
+  seeded_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (clinic_id, year)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_clinic_holidays_clinic_date ON clinic_holidays(clinic_id, date);
+
+-- Enable RLS
+ALTER TABLE clinic_holidays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clinic_holiday_years ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY clinic_holidays_select_policy ON clinic_holidays
+  FOR SELECT USING (true);
+
+CREATE POLICY clinic_holidays_insert_policy ON clinic_holidays
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY clinic_holidays_update_policy ON clinic_holidays
+  FOR UPDATE USING (true);
+
+CREATE POLICY clinic_holidays_delete_policy ON clinic_holidays
+  FOR DELETE USING (true);
+
+CREATE POLICY clinic_holiday_years_select_policy ON clinic_holiday_years
+  FOR SELECT USING (true);
+
+CREATE POLICY clinic_holiday_years_insert_policy ON clinic_holiday_years
+  FOR INSERT WITH CHECK (true);
+
+-- Success message
+SELECT 'Migration 027: Clinic holiday calendar created successfully!' AS message;
@@ -0,0 +1,52 @@
+-- ============================================
+-- Migration 028: Leave Balance Ledger
+-- ============================================
+
+-- Every change to a staff member's leave balance, per leave type and leave year.
+-- Balance = sum(days) for the staff member, type and year.
+--   accrual      +annual_leave_days / 12 on the first of each month
+--   entitlement  +full yearly allowance for sick, maternity and paternity leave
+--   carry_over   +unused annual leave from the previous year (if allowed)
+--   deduction    -days_count when a request is approved
+--   reversal     +days_count when an approved request is cancelled or rejected
+--   adjustment   +/- manual correction or opening balance
+CREATE TABLE IF NOT EXISTS leave_ledger (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+
+  leave_type TEXT NOT NULL,
+  year INT NOT NULL,
+  entry_type TEXT NOT NULL,
+  days DECIMAL(6,2) NOT NULL,
+
+  -- Idempotency key, e.g. 'accrual:annual:2025-03' or 'leave:<leave_request_id>'
+  entry_key TEXT NOT NULL,
+  leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+  note TEXT,
+  created_by TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(staff_id, entry_key)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_leave_ledger_clinic_year ON leave_ledger(clinic_id, year);
+CREATE INDEX IF NOT EXISTS idx_leave_ledger_staff ON leave_ledger(staff_id, leave_type, year);
+
+-- Enable RLS
+ALTER TABLE leave_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY leave_ledger_select_policy ON leave_ledger
+  FOR SELECT USING (true);
+
+CREATE POLICY leave_ledger_insert_policy ON leave_ledger
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY leave_ledger_update_policy ON leave_ledger
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 028: Leave balance ledger created successfully!' AS message;
@@ -0,0 +1,20 @@
+-- ============================================
+-- Migration 029: Partial-day Leave
+-- ============================================
+
+-- days_count is charged in working days against the staff member's roster
+-- (or the clinic's business_hours when they have none), so it can be
+-- fractional: 0.5 for a half day, hours / shift length for hour-based leave.
+ALTER TABLE leave_requests
+  ALTER COLUMN days_count TYPE DECIMAL(6,2);
+
+ALTER TABLE leave_requests
+  ADD COLUMN IF NOT EXISTS duration_type TEXT DEFAULT 'full_day',
+  -- Values: full_day, half_day, hours
+  ADD COLUMN IF NOT EXISTS half_day_period TEXT,
+  -- Values: am, pm (half_day only)
+  ADD COLUMN IF NOT EXISTS hours DECIMAL(5,2);
+  -- Hours off (hours only)
+
+-- Success message
+SELECT 'Migration 029: Partial-day leave added successfully!' AS message;
@@ -0,0 +1,14 @@
+-- ============================================
+-- Migration 030: Schedule Block Cover Flags
+-- ============================================
+
+-- Set when approved leave takes a staff member off a block and leaves it
+-- below qty_needed. Cleared once the block is filled again by staff or locums.
+ALTER TABLE schedule_blocks
+  ADD COLUMN IF NOT EXISTS needs_cover BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS cover_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_schedule_blocks_needs_cover ON schedule_blocks(clinic_id, needs_cover) WHERE needs_cover;
+
+-- Success message
+SELECT 'Migration 030: Schedule block cover flags added successfully!' AS message;
@@ -0,0 +1,19 @@
+-- ============================================
+-- Migration 031: Leave Attachments
+-- ============================================
+
+-- Files uploaded with a leave request live in the clinic-documents storage
+-- bucket under <clinic_id>/leave/<staff_id>/. attachment_url is kept for
+-- requests created before uploads were supported.
+ALTER TABLE leave_requests
+  ADD COLUMN IF NOT EXISTS attachment_path TEXT,
+  ADD COLUMN IF NOT EXISTS attachment_name TEXT,
+  ADD COLUMN IF NOT EXISTS attachment_type TEXT;
+
+-- Sick leave longer than this many days needs a sick note attached.
+-- NULL means a sick note is never required.
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS sick_note_required_after_days INT;
+
+-- Success message
+SELECT 'Migration 031: Leave attachments added successfully!' AS message;
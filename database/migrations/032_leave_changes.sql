@@ -0,0 +1,68 @@
+-- ============================================
+-- Migration 032: Leave Cancellation and Amendment
+-- ============================================
+
+-- Staff ask to cancel or change the dates of approved leave. The approver
+-- accepts or declines; the original request is never edited in place.
+-- Accepting a cancellation sets the request to 'cancelled'. Accepting an
+-- amendment sets it to 'amended' and creates a new approved request with
+-- amended_from pointing back at it.
+CREATE TABLE IF NOT EXISTS leave_change_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  leave_request_id UUID NOT NULL REFERENCES leave_requests(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+
+  change_type TEXT NOT NULL,
+  -- Values: cancel, amend
+
+  -- Requested dates (amend only)
+  new_from_date DATE,
+  new_to_date DATE,
+  new_duration_type TEXT,
+  new_half_day_period TEXT,
+  new_hours DECIMAL(5,2),
+  new_days_count DECIMAL(6,2),
+
+  reason TEXT,
+
+  status TEXT DEFAULT 'pending',
+  -- Values: pending, accepted, declined
+  reviewed_by UUID REFERENCES users(id),
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  -- Request created when an amendment is accepted
+  result_leave_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Leave status gains 'amended'; remember which schedule blocks approval
+-- took the staff member off, so they can be put back
+ALTER TABLE leave_requests
+  ADD COLUMN IF NOT EXISTS amended_from UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS released_block_ids UUID[] DEFAULT '{}';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_leave_change_requests_clinic_status ON leave_change_requests(clinic_id, status);
+CREATE INDEX IF NOT EXISTS idx_leave_change_requests_leave ON leave_change_requests(leave_request_id);
+
+-- Only one open change per leave request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_change_requests_one_pending
+  ON leave_change_requests(leave_request_id) WHERE status = 'pending';
+
+-- Enable RLS
+ALTER TABLE leave_change_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY leave_change_requests_select_policy ON leave_change_requests
+  FOR SELECT USING (true);
+
+CREATE POLICY leave_change_requests_insert_policy ON leave_change_requests
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY leave_change_requests_update_policy ON leave_change_requests
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 032: Leave cancellation and amendment created successfully!' AS message;
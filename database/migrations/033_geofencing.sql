@@ -0,0 +1,25 @@
+-- ============================================
+-- Migration 033: Geofenced Clock-in
+-- ============================================
+
+-- A location's fence: centre point and radius in metres. Without all three
+-- the location is not fenced. When enforced, punches outside the fence (or
+-- without a position) are refused; otherwise they are recorded and flagged.
+ALTER TABLE clinic_locations
+  ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6),
+  ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6),
+  ADD COLUMN IF NOT EXISTS geofence_radius_m INT,
+  ADD COLUMN IF NOT EXISTS geofence_enforced BOOLEAN DEFAULT FALSE;
+
+-- Device position captured with each punch:
+-- { latitude, longitude, accuracy, distance_m, geofence, location_id }
+-- geofence values: not_configured, inside, outside, no_position
+ALTER TABLE attendances
+  ADD COLUMN IF NOT EXISTS clock_in_position JSONB,
+  ADD COLUMN IF NOT EXISTS clock_out_position JSONB,
+  ADD COLUMN IF NOT EXISTS outside_geofence BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_attendances_outside_geofence ON attendances(clinic_id, date) WHERE outside_geofence;
+
+-- Success message
+SELECT 'Migration 033: Geofenced clock-in added successfully!' AS message;
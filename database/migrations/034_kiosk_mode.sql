@@ -0,0 +1,33 @@
+-- ============================================
+-- Migration 034: QR Kiosk Mode
+-- ============================================
+
+-- A location in kiosk mode has a secret key. The reception tablet opens
+-- /kiosk/<kiosk_key> and shows a rotating QR code signed with it; rotating
+-- the key signs out the tablet and voids every code it showed.
+ALTER TABLE clinic_locations
+  ADD COLUMN IF NOT EXISTS kiosk_key TEXT UNIQUE;
+
+-- Each kiosk code can be used once per staff member, so a photo of an old
+-- code cannot be replayed
+CREATE TABLE IF NOT EXISTS kiosk_code_uses (
+  code_id TEXT NOT NULL,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES clinic_locations(id) ON DELETE CASCADE,
+  used_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (code_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kiosk_code_uses_used_at ON kiosk_code_uses(used_at);
+
+-- Enable RLS
+ALTER TABLE kiosk_code_uses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY kiosk_code_uses_select_policy ON kiosk_code_uses
+  FOR SELECT USING (true);
+
+CREATE POLICY kiosk_code_uses_insert_policy ON kiosk_code_uses
+  FOR INSERT WITH CHECK (true);
+
+-- Success message
+SELECT 'Migration 034: QR kiosk mode added successfully!' AS message;
@@ -0,0 +1,28 @@
+-- ============================================
+-- Migration 035: Attendance Matched to the Roster
+-- ============================================
+
+-- Each punch is matched to the schedule block or shift it works (shift_id
+-- already exists). The scheduled times are copied onto the record so later
+-- roster edits do not rewrite how a day was judged.
+ALTER TABLE attendances
+  ADD COLUMN IF NOT EXISTS schedule_block_id UUID REFERENCES schedule_blocks(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS scheduled_start TIME,
+  ADD COLUMN IF NOT EXISTS scheduled_end TIME,
+  ADD COLUMN IF NOT EXISTS minutes_late INT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS minutes_early INT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS left_early BOOLEAN DEFAULT FALSE;
+
+-- status: present, late (clock-in past late_threshold_minutes), half_day
+-- (worked under half the scheduled time) or absent (rostered, never clocked
+-- in; written by the daily no-show job)
+
+CREATE INDEX IF NOT EXISTS idx_attendances_schedule_block ON attendances(schedule_block_id);
+CREATE INDEX IF NOT EXISTS idx_attendances_shift ON attendances(shift_id);
+
+-- Grace period before a clock-out counts as leaving early
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS early_leave_threshold_minutes INT DEFAULT 15;
+
+-- Success message
+SELECT 'Migration 035: Attendance schedule matching added successfully!' AS message;
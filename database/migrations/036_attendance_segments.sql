@@ -0,0 +1,69 @@
+-- ============================================
+-- Migration 036: Attendance Segments
+-- ============================================
+
+-- An attendance row is one working day; each clock-in/clock-out pair on it is
+-- a segment, so breaks and split shifts are several segments. The day is the
+-- local date (clinic_locations.timezone) of its first clock-in, so a night
+-- shift that ends after midnight stays on the day it started.
+CREATE TABLE IF NOT EXISTS attendance_segments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  attendance_id UUID NOT NULL REFERENCES attendances(id) ON DELETE CASCADE,
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES clinic_locations(id),
+
+  clock_in TIMESTAMPTZ NOT NULL,
+  clock_out TIMESTAMPTZ,
+  clock_in_method TEXT,
+  clock_out_method TEXT,
+  clock_in_position JSONB,
+  clock_out_position JSONB,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_segments_attendance ON attendance_segments(attendance_id);
+
+-- attendances.clock_in / clock_out become the first clock-in and last
+-- clock-out of the day (clock_out stays NULL while a segment is open), and
+-- hours_worked is the segment time less the unpaid break. Breaks taken as
+-- gaps between segments count towards unpaid_break_minutes; what is left of
+-- it is recorded here. NULL on rows written before this migration, whose
+-- hours_worked still includes the break.
+ALTER TABLE attendances
+  ADD COLUMN IF NOT EXISTS break_minutes_deducted INT;
+
+-- Existing punches become single segments
+INSERT INTO attendance_segments (
+  attendance_id, clinic_id, staff_id, location_id,
+  clock_in, clock_out, clock_in_method, clock_out_method, clock_in_position, clock_out_position
+)
+SELECT a.id, a.clinic_id, a.staff_id, a.location_id,
+  a.clock_in, a.clock_out, a.clock_in_method, a.clock_out_method, a.clock_in_position, a.clock_out_position
+FROM attendances a
+WHERE a.clock_in IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM attendance_segments s WHERE s.attendance_id = a.id);
+
+-- A staff member can only have one segment open at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_segments_open
+  ON attendance_segments(staff_id) WHERE clock_out IS NULL;
+
+-- Enable RLS
+ALTER TABLE attendance_segments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY attendance_segments_select_policy ON attendance_segments
+  FOR SELECT USING (true);
+
+CREATE POLICY attendance_segments_insert_policy ON attendance_segments
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY attendance_segments_update_policy ON attendance_segments
+  FOR UPDATE USING (true);
+
+CREATE POLICY attendance_segments_delete_policy ON attendance_segments
+  FOR DELETE USING (true);
+
+-- Success message
+SELECT 'Migration 036: Attendance segments added successfully!' AS message;
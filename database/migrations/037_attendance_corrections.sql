@@ -0,0 +1,80 @@
+-- ============================================
+-- Migration 037: Attendance Corrections
+-- ============================================
+
+-- Staff propose corrected clock-in/clock-out times for a day (e.g. a missed
+-- clock-out) and a manager approves or rejects them. Approval rewrites the
+-- attendances row and its segments; the day as it was before, and who
+-- approved the change, stay on the correction, which cannot be edited once
+-- decided.
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  attendance_id UUID NOT NULL REFERENCES attendances(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+
+  proposed_clock_in TIMESTAMPTZ NOT NULL,
+  proposed_clock_out TIMESTAMPTZ NOT NULL,
+  reason TEXT NOT NULL,
+
+  status TEXT DEFAULT 'pending',
+  -- Values: pending, approved, rejected
+
+  -- The day before approval: { clock_in, clock_out, hours_worked, status,
+  -- minutes_late, minutes_early, break_minutes_deducted, segments: [...] }
+  original JSONB,
+
+  -- Reviewer as a workflow actor: key is staff:<id> or user:<id>
+  reviewed_by TEXT,
+  reviewer_name TEXT,
+  reviewer_role TEXT,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_clinic_status ON attendance_corrections(clinic_id, status);
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_attendance ON attendance_corrections(attendance_id);
+
+-- Only one open correction per attendance day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_one_pending
+  ON attendance_corrections(attendance_id) WHERE status = 'pending';
+
+-- The latest approved correction behind an attendance row
+ALTER TABLE attendances
+  ADD COLUMN IF NOT EXISTS last_correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL;
+
+-- Decided corrections are history and cannot change
+DROP FUNCTION IF EXISTS protect_decided_attendance_corrections() CASCADE;
+
+CREATE OR REPLACE FUNCTION protect_decided_attendance_corrections()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.status <> 'pending' THEN
+    RAISE EXCEPTION 'Attendance correction % is % and cannot be changed', OLD.id, OLD.status;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_protect_decided_attendance_corrections
+  BEFORE UPDATE ON attendance_corrections
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_decided_attendance_corrections();
+
+-- Enable RLS
+ALTER TABLE attendance_corrections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY attendance_corrections_select_policy ON attendance_corrections
+  FOR SELECT USING (true);
+
+CREATE POLICY attendance_corrections_insert_policy ON attendance_corrections
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY attendance_corrections_update_policy ON attendance_corrections
+  FOR UPDATE USING (true);
+
+-- Success message
+SELECT 'Migration 037: Attendance corrections created successfully!' AS message;
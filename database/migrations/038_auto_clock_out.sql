@@ -0,0 +1,21 @@
+-- ============================================
+-- Migration 038: Automatic Clock-Out
+-- ============================================
+
+-- Staff who forget to clock out are closed off by the missed clock-out job
+-- (routes/jobs.js, scripts/auto-clock-out.js) once this long has passed
+-- since their scheduled end. Unrostered days end required_daily_hours after
+-- the clock-in.
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS auto_clock_out_after_minutes INT DEFAULT 120;
+
+-- Days closed by the job (clock_out_method 'auto') stop at the scheduled end
+-- and wait for a manager or an approved correction to confirm the times
+ALTER TABLE attendances
+  ADD COLUMN IF NOT EXISTS needs_review BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_attendances_needs_review ON attendances(clinic_id) WHERE needs_review;
+
+-- Success message
+SELECT 'Migration 038: Automatic clock-out added successfully!' AS message;
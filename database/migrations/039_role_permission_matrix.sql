@@ -0,0 +1,40 @@
+-- ============================================
+-- Migration 039: Role Permission Matrix
+-- ============================================
+
+-- role_permissions (migration 007) now backs the employer portal: each
+-- endpoint requires a named permission (lib/permissions.js), e.g.
+-- { "payroll.approve": true, "staff.delete": false, ... }. The API seeds
+-- the owner, admin, hr and employee roles per clinic on first use, so the
+-- catalog lives in one place and new clinics no longer get the old matrix.
+CREATE OR REPLACE FUNCTION create_default_clinic_data()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Create default primary location
+  INSERT INTO clinic_locations (clinic_id, name, is_primary)
+  VALUES (NEW.id, 'Main Branch', TRUE);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rows seeded with the old underscore keys were never read; drop them so
+-- the defaults are seeded again with the named permissions
+DELETE FROM role_permissions
+WHERE NOT (permissions ? 'staff.view');
+
+-- Staff account_role may now name a custom role
+COMMENT ON COLUMN staff.account_role IS 'owner, admin, hr, employee or a custom role_permissions.role_name';
+
+-- Admin-level accounts against the plan's maxAdminRoles: the owner plus
+-- every staff account with a role other than employee
+UPDATE clinics c
+SET admin_role_count = 1 + (
+  SELECT COUNT(*) FROM staff s
+  WHERE s.clinic_id = c.id
+    AND s.account_role IS NOT NULL
+    AND s.account_role NOT IN ('employee', 'owner')
+);
+
+-- Success message
+SELECT 'Migration 039: Role permission matrix added successfully!' AS message;
@@ -0,0 +1,105 @@
+-- ============================================
+-- Migration 040: Verification Review Queue
+-- ============================================
+
+-- One review per submission of an organization (location_id NULL) or a
+-- facility for SuperAdmin verification. A reviewer claims it, can send it
+-- back for more documents and finally approves or rejects it. submitted_at
+-- restarts when the clinic resubmits, so the SLA clock only runs while the
+-- submission waits on HURE.
+CREATE TABLE IF NOT EXISTS verification_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  clinic_id UUID NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES clinic_locations(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,
+  -- Values: organization, facility
+
+  status TEXT DEFAULT 'pending_review',
+  -- Values: pending_review, more_info_required, approved, rejected,
+  -- withdrawn (the clinic took it back to draft before a decision)
+
+  submitted_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Reviewer working on it (SuperAdmin user id)
+  claimed_by TEXT,
+  claimed_by_name TEXT,
+  claimed_at TIMESTAMPTZ,
+
+  -- What the clinic was asked to send while more_info_required
+  requested_documents TEXT,
+  requested_at TIMESTAMPTZ,
+
+  decided_by TEXT,
+  decided_by_name TEXT,
+  decided_at TIMESTAMPTZ,
+  decision_reason TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_reviews_status ON verification_reviews(status, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_verification_reviews_clinic ON verification_reviews(clinic_id);
+
+-- Only one open review per organization or facility
+CREATE UNIQUE INDEX IF NOT EXISTS idx_verification_reviews_one_open
+  ON verification_reviews(clinic_id, kind, COALESCE(location_id, clinic_id))
+  WHERE status IN ('pending_review', 'more_info_required');
+
+-- Internal reviewer notes and the review's history; never shown to clinics
+CREATE TABLE IF NOT EXISTS verification_review_notes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  review_id UUID NOT NULL REFERENCES verification_reviews(id) ON DELETE CASCADE,
+  kind TEXT DEFAULT 'note',
+  -- Values: note, claimed, released, documents_requested, resubmitted,
+  -- withdrawn, approved, rejected
+  body TEXT,
+  author_id TEXT,
+  author_name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_review_notes_review ON verification_review_notes(review_id, created_at);
+
+-- Queue what is already waiting, as of its last update
+INSERT INTO verification_reviews (clinic_id, kind, submitted_at)
+SELECT c.id, 'organization', COALESCE(c.updated_at, c.created_at)
+FROM clinics c
+WHERE c.org_verification_status = 'pending_review'
+  AND NOT EXISTS (
+    SELECT 1 FROM verification_reviews r
+    WHERE r.clinic_id = c.id AND r.kind = 'organization'
+      AND r.status IN ('pending_review', 'more_info_required')
+  );
+
+INSERT INTO verification_reviews (clinic_id, location_id, kind, submitted_at)
+SELECT l.clinic_id, l.id, 'facility', COALESCE(l.updated_at, l.created_at)
+FROM clinic_locations l
+WHERE l.facility_verification_status = 'pending_review'
+  AND NOT EXISTS (
+    SELECT 1 FROM verification_reviews r
+    WHERE r.location_id = l.id AND r.kind = 'facility'
+      AND r.status IN ('pending_review', 'more_info_required')
+  );
+
+-- Enable RLS
+ALTER TABLE verification_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE verification_review_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY verification_reviews_select_policy ON verification_reviews
+  FOR SELECT USING (true);
+
+CREATE POLICY verification_reviews_insert_policy ON verification_reviews
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY verification_reviews_update_policy ON verification_reviews
+  FOR UPDATE USING (true);
+
+CREATE POLICY verification_review_notes_select_policy ON verification_review_notes
+  FOR SELECT USING (true);
+
+CREATE POLICY verification_review_notes_insert_policy ON verification_review_notes
+  FOR INSERT WITH CHECK (true);
+
+-- Success message
+SELECT 'Migration 040: Verification review queue created successfully!' AS message;
@@ -0,0 +1,32 @@
+-- ============================================
+-- Migration 041: Password Resets
+-- ============================================
+
+-- Forgot-password links for clinic owners (users) and staff. Only a SHA-256
+-- hash of the emailed token is stored; a token works once, within its
+-- expiry. Rows also serve as the request history used for rate limiting.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  account_type TEXT NOT NULL,
+  -- Values: user, staff
+  account_id UUID NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  requested_ip TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_account ON password_reset_tokens(account_type, account_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_ip ON password_reset_tokens(requested_ip, created_at);
+
+-- Login tokens issued before this time are no longer accepted. Set when the
+-- password is reset so every existing session ends.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_valid_after TIMESTAMPTZ;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS sessions_valid_after TIMESTAMPTZ;
+
+-- Enable RLS (service role only; tokens are never read by clients)
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Success message
+SELECT 'Migration 041: Password reset tokens created successfully!' AS message;
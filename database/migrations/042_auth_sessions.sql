@@ -0,0 +1,40 @@
+-- ============================================
+-- Migration 042: Auth Sessions
+-- ============================================
+
+-- One row per signed-in device for clinic owners (users) and staff. Logins
+-- get a short-lived access token carrying the session id plus a refresh
+-- token; only SHA-256 hashes of refresh tokens are stored. Each refresh
+-- replaces the token, and the one before it is kept so a replayed (stolen)
+-- refresh token ends the session.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  account_type TEXT NOT NULL,
+  -- Values: user, staff
+  account_id UUID NOT NULL,
+  clinic_id UUID REFERENCES clinics(id) ON DELETE CASCADE,
+
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_token_hash TEXT,
+
+  user_agent TEXT,
+  ip TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT,
+  -- Values: logout, revoked, password_reset, employment_ended, token_reuse
+  revoked_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_account ON auth_sessions(account_type, account_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous_token ON auth_sessions(previous_token_hash);
+
+-- Enable RLS (service role only; token hashes are never read by clients)
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Success message
+SELECT 'Migration 042: Auth sessions created successfully!' AS message;
@@ -0,0 +1,14 @@
+-- ============================================
+-- Migration 043: Audit Record Permission
+-- ============================================
+
+-- Writing to the audit log from the employer portal now needs the
+-- audit.record permission (lib/permissions.js). Existing roles other than
+-- employee are granted it so their actions keep being recorded; it can then
+-- be switched off per role like any other permission.
+UPDATE role_permissions
+SET permissions = permissions || jsonb_build_object('audit.record', role_name <> 'employee')
+WHERE NOT (permissions ? 'audit.record');
+
+-- Success message
+SELECT 'Migration 043: Audit record permission added successfully!' AS message;
@@ -0,0 +1,20 @@
+-- ============================================
+-- Migration 044: Password Reset Requests
+-- ============================================
+
+-- Every forgot-password request, whether or not it matched an account or
+-- led to an email. The per-IP rate limit counts these; counting issued
+-- tokens (migration 041) let requests for unknown accounts through freely.
+CREATE TABLE IF NOT EXISTS password_reset_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  requested_ip TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip ON password_reset_requests(requested_ip, created_at);
+
+-- Enable RLS (service role only)
+ALTER TABLE password_reset_requests ENABLE ROW LEVEL SECURITY;
+
+-- Success message
+SELECT 'Migration 044: Password reset requests created successfully!' AS message;
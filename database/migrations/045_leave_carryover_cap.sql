@@ -0,0 +1,11 @@
+-- ============================================
+-- Migration 045: Leave Carry-Over Cap
+-- ============================================
+
+-- Most unused annual leave that moves into the next year when carry-over
+-- is allowed. NULL carries over the whole balance.
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS leave_carryover_max_days DECIMAL(6,2);
+
+-- Success message
+SELECT 'Migration 045: Leave carry-over cap added successfully!' AS message;
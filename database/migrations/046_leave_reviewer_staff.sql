@@ -0,0 +1,17 @@
+-- ============================================
+-- Migration 046: Staff Leave Reviewers
+-- ============================================
+
+-- reviewed_by only holds clinic owner accounts (users). Staff with a role
+-- that reviews leave (admin, hr) are recorded here, with the reviewer's
+-- name for either kind, as payroll_status_history does for payroll.
+ALTER TABLE leave_requests
+  ADD COLUMN IF NOT EXISTS reviewed_by_staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_by_name TEXT;
+
+ALTER TABLE leave_change_requests
+  ADD COLUMN IF NOT EXISTS reviewed_by_staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_by_name TEXT;
+
+-- Success message
+SELECT 'Migration 046: Staff leave reviewers added successfully!' AS message;
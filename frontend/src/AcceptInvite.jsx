@@ -50,7 +50,7 @@ export default function AcceptInvite() {
 
         try {
             const result = await acceptInvite(token, password);
-            setStaffToken(result.token);
+            setStaffToken(result.token, result.refreshToken);
             // Navigate to employee dashboard
             window.location.href = '/employee';
         } catch (err) {
@@ -683,14 +683,18 @@ export default function HureSuperadminApp() {
     const VerificationsTab = () => {
         const [pendingVerifications, setPendingVerifications] = useState({ organizations: [], facilities: [] });
         const [loadingVerifications, setLoadingVerifications] = useState(true);
+        const [assignedFilter, setAssignedFilter] = useState('');
+        const [notesReviewId, setNotesReviewId] = useState(null);
+        const [reviewNotes, setReviewNotes] = useState([]);
+        const [newNote, setNewNote] = useState('');
 
         useEffect(() => {
             loadVerifications();
-        }, []);
+        }, [assignedFilter]);
 
         const loadVerifications = async () => {
             try {
-                const res = await api.getPendingVerifications();
+                const res = await api.getPendingVerifications(assignedFilter);
                 setPendingVerifications(res.data || { organizations: [], facilities: [] });
             } catch (err) {
                 console.error('Failed to load verifications:', err);
@@ -699,61 +703,216 @@ export default function HureSuperadminApp() {
             }
         };
 
-        const handleApproveOrg = async (clinicId) => {
+        const runAction = async (action, failure) => {
             try {
-                await api.approveOrgVerification(clinicId);
+                await action();
                 loadVerifications();
                 loadDashboardData();
             } catch (err) {
-                alert('Failed to approve: ' + err.message);
+                alert(`${failure}: ${err.message}`);
             }
         };
 
-        const handleRejectOrg = async (clinicId) => {
+        const handleClaim = async (review) => {
+            const takeOver = review.claimed_by && review.claimed_by !== pendingVerifications.reviewerId;
+            if (takeOver && !confirm(`${review.claimed_by_name} is reviewing this. Take it over?`)) return;
+            runAction(() => api.claimVerificationReview(review.id, takeOver), 'Failed to claim');
+        };
+
+        const handleRelease = (review) => runAction(() => api.releaseVerificationReview(review.id), 'Failed to release');
+
+        const handleApproveOrg = (clinicId) => runAction(() => api.approveOrgVerification(clinicId), 'Failed to approve');
+
+        const handleRejectOrg = (clinicId) => {
             const reason = prompt('Reason for rejection (optional):');
+            if (reason === null) return;
+            runAction(() => api.rejectOrgVerification(clinicId, reason), 'Failed to reject');
+        };
+
+        const handleRequestOrgDocs = (clinicId) => {
+            const documents = prompt('Which documents are needed? The clinic sees this.');
+            if (!documents) return;
+            runAction(() => api.requestOrgVerificationDocuments(clinicId, documents), 'Failed to request documents');
+        };
+
+        const handleApproveFacility = (clinicId, locationId) => runAction(() => api.approveFacilityVerification(clinicId, locationId), 'Failed to approve');
+
+        const handleRejectFacility = (clinicId, locationId) => {
+            const reason = prompt('Reason for rejection (optional):');
+            if (reason === null) return;
+            runAction(() => api.rejectFacilityVerification(clinicId, locationId, reason), 'Failed to reject');
+        };
+
+        const handleRequestFacilityDocs = (clinicId, locationId) => {
+            const documents = prompt('Which documents are needed? The clinic sees this.');
+            if (!documents) return;
+            runAction(() => api.requestFacilityVerificationDocuments(clinicId, locationId, documents), 'Failed to request documents');
+        };
+
+        const toggleNotes = async (reviewId) => {
+            if (notesReviewId === reviewId) {
+                setNotesReviewId(null);
+                return;
+            }
+            setNotesReviewId(reviewId);
+            setReviewNotes([]);
             try {
-                await api.rejectOrgVerification(clinicId, reason);
-                loadVerifications();
-                loadDashboardData();
+                const res = await api.getVerificationReviewNotes(reviewId);
+                setReviewNotes(res.data || []);
             } catch (err) {
-                alert('Failed to reject: ' + err.message);
+                console.error('Failed to load notes:', err);
             }
         };
 
-        const handleApproveFacility = async (clinicId, locationId) => {
+        const handleAddNote = async () => {
+            if (!newNote.trim()) return;
             try {
-                await api.approveFacilityVerification(clinicId, locationId);
-                loadVerifications();
-                loadDashboardData();
+                const res = await api.addVerificationReviewNote(notesReviewId, newNote.trim());
+                setReviewNotes(prev => [...prev, res.data]);
+                setNewNote('');
             } catch (err) {
-                alert('Failed to approve: ' + err.message);
+                alert('Failed to add note: ' + err.message);
             }
         };
 
-        const handleRejectFacility = async (clinicId, locationId) => {
-            const reason = prompt('Reason for rejection (optional):');
-            try {
-                await api.rejectFacilityVerification(clinicId, locationId, reason);
-                loadVerifications();
-                loadDashboardData();
-            } catch (err) {
-                alert('Failed to reject: ' + err.message);
+        const formatWait = (hours) => (hours < 24 ? `${Math.round(hours)}h` : `${Math.floor(hours / 24)}d ${Math.round(hours % 24)}h`);
+
+        const SlaBadge = ({ review }) => {
+            const { sla } = review;
+            if (sla.waiting_on === 'clinic') {
+                return <span className="bg-slate-100 text-slate-600 px-2 py-0.5 rounded-full text-xs">Docs requested {formatWait(sla.waiting_hours)} ago</span>;
             }
+            const color = sla.overdue ? 'bg-red-100 text-red-700'
+                : sla.waiting_hours > sla.sla_hours * 0.75 ? 'bg-amber-100 text-amber-700'
+                    : 'bg-emerald-100 text-emerald-700';
+            return (
+                <span className={`${color} px-2 py-0.5 rounded-full text-xs`} title={`Submitted ${new Date(review.submitted_at).toLocaleString()}`}>
+                    {formatWait(sla.waiting_hours)} / {sla.sla_hours}h{sla.overdue ? ' overdue' : ''}
+                </span>
+            );
         };
 
+        const ReviewerCell = ({ review }) => {
+            if (!review.id) return <span className="text-xs text-slate-400">-</span>;
+            const mine = review.claimed_by === pendingVerifications.reviewerId;
+            return (
+                <div className="flex items-center gap-2 text-xs">
+                    <span className={review.claimed_by ? 'font-medium' : 'text-slate-400'}>
+                        {review.claimed_by ? (mine ? 'You' : review.claimed_by_name) : 'Unassigned'}
+                    </span>
+                    {mine ? (
+                        <button onClick={() => handleRelease(review)} className="text-slate-500 hover:underline">Release</button>
+                    ) : (
+                        <button onClick={() => handleClaim(review)} className="text-blue-600 hover:underline">
+                            {review.claimed_by ? 'Take over' : 'Claim'}
+                        </button>
+                    )}
+                </div>
+            );
+        };
+
+        // Only the reviewer holding the claim can decide
+        const ActionButtons = ({ review, onApprove, onReject, onRequestDocs }) => (
+            <div className="flex gap-2">
+                {review.claimed_by !== pendingVerifications.reviewerId ? (
+                    <span className="text-xs text-slate-400 self-center">Claim to decide</span>
+                ) : (
+                    <>
+                    <button
+                        onClick={onApprove}
+                        className="px-2 py-1 text-xs rounded bg-emerald-600 text-white hover:bg-emerald-700"
+                    >
+                        Approve
+                    </button>
+                    {review.status !== 'more_info_required' && (
+                        <button
+                            onClick={onRequestDocs}
+                            className="px-2 py-1 text-xs rounded border hover:bg-slate-50"
+                        >
+                            Request docs
+                        </button>
+                    )}
+                    <button
+                        onClick={onReject}
+                        className="px-2 py-1 text-xs rounded border hover:bg-slate-50"
+                    >
+                        Reject
+                    </button>
+                    </>
+                )}
+                {review.id && (
+                    <button
+                        onClick={() => toggleNotes(review.id)}
+                        className="px-2 py-1 text-xs rounded border hover:bg-slate-50"
+                    >
+                        Notes
+                    </button>
+                )}
+            </div>
+        );
+
+        // Called as a function, not a component, so the note input keeps focus while typing
+        const notesRow = (review, colSpan) => notesReviewId === review.id && (
+            <tr className="bg-slate-50">
+                <td className="px-3 py-3" colSpan={colSpan}>
+                    {review.requested_documents && (
+                        <div className="text-xs mb-2"><span className="font-medium">Requested from clinic:</span> {review.requested_documents}</div>
+                    )}
+                    <div className="space-y-1 mb-2">
+                        {reviewNotes.map(n => (
+                            <div key={n.id} className="text-xs">
+                                <span className="text-slate-400">{new Date(n.created_at).toLocaleString()}</span>{' '}
+                                <span className="font-medium">{n.author_name || 'Clinic'}</span>{' '}
+                                {n.kind === 'note' ? n.body : <span className="italic text-slate-500">{n.kind.replace(/_/g, ' ')}{n.body ? `: ${n.body}` : ''}</span>}
+                            </div>
+                        ))}
+                        {reviewNotes.length === 0 && <div className="text-xs text-slate-500">No notes yet.</div>}
+                    </div>
+                    <div className="flex gap-2">
+                        <input
+                            className="flex-1 border rounded px-2 py-1 text-xs"
+                            placeholder="Internal note (not shown to the clinic)"
+                            value={newNote}
+                            onChange={e => setNewNote(e.target.value)}
+                        />
+                        <button onClick={handleAddNote} className="px-2 py-1 text-xs rounded bg-slate-800 text-white hover:bg-slate-700">Add note</button>
+                    </div>
+                </td>
+            </tr>
+        );
+
         if (loadingVerifications) {
             return <div className="text-center py-8 text-slate-500">Loading verifications...</div>;
         }
 
+        const overdueCount = [...pendingVerifications.organizations, ...pendingVerifications.facilities]
+            .filter(v => v.review?.sla.overdue).length;
+
         return (
             <div className="space-y-6">
+                <div className="flex items-center justify-between">
+                    <div className="text-xs text-slate-500">
+                        Oldest first. Submissions should be decided within {pendingVerifications.slaHours || 48} hours.
+                        {overdueCount > 0 && <span className="text-red-600 font-medium"> {overdueCount} overdue.</span>}
+                    </div>
+                    <select
+                        className="border rounded px-2 py-1 text-xs"
+                        value={assignedFilter}
+                        onChange={e => setAssignedFilter(e.target.value)}
+                    >
+                        <option value="">All reviews</option>
+                        <option value="me">Claimed by me</option>
+                        <option value="unassigned">Unassigned</option>
+                    </select>
+                </div>
+
                 {/* Organization Verifications */}
                 <div className="space-y-3">
                     <h2 className="font-semibold text-sm flex items-center gap-2">
                         Organization Verifications
                         {pendingVerifications.organizations.length > 0 && (
                             <span className="bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full text-xs">
-                                {pendingVerifications.organizations.length} pending
+                                {pendingVerifications.organizations.length} open
                             </span>
                         )}
                     </h2>
@@ -765,39 +924,36 @@ export default function HureSuperadminApp() {
                                     <th className="px-3 py-2">Email</th>
                                     <th className="px-3 py-2">KRA PIN</th>
                                     <th className="px-3 py-2">Business Reg No</th>
-                                    <th className="px-3 py-2">Submitted</th>
+                                    <th className="px-3 py-2">Waiting</th>
+                                    <th className="px-3 py-2">Reviewer</th>
                                     <th className="px-3 py-2">Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 {pendingVerifications.organizations.map(o => (
-                                    <tr key={o.id} className="border-t">
-                                        <td className="px-3 py-2 font-medium">{o.name}</td>
-                                        <td className="px-3 py-2 text-xs">{o.email}</td>
-                                        <td className="px-3 py-2 text-xs font-mono">{o.kra_pin || '-'}</td>
-                                        <td className="px-3 py-2 text-xs font-mono">{o.business_reg_no || '-'}</td>
-                                        <td className="px-3 py-2 text-xs">{new Date(o.created_at).toLocaleDateString()}</td>
-                                        <td className="px-3 py-2">
-                                            <div className="flex gap-2">
-                                                <button
-                                                    onClick={() => handleApproveOrg(o.id)}
-                                                    className="px-2 py-1 text-xs rounded bg-emerald-600 text-white hover:bg-emerald-700"
-                                                >
-                                                    Approve
-                                                </button>
-                                                <button
-                                                    onClick={() => handleRejectOrg(o.id)}
-                                                    className="px-2 py-1 text-xs rounded border hover:bg-slate-50"
-                                                >
-                                                    Reject
-                                                </button>
-                                            </div>
-                                        </td>
-                                    </tr>
+                                    <React.Fragment key={o.id}>
+                                        <tr className="border-t">
+                                            <td className="px-3 py-2 font-medium">{o.name}</td>
+                                            <td className="px-3 py-2 text-xs">{o.email}</td>
+                                            <td className="px-3 py-2 text-xs font-mono">{o.kra_pin || '-'}</td>
+                                            <td className="px-3 py-2 text-xs font-mono">{o.business_reg_no || '-'}</td>
+                                            <td className="px-3 py-2"><SlaBadge review={o.review} /></td>
+                                            <td className="px-3 py-2"><ReviewerCell review={o.review} /></td>
+                                            <td className="px-3 py-2">
+                                                <ActionButtons
+                                                    review={o.review}
+                                                    onApprove={() => handleApproveOrg(o.id)}
+                                                    onReject={() => handleRejectOrg(o.id)}
+                                                    onRequestDocs={() => handleRequestOrgDocs(o.id)}
+                                                />
+                                            </td>
+                                        </tr>
+                                        {notesRow(o.review, 7)}
+                                    </React.Fragment>
                                 ))}
                                 {pendingVerifications.organizations.length === 0 && (
                                     <tr>
-                                        <td className="px-3 py-4 text-xs text-slate-500" colSpan={6}>
+                                        <td className="px-3 py-4 text-xs text-slate-500" colSpan={7}>
                                             No pending organization verifications.
                                         </td>
                                     </tr>
@@ -813,7 +969,7 @@ export default function HureSuperadminApp() {
                         Facility Verifications
                         {pendingVerifications.facilities.length > 0 && (
                             <span className="bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full text-xs">
-                                {pendingVerifications.facilities.length} pending
+                                {pendingVerifications.facilities.length} open
                             </span>
                         )}
                     </h2>
@@ -826,38 +982,37 @@ export default function HureSuperadminApp() {
                                     <th className="px-3 py-2">License No</th>
                                     <th className="px-3 py-2">Licensing Body</th>
                                     <th className="px-3 py-2">Expiry</th>
+                                    <th className="px-3 py-2">Waiting</th>
+                                    <th className="px-3 py-2">Reviewer</th>
                                     <th className="px-3 py-2">Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 {pendingVerifications.facilities.map(f => (
-                                    <tr key={f.id} className="border-t">
-                                        <td className="px-3 py-2 font-medium">{f.name}</td>
-                                        <td className="px-3 py-2 text-xs">{f.clinic?.name || 'N/A'}</td>
-                                        <td className="px-3 py-2 text-xs font-mono">{f.license_no || '-'}</td>
-                                        <td className="px-3 py-2 text-xs">{f.licensing_body || '-'}</td>
-                                        <td className="px-3 py-2 text-xs">{f.license_expiry ? new Date(f.license_expiry).toLocaleDateString() : '-'}</td>
-                                        <td className="px-3 py-2">
-                                            <div className="flex gap-2">
-                                                <button
-                                                    onClick={() => handleApproveFacility(f.clinic_id, f.id)}
-                                                    className="px-2 py-1 text-xs rounded bg-emerald-600 text-white hover:bg-emerald-700"
-                                                >
-                                                    Approve
-                                                </button>
-                                                <button
-                                                    onClick={() => handleRejectFacility(f.clinic_id, f.id)}
-                                                    className="px-2 py-1 text-xs rounded border hover:bg-slate-50"
-                                                >
-                                                    Reject
-                                                </button>
-                                            </div>
-                                        </td>
-                                    </tr>
+                                    <React.Fragment key={f.id}>
+                                        <tr className="border-t">
+                                            <td className="px-3 py-2 font-medium">{f.name}</td>
+                                            <td className="px-3 py-2 text-xs">{f.clinic?.name || 'N/A'}</td>
+                                            <td className="px-3 py-2 text-xs font-mono">{f.license_no || '-'}</td>
+                                            <td className="px-3 py-2 text-xs">{f.licensing_body || '-'}</td>
+                                            <td className="px-3 py-2 text-xs">{f.license_expiry ? new Date(f.license_expiry).toLocaleDateString() : '-'}</td>
+                                            <td className="px-3 py-2"><SlaBadge review={f.review} /></td>
+                                            <td className="px-3 py-2"><ReviewerCell review={f.review} /></td>
+                                            <td className="px-3 py-2">
+                                                <ActionButtons
+                                                    review={f.review}
+                                                    onApprove={() => handleApproveFacility(f.clinic_id, f.id)}
+                                                    onReject={() => handleRejectFacility(f.clinic_id, f.id)}
+                                                    onRequestDocs={() => handleRequestFacilityDocs(f.clinic_id, f.id)}
+                                                />
+                                            </td>
+                                        </tr>
+                                        {notesRow(f.review, 8)}
+                                    </React.Fragment>
                                 ))}
                                 {pendingVerifications.facilities.length === 0 && (
                                     <tr>
-                                        <td className="px-3 py-4 text-xs text-slate-500" colSpan={6}>
+                                        <td className="px-3 py-4 text-xs text-slate-500" colSpan={8}>
                                             No pending facility verifications.
                                         </td>
                                     </tr>
@@ -1,5 +1,6 @@
 import { useState, useEffect, useMemo } from 'react';
 import * as employeeApi from './employeeApi';
+import { describeDevice } from './authSession';
 
 export default function EmployeeDashboard() {
     const [view, setView] = useState('dashboard');
@@ -11,13 +12,17 @@ export default function EmployeeDashboard() {
     const [schedule, setSchedule] = useState([]);
     const [attendance, setAttendance] = useState([]);
     const [leaves, setLeaves] = useState([]);
+    const [leaveBalances, setLeaveBalances] = useState({});
+    const [leavePolicy, setLeavePolicy] = useState({});
     const [documents, setDocuments] = useState([]);
+    const [payslips, setPayslips] = useState([]);
     const [activePunch, setActivePunch] = useState(null);
 
     // Modals
     const [showLeaveModal, setShowLeaveModal] = useState(false);
     const [showEditProfile, setShowEditProfile] = useState(false);
     const [sidebarOpen, setSidebarOpen] = useState(false);
+    const [correcting, setCorrecting] = useState(null); // { attendance, clock_in, clock_out, reason }
 
     const todayISO = new Date().toISOString().slice(0, 10);
 
@@ -28,25 +33,36 @@ export default function EmployeeDashboard() {
             window.location.href = '/employee/login';
             return;
         }
-        loadData();
+        loadData().then(active => {
+            // Opened by scanning a reception kiosk code
+            const kioskCode = new URLSearchParams(window.location.search).get('kiosk');
+            if (kioskCode) {
+                window.history.replaceState(null, '', window.location.pathname);
+                handleKioskScan(kioskCode, active);
+            }
+        });
     }, []);
 
     async function loadData() {
         try {
             setLoading(true);
-            const [profileData, scheduleData, attendanceData, leaveData, docsData] = await Promise.all([
+            const [profileData, scheduleData, attendanceData, leaveData, docsData, payslipData] = await Promise.all([
                 employeeApi.getProfile(),
                 employeeApi.getSchedule(),
                 employeeApi.getAttendance(),
                 employeeApi.getLeaveRequests(),
-                employeeApi.getDocuments()
+                employeeApi.getDocuments(),
+                employeeApi.getPayslips()
             ]);
 
             setProfile(profileData.staff);
             setSchedule(scheduleData.shifts || []);
             setAttendance(attendanceData.attendance || []);
             setLeaves(leaveData.leaves || []);
+            setLeaveBalances(leaveData.balances || {});
+            setLeavePolicy(leaveData.policy || {});
             setDocuments(docsData.documents || []);
+            setPayslips(payslipData.payslips || []);
 
             // Check for active clock-in
             const active = attendanceData.attendance?.find(a => a.clock_in && !a.clock_out);
@@ -59,10 +75,11 @@ export default function EmployeeDashboard() {
             }
 
             setLoading(false);
+            return active;
         } catch (err) {
             setError(err.message || 'Failed to load data');
             setLoading(false);
-            if (err.message.includes('Unauthorized') || err.message.includes('token')) {
+            if (err.message.includes('Unauthorized') || err.message.includes('token') || err.message.includes('Session ended')) {
                 employeeApi.clearStaffAuth();
                 window.location.href = '/employee/login';
             }
@@ -104,6 +121,11 @@ export default function EmployeeDashboard() {
         });
     }
 
+    // Currency format (e.g., "KES 45,000")
+    function formatKES(amount) {
+        return `KES ${Math.round(Number(amount) || 0).toLocaleString('en-KE')}`;
+    }
+
     // Format time for display (e.g., "18:21")
     function formatShiftTime(timeStr) {
         if (!timeStr) return '';
@@ -183,7 +205,7 @@ export default function EmployeeDashboard() {
             return;
         }
         try {
-            const result = await employeeApi.clockIn();
+            const result = await employeeApi.clockIn(await getDevicePosition());
             setActivePunch({
                 id: result.attendance.id,
                 date: result.attendance.date,
@@ -201,7 +223,7 @@ export default function EmployeeDashboard() {
             return;
         }
         try {
-            await employeeApi.clockOut();
+            await employeeApi.clockOut(await getDevicePosition());
             setActivePunch(null);
             await loadData(); // Refresh attendance list
         } catch (err) {
@@ -209,6 +231,25 @@ export default function EmployeeDashboard() {
         }
     }
 
+    // A kiosk scan clocks out when already clocked in, otherwise clocks in.
+    // The position is still sent: the kiosk location's fence applies.
+    async function handleKioskScan(kioskCode, active) {
+        try {
+            const position = await getDevicePosition();
+            if (active) {
+                await employeeApi.clockOut(position, kioskCode);
+                setActivePunch(null);
+                alert('Clocked out at the kiosk.');
+            } else {
+                await employeeApi.clockIn(position, kioskCode);
+                alert('Clocked in at the kiosk.');
+            }
+            await loadData();
+        } catch (err) {
+            alert(err.message || 'Kiosk clock-in failed');
+        }
+    }
+
     async function confirmShift(shiftId) {
         try {
             await employeeApi.respondToShift(shiftId, 'confirmed');
@@ -243,6 +284,39 @@ export default function EmployeeDashboard() {
         }
     }
 
+    // ISO timestamp as a datetime-local input value in the device's time zone
+    function toLocalInput(iso) {
+        if (!iso) return '';
+        const d = new Date(iso);
+        return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    function openCorrection(a) {
+        setCorrecting({
+            attendance: a,
+            clock_in: toLocalInput(a.clock_in) || `${a.date}T08:00`,
+            clock_out: toLocalInput(a.clock_out),
+            reason: ''
+        });
+    }
+
+    async function submitCorrection(e) {
+        e.preventDefault();
+        try {
+            const res = await employeeApi.requestAttendanceCorrection(correcting.attendance.id, {
+                clockIn: new Date(correcting.clock_in).toISOString(),
+                clockOut: new Date(correcting.clock_out).toISOString(),
+                reason: correcting.reason
+            });
+            setCorrecting(null);
+            const attendanceData = await employeeApi.getAttendance();
+            setAttendance(attendanceData.attendance || []);
+            alert(res.message);
+        } catch (err) {
+            alert(err.message || 'Failed to send correction');
+        }
+    }
+
     function exportAttendance() {
         const headers = ['date', 'clock_in', 'clock_out'];
         const rows = attendance.map(a => ({
@@ -264,8 +338,8 @@ export default function EmployeeDashboard() {
         URL.revokeObjectURL(url);
     }
 
-    function handleLogout() {
-        employeeApi.clearStaffAuth();
+    async function handleLogout() {
+        await employeeApi.staffLogout();
         window.location.href = '/employee/login';
     }
 
@@ -404,6 +478,13 @@ export default function EmployeeDashboard() {
                             <span>🛡️</span>
                             My Compliance Docs
                         </button>
+                        <button
+                            onClick={() => setView('payslips')}
+                            className={`flex items-center gap-3 w-full text-left px-4 py-3 rounded-xl transition-all font-medium ${view === 'payslips' ? 'bg-emerald-500 text-white shadow-lg shadow-emerald-500/20' : 'text-slate-300 hover:bg-slate-700/50 hover:text-white'}`}
+                        >
+                            <span>💰</span>
+                            Payslips
+                        </button>
 
                         {/* Account Section */}
                         <div className="text-xs text-slate-500 uppercase tracking-wider mt-6 mb-3 px-3">Account</div>
@@ -417,8 +498,8 @@ export default function EmployeeDashboard() {
                     </nav>
 
                     <div className="p-4 border-t border-slate-700 space-y-2">
-                        {/* Admin View Button - only show for admin/owner role */}
-                        {(profile?.account_role === 'admin' || profile?.account_role === 'owner') && (
+                        {/* Admin View Button - only show for roles with employer portal access */}
+                        {profile?.account_role && profile.account_role !== 'employee' && (
                             <button
                                 onClick={() => {
                                     // Set clinic ID for employer dashboard
@@ -541,6 +622,9 @@ export default function EmployeeDashboard() {
                                                 <div>
                                                     <div className="text-sm font-medium">
                                                         {formatDate(s.date)} • {formatShiftTime(s.start_time)} – {formatShiftTime(s.end_time)}
+                                                        {s.holiday && (
+                                                            <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 border border-purple-200">{s.holiday}</span>
+                                                        )}
                                                     </div>
                                                     <div className="text-xs text-gray-600 mt-0.5">
                                                         {s.role} • <span className={`${s.status === 'confirmed' ? 'text-green-600' : s.status === 'declined' ? 'text-red-600' : 'text-blue-600'}`}>{getEmployeeShiftStatus(s.status)}</span>
@@ -652,6 +736,9 @@ export default function EmployeeDashboard() {
                                                     <div className="flex-1">
                                                         <div className="font-medium text-gray-900">
                                                             {formatDateWithDay(s.date)}
+                                                            {s.holiday && (
+                                                                <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 border border-purple-200">{s.holiday}</span>
+                                                            )}
                                                         </div>
                                                         <div className="text-sm text-gray-600 mt-1">
                                                             {formatTimeRange(s.start_time, s.end_time)}
@@ -723,6 +810,9 @@ export default function EmployeeDashboard() {
                                                     <div className="flex-1">
                                                         <div className="font-medium text-gray-900">
                                                             {formatDateWithDay(s.date)}
+                                                            {s.holiday && (
+                                                                <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 border border-purple-200">{s.holiday}</span>
+                                                            )}
                                                         </div>
                                                         <div className="text-sm text-gray-600 mt-1">
                                                             {formatTimeRange(s.start_time, s.end_time)}
@@ -778,6 +868,7 @@ export default function EmployeeDashboard() {
                                             <th className="py-2">Clock Out</th>
                                             <th className="py-2">Hours Worked</th>
                                             <th className="py-2">Status</th>
+                                            <th className="py-2"></th>
                                         </tr>
                                     </thead>
                                     <tbody>
@@ -794,7 +885,7 @@ export default function EmployeeDashboard() {
                                             };
 
                                             // Calculate hours worked
-                                            const hoursWorked = a.hours_worked || 0;
+                                            const hoursWorked = Number(a.hours_worked) || 0;
                                             const overtime = hoursWorked > 8 ? hoursWorked - 8 : 0;
 
                                             // Determine hours display
@@ -823,6 +914,7 @@ export default function EmployeeDashboard() {
                                                     case 'present':
                                                         return 'bg-green-100 text-green-700';
                                                     case 'half_day':
+                                                    case 'late':
                                                         return 'bg-yellow-100 text-yellow-700';
                                                     case 'absent':
                                                         return 'bg-red-100 text-red-700';
@@ -835,6 +927,7 @@ export default function EmployeeDashboard() {
                                                 switch (status) {
                                                     case 'present': return 'Present';
                                                     case 'half_day': return 'Half Day';
+                                                    case 'late': return 'Late';
                                                     case 'absent': return 'Absent';
                                                     default: return 'Active';
                                                 }
@@ -850,6 +943,11 @@ export default function EmployeeDashboard() {
                                                         {a.clock_out ? formatTimeStamp(a.clock_out) : (
                                                             <span className="text-blue-500 italic">Active</span>
                                                         )}
+                                                        {(a.segments || []).length > 1 && (
+                                                            <div className="text-xs text-gray-500 font-normal mt-1">
+                                                                {a.segments.map(s => `${formatTimeStamp(s.clock_in)}–${s.clock_out ? formatTimeStamp(s.clock_out) : 'now'}`).join(', ')}
+                                                            </div>
+                                                        )}
                                                     </td>
                                                     <td className="py-2">
                                                         {getHoursDisplay()}
@@ -858,6 +956,28 @@ export default function EmployeeDashboard() {
                                                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadge(a.status)}`}>
                                                             {getStatusLabel(a.status)}
                                                         </span>
+                                                        {a.needs_review && a.correction?.status !== 'pending' && (
+                                                            <div className="text-xs text-amber-600 mt-1">
+                                                                Auto clocked out at the end of your shift. Fix the times if you left at a different time.
+                                                            </div>
+                                                        )}
+                                                        {a.correction && (
+                                                            <div className={`text-xs mt-1 ${a.correction.status === 'rejected' ? 'text-red-600' : a.correction.status === 'approved' ? 'text-green-600' : 'text-amber-600'}`}>
+                                                                {a.correction.status === 'pending' && `Correction to ${formatTimeStamp(a.correction.proposed_clock_in)}–${formatTimeStamp(a.correction.proposed_clock_out)} awaiting approval`}
+                                                                {a.correction.status === 'approved' && 'Corrected'}
+                                                                {a.correction.status === 'rejected' && `Correction declined${a.correction.review_note ? `: ${a.correction.review_note}` : ''}`}
+                                                            </div>
+                                                        )}
+                                                    </td>
+                                                    <td className="py-2 text-right">
+                                                        {a.correction?.status !== 'pending' && (
+                                                            <button
+                                                                onClick={() => openCorrection(a)}
+                                                                className="text-xs text-blue-600 hover:underline"
+                                                            >
+                                                                Fix times
+                                                            </button>
+                                                        )}
                                                     </td>
                                                 </tr>
                                             );
@@ -869,6 +989,61 @@ export default function EmployeeDashboard() {
                                     <p className="text-gray-500">You don't have any attendance records yet.</p>
                                 </div>
                             )}
+
+                            {correcting && (
+                                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                                    <div className="bg-white rounded-lg p-6 max-w-md w-full">
+                                        <h3 className="text-lg font-semibold mb-1">Fix Times for {formatDateWithDay(correcting.attendance.date)}</h3>
+                                        <p className="text-sm text-gray-500 mb-4">Your manager approves the corrected times. Until then your recorded times stand.</p>
+                                        <form onSubmit={submitCorrection} className="space-y-4">
+                                            <div>
+                                                <label className="block text-sm font-medium mb-1">Clock In</label>
+                                                <input
+                                                    type="datetime-local"
+                                                    value={correcting.clock_in}
+                                                    onChange={(e) => setCorrecting({ ...correcting, clock_in: e.target.value })}
+                                                    className="w-full border rounded px-3 py-2"
+                                                    required
+                                                />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium mb-1">Clock Out</label>
+                                                <input
+                                                    type="datetime-local"
+                                                    value={correcting.clock_out}
+                                                    min={correcting.clock_in}
+                                                    onChange={(e) => setCorrecting({ ...correcting, clock_out: e.target.value })}
+                                                    className="w-full border rounded px-3 py-2"
+                                                    required
+                                                />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium mb-1">Reason</label>
+                                                <textarea
+                                                    value={correcting.reason}
+                                                    onChange={(e) => setCorrecting({ ...correcting, reason: e.target.value })}
+                                                    className="w-full border rounded px-3 py-2"
+                                                    rows="2"
+                                                    placeholder="e.g. Forgot to clock out"
+                                                    required
+                                                />
+                                            </div>
+                                            <div className="flex gap-2">
+                                                <button type="submit" className="flex-1 bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700">
+                                                    Send for Approval
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setCorrecting(null)}
+                                                    className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded hover:bg-gray-300"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        </form>
+                                    </div>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -877,17 +1052,35 @@ export default function EmployeeDashboard() {
                     {view === 'leave' && (
                         <LeaveView
                             leaves={leaves}
+                            balances={leaveBalances}
+                            policy={leavePolicy}
                             showModal={showLeaveModal}
                             setShowModal={setShowLeaveModal}
                             onSubmit={async (data) => {
                                 try {
-                                    const result = await employeeApi.submitLeaveRequest(data);
-                                    setLeaves(prev => [result.leave, ...prev]);
+                                    await employeeApi.submitLeaveRequest(data);
+                                    const leaveData = await employeeApi.getLeaveRequests();
+                                    setLeaves(leaveData.leaves || []);
+                                    setLeaveBalances(leaveData.balances || {});
+                                    setLeavePolicy(leaveData.policy || {});
                                     setShowLeaveModal(false);
                                 } catch (err) {
                                     alert(err.message || 'Failed to submit leave request');
                                 }
                             }}
+                            onRequestChange={async (leaveId, data) => {
+                                try {
+                                    const res = await employeeApi.requestLeaveChange(leaveId, data);
+                                    const leaveData = await employeeApi.getLeaveRequests();
+                                    setLeaves(leaveData.leaves || []);
+                                    setLeaveBalances(leaveData.balances || {});
+                                    alert(res.message);
+                                    return true;
+                                } catch (err) {
+                                    alert(err.message || 'Failed to send change request');
+                                    return false;
+                                }
+                            }}
                         />
                     )}
 
@@ -1049,6 +1242,61 @@ export default function EmployeeDashboard() {
                         </div>
                     )}
 
+                    {/* Payslips View */}
+                    {view === 'payslips' && (
+                        <div className="bg-white p-4 rounded-lg shadow-sm border max-w-3xl">
+                            <div className="mb-4">
+                                <h2 className="text-lg font-semibold">Payslips</h2>
+                                <p className="text-sm text-gray-500">Payslips appear here once your clinic marks pay as paid</p>
+                            </div>
+                            {payslips.length > 0 ? (
+                                <ul className="space-y-3">
+                                    {payslips.map(p => (
+                                        <li key={p.id} className="p-4 border rounded-lg bg-gray-50">
+                                            <div className="flex items-start justify-between gap-4">
+                                                <div className="flex-1">
+                                                    <div className="font-medium text-gray-900">{p.period_label}</div>
+                                                    {p.period_start && p.period_end && (
+                                                        <div className="text-xs text-gray-500 mt-1">
+                                                            {formatDate(p.period_start)} – {formatDate(p.period_end)}
+                                                        </div>
+                                                    )}
+                                                    <div className="text-xs text-gray-600 mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                                                        <span>Gross {formatKES(p.gross_kes)}</span>
+                                                        <span>Deductions {formatKES(p.gross_kes - p.net_kes)}</span>
+                                                        <span>{Number(p.hours_worked || 0).toFixed(1)} h worked</span>
+                                                    </div>
+                                                </div>
+                                                <div className="flex flex-col items-end gap-2 flex-shrink-0">
+                                                    <div className="text-sm font-semibold text-emerald-700">{formatKES(p.net_kes)}</div>
+                                                    <button
+                                                        onClick={async () => {
+                                                            try {
+                                                                const result = await employeeApi.downloadPayslip(p.id);
+                                                                if (result.downloadUrl) {
+                                                                    window.open(result.downloadUrl, '_blank');
+                                                                }
+                                                            } catch (err) {
+                                                                alert('Failed to download: ' + err.message);
+                                                            }
+                                                        }}
+                                                        className="px-3 py-1.5 text-blue-600 hover:bg-blue-50 border border-blue-200 rounded text-xs"
+                                                    >
+                                                        Download PDF
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <div className="text-center py-8">
+                                    <p className="text-gray-500">No payslips yet.</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Profile View */}
                     {view === 'profile' && (
                         <ProfileView
@@ -1071,23 +1319,107 @@ export default function EmployeeDashboard() {
 }
 
 // Leave View Component
-function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
+// "2 days", "½ day (AM)", "3 h (0.38 day)"
+function formatLeaveDuration(l) {
+    if (l.duration_type === 'half_day') return `½ day (${(l.half_day_period || '').toUpperCase()})`;
+    if (l.duration_type === 'hours') return `${Number(l.hours)} h (${Number(l.days_count)} day)`;
+    const days = Number(l.days_count) || 0;
+    return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+// Current device position for geofenced punches, or null if unavailable/denied
+function getDevicePosition() {
+    if (!navigator.geolocation) return Promise.resolve(null);
+    return new Promise(resolve => {
+        navigator.geolocation.getCurrentPosition(
+            pos => resolve({
+                latitude: pos.coords.latitude,
+                longitude: pos.coords.longitude,
+                accuracy: pos.coords.accuracy
+            }),
+            () => resolve(null),
+            { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+        );
+    });
+}
+
+// Read a File as a base64 data URL for JSON upload
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+}
+
+// Status line for a leave's latest cancellation/amendment request
+function describeLeaveChange(c) {
+    const what = c.change_type === 'cancel' ? 'Cancellation' : `Change to ${c.new_from_date} – ${c.new_to_date}`;
+    if (c.status === 'pending') return `${what} awaiting approval`;
+    return `${what} ${c.status}${c.review_note ? `: ${c.review_note}` : ''}`;
+}
+
+function LeaveView({ leaves, balances, policy, showModal, setShowModal, onSubmit, onRequestChange }) {
     const todayISO = new Date().toISOString().slice(0, 10);
-    const [formData, setFormData] = useState({
+    const emptyForm = {
         leave_type: 'sick',
+        duration_type: 'full_day',
+        half_day_period: 'am',
+        hours: '',
         start_date: todayISO,
         end_date: todayISO,
-        reason: ''
-    });
+        reason: '',
+        file: null
+    };
+    const [formData, setFormData] = useState(emptyForm);
+    const [amending, setAmending] = useState(null); // { leave, start_date, end_date, reason }
+    const singleDay = formData.duration_type !== 'full_day';
+
+    async function requestCancel(l) {
+        const pending = l.status === 'pending';
+        if (!confirm(pending ? 'Withdraw this leave request?' : 'Ask your manager to cancel this approved leave?')) return;
+        const reason = pending ? null : prompt('Reason (optional)');
+        if (reason === null && !pending) return;
+        await onRequestChange(l.id, { changeType: 'cancel', reason });
+    }
 
-    function handleSubmit(e) {
+    async function submitAmendment(e) {
+        e.preventDefault();
+        const ok = await onRequestChange(amending.leave.id, {
+            changeType: 'amend',
+            startDate: amending.start_date,
+            endDate: amending.end_date,
+            reason: amending.reason
+        });
+        if (ok) setAmending(null);
+    }
+    const sickNoteAfter = policy?.sick_note_required_after_days;
+
+    async function handleSubmit(e) {
         e.preventDefault();
-        if (!formData.start_date || !formData.end_date) {
+        if (!formData.start_date || (!singleDay && !formData.end_date)) {
             alert('Please select start and end dates');
             return;
         }
-        onSubmit(formData);
-        setFormData({ leave_type: 'sick', start_date: todayISO, end_date: todayISO, reason: '' });
+        if (formData.duration_type === 'hours' && !(Number(formData.hours) > 0)) {
+            alert('Please enter the number of hours');
+            return;
+        }
+        if (formData.file && formData.file.size > 5 * 1024 * 1024) {
+            alert('Attachments must be smaller than 5 MB');
+            return;
+        }
+        const { file, ...fields } = formData;
+        onSubmit({
+            ...fields,
+            end_date: singleDay ? formData.start_date : formData.end_date,
+            hours: formData.duration_type === 'hours' ? Number(formData.hours) : undefined,
+            attachment: file
+                ? { fileName: file.name, fileType: file.type, fileData: await readFileAsDataURL(file) }
+                : undefined
+        });
+        setFormData(emptyForm);
     }
 
     return (
@@ -1097,8 +1429,15 @@ function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
                 <div className="bg-white p-4 rounded-lg shadow-sm border">
                     <h3 className="text-sm font-medium text-gray-700 mb-2">Leave Balance (This Year)</h3>
                     <div className="text-sm text-gray-600 space-y-1">
-                        <div>Annual: <span className="font-medium">10 days remaining</span></div>
-                        <div>Sick: <span className="font-medium">3 days remaining</span></div>
+                        {['annual', 'sick', 'maternity', 'paternity'].filter(type => balances?.[type]).map(type => (
+                            <div key={type} className="capitalize">
+                                {type}: <span className="font-medium">{balances[type].available} days remaining</span>
+                                {balances[type].pending > 0 && (
+                                    <span className="text-xs text-gray-400 normal-case"> ({balances[type].pending} pending approval)</span>
+                                )}
+                            </div>
+                        ))}
+                        {Object.keys(balances || {}).length === 0 && <div>No leave balance available yet.</div>}
                     </div>
                 </div>
 
@@ -1135,16 +1474,40 @@ function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
                                         <div>
                                             <div className="text-sm font-medium capitalize">{l.leave_type} Leave</div>
                                             <div className="text-sm text-gray-500 mt-1">
-                                                {formatLeaveDate(l.from_date)} – {formatLeaveDate(l.to_date)}
+                                                {l.from_date === l.to_date
+                                                    ? formatLeaveDate(l.from_date)
+                                                    : `${formatLeaveDate(l.from_date)} – ${formatLeaveDate(l.to_date)}`}
+                                                {l.days_count != null && <span className="text-gray-400"> · {formatLeaveDuration(l)}</span>}
                                             </div>
                                             {l.reason && <div className="text-xs text-gray-400 mt-1">{l.reason}</div>}
+                                            {l.attachment_name && <div className="text-xs text-gray-400 mt-1">📎 {l.attachment_name}</div>}
+                                            {l.change_request && (
+                                                <div className="text-xs text-blue-600 mt-1">{describeLeaveChange(l.change_request)}</div>
+                                            )}
+                                        </div>
+                                        <div className="flex flex-col items-end gap-2">
+                                            <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${l.status === 'approved' ? 'bg-green-100 text-green-700' :
+                                                l.status === 'rejected' ? 'bg-red-100 text-red-700' :
+                                                    ['cancelled', 'amended'].includes(l.status) ? 'bg-gray-200 text-gray-600' :
+                                                        'bg-yellow-100 text-yellow-700'
+                                                }`}>
+                                                {l.status}
+                                            </span>
+                                            {l.status === 'pending' && (
+                                                <button onClick={() => requestCancel(l)} className="text-xs text-gray-600 hover:underline">Withdraw</button>
+                                            )}
+                                            {l.status === 'approved' && l.change_request?.status !== 'pending' && (
+                                                <div className="flex gap-2">
+                                                    <button
+                                                        onClick={() => setAmending({ leave: l, start_date: l.from_date, end_date: l.to_date, reason: '' })}
+                                                        className="text-xs text-blue-600 hover:underline"
+                                                    >
+                                                        Change dates
+                                                    </button>
+                                                    <button onClick={() => requestCancel(l)} className="text-xs text-gray-600 hover:underline">Cancel</button>
+                                                </div>
+                                            )}
                                         </div>
-                                        <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${l.status === 'approved' ? 'bg-green-100 text-green-700' :
-                                            l.status === 'rejected' ? 'bg-red-100 text-red-700' :
-                                                'bg-yellow-100 text-yellow-700'
-                                            }`}>
-                                            {l.status}
-                                        </span>
                                     </div>
                                 );
                             })}
@@ -1157,6 +1520,58 @@ function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
                 </div>
             </div>
 
+            {amending && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                    <div className="bg-white rounded-lg p-6 max-w-md w-full">
+                        <h3 className="text-lg font-semibold mb-1">Change Leave Dates</h3>
+                        <p className="text-sm text-gray-500 mb-4">Your manager approves the new dates. Until then your current leave stands.</p>
+                        <form onSubmit={submitAmendment} className="space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium mb-1">From</label>
+                                <input
+                                    type="date"
+                                    value={amending.start_date}
+                                    onChange={(e) => setAmending({ ...amending, start_date: e.target.value })}
+                                    className="w-full border rounded px-3 py-2"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium mb-1">To</label>
+                                <input
+                                    type="date"
+                                    value={amending.end_date}
+                                    onChange={(e) => setAmending({ ...amending, end_date: e.target.value })}
+                                    className="w-full border rounded px-3 py-2"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium mb-1">Reason (optional)</label>
+                                <textarea
+                                    value={amending.reason}
+                                    onChange={(e) => setAmending({ ...amending, reason: e.target.value })}
+                                    className="w-full border rounded px-3 py-2"
+                                    rows="2"
+                                />
+                            </div>
+                            <div className="flex gap-2">
+                                <button type="submit" className="flex-1 bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700">
+                                    Send for Approval
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => setAmending(null)}
+                                    className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded hover:bg-gray-300"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
             {showModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
                     <div className="bg-white rounded-lg p-6 max-w-md w-full">
@@ -1171,12 +1586,27 @@ function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
                                 >
                                     <option value="sick">Sick Leave</option>
                                     <option value="annual">Annual Leave</option>
-                                    <option value="personal">Personal Leave</option>
+                                    <option value="maternity">Maternity Leave</option>
+                                    <option value="paternity">Paternity Leave</option>
+                                    <option value="compassionate">Compassionate Leave</option>
+                                    <option value="unpaid">Unpaid Leave</option>
                                     <option value="other">Other</option>
                                 </select>
                             </div>
                             <div>
-                                <label className="block text-sm font-medium mb-1">From</label>
+                                <label className="block text-sm font-medium mb-1">Duration</label>
+                                <select
+                                    value={formData.duration_type}
+                                    onChange={(e) => setFormData({ ...formData, duration_type: e.target.value })}
+                                    className="w-full border rounded px-3 py-2"
+                                >
+                                    <option value="full_day">Full day(s)</option>
+                                    <option value="half_day">Half day</option>
+                                    <option value="hours">Hours</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium mb-1">{singleDay ? 'Date' : 'From'}</label>
                                 <input
                                     type="date"
                                     value={formData.start_date}
@@ -1185,15 +1615,62 @@ function LeaveView({ leaves, showModal, setShowModal, onSubmit }) {
                                     required
                                 />
                             </div>
+                            {!singleDay && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">To</label>
+                                    <input
+                                        type="date"
+                                        value={formData.end_date}
+                                        onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+                                        className="w-full border rounded px-3 py-2"
+                                        required
+                                    />
+                                </div>
+                            )}
+                            {formData.duration_type === 'half_day' && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Which half</label>
+                                    <select
+                                        value={formData.half_day_period}
+                                        onChange={(e) => setFormData({ ...formData, half_day_period: e.target.value })}
+                                        className="w-full border rounded px-3 py-2"
+                                    >
+                                        <option value="am">Morning</option>
+                                        <option value="pm">Afternoon</option>
+                                    </select>
+                                </div>
+                            )}
+                            {formData.duration_type === 'hours' && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Hours</label>
+                                    <input
+                                        type="number"
+                                        min="0.25"
+                                        max="24"
+                                        step="0.25"
+                                        value={formData.hours}
+                                        onChange={(e) => setFormData({ ...formData, hours: e.target.value })}
+                                        className="w-full border rounded px-3 py-2"
+                                        required
+                                    />
+                                </div>
+                            )}
+                            <p className="text-xs text-gray-500">Only days you are rostered to work (or the clinic is open, if you have no roster) are charged.</p>
                             <div>
-                                <label className="block text-sm font-medium mb-1">To</label>
+                                <label className="block text-sm font-medium mb-1">
+                                    Attachment {formData.leave_type === 'sick' ? '(sick note)' : '(optional)'}
+                                </label>
                                 <input
-                                    type="date"
-                                    value={formData.end_date}
-                                    onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
-                                    className="w-full border rounded px-3 py-2"
-                                    required
+                                    type="file"
+                                    accept=".pdf,.jpg,.jpeg,.png"
+                                    onChange={(e) => setFormData({ ...formData, file: e.target.files?.[0] || null })}
+                                    className="w-full text-sm"
                                 />
+                                {formData.leave_type === 'sick' && sickNoteAfter != null && (
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Required for sick leave longer than {sickNoteAfter} day{sickNoteAfter === 1 ? '' : 's'}. PDF, JPEG or PNG up to 5 MB.
+                                    </p>
+                                )}
                             </div>
                             <div>
                                 <label className="block text-sm font-medium mb-1">Reason (optional)</label>
@@ -1405,6 +1882,59 @@ function ProfileView({ profile, onUpdate }) {
                     </div>
                 )}
             </form>
+
+            <SignedInDevices />
+        </div>
+    );
+}
+
+function SignedInDevices() {
+    const [sessions, setSessions] = useState([]);
+
+    function load() {
+        employeeApi.getSessions()
+            .then(res => setSessions(res.data || []))
+            .catch(() => setSessions([]));
+    }
+
+    useEffect(load, []);
+
+    async function handleSignOut(session) {
+        if (!confirm(`Sign out ${describeDevice(session.user_agent)}?`)) return;
+        try {
+            await employeeApi.endSessionById(session.id);
+            if (session.current) {
+                await employeeApi.staffLogout();
+                window.location.href = '/employee/login';
+                return;
+            }
+            load();
+        } catch (err) {
+            alert(err.message || 'Failed to sign out device');
+        }
+    }
+
+    return (
+        <div className="mt-6 pt-4 border-t">
+            <h3 className="text-sm font-medium text-gray-700 mb-1">Signed-in Devices</h3>
+            <p className="text-xs text-gray-500 mb-3">Sign out any device you do not recognise.</p>
+            {sessions.length === 0 && <p className="text-sm text-gray-500">No active sessions.</p>}
+            {sessions.map(session => (
+                <div key={session.id} className="flex items-center justify-between gap-3 py-2 border-t text-sm">
+                    <div>
+                        <div className="font-medium">
+                            {describeDevice(session.user_agent)}
+                            {session.current && <span className="ml-2 text-xs text-blue-600">This device</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                            {session.ip || 'Unknown IP'} · last active {new Date(session.last_used_at).toLocaleString()}
+                        </div>
+                    </div>
+                    <button onClick={() => handleSignOut(session)} className="text-xs text-red-600 hover:underline">
+                        Sign out
+                    </button>
+                </div>
+            ))}
         </div>
     );
 }
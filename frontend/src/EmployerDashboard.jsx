@@ -1,8 +1,10 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import {
-    staffAPI, shiftsAPI, attendanceAPI, leaveAPI, locationsAPI, settingsAPI,
-    scheduleBlocksAPI, payrollAPI, verificationAPI, auditAPI, documentsAPI, getClinicId
+    staffAPI, shiftsAPI, attendanceAPI, leaveAPI, locationsAPI, settingsAPI, rolesAPI,
+    scheduleBlocksAPI, payrollAPI, verificationAPI, auditAPI, documentsAPI, holidaysAPI, sessionsAPI,
+    getClinicId, getTokenKey
 } from './employerApi';
+import { endSession, describeDevice } from './authSession';
 
 /**
  * HURE Core - Employer Dashboard (Redesigned)
@@ -23,19 +25,6 @@ const PLAN_LIMITS = {
     enterprise: { locations: 5, staff: 50, adminPerms: 10 }
 };
 
-const DEFAULT_PERMISSIONS = {
-    owner: ['view_dashboard', 'view_staff', 'manage_staff', 'view_schedule', 'manage_schedule',
-        'view_attendance', 'export_payroll', 'view_leave', 'manage_leave', 'view_billing',
-        'manage_org_settings', 'manage_location_settings', 'manage_org_verification',
-        'manage_facility_verification', 'view_docs', 'manage_docs', 'view_audit'],
-    admin: ['view_dashboard', 'view_staff', 'manage_staff', 'view_schedule', 'manage_schedule',
-        'view_attendance', 'export_payroll', 'view_leave', 'manage_leave', 'manage_location_settings',
-        'manage_facility_verification', 'view_docs', 'manage_docs', 'view_audit'],
-    hr: ['view_dashboard', 'view_staff', 'manage_staff', 'view_schedule', 'view_attendance',
-        'export_payroll', 'view_leave', 'manage_leave', 'view_docs', 'manage_docs', 'view_audit'],
-    employee: ['view_dashboard', 'view_staff', 'view_schedule', 'view_attendance', 'view_leave', 'view_docs']
-};
-
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -55,9 +44,9 @@ const fmtKES = (n) => Number(n || 0).toLocaleString('en-KE');
 const statusPillClass = (status) => {
     const base = 'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium';
     switch ((status || '').toUpperCase().replace(/_/g, ' ')) {
-        case 'ACTIVE': case 'APPROVED': case 'VERIFIED': case 'COMPLETED':
+        case 'ACTIVE': case 'APPROVED': case 'VERIFIED': case 'COMPLETED': case 'PAID':
             return `${base} bg-emerald-100 text-emerald-800`;
-        case 'PENDING': case 'PENDING REVIEW': case 'UNDER REVIEW': case 'IN PROGRESS':
+        case 'PENDING': case 'PENDING REVIEW': case 'UNDER REVIEW': case 'IN PROGRESS': case 'SUBMITTED':
             return `${base} bg-amber-100 text-amber-800`;
         case 'REJECTED': case 'SUSPENDED':
             return `${base} bg-rose-100 text-rose-800`;
@@ -69,6 +58,18 @@ const statusPillClass = (status) => {
             return `${base} bg-slate-100 text-slate-700`;
     }
 };
+
+// 'front_desk' -> 'Front desk'
+const roleLabel = (name) => {
+    const words = String(name || '').replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Account roles staff can be given: employee plus the clinic's roles other than owner
+const accountRoleOptions = (roles) => [
+    'employee',
+    ...roles.map(r => r.name).filter(name => name !== 'employee' && name !== 'owner')
+];
 // ============================================
 // SHARED COMPONENTS - Enhanced
 // ============================================
@@ -136,7 +137,7 @@ const NavBtn = ({ label, active, onClick, icon }) => (
 );
 
 // Standalone AddStaffModal component to prevent input focus loss
-const AddStaffModal = ({ isOpen, onClose, onSave, clinicId, currentLoc }) => {
+const AddStaffModal = ({ isOpen, onClose, onSave, clinicId, currentLoc, roles = [] }) => {
     const [formData, setFormData] = useState({
         firstName: '', lastName: '', email: '',
         accountRole: 'employee', jobRole: 'Nurse',
@@ -195,8 +196,7 @@ const AddStaffModal = ({ isOpen, onClose, onSave, clinicId, currentLoc }) => {
                         value={formData.accountRole}
                         onChange={e => setFormData(prev => ({ ...prev, accountRole: e.target.value }))}
                     >
-                        <option value="employee">Employee</option>
-                        <option value="admin">Admin</option>
+                        {accountRoleOptions(roles).map(r => <option key={r} value={r}>{roleLabel(r)}</option>)}
                     </select>
                 </Field>
                 <Field label="Job role">
@@ -274,13 +274,15 @@ export default function EmployerDashboard() {
     const [leaves, setLeaves] = useState([]);
     const [audit, setAudit] = useState([]);
     const [docs, setDocs] = useState([]);
+    const [holidays, setHolidays] = useState([]);
 
     // Payroll status tracking
     const [payrollStatusMap, setPayrollStatusMap] = useState({});
 
-    // User role and permissions
-    const [currentUserRole] = useState('owner');
-    const permissions = DEFAULT_PERMISSIONS[currentUserRole] || [];
+    // User role and permissions (the clinic's role matrix, see Settings)
+    const [currentUserRole, setCurrentUserRole] = useState('owner');
+    const [permissions, setPermissions] = useState([]);
+    const [roles, setRoles] = useState([]);
     const has = useCallback((p) => permissions.includes(p), [permissions]);
 
     // Modal states
@@ -317,6 +319,11 @@ export default function EmployerDashboard() {
     const attendanceScoped = useMemo(() => scoped(attendance), [attendance, scoped]);
     const leavesScoped = useMemo(() => scoped(leaves), [leaves, scoped]);
 
+    // Active public holidays by date, for flagging schedule and attendance rows
+    const holidayByDate = useMemo(() => Object.fromEntries(
+        holidays.filter(h => h.is_active !== false).map(h => [h.date, h.name])
+    ), [holidays]);
+
     // ============================================
     // DATA FETCHING
     // ============================================
@@ -327,7 +334,8 @@ export default function EmployerDashboard() {
         const fetchData = async () => {
             setLoading(true);
             try {
-                const [staffRes, locRes, blocksRes, attRes, leaveRes, orgVerRes, settingsRes, auditRes] = await Promise.all([
+                const thisYear = new Date().getFullYear();
+                const [staffRes, locRes, blocksRes, attRes, leaveRes, orgVerRes, settingsRes, auditRes, holidaysRes, meRes, rolesRes] = await Promise.all([
                     staffAPI.list(clinicId).catch(() => ({ data: [] })),
                     locationsAPI.list(clinicId).catch(() => ({ data: [] })),
                     scheduleBlocksAPI.list(clinicId).catch(() => ({ data: [] })),
@@ -335,15 +343,25 @@ export default function EmployerDashboard() {
                     leaveAPI.list(clinicId).catch(() => ({ data: [] })),
                     verificationAPI.getOrg(clinicId).catch(() => ({ data: null })),
                     settingsAPI.get(clinicId).catch(() => ({ clinic: null })),
-                    auditAPI.list(clinicId).catch(() => ({ data: [] }))
+                    auditAPI.list(clinicId).catch(() => ({ data: [] })),
+                    holidaysAPI.list(clinicId, { from: `${thisYear - 1}-01-01`, to: `${thisYear + 1}-12-31` }).catch(() => ({ data: [] })),
+                    rolesAPI.me(clinicId).catch(() => ({ data: null })),
+                    rolesAPI.list(clinicId).catch(() => ({ data: [] }))
                 ]);
 
+                if (meRes.data) {
+                    setCurrentUserRole(meRes.data.role);
+                    setPermissions(meRes.data.permissions || []);
+                }
+                setRoles(rolesRes.data || []);
+
                 setStaff(staffRes.data || []);
                 setLocations(locRes.data || []);
                 setScheduleBlocks(blocksRes.data || []);
                 setAttendance(attRes.data || []);
                 setLeaves(leaveRes.data || []);
                 setAudit(auditRes.data || []);
+                setHolidays(holidaysRes.data || []);
 
                 // Update org with clinic name from settings
                 if (settingsRes.clinic?.name) {
@@ -451,7 +469,7 @@ export default function EmployerDashboard() {
                     </select>
 
                     <button
-                        onClick={() => { localStorage.removeItem('hure_auth_token'); localStorage.removeItem('hure_clinic_id'); window.location.href = '/'; }}
+                        onClick={async () => { await endSession(getTokenKey()); localStorage.removeItem('hure_clinic_id'); window.location.href = '/'; }}
                         className="px-2 lg:px-3 py-1.5 rounded-lg text-xs lg:text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors"
                     >
                         <span className="hidden sm:inline">Logout</span>
@@ -497,7 +515,7 @@ export default function EmployerDashboard() {
                                     {currentUserRole.charAt(0).toUpperCase()}
                                 </div>
                                 <div>
-                                    <div className="text-sm font-semibold text-white capitalize">{currentUserRole}</div>
+                                    <div className="text-sm font-semibold text-white">{roleLabel(currentUserRole)}</div>
                                     <div className="text-xs text-slate-400">{currentLocName}</div>
                                 </div>
                             </div>
@@ -506,23 +524,23 @@ export default function EmployerDashboard() {
                         {/* Navigation */}
                         <nav className="space-y-1 flex-1 pb-4">
                             <div className="text-[10px] uppercase tracking-wider text-slate-500 font-medium px-3 mb-2">Main</div>
-                            {has('view_dashboard') && <NavBtn icon="📊" label="Dashboard" active={view === 'dashboard'} onClick={() => handleNavClick('dashboard')} />}
-                            {has('view_staff') && <NavBtn icon="👥" label="Staff" active={view === 'staff'} onClick={() => handleNavClick('staff')} />}
-                            {has('view_schedule') && <NavBtn icon="📅" label="Schedule" active={view === 'schedule'} onClick={() => handleNavClick('schedule')} />}
-                            {has('view_attendance') && <NavBtn icon="⏰" label="Attendance" active={view === 'attendance'} onClick={() => handleNavClick('attendance')} />}
+                            <NavBtn icon="📊" label="Dashboard" active={view === 'dashboard'} onClick={() => handleNavClick('dashboard')} />
+                            {has('staff.view') && <NavBtn icon="👥" label="Staff" active={view === 'staff'} onClick={() => handleNavClick('staff')} />}
+                            {has('schedule.view') && <NavBtn icon="📅" label="Schedule" active={view === 'schedule'} onClick={() => handleNavClick('schedule')} />}
+                            {has('attendance.view') && <NavBtn icon="⏰" label="Attendance" active={view === 'attendance'} onClick={() => handleNavClick('attendance')} />}
 
                             <div className="text-[10px] uppercase tracking-wider text-slate-500 font-medium px-3 mt-4 mb-2">Finance</div>
-                            {has('export_payroll') && <NavBtn icon="💰" label="Payroll" active={view === 'payroll'} onClick={() => handleNavClick('payroll')} />}
-                            {has('view_leave') && <NavBtn icon="🏖️" label="Leave" active={view === 'leave'} onClick={() => handleNavClick('leave')} />}
-                            {has('view_billing') && <NavBtn icon="💳" label="Billing" active={view === 'billing'} onClick={() => handleNavClick('billing')} />}
+                            {has('payroll.view') && <NavBtn icon="💰" label="Payroll" active={view === 'payroll'} onClick={() => handleNavClick('payroll')} />}
+                            {has('leave.view') && <NavBtn icon="🏖️" label="Leave" active={view === 'leave'} onClick={() => handleNavClick('leave')} />}
+                            {has('billing.view') && <NavBtn icon="💳" label="Billing" active={view === 'billing'} onClick={() => handleNavClick('billing')} />}
 
                             <div className="text-[10px] uppercase tracking-wider text-slate-500 font-medium px-3 mt-4 mb-2">Admin</div>
-                            {(has('manage_org_verification') || has('manage_facility_verification')) &&
+                            {has('verification.manage') &&
                                 <NavBtn icon="✅" label="Verification" active={view === 'verification'} onClick={() => handleNavClick('verification')} />}
-                            {(has('manage_org_settings') || has('manage_location_settings')) &&
+                            {has('settings.view') &&
                                 <NavBtn icon="⚙️" label="Settings" active={view === 'settings'} onClick={() => handleNavClick('settings')} />}
-                            {has('view_docs') && <NavBtn icon="📄" label="Documents" active={view === 'docs'} onClick={() => handleNavClick('docs')} />}
-                            {has('view_audit') && <NavBtn icon="📝" label="Audit Log" active={view === 'audit'} onClick={() => handleNavClick('audit')} />}
+                            {has('docs.view') && <NavBtn icon="📄" label="Documents" active={view === 'docs'} onClick={() => handleNavClick('docs')} />}
+                            {has('audit.view') && <NavBtn icon="📝" label="Audit Log" active={view === 'audit'} onClick={() => handleNavClick('audit')} />}
                         </nav>
                     </div>
                 </aside>
@@ -654,7 +672,9 @@ export default function EmployerDashboard() {
     // ============================================
 
     const StaffView = () => {
-        const canManage = has('manage_staff');
+        const canManage = has('staff.update');
+        // Payout details need staff.compensation as well (routes/staff.js)
+        const canEditPayout = has('staff.compensation');
         const [reviewStaff, setReviewStaff] = useState(null);
 
         const updateVettingStatus = async (staffId, status) => {
@@ -697,6 +717,24 @@ export default function EmployerDashboard() {
 
         const [editStaff, setEditStaff] = useState(null);
         const [editForm, setEditForm] = useState({});
+        const [editSessions, setEditSessions] = useState(null);
+
+        useEffect(() => {
+            setEditSessions(null);
+            if (!editStaff || !has('staff.sessions')) return;
+            staffAPI.getSessions(clinicId, editStaff.id)
+                .then(res => setEditSessions(res.data || []))
+                .catch(() => { });
+        }, [editStaff]);
+
+        const signOutStaffEverywhere = async () => {
+            if (!confirm(`Sign ${editStaff.first_name} out on every device?`)) return;
+            try {
+                const res = await staffAPI.revokeSessions(clinicId, editStaff.id);
+                setEditSessions([]);
+                addAudit('Owner', 'Signed staff out everywhere', `${editStaff.first_name} ${editStaff.last_name}: ${res.revoked} sessions`);
+            } catch (err) { alert(err.message); }
+        };
 
         // When editStaff changes, populate editForm
         useEffect(() => {
@@ -709,7 +747,14 @@ export default function EmployerDashboard() {
                     jobRole: editStaff.job_role || '',
                     licenseType: editStaff.license_type || '',
                     licenseNumber: editStaff.license_number || '',
-                    licenseExpiry: editStaff.license_expiry || ''
+                    licenseExpiry: editStaff.license_expiry || '',
+                    paymentMethod: editStaff.payment_method || '',
+                    mpesaPhone: editStaff.mpesa_phone || '',
+                    bankName: editStaff.bank_name || '',
+                    bankCode: editStaff.bank_code || '',
+                    bankBranchCode: editStaff.bank_branch_code || '',
+                    bankAccountName: editStaff.bank_account_name || '',
+                    bankAccountNumber: editStaff.bank_account_number || ''
                 });
             }
         }, [editStaff]);
@@ -840,6 +885,7 @@ export default function EmployerDashboard() {
                     onClose={() => setShowStaffModal(false)}
                     clinicId={clinicId}
                     currentLoc={currentLoc}
+                    roles={roles}
                     onSave={async (data) => {
                         try {
                             await staffAPI.create(clinicId, data);
@@ -986,8 +1032,7 @@ export default function EmployerDashboard() {
                                     value={editForm.accountRole || 'employee'}
                                     onChange={e => setEditForm(prev => ({ ...prev, accountRole: e.target.value }))}
                                 >
-                                    <option value="employee">Employee</option>
-                                    <option value="admin">Admin</option>
+                                    {accountRoleOptions(roles).map(r => <option key={r} value={r}>{roleLabel(r)}</option>)}
                                 </select>
                             </Field>
                             <Field label="Job role">
@@ -1025,7 +1070,88 @@ export default function EmployerDashboard() {
                                     onChange={e => setEditForm(prev => ({ ...prev, licenseExpiry: e.target.value }))}
                                 />
                             </Field>
+                            <Field label="Payment method">
+                                <select
+                                    className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                    value={editForm.paymentMethod || ''}
+                                    onChange={e => setEditForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                                    disabled={!canEditPayout}
+                                >
+                                    <option value="">Not set</option>
+                                    <option value="mpesa">M-Pesa</option>
+                                    <option value="bank">Bank transfer</option>
+                                </select>
+                            </Field>
+                            {editForm.paymentMethod === 'mpesa' && (
+                                <Field label="M-Pesa number">
+                                    <input
+                                        className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                        placeholder="07XX XXX XXX"
+                                        value={editForm.mpesaPhone || ''}
+                                        onChange={e => setEditForm(prev => ({ ...prev, mpesaPhone: e.target.value }))}
+                                        disabled={!canEditPayout}
+                                    />
+                                </Field>
+                            )}
+                            {editForm.paymentMethod === 'bank' && (
+                                <>
+                                    <Field label="Bank name">
+                                        <input
+                                            className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                            value={editForm.bankName || ''}
+                                            onChange={e => setEditForm(prev => ({ ...prev, bankName: e.target.value }))}
+                                            disabled={!canEditPayout}
+                                        />
+                                    </Field>
+                                    <Field label="Bank code">
+                                        <input
+                                            className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                            value={editForm.bankCode || ''}
+                                            onChange={e => setEditForm(prev => ({ ...prev, bankCode: e.target.value }))}
+                                            disabled={!canEditPayout}
+                                        />
+                                    </Field>
+                                    <Field label="Branch code">
+                                        <input
+                                            className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                            value={editForm.bankBranchCode || ''}
+                                            onChange={e => setEditForm(prev => ({ ...prev, bankBranchCode: e.target.value }))}
+                                            disabled={!canEditPayout}
+                                        />
+                                    </Field>
+                                    <Field label="Account name">
+                                        <input
+                                            className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                            value={editForm.bankAccountName || ''}
+                                            onChange={e => setEditForm(prev => ({ ...prev, bankAccountName: e.target.value }))}
+                                            disabled={!canEditPayout}
+                                        />
+                                    </Field>
+                                    <Field label="Account number">
+                                        <input
+                                            className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                            value={editForm.bankAccountNumber || ''}
+                                            onChange={e => setEditForm(prev => ({ ...prev, bankAccountNumber: e.target.value }))}
+                                            disabled={!canEditPayout}
+                                        />
+                                    </Field>
+                                </>
+                            )}
                         </div>
+                        {editSessions && (
+                            <div className="flex items-center justify-between gap-3 mt-4 pt-4 border-t text-sm">
+                                <div className="text-slate-600">
+                                    {editSessions.length
+                                        ? `Signed in on ${editSessions.length} device${editSessions.length === 1 ? '' : 's'}: ${editSessions.map(x => describeDevice(x.user_agent)).join(', ')}`
+                                        : 'Not signed in on any device'}
+                                </div>
+                                {editSessions.length > 0 && (
+                                    <button className="px-3 py-1.5 rounded-xl border border-red-200 text-red-700 text-xs hover:bg-red-50 whitespace-nowrap" onClick={signOutStaffEverywhere}>
+                                        Sign out everywhere
+                                    </button>
+                                )}
+                            </div>
+                        )}
                         <div className="flex justify-end gap-2 mt-4">
                             <button className="px-4 py-2 rounded-xl border border-slate-300 text-sm" onClick={() => setEditStaff(null)}>Cancel</button>
                             <button className="px-4 py-2 rounded-xl bg-slate-900 text-white text-sm" onClick={saveStaffEdit}>Save Changes</button>
@@ -1041,7 +1167,7 @@ export default function EmployerDashboard() {
     // ============================================
 
     const ScheduleView = () => {
-        const canManage = has('manage_schedule');
+        const canManage = has('schedule.manage');
         const staffById = useMemo(() => Object.fromEntries(staff.map(s => [s.id, s])), []);
 
         const totalGaps = useMemo(() => scheduleBlocksScoped.reduce((acc, b) => {
@@ -1102,7 +1228,12 @@ export default function EmployerDashboard() {
                                 const assignedNames = (b.assigned_staff_ids || []).map(id => staffById[id]).filter(Boolean).map(s => `${s.first_name} ${s.last_name}`).join(', ');
                                 return (
                                     <tr key={b.id} className="border-t">
-                                        <td className="p-3 font-medium">{fmtDateEA(b.date)}</td>
+                                        <td className="p-3 font-medium">
+                                            {fmtDateEA(b.date)}
+                                            {(b.holiday || holidayByDate[b.date]) && (
+                                                <div className="mt-1"><span className="px-2 py-0.5 rounded-full text-xs bg-purple-50 text-purple-700 border border-purple-200">{b.holiday || holidayByDate[b.date]}</span></div>
+                                            )}
+                                        </td>
                                         <td className="p-3">{b.start_time?.slice(0, 5)}–{b.end_time?.slice(0, 5)}</td>
                                         <td className="p-3">{b.role_needed}</td>
                                         <td className="p-3">{req}</td>
@@ -1114,6 +1245,9 @@ export default function EmployerDashboard() {
                                             <span className={`px-2 py-0.5 rounded-full text-xs ${covered ? 'bg-emerald-50 text-emerald-700' : 'bg-amber-50 text-amber-800'}`}>
                                                 {covered ? 'Covered' : `Short by ${req - asg}`}
                                             </span>
+                                            {b.needs_cover && (
+                                                <div className="mt-1"><span className="px-2 py-0.5 rounded-full text-xs bg-red-50 text-red-700 border border-red-200" title={b.cover_reason || ''}>Needs cover</span></div>
+                                            )}
                                         </td>
                                         {canManage && (
                                             <td className="p-3">
@@ -1154,6 +1288,9 @@ export default function EmployerDashboard() {
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                             <Field label="Date">
                                 <input type="date" className="w-full px-3 py-2 rounded-xl border border-slate-300" value={newShift.date} onChange={e => setNewShift({ ...newShift, date: e.target.value })} />
+                                {holidayByDate[newShift.date] && (
+                                    <div className="text-xs text-purple-700 mt-1">Public holiday: {holidayByDate[newShift.date]}</div>
+                                )}
                             </Field>
                             <Field label="Role needed">
                                 <select className="w-full px-3 py-2 rounded-xl border border-slate-300" value={newShift.roleNeeded} onChange={e => setNewShift({ ...newShift, roleNeeded: e.target.value })}>
@@ -1269,6 +1406,87 @@ export default function EmployerDashboard() {
 
     const AttendanceView = () => {
         const staffById = useMemo(() => Object.fromEntries(staff.map(s => [s.id, s])), []);
+        const canManage = has('attendance.review');
+        const [outsideOnly, setOutsideOnly] = useState(false);
+        const [reviewOnly, setReviewOnly] = useState(false);
+        const [corrections, setCorrections] = useState([]);
+        const rows = attendanceScoped
+            .filter(a => !outsideOnly || a.outside_geofence)
+            .filter(a => !reviewOnly || a.needs_review);
+        const fmtTime = (ts) => ts ? new Date(ts).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '—';
+
+        const loadCorrections = async () => {
+            try {
+                const res = await attendanceAPI.corrections(clinicId, 'pending');
+                setCorrections(res.data || []);
+            } catch (err) {
+                console.error('Failed to load attendance corrections:', err);
+            }
+        };
+
+        useEffect(() => { loadCorrections(); }, []);
+
+        // This month so far, through the authenticated API
+        const exportAttendance = async () => {
+            const to = new Date().toISOString().slice(0, 10);
+            const from = `${to.slice(0, 8)}01`;
+            try {
+                const blob = await attendanceAPI.exportCsv(clinicId, from, to);
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `attendance_${from}_${to}.csv`;
+                link.click();
+                URL.revokeObjectURL(url);
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const markReviewed = async (a) => {
+            try {
+                const res = await attendanceAPI.markReviewed(clinicId, a.id);
+                setAttendance(prev => prev.map(x => (x.id === a.id ? { ...x, ...res.data } : x)));
+                const s = staffById[a.staff_id];
+                addAudit('Owner', 'Reviewed attendance', `${s ? `${s.first_name} ${s.last_name}` : 'Staff'} · ${fmtDateEA(a.date)}`);
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const reviewCorrection = async (c, status) => {
+            const reviewNote = status === 'rejected' ? prompt('Reason for rejecting (optional)') : '';
+            if (reviewNote === null) return;
+            try {
+                const res = await attendanceAPI.reviewCorrection(clinicId, c.id, status, reviewNote || undefined);
+                const name = c.staff ? `${c.staff.first_name} ${c.staff.last_name}` : 'Staff';
+                addAudit('Owner', `Attendance correction ${status}`, `${name} · ${fmtDateEA(c.attendance?.date)}`);
+                if (res.payrollLocked) {
+                    alert('Payroll covering this day is already approved. Add a payroll adjustment for the corrected hours.');
+                }
+                const r = await attendanceAPI.list(clinicId);
+                setAttendance(r.data || []);
+                await loadCorrections();
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        // Badge for a punch recorded outside its location's fence
+        const fenceBadge = (position) => {
+            if (!position || !['outside', 'no_position'].includes(position.geofence)) return null;
+            const label = position.geofence === 'outside' ? `Outside fence · ${position.distance_m} m` : 'No location';
+            return (
+                <div className="mt-1">
+                    <span
+                        className="px-2 py-0.5 rounded-full text-xs bg-rose-50 text-rose-700 border border-rose-200"
+                        title={position.latitude != null ? `${position.latitude}, ${position.longitude} (±${Math.round(position.accuracy || 0)} m)` : 'Device did not share a position'}
+                    >
+                        {label}
+                    </span>
+                </div>
+            );
+        };
 
         return (
             <div className="max-w-7xl mx-auto p-4">
@@ -1277,34 +1495,112 @@ export default function EmployerDashboard() {
                         <div className="text-xl font-bold">Attendance</div>
                         <div className="text-sm text-slate-600 mt-1">{currentLocName}</div>
                     </div>
+                    <div className="flex flex-col gap-1">
+                        <label className="flex items-center gap-2 text-sm text-slate-600">
+                            <input type="checkbox" checked={outsideOnly} onChange={e => setOutsideOnly(e.target.checked)} />
+                            Out-of-fence punches only
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-slate-600">
+                            <input type="checkbox" checked={reviewOnly} onChange={e => setReviewOnly(e.target.checked)} />
+                            Needs review only
+                        </label>
+                        <button onClick={exportAttendance} className="mt-1 px-3 py-1.5 rounded-xl border border-slate-300 text-sm hover:bg-slate-50">
+                            📥 Export this month
+                        </button>
+                    </div>
                 </div>
 
+                {corrections.length > 0 && (
+                    <Card title="Correction requests" subtitle="Staff asking to fix recorded clock-in and clock-out times" className="mb-4">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-50 text-slate-600">
+                                <tr>
+                                    <th className="text-left p-3">Staff</th>
+                                    <th className="text-left p-3">Date</th>
+                                    <th className="text-left p-3">Recorded</th>
+                                    <th className="text-left p-3">Corrected to</th>
+                                    <th className="text-left p-3">Reason</th>
+                                    {canManage && <th className="text-right p-3">Actions</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {corrections.map(c => (
+                                    <tr key={c.id} className="border-t border-slate-200">
+                                        <td className="p-3 font-medium">{c.staff ? `${c.staff.first_name} ${c.staff.last_name}` : 'Unknown'}</td>
+                                        <td className="p-3">{fmtDateEA(c.attendance?.date)}</td>
+                                        <td className="p-3 text-slate-600">{fmtTime(c.attendance?.clock_in)} – {fmtTime(c.attendance?.clock_out)}</td>
+                                        <td className="p-3">{fmtTime(c.proposed_clock_in)} – {fmtTime(c.proposed_clock_out)}</td>
+                                        <td className="p-3 text-slate-600">{c.reason}</td>
+                                        {canManage && (
+                                            <td className="p-3 text-right">
+                                                <button onClick={() => reviewCorrection(c, 'approved')} className="px-2 py-1 text-xs bg-green-600 text-white rounded mr-1">Approve</button>
+                                                <button onClick={() => reviewCorrection(c, 'rejected')} className="px-2 py-1 text-xs bg-red-600 text-white rounded">Reject</button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </Card>
+                )}
+
                 <Card>
                     <table className="w-full text-sm">
                         <thead className="bg-slate-50 text-slate-600">
                             <tr>
                                 <th className="text-left p-3">Date</th>
                                 <th className="text-left p-3">Staff</th>
+                                <th className="text-left p-3">Scheduled</th>
                                 <th className="text-left p-3">Clock in</th>
                                 <th className="text-left p-3">Clock out</th>
                                 <th className="text-left p-3">Status</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {attendanceScoped.map(a => {
+                            {rows.map(a => {
                                 const s = staffById[a.staff_id];
                                 return (
                                     <tr key={a.id} className="border-t border-slate-200">
-                                        <td className="p-3 font-medium">{fmtDateEA(a.date)}</td>
+                                        <td className="p-3 font-medium">
+                                            {fmtDateEA(a.date)}
+                                            {holidayByDate[a.date] && (
+                                                <div className="mt-1"><span className="px-2 py-0.5 rounded-full text-xs bg-purple-50 text-purple-700 border border-purple-200">{holidayByDate[a.date]}</span></div>
+                                            )}
+                                        </td>
                                         <td className="p-3">{s ? `${s.first_name} ${s.last_name}` : 'Unknown'}</td>
-                                        <td className="p-3">{a.clock_in ? new Date(a.clock_in).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '—'}</td>
-                                        <td className="p-3">{a.clock_out ? new Date(a.clock_out).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '—'}</td>
-                                        <td className="p-3"><span className={statusPillClass(a.status)}>{a.status || 'present'}</span></td>
+                                        <td className="p-3 text-slate-600">
+                                            {a.scheduled_start ? `${a.scheduled_start.slice(0, 5)}–${(a.scheduled_end || '').slice(0, 5)}` : 'Unscheduled'}
+                                        </td>
+                                        <td className="p-3">
+                                            {a.clock_in ? new Date(a.clock_in).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '—'}
+                                            {a.minutes_late > 0 && a.status === 'late' && <div className="text-xs text-amber-700 mt-1">{a.minutes_late} min late</div>}
+                                            {fenceBadge(a.clock_in_position)}
+                                        </td>
+                                        <td className="p-3">
+                                            {a.clock_out ? new Date(a.clock_out).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '—'}
+                                            {a.left_early && <div className="text-xs text-amber-700 mt-1">Left {a.minutes_early} min early</div>}
+                                            {(a.segments || []).length > 1 && (
+                                                <div className="text-xs text-slate-500 mt-1" title="Clock-in segments">
+                                                    {a.segments.length} segments · {Number(a.hours_worked || 0).toFixed(2)} h
+                                                </div>
+                                            )}
+                                            {fenceBadge(a.clock_out_position)}
+                                        </td>
+                                        <td className="p-3">
+                                            <span className={statusPillClass(a.status)}>{a.status || 'present'}</span>
+                                            {a.needs_review && (
+                                                <div className="mt-1">
+                                                    <span className="px-2 py-0.5 rounded-full text-xs bg-amber-50 text-amber-700 border border-amber-200" title={a.review_reason || ''}>Needs review</span>
+                                                    {canManage && <button onClick={() => markReviewed(a)} className="ml-2 text-xs text-slate-600 underline">Times OK</button>}
+                                                </div>
+                                            )}
+                                            {a.last_correction_id && <div className="text-xs text-slate-500 mt-1">Corrected</div>}
+                                        </td>
                                     </tr>
                                 );
                             })}
-                            {attendanceScoped.length === 0 && (
-                                <tr><td className="p-4 text-slate-500" colSpan={5}>No attendance records.</td></tr>
+                            {rows.length === 0 && (
+                                <tr><td className="p-4 text-slate-500" colSpan={6}>No attendance records.</td></tr>
                             )}
                         </tbody>
                     </table>
@@ -1319,11 +1615,188 @@ export default function EmployerDashboard() {
 
     const LeaveView = () => {
         const staffById = useMemo(() => Object.fromEntries(staff.map(s => [s.id, s])), []);
-        const canManage = has('manage_leave');
+        const canManage = has('leave.review');
+        const [balances, setBalances] = useState([]);
+        const [preview, setPreview] = useState(null);
+        const [changes, setChanges] = useState([]);
+        const balanceTypes = ['annual', 'sick', 'maternity', 'paternity'];
+
+        const loadBalances = async () => {
+            try {
+                const res = await leaveAPI.balances(clinicId);
+                setBalances(res.data || []);
+            } catch (err) {
+                console.error('Failed to load leave balances:', err);
+            }
+        };
+
+        const loadChanges = async () => {
+            try {
+                const res = await leaveAPI.changes(clinicId, 'pending');
+                setChanges(res.data || []);
+            } catch (err) {
+                console.error('Failed to load leave change requests:', err);
+            }
+        };
+
+        useEffect(() => { loadBalances(); loadChanges(); }, []);
+
+        const decideChange = async (c, status) => {
+            const reviewNote = status === 'declined' ? prompt('Reason for declining (optional)') : '';
+            if (reviewNote === null) return;
+            try {
+                await leaveAPI.decideChange(clinicId, c.id, status, reviewNote || undefined);
+                const name = c.staff ? `${c.staff.first_name} ${c.staff.last_name}` : 'Staff';
+                addAudit('Owner', `Leave ${c.change_type === 'cancel' ? 'cancellation' : 'amendment'} ${status}`, name);
+                const [r, blocks] = await Promise.all([leaveAPI.list(clinicId), scheduleBlocksAPI.list(clinicId)]);
+                setLeaves(r.data || []);
+                setScheduleBlocks(blocks.data || []);
+                await Promise.all([loadBalances(), loadChanges()]);
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const balancesScoped = currentLoc === 'ALL' ? balances : balances.filter(b => b.location_id === currentLoc);
+
+        // Spell out what approving does to the schedule before committing to it
+        const confirmImpact = async (l) => {
+            const { data: impact } = await leaveAPI.impact(clinicId, l.id);
+            if (impact.blocks.length === 0 && impact.coverage.length === 0) return true;
+
+            const lines = [];
+            if (impact.blocks.length > 0) {
+                lines.push(`${impact.staff.name} is rostered on ${impact.blocks.length} block(s)${impact.blocks[0].partial ? ' (partial-day leave: not removed automatically)' : ' and will be removed'}:`);
+                impact.blocks.forEach(b => lines.push(
+                    `• ${fmtDateEA(b.date)} ${b.start_time?.slice(0, 5)}–${b.end_time?.slice(0, 5)} ${b.role_needed}${b.short_by > 0 ? ` — short by ${b.short_by}` : ''}`
+                ));
+            }
+            if (impact.coverage.length > 0) {
+                lines.push('', `${impact.coverage[0].role} cover below requirement:`);
+                impact.coverage.forEach(c => lines.push(
+                    `• ${fmtDateEA(c.date)}: ${c.available} of ${c.team_size} available, ${c.required} needed`
+                ));
+            }
+            return confirm(`${lines.join('\n')}\n\nApprove anyway?`);
+        };
+
+        const decide = async (action, l) => {
+            try {
+                if (action === 'approve' && !(await confirmImpact(l))) return;
+                await (action === 'approve' ? leaveAPI.approve(clinicId, l.id) : leaveAPI.reject(clinicId, l.id));
+                const r = await leaveAPI.list(clinicId);
+                setLeaves(r.data || []);
+                await loadBalances();
+                if (action === 'approve') {
+                    const blocks = await scheduleBlocksAPI.list(clinicId);
+                    setScheduleBlocks(blocks.data || []);
+                }
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const openAttachment = async (l) => {
+            try {
+                const res = await leaveAPI.attachment(clinicId, l.id);
+                setPreview(res.data);
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const adjustBalance = async (row) => {
+            const leaveType = prompt(`Leave type to adjust for ${row.name} (${balanceTypes.join(', ')})`, 'annual');
+            if (!leaveType) return;
+            const days = prompt('Days to add (use a negative number to remove)');
+            if (!days) return;
+            const note = prompt('Reason for the adjustment');
+            if (!note) return;
+            try {
+                await leaveAPI.adjustBalance(clinicId, row.staff_id, { leaveType: leaveType.trim().toLowerCase(), days: Number(days), note });
+                addAudit('Owner', 'Adjusted leave balance', `${row.name}: ${days} ${leaveType} day(s)`);
+                await loadBalances();
+            } catch (err) {
+                alert(err.message);
+            }
+        };
 
         return (
             <div className="max-w-7xl mx-auto p-4">
                 <div className="text-xl font-bold mb-4">Leave Requests</div>
+                <Card title={`Leave balances ${new Date().getFullYear()}`} subtitle="Days available after pending requests" className="mb-4">
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-50 text-slate-600">
+                            <tr>
+                                <th className="text-left p-3">Staff</th>
+                                {balanceTypes.map(t => <th key={t} className="text-right p-3 capitalize">{t}</th>)}
+                                {canManage && <th className="text-right p-3">Actions</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {balancesScoped.map(row => (
+                                <tr key={row.staff_id} className="border-t border-slate-200">
+                                    <td className="p-3 font-medium">{row.name}</td>
+                                    {balanceTypes.map(t => {
+                                        const b = row.balances?.[t];
+                                        return (
+                                            <td
+                                                key={t}
+                                                className="p-3 text-right"
+                                                title={b ? `Accrued ${b.accrued} • Carried over ${b.carried_over} • Used ${b.used} • Adjusted ${b.adjusted} • Pending ${b.pending}` : ''}
+                                            >
+                                                {b ? b.available : '—'}
+                                            </td>
+                                        );
+                                    })}
+                                    {canManage && (
+                                        <td className="p-3 text-right">
+                                            <button onClick={() => adjustBalance(row)} className="text-xs text-slate-700 hover:underline">Adjust</button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {balancesScoped.length === 0 && <tr><td className="p-4 text-slate-500" colSpan={6}>No balances yet.</td></tr>}
+                        </tbody>
+                    </table>
+                </Card>
+                {changes.length > 0 && (
+                    <Card title="Change requests" subtitle="Staff asking to cancel or re-date approved leave" className="mb-4">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-50 text-slate-600">
+                                <tr>
+                                    <th className="text-left p-3">Staff</th>
+                                    <th className="text-left p-3">Approved leave</th>
+                                    <th className="text-left p-3">Requested change</th>
+                                    <th className="text-left p-3">Reason</th>
+                                    {canManage && <th className="text-right p-3">Actions</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {changes.map(c => (
+                                    <tr key={c.id} className="border-t border-slate-200">
+                                        <td className="p-3 font-medium">{c.staff ? `${c.staff.first_name} ${c.staff.last_name}` : 'Unknown'}</td>
+                                        <td className="p-3">
+                                            <span className="capitalize">{c.leave?.leave_type}</span> · {fmtDateEA(c.leave?.from_date)} – {fmtDateEA(c.leave?.to_date)} ({Number(c.leave?.days_count)} d)
+                                        </td>
+                                        <td className="p-3">
+                                            {c.change_type === 'cancel'
+                                                ? 'Cancel'
+                                                : `${fmtDateEA(c.new_from_date)} – ${fmtDateEA(c.new_to_date)} (${Number(c.new_days_count)} d)`}
+                                        </td>
+                                        <td className="p-3 text-slate-600">{c.reason || '—'}</td>
+                                        {canManage && (
+                                            <td className="p-3 text-right">
+                                                <button onClick={() => decideChange(c, 'accepted')} className="px-2 py-1 text-xs bg-green-600 text-white rounded mr-1">Accept</button>
+                                                <button onClick={() => decideChange(c, 'declined')} className="px-2 py-1 text-xs bg-red-600 text-white rounded">Decline</button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </Card>
+                )}
                 <Card>
                     <table className="w-full text-sm">
                         <thead className="bg-slate-50 text-slate-600">
@@ -1332,6 +1805,7 @@ export default function EmployerDashboard() {
                                 <th className="text-left p-3">Type</th>
                                 <th className="text-left p-3">From</th>
                                 <th className="text-left p-3">To</th>
+                                <th className="text-right p-3">Days</th>
                                 <th className="text-left p-3">Status</th>
                                 {canManage && <th className="text-right p-3">Actions</th>}
                             </tr>
@@ -1342,23 +1816,45 @@ export default function EmployerDashboard() {
                                 return (
                                     <tr key={l.id} className="border-t border-slate-200">
                                         <td className="p-3 font-medium">{s ? `${s.first_name} ${s.last_name}` : 'Unknown'}</td>
-                                        <td className="p-3">{l.leave_type}</td>
+                                        <td className="p-3">
+                                            {l.leave_type}
+                                            {(l.attachment_path || l.attachment_url) && (
+                                                <button onClick={() => openAttachment(l)} className="ml-2 text-xs text-slate-700 hover:underline" title={l.attachment_name || 'Attachment'}>📎 View</button>
+                                            )}
+                                        </td>
                                         <td className="p-3">{fmtDateEA(l.from_date)}</td>
                                         <td className="p-3">{fmtDateEA(l.to_date)}</td>
+                                        <td className="p-3 text-right">
+                                            {l.days_count != null ? Number(l.days_count) : '—'}
+                                            {l.duration_type === 'half_day' && <span className="text-xs text-slate-500"> ({(l.half_day_period || '').toUpperCase()})</span>}
+                                            {l.duration_type === 'hours' && <span className="text-xs text-slate-500"> ({Number(l.hours)} h)</span>}
+                                        </td>
                                         <td className="p-3"><span className={statusPillClass(l.status)}>{l.status}</span></td>
                                         {canManage && l.status === 'pending' && (
                                             <td className="p-3 text-right">
-                                                <button onClick={() => leaveAPI.approve(clinicId, l.id).then(() => leaveAPI.list(clinicId).then(r => setLeaves(r.data || [])))} className="px-2 py-1 text-xs bg-green-600 text-white rounded mr-1">Approve</button>
-                                                <button onClick={() => leaveAPI.reject(clinicId, l.id).then(() => leaveAPI.list(clinicId).then(r => setLeaves(r.data || [])))} className="px-2 py-1 text-xs bg-red-600 text-white rounded">Reject</button>
+                                                <button onClick={() => decide('approve', l)} className="px-2 py-1 text-xs bg-green-600 text-white rounded mr-1">Approve</button>
+                                                <button onClick={() => decide('reject', l)} className="px-2 py-1 text-xs bg-red-600 text-white rounded">Reject</button>
                                             </td>
                                         )}
                                     </tr>
                                 );
                             })}
-                            {leavesScoped.length === 0 && <tr><td className="p-4 text-slate-500" colSpan={6}>No leave requests.</td></tr>}
+                            {leavesScoped.length === 0 && <tr><td className="p-4 text-slate-500" colSpan={7}>No leave requests.</td></tr>}
                         </tbody>
                     </table>
                 </Card>
+                {preview && (
+                    <Modal title={preview.name || 'Attachment'} onClose={() => setPreview(null)}>
+                        {preview.type?.startsWith('image/') ? (
+                            <img src={preview.url} alt={preview.name} className="max-w-full rounded-lg border border-slate-200" />
+                        ) : (
+                            <iframe src={preview.url} title={preview.name} className="w-full h-[60vh] rounded-lg border border-slate-200" />
+                        )}
+                        <div className="mt-3 text-right">
+                            <a href={preview.url} target="_blank" rel="noreferrer" className="text-sm text-slate-700 hover:underline">Open in new tab</a>
+                        </div>
+                    </Modal>
+                )}
             </div>
         );
     };
@@ -1376,64 +1872,136 @@ export default function EmployerDashboard() {
         });
         const [dateTo, setDateTo] = useState(() => new Date().toISOString().split('T')[0]);
         const [payrollData, setPayrollData] = useState([]);
+        const [skippedCount, setSkippedCount] = useState(0);
         const [generating, setGenerating] = useState(false);
         const [generated, setGenerated] = useState(false);
+        const [paymentMethod, setPaymentMethod] = useState('mpesa');
+        const [paymentBatches, setPaymentBatches] = useState([]);
+        const [exporting, setExporting] = useState(false);
+
+        const loadPaymentBatches = async () => {
+            try {
+                const res = await payrollAPI.listPaymentBatches(clinicId);
+                setPaymentBatches(res.data || []);
+            } catch (err) {
+                console.error('Failed to load payment batches:', err);
+            }
+        };
 
-        // Hourly rate in KES (configurable per role ideally)
-        const HOURLY_RATE = 500;
+        useEffect(() => { loadPaymentBatches(); }, []);
 
-        const generatePayroll = async () => {
-            setGenerating(true);
+        const saveFile = (content, fileName) => {
+            const blob = new Blob([content], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.click();
+            URL.revokeObjectURL(url);
+        };
+
+        const exportPayments = async () => {
+            setExporting(true);
             try {
-                // Get attendance records for the date range
-                const filteredAttendance = attendanceScoped.filter(a => {
-                    return a.date >= dateFrom && a.date <= dateTo;
-                });
+                const res = await payrollAPI.createPaymentBatch(clinicId, paymentMethod);
+                saveFile(res.file.content, res.file.fileName);
+                if (res.missing?.length) {
+                    alert(`Not included:\n${res.missing.map(m => `${m.name} (${m.reason})`).join('\n')}`);
+                }
+                loadPaymentBatches();
+            } catch (err) {
+                alert('Failed to export payments: ' + err.message);
+            } finally {
+                setExporting(false);
+            }
+        };
 
-                // Group by staff and calculate hours
-                const staffPayroll = {};
-                filteredAttendance.forEach(a => {
-                    if (!staffPayroll[a.staff_id]) {
-                        const s = staffById[a.staff_id];
-                        staffPayroll[a.staff_id] = {
-                            staff_id: a.staff_id,
-                            name: s ? `${s.first_name} ${s.last_name}` : 'Unknown',
-                            job_role: s?.job_role || 'Staff',
-                            total_hours: 0,
-                            days_worked: 0,
-                            present_days: 0,
-                            half_days: 0,
-                            absent_days: 0,
-                            overtime_hours: 0
-                        };
-                    }
-                    const entry = staffPayroll[a.staff_id];
-                    entry.days_worked++;
-
-                    if (a.status === 'present') {
-                        entry.present_days++;
-                        entry.total_hours += a.hours_worked || 8;
-                        if (a.hours_worked > 8) {
-                            entry.overtime_hours += (a.hours_worked - 8);
-                        }
-                    } else if (a.status === 'half_day') {
-                        entry.half_days++;
-                        entry.total_hours += a.hours_worked || 4;
-                    } else if (a.status === 'absent') {
-                        entry.absent_days++;
-                    }
+        const redownloadBatch = async (batch) => {
+            try {
+                const csv = await payrollAPI.downloadPaymentFile(clinicId, batch.id);
+                saveFile(csv, `${batch.reference}_${batch.method === 'mpesa' ? 'mpesa_b2c' : 'bank_transfer'}.csv`);
+            } catch (err) {
+                alert(err.message);
+            }
+        };
+
+        const importConfirmation = async (batch, file) => {
+            if (!file) return;
+            try {
+                const res = await payrollAPI.confirmPaymentBatch(clinicId, batch.id, await file.text());
+                alert(`${res.paid} entr${res.paid === 1 ? 'y' : 'ies'} marked paid` +
+                    (res.unmatched?.length ? `. Unmatched references: ${res.unmatched.join(', ')}` : ''));
+                loadPaymentBatches();
+            } catch (err) {
+                alert('Failed to import confirmation: ' + err.message);
+            }
+        };
+
+        // Group entries by staff for display
+        const groupEntries = (entries) => {
+            const staffPayroll = {};
+            entries.forEach(e => {
+                if (!staffPayroll[e.staff_id]) {
+                    const s = staffById[e.staff_id];
+                    staffPayroll[e.staff_id] = {
+                        staff_id: e.staff_id,
+                        name: s ? `${s.first_name} ${s.last_name}` : 'Unknown',
+                        job_role: s?.job_role || 'Staff',
+                        pay_type: e.pay_type,
+                        entries: [],
+                        units: 0,
+                        total_hours: 0,
+                        overtime_hours: 0,
+                        overtime_pay: 0,
+                        premium_pay: 0,
+                        premiums: {},
+                        gross_pay: 0,
+                        paye: 0,
+                        shif: 0,
+                        nssf: 0,
+                        housing_levy: 0,
+                        other_deductions: 0,
+                        net_pay: 0
+                    };
+                }
+                const p = staffPayroll[e.staff_id];
+                if (p.pay_type !== e.pay_type) p.pay_type = 'MIXED'; // rate changed basis mid-period
+                p.entries.push(e);
+                p.units += Number(e.units) || 0;
+                p.total_hours += Number(e.hours_audit) || 0;
+                p.overtime_hours += Number(e.overtime_hours) || 0;
+                p.overtime_pay += Number(e.overtime_pay_kes) || 0;
+                p.premium_pay += Number(e.premium_pay_kes) || 0;
+                (e.premiums || []).forEach(r => {
+                    const key = `${r.rule_id}|${r.overtime}`;
+                    const sum = p.premiums[key] || (p.premiums[key] = { ...r, hours: 0, pay_kes: 0 });
+                    sum.hours += Number(r.hours) || 0;
+                    sum.pay_kes += Number(r.pay_kes) || 0;
                 });
+                p.gross_pay += Number(e.amount_kes) || 0;
+                p.paye += Number(e.paye_kes) || 0;
+                p.shif += Number(e.shif_kes) || 0;
+                p.nssf += Number(e.nssf_kes) || 0;
+                p.housing_levy += Number(e.housing_levy_kes) || 0;
+                p.other_deductions += Number(e.other_deductions_kes) || 0;
+                p.net_pay += Number(e.net_kes) || 0;
+            });
+            return Object.values(staffPayroll);
+        };
 
-                // Calculate amounts
-                const payrollList = Object.values(staffPayroll).map(p => ({
-                    ...p,
-                    regular_hours: Math.min(p.total_hours, p.present_days * 8 + p.half_days * 4),
-                    regular_pay: Math.min(p.total_hours, p.present_days * 8 + p.half_days * 4) * HOURLY_RATE,
-                    overtime_pay: p.overtime_hours * (HOURLY_RATE * 1.5),
-                    gross_pay: (Math.min(p.total_hours, p.present_days * 8 + p.half_days * 4) * HOURLY_RATE) + (p.overtime_hours * HOURLY_RATE * 1.5)
-                }));
+        // Everything saved for the period, whatever its status
+        const loadEntries = async () => {
+            const res = await payrollAPI.list(clinicId, { from: dateFrom, to: dateTo, location: currentLoc });
+            setPayrollData(groupEntries(res.data || []));
+        };
 
-                setPayrollData(payrollList);
+        const generatePayroll = async () => {
+            setGenerating(true);
+            try {
+                // Entries are calculated and saved as drafts by the server
+                const res = await payrollAPI.calculate(clinicId, { from: dateFrom, to: dateTo, location: currentLoc });
+                await loadEntries();
+                setSkippedCount((res.skipped || []).length);
                 setGenerated(true);
             } catch (err) {
                 alert('Failed to generate payroll: ' + err.message);
@@ -1442,35 +2010,106 @@ export default function EmployerDashboard() {
             }
         };
 
-        const exportToCSV = () => {
-            if (payrollData.length === 0) return;
+        const keysWithStatus = (rows, status) => rows.flatMap(p => p.entries.filter(e => e.status === status).map(e => e.payroll_key));
 
-            const headers = ['Name', 'Role', 'Days Worked', 'Present', 'Half Day', 'Absent', 'Total Hours', 'Overtime Hours', 'Regular Pay (KES)', 'Overtime Pay (KES)', 'Gross Pay (KES)'];
-            const rows = payrollData.map(p => [
-                p.name,
-                p.job_role,
-                p.days_worked,
-                p.present_days,
-                p.half_days,
-                p.absent_days,
-                p.total_hours.toFixed(1),
-                p.overtime_hours.toFixed(1),
-                p.regular_pay.toFixed(0),
-                p.overtime_pay.toFixed(0),
-                p.gross_pay.toFixed(0)
-            ]);
+        const moveEntries = async (keys, status, note) => {
+            if (keys.length === 0) return;
+            try {
+                const res = await payrollAPI.bulkUpdateStatus(clinicId, keys, status, note);
+                if (res.rejected?.length) {
+                    alert(`${res.rejected.length} entr${res.rejected.length === 1 ? 'y was' : 'ies were'} not updated: ${[...new Set(res.rejected.map(r => r.error))].join('; ')}`);
+                }
+                await loadEntries();
+            } catch (err) {
+                alert('Failed to update payroll: ' + err.message);
+            }
+        };
 
-            // Add totals row
-            const totals = payrollData.reduce((acc, p) => ({
-                days: acc.days + p.days_worked,
-                hours: acc.hours + p.total_hours,
-                overtime: acc.overtime + p.overtime_hours,
-                regular: acc.regular + p.regular_pay,
-                overtimePay: acc.overtimePay + p.overtime_pay,
-                gross: acc.gross + p.gross_pay
-            }), { days: 0, hours: 0, overtime: 0, regular: 0, overtimePay: 0, gross: 0 });
+        const returnEntries = (keys) => {
+            const note = prompt('Why is this being sent back to draft?');
+            if (note === null) return;
+            moveEntries(keys, 'draft', note);
+        };
+
+        const adjustEntry = async (p) => {
+            const locked = p.entries.filter(e => ['approved', 'paid'].includes(e.status));
+            const target = locked[locked.length - 1];
+            if (!target) return;
+
+            const amount = prompt(`Adjustment for ${p.name} in KES (negative to deduct):`);
+            if (amount === null) return;
+            const reason = prompt('Reason for the adjustment:');
+            if (!reason) return;
+
+            try {
+                const res = await payrollAPI.addAdjustment(clinicId, target.payroll_key, { amountKes: Number(amount), reason });
+                alert(`Adjustment added to ${res.data.period_label} payroll.`);
+            } catch (err) {
+                alert('Failed to add adjustment: ' + err.message);
+            }
+        };
+
+        const [historyFor, setHistoryFor] = useState(null);
+        const [history, setHistory] = useState([]);
+
+        const showHistory = async (p) => {
+            setHistoryFor(p);
+            try {
+                const results = await Promise.all(p.entries.map(e => payrollAPI.history(clinicId, e.payroll_key)));
+                const rows = results.flatMap((r, i) => (r.data || []).map(h => ({ ...h, entry: p.entries[i] })));
+                setHistory(rows.sort((a, b) => a.created_at.localeCompare(b.created_at)));
+            } catch (err) {
+                setHistory([]);
+                alert('Failed to load history: ' + err.message);
+            }
+        };
+
+        const rowStatus = (p) => {
+            const statuses = [...new Set(p.entries.map(e => e.status))];
+            return statuses.length === 1 ? statuses[0] : 'mixed';
+        };
+
+        const exportToCSV = () => {
+            if (payrollData.length === 0) return;
+
+            const headers = ['Name', 'Role', 'Pay Type', 'Units', 'Total Hours', 'Overtime Hours', 'Overtime Pay (KES)', 'Premium Pay (KES)', 'Premium Rules', 'Gross Pay (KES)',
+                'PAYE (KES)', 'SHIF (KES)', 'NSSF (KES)', 'Housing Levy (KES)', 'Other Deductions (KES)', 'Net Pay (KES)'];
+            const rows = payrollData.map(p => [
+                p.name,
+                p.job_role,
+                p.pay_type,
+                p.units,
+                p.total_hours.toFixed(1),
+                p.overtime_hours.toFixed(1),
+                p.overtime_pay.toFixed(0),
+                p.premium_pay.toFixed(0),
+                `"${premiumBreakdown(p).replace(/\n/g, '; ')}"`,
+                p.gross_pay.toFixed(0),
+                p.paye,
+                p.shif,
+                p.nssf,
+                p.housing_levy,
+                p.other_deductions,
+                p.net_pay
+            ]);
 
-            rows.push(['TOTAL', '', totals.days, '', '', '', totals.hours.toFixed(1), totals.overtime.toFixed(1), totals.regular.toFixed(0), totals.overtimePay.toFixed(0), totals.gross.toFixed(0)]);
+            // Add totals row
+            const totals = payrollData.reduce((acc, p) => ({
+                hours: acc.hours + p.total_hours,
+                overtime: acc.overtime + p.overtime_hours,
+                overtimePay: acc.overtimePay + p.overtime_pay,
+                premiumPay: acc.premiumPay + p.premium_pay,
+                gross: acc.gross + p.gross_pay,
+                paye: acc.paye + p.paye,
+                shif: acc.shif + p.shif,
+                nssf: acc.nssf + p.nssf,
+                housingLevy: acc.housingLevy + p.housing_levy,
+                other: acc.other + p.other_deductions,
+                net: acc.net + p.net_pay
+            }), { hours: 0, overtime: 0, overtimePay: 0, premiumPay: 0, gross: 0, paye: 0, shif: 0, nssf: 0, housingLevy: 0, other: 0, net: 0 });
+
+            rows.push(['TOTAL', '', '', '', totals.hours.toFixed(1), totals.overtime.toFixed(1), totals.overtimePay.toFixed(0), totals.premiumPay.toFixed(0), '', totals.gross.toFixed(0),
+                totals.paye, totals.shif, totals.nssf, totals.housingLevy, totals.other, totals.net]);
 
             const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
             const blob = new Blob([csv], { type: 'text/csv' });
@@ -1484,6 +2123,12 @@ export default function EmployerDashboard() {
 
         const totalGross = payrollData.reduce((sum, p) => sum + p.gross_pay, 0);
         const totalHours = payrollData.reduce((sum, p) => sum + p.total_hours, 0);
+        const totalNet = payrollData.reduce((sum, p) => sum + p.net_pay, 0);
+        const deductionsOf = (p) => p.paye + p.shif + p.nssf + p.housing_levy + p.other_deductions;
+        // Which rule produced each premium, e.g. "Night shift ×1.25: 6.0 h (+KES 750)"
+        const premiumBreakdown = (p) => Object.values(p.premiums)
+            .map(r => `${r.name} ×${r.multiplier}${r.overtime ? ' (overtime)' : ''}: ${r.hours.toFixed(1)} h (+KES ${fmtKES(r.pay_kes)})`)
+            .join('\n');
 
         return (
             <div className="max-w-7xl mx-auto p-4">
@@ -1533,7 +2178,7 @@ export default function EmployerDashboard() {
 
                 {/* Summary Cards */}
                 {generated && (
-                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                    <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
                         <Card title="Total Staff">
                             <div className="text-2xl font-bold text-slate-900">{payrollData.length}</div>
                         </Card>
@@ -1541,7 +2186,10 @@ export default function EmployerDashboard() {
                             <div className="text-2xl font-bold text-slate-900">{totalHours.toFixed(1)}</div>
                         </Card>
                         <Card title="Gross Payroll">
-                            <div className="text-2xl font-bold text-emerald-600">KES {totalGross.toLocaleString()}</div>
+                            <div className="text-2xl font-bold text-emerald-600">KES {fmtKES(totalGross)}</div>
+                        </Card>
+                        <Card title="Net Payroll">
+                            <div className="text-2xl font-bold text-slate-900">KES {fmtKES(totalNet)}</div>
                         </Card>
                         <Card title="Period">
                             <div className="text-sm text-slate-600">{fmtDateEA(dateFrom)} – {fmtDateEA(dateTo)}</div>
@@ -1556,13 +2204,17 @@ export default function EmployerDashboard() {
                             <tr>
                                 <th className="text-left p-3">Name</th>
                                 <th className="text-left p-3">Role</th>
-                                <th className="text-center p-3">Days</th>
-                                <th className="text-center p-3">Present</th>
-                                <th className="text-center p-3">Half</th>
-                                <th className="text-center p-3">Absent</th>
+                                <th className="text-left p-3">Pay Type</th>
+                                <th className="text-center p-3">Units</th>
                                 <th className="text-right p-3">Hours</th>
                                 <th className="text-right p-3">OT Hrs</th>
+                                <th className="text-right p-3">OT Pay (KES)</th>
+                                <th className="text-right p-3">Premiums (KES)</th>
                                 <th className="text-right p-3">Gross (KES)</th>
+                                <th className="text-right p-3">Deductions (KES)</th>
+                                <th className="text-right p-3">Net (KES)</th>
+                                <th className="text-left p-3">Status</th>
+                                <th className="text-right p-3">Actions</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -1570,19 +2222,49 @@ export default function EmployerDashboard() {
                                 <tr key={p.staff_id} className="border-t border-slate-200">
                                     <td className="p-3 font-medium">{p.name}</td>
                                     <td className="p-3">{p.job_role}</td>
-                                    <td className="p-3 text-center">{p.days_worked}</td>
-                                    <td className="p-3 text-center text-emerald-600">{p.present_days}</td>
-                                    <td className="p-3 text-center text-amber-600">{p.half_days}</td>
-                                    <td className="p-3 text-center text-red-600">{p.absent_days}</td>
+                                    <td className="p-3">{p.pay_type}</td>
+                                    <td className="p-3 text-center">{p.units}</td>
                                     <td className="p-3 text-right">{p.total_hours.toFixed(1)}</td>
                                     <td className="p-3 text-right text-blue-600">{p.overtime_hours.toFixed(1)}</td>
-                                    <td className="p-3 text-right font-semibold">{p.gross_pay.toLocaleString()}</td>
+                                    <td className="p-3 text-right text-blue-600" title={premiumBreakdown(p)}>{fmtKES(p.overtime_pay)}</td>
+                                    <td className="p-3 text-right text-violet-600" title={premiumBreakdown(p)}>{fmtKES(p.premium_pay)}</td>
+                                    <td className="p-3 text-right font-semibold">{fmtKES(p.gross_pay)}</td>
+                                    <td
+                                        className="p-3 text-right text-rose-600"
+                                        title={`PAYE ${fmtKES(p.paye)} • SHIF ${fmtKES(p.shif)} • NSSF ${fmtKES(p.nssf)} • Housing Levy ${fmtKES(p.housing_levy)} • Other ${fmtKES(p.other_deductions)}`}
+                                    >
+                                        {fmtKES(deductionsOf(p))}
+                                    </td>
+                                    <td className="p-3 text-right font-semibold">{fmtKES(p.net_pay)}</td>
+                                    <td className="p-3">
+                                        <span className={statusPillClass(rowStatus(p))}>{rowStatus(p)}</span>
+                                        {p.entries.some(e => e.status === 'submitted' && e.approvals?.length > 0) && (
+                                            <div className="text-xs text-slate-500 mt-1">
+                                                Signed by {[...new Set(p.entries.flatMap(e => (e.approvals || []).map(a => a.name)))].join(', ')}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td className="p-3 text-right whitespace-nowrap text-xs">
+                                        {keysWithStatus([p], 'draft').length > 0 && (
+                                            <button className="text-blue-600 hover:underline mr-2" onClick={() => moveEntries(keysWithStatus([p], 'draft'), 'submitted')}>Submit</button>
+                                        )}
+                                        {keysWithStatus([p], 'submitted').length > 0 && (
+                                            <>
+                                                <button className="text-emerald-700 hover:underline mr-2" onClick={() => moveEntries(keysWithStatus([p], 'submitted'), 'approved')}>Approve</button>
+                                                <button className="text-amber-700 hover:underline mr-2" onClick={() => returnEntries(keysWithStatus([p], 'submitted'))}>Return</button>
+                                            </>
+                                        )}
+                                        {p.entries.some(e => ['approved', 'paid'].includes(e.status)) && (
+                                            <button className="text-slate-700 hover:underline mr-2" onClick={() => adjustEntry(p)}>Adjust</button>
+                                        )}
+                                        <button className="text-slate-500 hover:underline" onClick={() => showHistory(p)}>History</button>
+                                    </td>
                                 </tr>
                             ))}
                             {payrollData.length === 0 && (
                                 <tr>
-                                    <td className="p-4 text-center text-slate-500" colSpan={9}>
-                                        {generated ? 'No attendance records found for this period.' : 'Select a date range and click "Generate Payroll" to calculate staff pay.'}
+                                    <td className="p-4 text-center text-slate-500" colSpan={13}>
+                                        {generated ? 'No payable attendance found for this period.' : 'Select a date range and click "Generate Payroll" to calculate staff pay.'}
                                     </td>
                                 </tr>
                             )}
@@ -1590,23 +2272,132 @@ export default function EmployerDashboard() {
                                 <tr className="border-t-2 border-slate-300 bg-slate-50 font-semibold">
                                     <td className="p-3">TOTAL</td>
                                     <td className="p-3"></td>
-                                    <td className="p-3 text-center">{payrollData.reduce((s, p) => s + p.days_worked, 0)}</td>
-                                    <td className="p-3 text-center text-emerald-600">{payrollData.reduce((s, p) => s + p.present_days, 0)}</td>
-                                    <td className="p-3 text-center text-amber-600">{payrollData.reduce((s, p) => s + p.half_days, 0)}</td>
-                                    <td className="p-3 text-center text-red-600">{payrollData.reduce((s, p) => s + p.absent_days, 0)}</td>
+                                    <td className="p-3"></td>
+                                    <td className="p-3"></td>
                                     <td className="p-3 text-right">{totalHours.toFixed(1)}</td>
                                     <td className="p-3 text-right text-blue-600">{payrollData.reduce((s, p) => s + p.overtime_hours, 0).toFixed(1)}</td>
-                                    <td className="p-3 text-right text-emerald-700">KES {totalGross.toLocaleString()}</td>
+                                    <td className="p-3 text-right text-blue-600">{fmtKES(payrollData.reduce((s, p) => s + p.overtime_pay, 0))}</td>
+                                    <td className="p-3 text-right text-violet-600">{fmtKES(payrollData.reduce((s, p) => s + p.premium_pay, 0))}</td>
+                                    <td className="p-3 text-right text-emerald-700">KES {fmtKES(totalGross)}</td>
+                                    <td className="p-3 text-right text-rose-600">{fmtKES(payrollData.reduce((s, p) => s + deductionsOf(p), 0))}</td>
+                                    <td className="p-3 text-right">KES {fmtKES(totalNet)}</td>
+                                    <td className="p-3"></td>
+                                    <td className="p-3 text-right whitespace-nowrap text-xs font-normal">
+                                        {keysWithStatus(payrollData, 'draft').length > 0 && (
+                                            <button className="text-blue-600 hover:underline mr-2" onClick={() => moveEntries(keysWithStatus(payrollData, 'draft'), 'submitted')}>Submit all</button>
+                                        )}
+                                        {keysWithStatus(payrollData, 'submitted').length > 0 && (
+                                            <button className="text-emerald-700 hover:underline" onClick={() => moveEntries(keysWithStatus(payrollData, 'submitted'), 'approved')}>Approve all</button>
+                                        )}
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </Card>
+
+                {historyFor && (
+                    <Modal title={`Payroll history — ${historyFor.name}`} onClose={() => setHistoryFor(null)}>
+                        {history.length === 0 ? (
+                            <div className="text-sm text-slate-500">No status changes recorded yet.</div>
+                        ) : (
+                            <ul className="space-y-2 text-sm">
+                                {history.map((h, i) => (
+                                    <li key={i} className="border-b border-slate-100 pb-2">
+                                        <div className="font-medium">
+                                            {h.action === 'approval' ? 'Signed (awaiting second approver)' : `${h.from_status} → ${h.to_status}`}
+                                            <span className="text-slate-500 font-normal"> • {h.entry.date || h.entry.period_label}</span>
+                                        </div>
+                                        <div className="text-xs text-slate-500">
+                                            {h.actor_name} ({h.actor_role}) • {new Date(h.created_at).toLocaleString('en-GB')}
+                                        </div>
+                                        {h.note && <div className="text-xs text-slate-600 mt-1">{h.note}</div>}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </Modal>
+                )}
+
+                {/* Payments */}
+                <Card title="Payments" className="mt-4">
+                    <div className="flex flex-wrap items-end gap-4 mb-3">
+                        <Field label="Pay approved entries by">
+                            <select
+                                className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                value={paymentMethod}
+                                onChange={e => setPaymentMethod(e.target.value)}
+                            >
+                                <option value="mpesa">M-Pesa B2C</option>
+                                <option value="bank">Bank transfer</option>
+                            </select>
+                        </Field>
+                        <button
+                            onClick={exportPayments}
+                            disabled={exporting}
+                            className="px-4 py-2 rounded-xl bg-slate-900 text-white font-medium hover:bg-slate-800 disabled:opacity-50"
+                        >
+                            {exporting ? 'Exporting...' : '🏦 Export payment file'}
+                        </button>
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-50 text-slate-600">
+                            <tr>
+                                <th className="text-left p-3">Reference</th>
+                                <th className="text-left p-3">Method</th>
+                                <th className="text-left p-3">Exported</th>
+                                <th className="text-right p-3">Payees</th>
+                                <th className="text-right p-3">Total (KES)</th>
+                                <th className="text-left p-3">Status</th>
+                                <th className="text-right p-3">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {paymentBatches.map(b => (
+                                <tr key={b.id} className="border-t border-slate-200">
+                                    <td className="p-3 font-mono text-xs">{b.reference}</td>
+                                    <td className="p-3">{b.method === 'mpesa' ? 'M-Pesa' : 'Bank'}</td>
+                                    <td className="p-3">{fmtDateEA(b.exported_at?.slice(0, 10))}</td>
+                                    <td className="p-3 text-right">{b.line_count}</td>
+                                    <td className="p-3 text-right">{fmtKES(b.total_kes)}</td>
+                                    <td className="p-3">
+                                        <span className={`px-2 py-0.5 rounded-full text-xs ${b.status === 'confirmed' ? 'bg-emerald-100 text-emerald-700' : 'bg-amber-100 text-amber-700'}`}>
+                                            {b.status.replace('_', ' ')}
+                                        </span>
+                                    </td>
+                                    <td className="p-3 text-right whitespace-nowrap">
+                                        <button className="text-xs text-blue-600 hover:underline mr-3" onClick={() => redownloadBatch(b)}>Download</button>
+                                        {b.status !== 'confirmed' && (
+                                            <label className="text-xs text-emerald-700 hover:underline cursor-pointer">
+                                                Import result
+                                                <input
+                                                    type="file"
+                                                    accept=".csv,text/csv"
+                                                    className="hidden"
+                                                    onChange={e => importConfirmation(b, e.target.files[0])}
+                                                />
+                                            </label>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                            {paymentBatches.length === 0 && (
+                                <tr>
+                                    <td className="p-4 text-center text-slate-500" colSpan={7}>
+                                        No payment files exported yet. Approved entries are exported once and marked paid when the bank or M-Pesa result file is imported.
+                                    </td>
                                 </tr>
                             )}
                         </tbody>
                     </table>
                 </Card>
 
-                {/* Hourly Rate Info */}
+                {/* Calculation Info */}
                 <div className="mt-4 text-xs text-slate-500">
-                    <strong>Note:</strong> Calculations based on KES {HOURLY_RATE}/hour regular rate, 1.5x for overtime (hours &gt; 8/day).
-                    Adjust rates in settings for accurate payroll.
+                    <strong>Note:</strong> Pay is calculated on the server from each staff member's pay basis and rate, using the
+                    required daily hours, unpaid break and overtime multiplier in Settings. PAYE, SHIF, NSSF and the Housing Levy
+                    are worked out on each staff member's total gross for the period.
+                    {skippedCount > 0 && ` ${skippedCount} entr${skippedCount === 1 ? 'y is' : 'ies are'} already submitted or approved and ${skippedCount === 1 ? 'was' : 'were'} not recalculated.`}
                 </div>
             </div>
         );
@@ -1660,7 +2451,8 @@ export default function EmployerDashboard() {
                         setOrgVerification({
                             kra_pin: orgRes.data.kra_pin || '',
                             business_reg_no: orgRes.data.business_reg_no || '',
-                            status: orgRes.data.org_verification_status || 'draft'
+                            status: orgRes.data.org_verification_status || 'draft',
+                            requested_documents: orgRes.data.requested_documents || null
                         });
                     }
                 } catch (err) {
@@ -1682,6 +2474,10 @@ export default function EmployerDashboard() {
                         license_expiry: loc.license_expiry || '',
                         status: loc.facility_verification_status || 'draft'
                     });
+                    // What the HURE reviewer asked for is only on the verification record
+                    verificationAPI.getFacility(clinicId, loc.id)
+                        .then(res => setFacilityData(prev => ({ ...prev, requested_documents: res.data?.requested_documents || null })))
+                        .catch(() => { });
                 }
             }
         }, [selectedLocation, locations]);
@@ -1695,7 +2491,7 @@ export default function EmployerDashboard() {
                     business_reg_no: orgVerification.business_reg_no,
                     org_verification_status: status
                 });
-                setOrgVerification(prev => ({ ...prev, status }));
+                setOrgVerification(prev => ({ ...prev, status, requested_documents: submitForReview ? null : prev.requested_documents }));
                 setOrg(prev => ({
                     ...prev,
                     orgVerification: {
@@ -1725,7 +2521,7 @@ export default function EmployerDashboard() {
                     license_expiry: facilityData.license_expiry,
                     facility_verification_status: status
                 });
-                setFacilityData(prev => ({ ...prev, status }));
+                setFacilityData(prev => ({ ...prev, status, requested_documents: submitForReview ? null : prev.requested_documents }));
                 // Update locations state
                 const res = await locationsAPI.list(clinicId);
                 setLocations(res.data || []);
@@ -1742,6 +2538,7 @@ export default function EmployerDashboard() {
             const statusMap = {
                 'draft': { bg: 'bg-slate-100', text: 'text-slate-700', label: 'Draft' },
                 'pending_review': { bg: 'bg-amber-100', text: 'text-amber-700', label: 'Pending Review' },
+                'more_info_required': { bg: 'bg-orange-100', text: 'text-orange-700', label: 'More Info Needed' },
                 'approved': { bg: 'bg-emerald-100', text: 'text-emerald-700', label: 'Approved' },
                 'rejected': { bg: 'bg-red-100', text: 'text-red-700', label: 'Rejected' }
             };
@@ -1786,6 +2583,12 @@ export default function EmployerDashboard() {
                                 />
                             </Field>
 
+                            {orgVerification.requested_documents && orgVerification.status !== 'approved' && (
+                                <div className="text-sm bg-orange-50 border border-orange-200 text-orange-800 rounded-xl px-3 py-2">
+                                    <div className="font-medium">The HURE team needs more documents</div>
+                                    <div>{orgVerification.requested_documents}</div>
+                                </div>
+                            )}
                             {orgVerification.status !== 'approved' && (
                                 <div className="flex gap-2 pt-2">
                                     <button
@@ -1871,6 +2674,12 @@ export default function EmployerDashboard() {
                                         />
                                     </Field>
 
+                                    {facilityData.requested_documents && facilityData.status !== 'approved' && (
+                                        <div className="text-sm bg-orange-50 border border-orange-200 text-orange-800 rounded-xl px-3 py-2">
+                                            <div className="font-medium">The HURE team needs more documents</div>
+                                            <div>{facilityData.requested_documents}</div>
+                                        </div>
+                                    )}
                                     {facilityData.status !== 'approved' && (
                                         <div className="flex gap-2 pt-2">
                                             <button
@@ -1913,6 +2722,7 @@ export default function EmployerDashboard() {
                                 <span className="text-xs text-slate-500">
                                     {orgVerification.status === 'approved' ? 'Your organization is fully verified' :
                                         orgVerification.status === 'pending_review' ? 'Under review by HURE team' :
+                                            orgVerification.status === 'more_info_required' ? 'HURE needs more documents' :
                                             'Complete and submit for verification'}
                                 </span>
                             </div>
@@ -1938,6 +2748,272 @@ export default function EmployerDashboard() {
         const [orgName, setOrgName] = useState(org.name || '');
         const [saving, setSaving] = useState(false);
         const [saved, setSaved] = useState(false);
+        const [approvalsRequired, setApprovalsRequired] = useState(1);
+        const [sickNoteAfter, setSickNoteAfter] = useState('');
+        const [punctuality, setPunctuality] = useState({ late: 15, early: 15, autoClockOut: 120 });
+        const [fenceLocId, setFenceLocId] = useState(locations[0]?.id || '');
+        const fenceLoc = locations.find(l => l.id === fenceLocId);
+        const [fence, setFence] = useState({ latitude: '', longitude: '', radius: '', enforced: false });
+        const [permissionCatalog, setPermissionCatalog] = useState({});
+        const [adminSeats, setAdminSeats] = useState(null);
+        const [newRoleName, setNewRoleName] = useState('');
+        const [mySessions, setMySessions] = useState([]);
+
+        useEffect(() => {
+            setFence({
+                latitude: fenceLoc?.latitude ?? '',
+                longitude: fenceLoc?.longitude ?? '',
+                radius: fenceLoc?.geofence_radius_m ?? '',
+                enforced: Boolean(fenceLoc?.geofence_enforced)
+            });
+        }, [fenceLocId]);
+
+        const fillCurrentPosition = () => {
+            if (!navigator.geolocation) return alert('This browser cannot share its location');
+            navigator.geolocation.getCurrentPosition(
+                pos => setFence(prev => ({
+                    ...prev,
+                    latitude: pos.coords.latitude.toFixed(6),
+                    longitude: pos.coords.longitude.toFixed(6)
+                })),
+                err => alert('Could not read your location: ' + err.message),
+                { enableHighAccuracy: true, timeout: 10000 }
+            );
+        };
+
+        const handleSaveFence = async () => {
+            if (!fenceLoc) return;
+            try {
+                await locationsAPI.update(clinicId, fenceLoc.id, {
+                    latitude: fence.latitude === '' ? null : Number(fence.latitude),
+                    longitude: fence.longitude === '' ? null : Number(fence.longitude),
+                    geofenceRadiusM: fence.radius === '' ? null : Number(fence.radius),
+                    geofenceEnforced: fence.enforced
+                });
+                const res = await locationsAPI.list(clinicId);
+                setLocations(res.data || []);
+                addAudit('Owner', 'Updated clock-in geofence', `${fenceLoc.name}: ${fence.radius || 'no'} m${fence.enforced ? ', enforced' : ''}`);
+            } catch (err) {
+                alert('Failed to save: ' + err.message);
+            }
+        };
+
+        const handleSetKiosk = async (loc, enabled) => {
+            if (loc.kiosk_key && !window.confirm(enabled
+                ? `Issue a new kiosk link for ${loc.name}? The current link stops working.`
+                : `Switch off the kiosk at ${loc.name}?`)) return;
+            try {
+                await locationsAPI.setKiosk(clinicId, loc.id, enabled);
+                const res = await locationsAPI.list(clinicId);
+                setLocations(res.data || []);
+                addAudit('Owner', enabled ? 'Enabled clock-in kiosk' : 'Disabled clock-in kiosk', loc.name);
+            } catch (err) {
+                alert('Failed to update kiosk: ' + err.message);
+            }
+        };
+        const [premiumRules, setPremiumRules] = useState([]);
+        const [savingRules, setSavingRules] = useState(false);
+        const [holidayYear, setHolidayYear] = useState(new Date().getFullYear());
+        const [yearHolidays, setYearHolidays] = useState([]);
+        const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+
+        const loadYearHolidays = async () => {
+            try {
+                const res = await holidaysAPI.list(clinicId, { year: holidayYear });
+                setYearHolidays(res.data || []);
+            } catch (err) {
+                console.error('Failed to load holidays:', err);
+            }
+        };
+
+        useEffect(() => { loadYearHolidays(); }, [holidayYear]);
+
+        // Refresh the selected year and the dashboard-wide holiday flags
+        const afterHolidayChange = async () => {
+            await loadYearHolidays();
+            const thisYear = new Date().getFullYear();
+            const res = await holidaysAPI.list(clinicId, { from: `${thisYear - 1}-01-01`, to: `${thisYear + 1}-12-31` });
+            setHolidays(res.data || []);
+        };
+
+        const handleAddHoliday = async () => {
+            if (!newHoliday.date || !newHoliday.name.trim()) return;
+            try {
+                await holidaysAPI.create(clinicId, newHoliday);
+                addAudit('Owner', 'Added public holiday', `${newHoliday.name} on ${newHoliday.date}`);
+                setNewHoliday({ date: '', name: '' });
+                await afterHolidayChange();
+            } catch (err) {
+                alert('Failed to add holiday: ' + err.message);
+            }
+        };
+
+        const handleToggleHoliday = async (h) => {
+            try {
+                await holidaysAPI.update(clinicId, h.id, { isActive: h.is_active === false });
+                await afterHolidayChange();
+            } catch (err) {
+                alert('Failed to update holiday: ' + err.message);
+            }
+        };
+
+        const handleDeleteHoliday = async (h) => {
+            if (!confirm(`Delete ${h.name}?`)) return;
+            try {
+                await holidaysAPI.delete(clinicId, h.id);
+                await afterHolidayChange();
+            } catch (err) {
+                alert('Failed to delete holiday: ' + err.message);
+            }
+        };
+
+        useEffect(() => {
+            settingsAPI.get(clinicId)
+                .then(res => {
+                    setApprovalsRequired(res.settings?.payroll?.payroll_approvals_required || 1);
+                    setPremiumRules(res.settings?.payroll?.premium_rules || []);
+                    setSickNoteAfter(res.settings?.leave?.sick_note_required_after_days ?? '');
+                    setPunctuality({
+                        late: res.settings?.attendance?.late_threshold_minutes ?? 15,
+                        early: res.settings?.attendance?.early_leave_threshold_minutes ?? 15,
+                        autoClockOut: res.settings?.attendance?.auto_clock_out_after_minutes ?? 120
+                    });
+                })
+                .catch(() => { });
+        }, []);
+
+        useEffect(() => {
+            if (!has('roles.manage')) return;
+            rolesAPI.list(clinicId)
+                .then(res => {
+                    setPermissionCatalog(res.permissions || {});
+                    setAdminSeats(res.adminSeats || null);
+                })
+                .catch(() => { });
+        }, []);
+
+        const loadMySessions = () => sessionsAPI.list()
+            .then(res => setMySessions(res.data || []))
+            .catch(() => setMySessions([]));
+
+        useEffect(() => { loadMySessions(); }, []);
+
+        const handleEndSession = async (session) => {
+            if (!confirm(`Sign out ${describeDevice(session.user_agent)}?`)) return;
+            try {
+                await sessionsAPI.revoke(session.id);
+                if (session.current) {
+                    await endSession(getTokenKey());
+                    window.location.href = '/';
+                    return;
+                }
+                await loadMySessions();
+            } catch (err) {
+                alert('Failed to sign out device: ' + err.message);
+            }
+        };
+
+        // Permissions grouped by area ('staff.view' -> staff)
+        const permissionGroups = Object.keys(permissionCatalog).reduce((groups, key) => {
+            const area = key.split('.')[0];
+            (groups[area] = groups[area] || []).push(key);
+            return groups;
+        }, {});
+
+        const handleTogglePermission = async (role, permission) => {
+            const next = role.permissions.includes(permission)
+                ? role.permissions.filter(p => p !== permission)
+                : [...role.permissions, permission];
+            try {
+                const res = await rolesAPI.update(clinicId, role.id, { permissions: next });
+                setRoles(prev => prev.map(r => (r.id === role.id ? { ...res.data, staff_count: r.staff_count } : r)));
+                addAudit('Owner', 'Updated role permissions', `${roleLabel(role.name)}: ${permission} ${next.includes(permission) ? 'granted' : 'removed'}`);
+            } catch (err) {
+                alert('Failed to update role: ' + err.message);
+            }
+        };
+
+        const handleCreateRole = async () => {
+            if (!newRoleName.trim()) return;
+            try {
+                const res = await rolesAPI.create(clinicId, { name: newRoleName.trim(), permissions: ['staff.view'] });
+                setRoles(prev => [...prev, res.data]);
+                addAudit('Owner', 'Created role', roleLabel(res.data.name));
+            } catch (err) {
+                alert('Failed to create role: ' + err.message);
+            }
+        };
+
+        const handleDeleteRole = async (role) => {
+            if (!confirm(`Delete the ${roleLabel(role.name)} role?`)) return;
+            try {
+                await rolesAPI.delete(clinicId, role.id);
+                setRoles(prev => prev.filter(r => r.id !== role.id));
+                addAudit('Owner', 'Deleted role', roleLabel(role.name));
+            } catch (err) {
+                alert('Failed to delete role: ' + err.message);
+            }
+        };
+
+        const RULE_TEMPLATES = {
+            time_of_day: { name: 'Night shift', type: 'time_of_day', start: '22:00', end: '06:00', multiplier: 1.25 },
+            day_of_week: { name: 'Weekend', type: 'day_of_week', days: [0, 6], multiplier: 1.5 },
+            public_holiday: { name: 'Public holiday', type: 'public_holiday', multiplier: 2 },
+            weekly_hours: { name: 'Weekly overtime', type: 'weekly_hours', threshold_hours: 45, multiplier: 1.5 }
+        };
+
+        const updateRule = (index, changes) => {
+            setPremiumRules(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+        };
+
+        const handleSaveRules = async () => {
+            setSavingRules(true);
+            try {
+                await settingsAPI.update(clinicId, { payroll: { premium_rules: premiumRules } });
+                const res = await settingsAPI.get(clinicId);
+                setPremiumRules(res.settings?.payroll?.premium_rules || []);
+                addAudit('Owner', 'Updated premium pay rules', `${premiumRules.length} rule(s)`);
+            } catch (err) {
+                alert('Failed to save: ' + err.message);
+            } finally {
+                setSavingRules(false);
+            }
+        };
+
+        const handleSaveApprovals = async (value) => {
+            try {
+                await settingsAPI.update(clinicId, { payroll: { payroll_approvals_required: value } });
+                setApprovalsRequired(value);
+                addAudit('Owner', 'Updated payroll approvals', `${value} signer${value === 1 ? '' : 's'} required`);
+            } catch (err) {
+                alert('Failed to save: ' + err.message);
+            }
+        };
+
+        const handleSaveSickNote = async () => {
+            const value = sickNoteAfter === '' ? null : Number(sickNoteAfter);
+            try {
+                await settingsAPI.update(clinicId, { leave: { sick_note_required_after_days: value } });
+                addAudit('Owner', 'Updated sick note policy', value === null ? 'Not required' : `Required after ${value} day(s)`);
+            } catch (err) {
+                alert('Failed to save: ' + err.message);
+            }
+        };
+
+        const handleSavePunctuality = async () => {
+            try {
+                await settingsAPI.update(clinicId, {
+                    attendance: {
+                        late_threshold_minutes: Number(punctuality.late) || 0,
+                        early_leave_threshold_minutes: Number(punctuality.early) || 0,
+                        auto_clock_out_after_minutes: Number(punctuality.autoClockOut)
+                    }
+                });
+                addAudit('Owner', 'Updated punctuality thresholds', `Late after ${punctuality.late} min, early before ${punctuality.early} min, auto clock-out ${punctuality.autoClockOut} min after shift end`);
+            } catch (err) {
+                alert('Failed to save: ' + err.message);
+            }
+        };
 
         const handleSaveOrgName = async () => {
             if (!orgName.trim()) return;
@@ -1980,6 +3056,277 @@ export default function EmployerDashboard() {
                             {saved && <span className="text-sm text-emerald-600">✓ Saved!</span>}
                         </div>
                     </Card>
+                    <Card title="Payroll approval">
+                        <Field label="Signers needed to approve payroll">
+                            <select
+                                className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                value={approvalsRequired}
+                                onChange={e => handleSaveApprovals(Number(e.target.value))}
+                            >
+                                <option value={1}>One approver</option>
+                                <option value={2}>Two approvers</option>
+                            </select>
+                        </Field>
+                        <div className="text-xs text-slate-500 mt-2">
+                            Whoever submits a payroll run can never approve it.
+                        </div>
+                    </Card>
+                    <Card title="Clock-in geofence">
+                        <div className="space-y-3">
+                            <Field label="Location">
+                                <select
+                                    className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                    value={fenceLocId}
+                                    onChange={e => setFenceLocId(e.target.value)}
+                                >
+                                    {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                                </select>
+                            </Field>
+                            <div className="grid grid-cols-3 gap-2">
+                                <Field label="Latitude">
+                                    <input className="w-full px-3 py-2 rounded-xl border border-slate-300" value={fence.latitude} onChange={e => setFence({ ...fence, latitude: e.target.value })} placeholder="-1.292100" />
+                                </Field>
+                                <Field label="Longitude">
+                                    <input className="w-full px-3 py-2 rounded-xl border border-slate-300" value={fence.longitude} onChange={e => setFence({ ...fence, longitude: e.target.value })} placeholder="36.821900" />
+                                </Field>
+                                <Field label="Radius (m)">
+                                    <input type="number" min="10" max="5000" className="w-full px-3 py-2 rounded-xl border border-slate-300" value={fence.radius} onChange={e => setFence({ ...fence, radius: e.target.value })} placeholder="150" />
+                                </Field>
+                            </div>
+                            <label className="flex items-center gap-2 text-sm text-slate-700">
+                                <input type="checkbox" checked={fence.enforced} onChange={e => setFence({ ...fence, enforced: e.target.checked })} />
+                                Refuse punches outside the fence (otherwise they are flagged)
+                            </label>
+                            <div className="flex gap-2">
+                                <button onClick={fillCurrentPosition} className="px-4 py-2 rounded-xl border border-slate-300 text-sm hover:bg-slate-50">📍 Use my current position</button>
+                                <button onClick={handleSaveFence} disabled={!fenceLoc} className="px-4 py-2 rounded-xl bg-emerald-600 text-white text-sm hover:bg-emerald-700 disabled:opacity-50">Save</button>
+                            </div>
+                            <div className="text-xs text-slate-500">Clear latitude and longitude to switch the fence off.</div>
+                        </div>
+                    </Card>
+                    <Card title="Reception kiosk" subtitle="A tablet at the front desk shows a QR code that staff scan to clock in or out">
+                        {locations.length === 0 && <div className="text-sm text-slate-500">Add a location first.</div>}
+                        {locations.map(loc => {
+                            const kioskUrl = loc.kiosk_key ? `${window.location.origin}/kiosk/${loc.kiosk_key}` : null;
+                            return (
+                                <div key={loc.id} className="border-t first:border-t-0 py-3">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <div className="font-medium text-sm">{loc.name}</div>
+                                        <div className="flex gap-2">
+                                            <button onClick={() => handleSetKiosk(loc, true)} className="px-3 py-1.5 rounded-lg border border-slate-300 text-xs hover:bg-slate-50">
+                                                {kioskUrl ? 'New link' : 'Enable'}
+                                            </button>
+                                            {kioskUrl && (
+                                                <button onClick={() => handleSetKiosk(loc, false)} className="px-3 py-1.5 rounded-lg border border-red-300 text-red-700 text-xs hover:bg-red-50">Disable</button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    {kioskUrl && (
+                                        <a href={kioskUrl} target="_blank" rel="noreferrer" className="block text-xs text-emerald-700 break-all mt-1">{kioskUrl}</a>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        <div className="text-xs text-slate-500 mt-2">
+                            Open the link on the kiosk tablet. The code changes every 30 seconds and each scan works once per person.
+                        </div>
+                    </Card>
+                    <Card title="Punctuality">
+                        <div className="grid grid-cols-2 gap-2">
+                            <Field label="Late after (minutes)">
+                                <input type="number" min="0" className="w-full px-3 py-2 rounded-xl border border-slate-300" value={punctuality.late} onChange={e => setPunctuality({ ...punctuality, late: e.target.value })} onBlur={handleSavePunctuality} />
+                            </Field>
+                            <Field label="Left early after (minutes)">
+                                <input type="number" min="0" className="w-full px-3 py-2 rounded-xl border border-slate-300" value={punctuality.early} onChange={e => setPunctuality({ ...punctuality, early: e.target.value })} onBlur={handleSavePunctuality} />
+                            </Field>
+                            <Field label="Auto clock-out after shift end (minutes)">
+                                <input type="number" min="1" max="1440" step="1" className="w-full px-3 py-2 rounded-xl border border-slate-300" value={punctuality.autoClockOut} onChange={e => setPunctuality({ ...punctuality, autoClockOut: e.target.value })} onBlur={handleSavePunctuality} />
+                            </Field>
+                        </div>
+                        <div className="text-xs text-slate-500 mt-2">
+                            Measured against each punch's schedule block or shift. Working under half the scheduled time is a half day; rostered staff who never clock in are marked absent the next morning.
+                            Staff still clocked in this long after their shift ends are clocked out at the scheduled end and the day is flagged for review.
+                        </div>
+                    </Card>
+                    <Card title="Sick notes">
+                        <Field label="Require a sick note for sick leave longer than (days)">
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                className="w-full px-3 py-2 rounded-xl border border-slate-300"
+                                value={sickNoteAfter}
+                                onChange={e => setSickNoteAfter(e.target.value)}
+                                onBlur={handleSaveSickNote}
+                                placeholder="Never required"
+                            />
+                        </Field>
+                        <div className="text-xs text-slate-500 mt-2">
+                            Leave empty to never require one. Staff attach the note when they submit the request.
+                        </div>
+                    </Card>
+                    <Card title="Premium pay rules">
+                        <div className="text-xs text-slate-500 mb-3">
+                            Applied on top of daily overtime when payroll is calculated. Where rules overlap, the highest multiplier wins.
+                        </div>
+                        {premiumRules.length === 0 && (
+                            <div className="text-sm text-slate-500 mb-3">No premium rules yet.</div>
+                        )}
+                        {premiumRules.map((rule, index) => (
+                            <div key={rule.id || index} className="border-t py-3 space-y-2">
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        className="flex-1 px-3 py-1.5 rounded-lg border border-slate-300 text-sm"
+                                        value={rule.name}
+                                        onChange={e => updateRule(index, { name: e.target.value })}
+                                    />
+                                    <input
+                                        type="number"
+                                        step="0.05"
+                                        min="1"
+                                        className="w-20 px-2 py-1.5 rounded-lg border border-slate-300 text-sm"
+                                        value={rule.multiplier}
+                                        onChange={e => updateRule(index, { multiplier: e.target.value })}
+                                    />
+                                    <span className="text-xs text-slate-500">×</span>
+                                    <label className="flex items-center gap-1 text-xs">
+                                        <input
+                                            type="checkbox"
+                                            checked={rule.enabled !== false}
+                                            onChange={e => updateRule(index, { enabled: e.target.checked })}
+                                        />
+                                        On
+                                    </label>
+                                    <button
+                                        onClick={() => setPremiumRules(prev => prev.filter((_, i) => i !== index))}
+                                        className="text-xs text-red-600 hover:underline"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                                {rule.type === 'time_of_day' && (
+                                    <div className="flex items-center gap-2 text-sm">
+                                        <span className="text-slate-500">From</span>
+                                        <input type="time" className="px-2 py-1 rounded-lg border border-slate-300" value={rule.start} onChange={e => updateRule(index, { start: e.target.value })} />
+                                        <span className="text-slate-500">to</span>
+                                        <input type="time" className="px-2 py-1 rounded-lg border border-slate-300" value={rule.end} onChange={e => updateRule(index, { end: e.target.value })} />
+                                    </div>
+                                )}
+                                {rule.type === 'day_of_week' && (
+                                    <div className="flex flex-wrap gap-2 text-xs">
+                                        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((label, day) => (
+                                            <label key={label} className="flex items-center gap-1">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={(rule.days || []).includes(day)}
+                                                    onChange={e => updateRule(index, {
+                                                        days: e.target.checked
+                                                            ? [...(rule.days || []), day]
+                                                            : (rule.days || []).filter(d => d !== day)
+                                                    })}
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
+                                {rule.type === 'public_holiday' && (
+                                    <div className="text-xs text-slate-500">Hours worked on a public holiday</div>
+                                )}
+                                {rule.type === 'weekly_hours' && (
+                                    <div className="flex items-center gap-2 text-sm">
+                                        <span className="text-slate-500">Hours over</span>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            className="w-20 px-2 py-1 rounded-lg border border-slate-300"
+                                            value={rule.threshold_hours}
+                                            onChange={e => updateRule(index, { threshold_hours: e.target.value })}
+                                        />
+                                        <span className="text-slate-500">a week (Mon–Sun)</span>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                        <div className="flex flex-wrap items-center gap-2 border-t pt-3">
+                            <select
+                                className="px-3 py-1.5 rounded-lg border border-slate-300 text-sm"
+                                value=""
+                                onChange={e => e.target.value && setPremiumRules(prev => [...prev, { ...RULE_TEMPLATES[e.target.value] }])}
+                            >
+                                <option value="">+ Add rule…</option>
+                                <option value="time_of_day">Time of day</option>
+                                <option value="day_of_week">Day of week</option>
+                                <option value="public_holiday">Public holiday</option>
+                                <option value="weekly_hours">Weekly hours</option>
+                            </select>
+                            <button
+                                onClick={handleSaveRules}
+                                disabled={savingRules}
+                                className="px-4 py-1.5 rounded-xl bg-emerald-600 text-white text-sm hover:bg-emerald-700 disabled:opacity-50"
+                            >
+                                {savingRules ? 'Saving...' : 'Save rules'}
+                            </button>
+                        </div>
+                    </Card>
+                    <Card
+                        title="Public holidays"
+                        right={
+                            <select
+                                className="px-2 py-1 rounded-lg border border-slate-300 text-sm"
+                                value={holidayYear}
+                                onChange={e => setHolidayYear(Number(e.target.value))}
+                            >
+                                {[-1, 0, 1].map(offset => {
+                                    const y = new Date().getFullYear() + offset;
+                                    return <option key={y} value={y}>{y}</option>;
+                                })}
+                            </select>
+                        }
+                    >
+                        <div className="text-xs text-slate-500 mb-2">
+                            Kenyan national holidays are added automatically. Add gazetted days below; switched-off days are treated as normal working days.
+                        </div>
+                        <div className="max-h-64 overflow-y-auto">
+                            {yearHolidays.map(h => (
+                                <div key={h.id} className={`flex items-center justify-between py-2 border-t text-sm ${h.is_active === false ? 'text-slate-400' : ''}`}>
+                                    <span>
+                                        {fmtDateEA(h.date)} — {h.name}
+                                        {h.source === 'custom' && <span className="ml-2 text-xs text-purple-700">gazetted</span>}
+                                    </span>
+                                    <span className="flex gap-2 text-xs">
+                                        <button className="text-slate-600 hover:underline" onClick={() => handleToggleHoliday(h)}>
+                                            {h.is_active === false ? 'Switch on' : 'Switch off'}
+                                        </button>
+                                        {h.source === 'custom' && (
+                                            <button className="text-red-600 hover:underline" onClick={() => handleDeleteHoliday(h)}>Delete</button>
+                                        )}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 border-t pt-3 mt-1">
+                            <input
+                                type="date"
+                                className="px-2 py-1.5 rounded-lg border border-slate-300 text-sm"
+                                value={newHoliday.date}
+                                onChange={e => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                            />
+                            <input
+                                className="flex-1 px-3 py-1.5 rounded-lg border border-slate-300 text-sm"
+                                placeholder="Holiday name"
+                                value={newHoliday.name}
+                                onChange={e => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                            />
+                            <button
+                                onClick={handleAddHoliday}
+                                disabled={!newHoliday.date || !newHoliday.name.trim()}
+                                className="px-3 py-1.5 rounded-xl bg-emerald-600 text-white text-sm hover:bg-emerald-700 disabled:opacity-50"
+                            >
+                                Add
+                            </button>
+                        </div>
+                    </Card>
                     <Card title="Locations">
                         <div className="text-sm text-slate-700">You have {locations.length} location(s).</div>
                         {locations.map(l => (
@@ -1989,6 +3336,86 @@ export default function EmployerDashboard() {
                             </div>
                         ))}
                     </Card>
+                    <Card title="Signed-in devices" subtitle="Where you are signed in to HURE. Sign out any device you do not recognise.">
+                        {mySessions.length === 0 && <div className="text-sm text-slate-500">No active sessions. Log in again to manage devices.</div>}
+                        {mySessions.map(session => (
+                            <div key={session.id} className="flex items-center justify-between gap-3 py-2 border-t text-sm">
+                                <div>
+                                    <div className="font-medium">
+                                        {describeDevice(session.user_agent)}
+                                        {session.current && <span className="ml-2 text-xs text-emerald-700">This device</span>}
+                                    </div>
+                                    <div className="text-xs text-slate-500">
+                                        {session.ip || 'Unknown IP'} · last active {new Date(session.last_used_at).toLocaleString()}
+                                    </div>
+                                </div>
+                                <button onClick={() => handleEndSession(session)} className="text-xs text-red-600 hover:underline">Sign out</button>
+                            </div>
+                        ))}
+                    </Card>
+                    {has('roles.manage') && (
+                        <Card
+                            title="Roles & permissions"
+                            subtitle="What each account role can do in this portal. The owner always has every permission."
+                            className="lg:col-span-2"
+                            right={adminSeats && (
+                                <span className={adminSeats.used >= adminSeats.max ? 'text-xs text-amber-700' : 'text-xs text-slate-500'}>
+                                    Admin-level accounts: {adminSeats.used} of {adminSeats.max}
+                                </span>
+                            )}
+                        >
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-slate-500 border-b">
+                                            <th className="py-2 pr-3 font-medium">Permission</th>
+                                            {roles.map(role => (
+                                                <th key={role.id} className="py-2 px-2 font-medium text-center whitespace-nowrap">
+                                                    <div>{roleLabel(role.name)}</div>
+                                                    <div className="text-[10px] font-normal">{role.staff_count || 0} staff</div>
+                                                    {!role.is_default && (
+                                                        <button onClick={() => handleDeleteRole(role)} className="text-[10px] font-normal text-red-600 hover:underline">Delete</button>
+                                                    )}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(permissionGroups).map(([area, keys]) => keys.map((key, i) => (
+                                            <tr key={key} className={i === 0 ? 'border-t' : ''}>
+                                                <td className="py-1.5 pr-3">
+                                                    {i === 0 && <div className="text-[10px] uppercase tracking-wider text-slate-400 mt-1">{area}</div>}
+                                                    {permissionCatalog[key]}
+                                                </td>
+                                                {roles.map(role => (
+                                                    <td key={role.id} className="py-1.5 px-2 text-center">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={role.permissions.includes(key)}
+                                                            disabled={role.is_system}
+                                                            onChange={() => handleTogglePermission(role, key)}
+                                                        />
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        )))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div className="flex gap-2 mt-4">
+                                <input
+                                    className="flex-1 px-3 py-2 rounded-xl border border-slate-300 text-sm"
+                                    placeholder="New role, e.g. Front desk"
+                                    value={newRoleName}
+                                    onChange={e => setNewRoleName(e.target.value)}
+                                />
+                                <button onClick={handleCreateRole} className="px-4 py-2 rounded-xl bg-emerald-600 text-white text-sm hover:bg-emerald-700">Add role</button>
+                            </div>
+                            <div className="text-xs text-slate-500 mt-2">
+                                Staff get a role from their profile. Every role other than Employee signs in to this portal and uses one of your plan's admin-level accounts.
+                            </div>
+                        </Card>
+                    )}
                 </div>
             </div>
         );
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { saveSession } from './authSession';
 
 /**
  * First Login Page
@@ -107,7 +108,7 @@ export default function FirstLogin() {
             if (data.success) {
                 // Store the token for auto-login
                 if (data.token) {
-                    localStorage.setItem('hure_auth_token', data.token);
+                    saveSession('hure_auth_token', data.token, data.refreshToken);
                     localStorage.setItem('hure_user', JSON.stringify(data.user));
                 }
                 setStep('success');
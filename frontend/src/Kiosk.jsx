@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Reception kiosk: shows the location's rotating clock-in QR code.
+ * Opened on a tablet at /kiosk/<kiosk key>; no login needed.
+ */
+export default function Kiosk() {
+    const kioskKey = window.location.pathname.split('/')[2] || '';
+    const [kiosk, setKiosk] = useState(null);
+    const [error, setError] = useState(null);
+    const [secondsLeft, setSecondsLeft] = useState(0);
+
+    useEffect(() => {
+        let timer;
+        let cancelled = false;
+
+        async function refresh() {
+            let wait = 10;
+            try {
+                const response = await fetch(`/api/kiosk/${encodeURIComponent(kioskKey)}/code`, { cache: 'no-store' });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Kiosk unavailable');
+                if (cancelled) return;
+                setKiosk(data.data);
+                setError(null);
+                wait = data.data.refresh_in;
+            } catch (err) {
+                if (cancelled) return;
+                setKiosk(null);
+                setError(err.message || 'Kiosk unavailable');
+            }
+            setSecondsLeft(wait);
+            timer = setTimeout(refresh, wait * 1000);
+        }
+
+        refresh();
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [kioskKey]);
+
+    useEffect(() => {
+        const tick = setInterval(() => setSecondsLeft(s => Math.max(0, s - 1)), 1000);
+        return () => clearInterval(tick);
+    }, []);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+            <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-8 text-center">
+                <h1 className="text-3xl font-bold text-gray-900 mb-1">Clock in / out</h1>
+                {kiosk && (
+                    <p className="text-gray-600 mb-6">
+                        {kiosk.location.name}{kiosk.location.clinic_name ? ` · ${kiosk.location.clinic_name}` : ''}
+                    </p>
+                )}
+
+                {error ? (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mt-6">
+                        {error}. Retrying in {secondsLeft}s…
+                    </div>
+                ) : kiosk ? (
+                    <>
+                        <div
+                            className="mx-auto w-72 h-72"
+                            dangerouslySetInnerHTML={{ __html: kiosk.svg }}
+                        />
+                        <p className="text-gray-600 mt-6">
+                            Scan with your phone camera while signed in to the employee portal.
+                        </p>
+                        <p className="text-sm text-gray-400 mt-2">New code in {secondsLeft}s</p>
+                    </>
+                ) : (
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mt-6"></div>
+                )}
+            </div>
+        </div>
+    );
+}
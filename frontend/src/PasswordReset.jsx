@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { requestStaffPasswordReset, resetStaffPassword } from './employeeApi';
+import { clearSession } from './authSession';
+
+/**
+ * HURE Core - Forgot / Reset Password
+ * Without a token in the URL, asks for the account and emails a reset link;
+ * with one, sets the new password. portal is 'employer' (clinic owners) or
+ * 'staff' (employee portal).
+ */
+
+const PORTALS = {
+    employer: {
+        title: 'HURE',
+        loginUrl: '/login',
+        identifierLabel: 'Username or Email',
+        identifierType: 'text',
+        identifierPlaceholder: 'Enter username or email',
+        background: 'from-emerald-50 to-teal-100',
+        titleClass: 'text-emerald-700',
+        inputClass: 'focus:ring-emerald-500 focus:border-emerald-500',
+        buttonClass: 'bg-emerald-600 hover:bg-emerald-700',
+        linkClass: 'text-emerald-600'
+    },
+    staff: {
+        title: 'HURE Core',
+        loginUrl: '/employee/login',
+        identifierLabel: 'Email Address',
+        identifierType: 'email',
+        identifierPlaceholder: 'your.email@example.com',
+        background: 'from-blue-50 to-indigo-100',
+        titleClass: 'text-blue-700',
+        inputClass: 'focus:ring-blue-500 focus:border-blue-500',
+        buttonClass: 'bg-blue-600 hover:bg-blue-700',
+        linkClass: 'text-blue-600'
+    }
+};
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+const requestReset = (portal, identifier) => (portal === 'staff'
+    ? requestStaffPasswordReset(identifier)
+    : postJson('/api/auth/forgot-password', { identifier }));
+
+const confirmReset = (portal, token, password) => (portal === 'staff'
+    ? resetStaffPassword(token, password)
+    : postJson('/api/auth/reset-password', { token, newPassword: password }));
+
+export default function PasswordReset({ portal = 'employer' }) {
+    const config = PORTALS[portal];
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    const [identifier, setIdentifier] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [done, setDone] = useState(false);
+
+    const inputClass = `w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 ${config.inputClass}`;
+    const buttonClass = `w-full py-3 ${config.buttonClass} text-white rounded-lg font-medium transition disabled:opacity-50`;
+    const linkClass = `${config.linkClass} hover:underline`;
+
+    const handleRequest = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setLoading(true);
+        try {
+            const data = await requestReset(portal, identifier.trim());
+            setMessage(data.message);
+            setDone(true);
+        } catch (err) {
+            setError(err.message || 'Could not send the reset link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReset = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (password.length < 8) {
+            setError('Password must be at least 8 characters');
+            return;
+        }
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const data = await confirmReset(portal, token, password);
+            // Old logins stop working after a reset
+            clearSession(portal === 'staff' ? 'hure_staff_token' : 'hure_auth_token');
+            setMessage(data.message);
+            setDone(true);
+        } catch (err) {
+            setError(err.message || 'Could not reset the password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className={`min-h-screen bg-gradient-to-br ${config.background} flex items-center justify-center p-4`}>
+            <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full">
+                <div className="text-center mb-6">
+                    <div className={`${config.titleClass} font-bold text-xl mb-1`}>{config.title}</div>
+                    <h1 className="text-xl font-bold text-slate-800">{token ? 'Choose a New Password' : 'Forgot Password'}</h1>
+                    <p className="text-slate-500 text-sm">
+                        {token ? 'You will be signed out everywhere else.' : 'We will email you a link to reset it.'}
+                    </p>
+                </div>
+
+                {done ? (
+                    <div className="space-y-4">
+                        <div className="bg-emerald-50 border border-emerald-200 text-emerald-800 px-4 py-3 rounded-lg text-sm">
+                            {message}
+                        </div>
+                        <a href={config.loginUrl} className={`block text-center ${buttonClass}`}>
+                            Back to Sign In
+                        </a>
+                    </div>
+                ) : token ? (
+                    <form onSubmit={handleReset} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">New Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={e => setPassword(e.target.value)}
+                                className={inputClass}
+                                placeholder="At least 8 characters"
+                                required
+                                disabled={loading}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Confirm Password</label>
+                            <input
+                                type="password"
+                                value={confirmPassword}
+                                onChange={e => setConfirmPassword(e.target.value)}
+                                className={inputClass}
+                                placeholder="Repeat the new password"
+                                required
+                                disabled={loading}
+                            />
+                        </div>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                                {error}
+                            </div>
+                        )}
+
+                        <button type="submit" disabled={loading} className={buttonClass}>
+                            {loading ? 'Saving...' : 'Set New Password'}
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleRequest} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">{config.identifierLabel}</label>
+                            <input
+                                type={config.identifierType}
+                                value={identifier}
+                                onChange={e => setIdentifier(e.target.value)}
+                                className={inputClass}
+                                placeholder={config.identifierPlaceholder}
+                                required
+                                disabled={loading}
+                            />
+                        </div>
+
+                        {error && (
+                            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                                {error}
+                            </div>
+                        )}
+
+                        <button type="submit" disabled={loading} className={buttonClass}>
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="mt-6 text-center text-sm text-slate-500">
+                    <a href={config.loginUrl} className={linkClass}>Back to Sign In</a>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -6,7 +6,10 @@ import EmployerDashboard from './EmployerDashboard';
 import EmployeeDashboard from './EmployeeDashboard';
 import AcceptInvite from './AcceptInvite';
 import StaffLogin from './StaffLogin';
+import PasswordReset from './PasswordReset';
 import Homepage from './Homepage';
+import Kiosk from './Kiosk';
+import { saveSession } from './authSession';
 
 /**
  * Simple Router for HURE Frontend
@@ -22,6 +25,7 @@ import Homepage from './Homepage';
  * - /employee : Employee dashboard
  * - /employee/login : Staff login
  * - /employee/accept-invite : Staff invite acceptance
+ * - /kiosk/:kioskKey : Reception clock-in QR kiosk
  */
 export default function Router() {
     const [route, setRoute] = useState('loading');
@@ -32,7 +36,9 @@ export default function Router() {
             const path = window.location.pathname;
             const hash = window.location.hash;
 
-            if (path === '/admin' || hash === '#/admin') {
+            if (path.startsWith('/kiosk/')) {
+                setRoute('kiosk');
+            } else if (path === '/admin' || hash === '#/admin') {
                 setRoute('admin');
             } else if (path === '/onboard' || path.startsWith('/onboard') || hash === '#/onboard') {
                 setRoute('onboard');
@@ -40,12 +46,16 @@ export default function Router() {
                 setRoute('first-login');
             } else if (path === '/login' || hash === '#/login') {
                 setRoute('login');
+            } else if (path === '/forgot-password' || path === '/reset-password') {
+                setRoute('password-reset');
             } else if (path === '/employer' || path.startsWith('/employer') || hash === '#/employer') {
                 setRoute('employer');
             } else if (path === '/employee/accept-invite' || hash === '#/employee/accept-invite') {
                 setRoute('accept-invite');
             } else if (path === '/employee/login' || hash === '#/employee/login') {
                 setRoute('staff-login');
+            } else if (path === '/employee/forgot-password' || path === '/employee/reset-password') {
+                setRoute('staff-password-reset');
             } else if (path === '/employee' || path.startsWith('/employee') || hash === '#/employee') {
                 setRoute('employee');
             } else if (path === '/' || path === '') {
@@ -85,6 +95,10 @@ export default function Router() {
         return <LoginPage />;
     }
 
+    if (route === 'password-reset') {
+        return <PasswordReset portal="employer" />;
+    }
+
     if (route === 'employer') {
         return <EmployerDashboard />;
     }
@@ -97,10 +111,18 @@ export default function Router() {
         return <StaffLogin />;
     }
 
+    if (route === 'staff-password-reset') {
+        return <PasswordReset portal="staff" />;
+    }
+
     if (route === 'employee') {
         return <EmployeeDashboard />;
     }
 
+    if (route === 'kiosk') {
+        return <Kiosk />;
+    }
+
     if (route === 'admin') {
         return <SuperAdminApp />;
     }
@@ -137,7 +159,7 @@ function LoginPage() {
             const data = await response.json();
 
             if (data.success) {
-                localStorage.setItem('hure_auth_token', data.token);
+                saveSession('hure_auth_token', data.token, data.refreshToken);
                 localStorage.setItem('hure_user', JSON.stringify(data.user));
 
                 // Store clinic ID for employer portal
@@ -189,7 +211,10 @@ function LoginPage() {
                     </div>
 
                     <div>
-                        <label className="block text-sm font-medium text-slate-700 mb-1">Password</label>
+                        <div className="flex items-center justify-between mb-1">
+                            <label className="block text-sm font-medium text-slate-700">Password</label>
+                            <a href="/forgot-password" className="text-xs text-emerald-600 hover:underline">Forgot password?</a>
+                        </div>
                         <input
                             type="password"
                             value={password}
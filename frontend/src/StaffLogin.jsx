@@ -14,7 +14,7 @@ export default function StaffLogin() {
 
         try {
             const result = await staffLogin(email, password);
-            setStaffToken(result.token);
+            setStaffToken(result.token, result.refreshToken);
             window.location.href = '/employee';
         } catch (err) {
             setError(err.message || 'Login failed');
@@ -51,9 +51,14 @@ export default function StaffLogin() {
                     </div>
 
                     <div>
-                        <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                            Password
-                        </label>
+                        <div className="flex items-center justify-between mb-1">
+                            <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <a href="/employee/forgot-password" className="text-xs text-blue-600 hover:underline">
+                                Forgot password?
+                            </a>
+                        </div>
                         <input
                             type="password"
                             id="password"
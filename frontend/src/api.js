@@ -167,8 +167,44 @@ export async function getApiLogs(params = {}) {
 // VERIFICATION APIs (SuperAdmin)
 // ============================================
 
-export async function getPendingVerifications() {
-    return apiFetch('/api/verifications/pending');
+export async function getPendingVerifications(assigned = '') {
+    return apiFetch(`/api/verifications/pending${assigned ? `?assigned=${assigned}` : ''}`);
+}
+
+export async function claimVerificationReview(reviewId, force = false) {
+    return apiFetch(`/api/verifications/reviews/${reviewId}/claim`, {
+        method: 'POST',
+        body: JSON.stringify({ force })
+    });
+}
+
+export async function releaseVerificationReview(reviewId) {
+    return apiFetch(`/api/verifications/reviews/${reviewId}/claim`, { method: 'DELETE' });
+}
+
+export async function getVerificationReviewNotes(reviewId) {
+    return apiFetch(`/api/verifications/reviews/${reviewId}/notes`);
+}
+
+export async function addVerificationReviewNote(reviewId, body) {
+    return apiFetch(`/api/verifications/reviews/${reviewId}/notes`, {
+        method: 'POST',
+        body: JSON.stringify({ body })
+    });
+}
+
+export async function requestOrgVerificationDocuments(clinicId, documents) {
+    return apiFetch(`/api/verifications/org/${clinicId}/request-documents`, {
+        method: 'PATCH',
+        body: JSON.stringify({ documents })
+    });
+}
+
+export async function requestFacilityVerificationDocuments(clinicId, locationId, documents) {
+    return apiFetch(`/api/verifications/facility/${clinicId}/${locationId}/request-documents`, {
+        method: 'PATCH',
+        body: JSON.stringify({ documents })
+    });
 }
 
 export async function approveOrgVerification(clinicId) {
@@ -0,0 +1,115 @@
+/**
+ * HURE Core - Login Sessions
+ * Access tokens last 15 minutes; each login also gets a refresh token
+ * (stored next to it) that is swapped for a new pair when a request comes
+ * back 401. Used by both portal API clients.
+ */
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+// Access token key -> refresh token key
+const REFRESH_KEYS = {
+    hure_auth_token: 'hure_auth_refresh',
+    hure_staff_token: 'hure_staff_refresh'
+};
+
+// One refresh at a time per login, however many requests failed together
+const pending = {};
+
+export function saveSession(tokenKey, token, refreshToken) {
+    localStorage.setItem(tokenKey, token);
+    if (refreshToken) {
+        localStorage.setItem(REFRESH_KEYS[tokenKey], refreshToken);
+    }
+}
+
+export function clearSession(tokenKey) {
+    localStorage.removeItem(tokenKey);
+    localStorage.removeItem(REFRESH_KEYS[tokenKey]);
+}
+
+/**
+ * Run fn while holding a lock shared by every tab of this site, so tabs
+ * take turns to refresh instead of racing each other with the same token
+ */
+function withTabLock(name, fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+        return navigator.locks.request(name, fn);
+    }
+    return fn();
+}
+
+/**
+ * New access token after failedToken was refused, or null when the
+ * session has ended (the stored login is then cleared)
+ */
+export function refreshAccessToken(tokenKey, failedToken) {
+    if (!pending[tokenKey]) {
+        pending[tokenKey] = withTabLock(`hure-refresh:${tokenKey}`, async () => {
+            // Another tab or request already refreshed
+            const current = localStorage.getItem(tokenKey);
+            if (current && current !== failedToken) return current;
+
+            const refreshToken = localStorage.getItem(REFRESH_KEYS[tokenKey]);
+            if (!refreshToken) return null;
+
+            const response = await fetch(`${API_BASE}/sessions/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                clearSession(tokenKey);
+                return null;
+            }
+            // No new refresh token when another refresh had just rotated it
+            saveSession(tokenKey, data.token, data.refreshToken);
+            return data.token;
+        })
+            .catch(() => null)
+            .finally(() => { delete pending[tokenKey]; });
+    }
+
+    return pending[tokenKey];
+}
+
+/**
+ * Sign this device out and forget the login
+ */
+export async function endSession(tokenKey) {
+    const refreshToken = localStorage.getItem(REFRESH_KEYS[tokenKey]);
+    clearSession(tokenKey);
+
+    if (!refreshToken) return;
+    try {
+        await fetch(`${API_BASE}/sessions/logout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+    } catch {
+        // Signed out locally; the session expires on its own
+    }
+}
+
+/**
+ * Short device description from a user agent string
+ */
+export function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+                : /Safari\//.test(userAgent) ? 'Safari'
+                    : 'Browser';
+    const os = /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+            : /Windows/.test(userAgent) ? 'Windows'
+                : /Mac OS X/.test(userAgent) ? 'macOS'
+                    : /Linux/.test(userAgent) ? 'Linux'
+                        : 'Unknown OS';
+
+    return `${browser} on ${os}`;
+}
@@ -3,6 +3,8 @@
  * Handles all employee portal API requests
  */
 
+import { refreshAccessToken, saveSession, clearSession, endSession } from './authSession';
+
 const API_BASE = '';
 
 function getToken() {
@@ -16,12 +18,20 @@ function getHeaders() {
     return headers;
 }
 
-async function apiFetch(url, options = {}) {
+async function apiFetch(url, options = {}, retried = false) {
+    const token = getToken();
     const response = await fetch(API_BASE + url, {
         ...options,
         headers: { ...getHeaders(), ...options.headers }
     });
 
+    // Access tokens are short-lived; refresh once and retry
+    if (response.status === 401 && token && !retried) {
+        if (await refreshAccessToken('hure_staff_token', token)) {
+            return apiFetch(url, options, true);
+        }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
@@ -53,6 +63,32 @@ export async function staffLogin(email, password) {
     });
 }
 
+export async function requestStaffPasswordReset(email) {
+    return apiFetch('/api/staff/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+}
+
+export async function resetStaffPassword(token, password) {
+    return apiFetch('/api/staff/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password })
+    });
+}
+
+// ===================
+// SESSIONS
+// ===================
+
+export async function getSessions() {
+    return apiFetch('/api/sessions');
+}
+
+export async function endSessionById(sessionId) {
+    return apiFetch(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+}
+
 // ===================
 // PROFILE
 // ===================
@@ -101,15 +137,27 @@ export async function getAttendance(from, to) {
     return apiFetch(url);
 }
 
-export async function clockIn() {
+// Propose corrected clock-in/clock-out times for a day
+export async function requestAttendanceCorrection(attendanceId, data) {
+    return apiFetch(`/api/employee/attendance/${attendanceId}/corrections`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+    });
+}
+
+// position: { latitude, longitude, accuracy } from the device, or null
+// kioskCode: code scanned from a reception kiosk, used instead of the position
+export async function clockIn(position = null, kioskCode = null) {
     return apiFetch('/api/employee/attendance/clock-in', {
-        method: 'POST'
+        method: 'POST',
+        body: JSON.stringify(kioskCode ? { kioskCode, position } : { position })
     });
 }
 
-export async function clockOut() {
+export async function clockOut(position = null, kioskCode = null) {
     return apiFetch('/api/employee/attendance/clock-out', {
-        method: 'POST'
+        method: 'POST',
+        body: JSON.stringify(kioskCode ? { kioskCode, position } : { position })
     });
 }
 
@@ -128,6 +176,14 @@ export async function submitLeaveRequest(data) {
     });
 }
 
+// Withdraw a pending request, or ask to cancel/re-date approved leave
+export async function requestLeaveChange(leaveId, data) {
+    return apiFetch(`/api/employee/leave/${leaveId}/changes`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+    });
+}
+
 // ===================
 // DOCUMENTS
 // ===================
@@ -146,16 +202,32 @@ export async function downloadDocument(docId) {
     return apiFetch(`/api/employee/documents/${docId}/download`);
 }
 
+// ===================
+// PAYSLIPS
+// ===================
+
+export async function getPayslips() {
+    return apiFetch('/api/employee/payslips');
+}
+
+export async function downloadPayslip(payslipId) {
+    return apiFetch(`/api/employee/payslips/${payslipId}/download`);
+}
+
 // ===================
 // HELPERS
 // ===================
 
-export function setStaffToken(token) {
-    localStorage.setItem('hure_staff_token', token);
+export function setStaffToken(token, refreshToken) {
+    saveSession('hure_staff_token', token, refreshToken);
 }
 
 export function clearStaffAuth() {
-    localStorage.removeItem('hure_staff_token');
+    clearSession('hure_staff_token');
+}
+
+export function staffLogout() {
+    return endSession('hure_staff_token');
 }
 
 export function isStaffAuthenticated() {
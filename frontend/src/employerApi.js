@@ -2,11 +2,18 @@
  * HURE Core - Employer Portal API Client
  */
 
+import { refreshAccessToken } from './authSession';
+
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
+// Which login the portal is using (staff admins reach it with their staff login)
+function getTokenKey() {
+    return localStorage.getItem('hure_auth_token') ? 'hure_auth_token' : 'hure_staff_token';
+}
+
 // Get auth token from localStorage
 function getToken() {
-    return localStorage.getItem('hure_auth_token');
+    return localStorage.getItem(getTokenKey());
 }
 
 // Get current clinic ID from localStorage
@@ -14,9 +21,10 @@ function getClinicId() {
     return localStorage.getItem('hure_clinic_id');
 }
 
-// Generic fetch wrapper with auth
-async function fetchAPI(endpoint, options = {}) {
-    const token = getToken();
+// Generic fetch wrapper with auth; an expired access token is refreshed once
+async function fetchAPI(endpoint, options = {}, retried = false) {
+    const tokenKey = getTokenKey();
+    const token = localStorage.getItem(tokenKey);
 
     const headers = {
         'Content-Type': 'application/json',
@@ -32,6 +40,12 @@ async function fetchAPI(endpoint, options = {}) {
         headers,
     });
 
+    if (response.status === 401 && token && !retried) {
+        if (await refreshAccessToken(tokenKey, token)) {
+            return fetchAPI(endpoint, options, true);
+        }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
@@ -94,6 +108,28 @@ export const staffAPI = {
             body: JSON.stringify({ status }),
         });
     },
+
+    // Devices the staff member is signed in on
+    getSessions: (clinicId, staffId) => {
+        return fetchAPI(`/clinics/${clinicId}/staff/${staffId}/sessions`);
+    },
+
+    revokeSessions: (clinicId, staffId) => {
+        return fetchAPI(`/clinics/${clinicId}/staff/${staffId}/sessions/revoke`, {
+            method: 'POST',
+        });
+    },
+
+    getCompensation: (clinicId, staffId) => {
+        return fetchAPI(`/clinics/${clinicId}/staff/${staffId}/compensation`);
+    },
+
+    addCompensation: (clinicId, staffId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/staff/${staffId}/compensation`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        });
+    },
 };
 
 // ============================================
@@ -166,8 +202,30 @@ export const attendanceAPI = {
         return fetchAPI(`/clinics/${clinicId}/attendance/summary?from=${from}&to=${to}`);
     },
 
-    exportUrl: (clinicId, from, to) => {
-        return `${API_BASE}/clinics/${clinicId}/attendance/export?from=${from}&to=${to}`;
+    // Returns the CSV export as a Blob (a plain link would not carry the token)
+    exportCsv: async (clinicId, from, to) => {
+        const response = await fetch(`${API_BASE}/clinics/${clinicId}/attendance/export?from=${from}&to=${to}`, {
+            headers: { Authorization: `Bearer ${getToken()}` },
+        });
+        if (!response.ok) {
+            throw new Error('Failed to export attendance');
+        }
+        return response.blob();
+    },
+
+    markReviewed: (clinicId, attendanceId) => {
+        return fetchAPI(`/clinics/${clinicId}/attendance/${attendanceId}/reviewed`, { method: 'PATCH' });
+    },
+
+    corrections: (clinicId, status) => {
+        return fetchAPI(`/clinics/${clinicId}/attendance/corrections${status ? `?status=${status}` : ''}`);
+    },
+
+    reviewCorrection: (clinicId, correctionId, status, reviewNote = null) => {
+        return fetchAPI(`/clinics/${clinicId}/attendance/corrections/${correctionId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status, reviewNote }),
+        });
     },
 };
 
@@ -192,17 +250,36 @@ export const leaveAPI = {
         });
     },
 
-    approve: (clinicId, leaveId, reviewerId) => {
+    changes: (clinicId, status) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/changes${status ? `?status=${status}` : ''}`);
+    },
+
+    decideChange: (clinicId, changeId, status, reviewNote) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/changes/${changeId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status, reviewNote }),
+        });
+    },
+
+    attachment: (clinicId, leaveId) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/${leaveId}/attachment`);
+    },
+
+    impact: (clinicId, leaveId) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/${leaveId}/impact`);
+    },
+
+    approve: (clinicId, leaveId) => {
         return fetchAPI(`/clinics/${clinicId}/leave/${leaveId}`, {
             method: 'PATCH',
-            body: JSON.stringify({ status: 'approved', reviewerId }),
+            body: JSON.stringify({ status: 'approved' }),
         });
     },
 
-    reject: (clinicId, leaveId, reviewerId, rejectionReason) => {
+    reject: (clinicId, leaveId, rejectionReason) => {
         return fetchAPI(`/clinics/${clinicId}/leave/${leaveId}`, {
             method: 'PATCH',
-            body: JSON.stringify({ status: 'rejected', reviewerId, rejectionReason }),
+            body: JSON.stringify({ status: 'rejected', rejectionReason }),
         });
     },
 
@@ -212,6 +289,21 @@ export const leaveAPI = {
             body: JSON.stringify({ status: 'cancelled' }),
         });
     },
+
+    balances: (clinicId, year) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/balances${year ? `?year=${year}` : ''}`);
+    },
+
+    ledger: (clinicId, staffId, year) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/balances/${staffId}${year ? `?year=${year}` : ''}`);
+    },
+
+    adjustBalance: (clinicId, staffId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/leave/balances/${staffId}/adjustments`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        });
+    },
 };
 
 // ============================================
@@ -242,6 +334,65 @@ export const locationsAPI = {
             method: 'DELETE',
         });
     },
+
+    // Turning kiosk mode on again issues a new key, retiring the old kiosk link
+    setKiosk: (clinicId, locationId, enabled) => {
+        return fetchAPI(`/clinics/${clinicId}/locations/${locationId}/kiosk`, {
+            method: 'POST',
+            body: JSON.stringify({ enabled }),
+        });
+    },
+};
+
+// ============================================
+// ROLES API
+// ============================================
+
+export const rolesAPI = {
+    list: (clinicId) => {
+        return fetchAPI(`/clinics/${clinicId}/roles`);
+    },
+
+    // The signed-in account's role and permissions
+    me: (clinicId) => {
+        return fetchAPI(`/clinics/${clinicId}/roles/me`);
+    },
+
+    create: (clinicId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/roles`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        });
+    },
+
+    update: (clinicId, roleId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/roles/${roleId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(data),
+        });
+    },
+
+    delete: (clinicId, roleId) => {
+        return fetchAPI(`/clinics/${clinicId}/roles/${roleId}`, {
+            method: 'DELETE',
+        });
+    },
+};
+
+// ============================================
+// SESSIONS API (the signed-in account's own devices)
+// ============================================
+
+export const sessionsAPI = {
+    list: () => {
+        return fetchAPI('/sessions');
+    },
+
+    revoke: (sessionId) => {
+        return fetchAPI(`/sessions/${sessionId}`, {
+            method: 'DELETE',
+        });
+    },
 };
 
 // ============================================
@@ -261,6 +412,37 @@ export const settingsAPI = {
     },
 };
 
+// ============================================
+// HOLIDAYS API
+// ============================================
+
+export const holidaysAPI = {
+    list: (clinicId, params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        return fetchAPI(`/clinics/${clinicId}/holidays${query ? `?${query}` : ''}`);
+    },
+
+    create: (clinicId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/holidays`, {
+            method: 'POST',
+            body: JSON.stringify(data),
+        });
+    },
+
+    update: (clinicId, holidayId, data) => {
+        return fetchAPI(`/clinics/${clinicId}/holidays/${holidayId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(data),
+        });
+    },
+
+    delete: (clinicId, holidayId) => {
+        return fetchAPI(`/clinics/${clinicId}/holidays/${holidayId}`, {
+            method: 'DELETE',
+        });
+    },
+};
+
 // ============================================
 // SCHEDULE BLOCKS API (Coverage-first model)
 // ============================================
@@ -316,6 +498,13 @@ export const payrollAPI = {
         return fetchAPI(`/employer/${clinicId}/payroll${query ? `?${query}` : ''}`);
     },
 
+    calculate: (clinicId, { from, to, location }) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/calculate`, {
+            method: 'POST',
+            body: JSON.stringify({ from, to, location }),
+        });
+    },
+
     upsert: (clinicId, data) => {
         return fetchAPI(`/employer/${clinicId}/payroll`, {
             method: 'POST',
@@ -323,17 +512,57 @@ export const payrollAPI = {
         });
     },
 
-    updateStatus: (clinicId, payrollKey, status) => {
+    updateStatus: (clinicId, payrollKey, status, note) => {
         return fetchAPI(`/employer/${clinicId}/payroll/${encodeURIComponent(payrollKey)}/status`, {
             method: 'PUT',
-            body: JSON.stringify({ status }),
+            body: JSON.stringify({ status, note }),
         });
     },
 
-    bulkUpdateStatus: (clinicId, payrollKeys, status) => {
+    bulkUpdateStatus: (clinicId, payrollKeys, status, note) => {
         return fetchAPI(`/employer/${clinicId}/payroll/bulk-status`, {
             method: 'PUT',
-            body: JSON.stringify({ payroll_keys: payrollKeys, status }),
+            body: JSON.stringify({ payroll_keys: payrollKeys, status, note }),
+        });
+    },
+
+    history: (clinicId, payrollKey) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/${encodeURIComponent(payrollKey)}/history`);
+    },
+
+    addAdjustment: (clinicId, payrollKey, { amountKes, reason }) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/${encodeURIComponent(payrollKey)}/adjustments`, {
+            method: 'POST',
+            body: JSON.stringify({ amount_kes: amountKes, reason }),
+        });
+    },
+
+    listPaymentBatches: (clinicId) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/payment-batches`);
+    },
+
+    createPaymentBatch: (clinicId, method, payrollKeys) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/payment-batches`, {
+            method: 'POST',
+            body: JSON.stringify({ method, payroll_keys: payrollKeys }),
+        });
+    },
+
+    // Returns the CSV text of a previously exported batch
+    downloadPaymentFile: async (clinicId, batchId) => {
+        const response = await fetch(`${API_BASE}/employer/${clinicId}/payroll/payment-batches/${batchId}/file`, {
+            headers: { Authorization: `Bearer ${getToken()}` },
+        });
+        if (!response.ok) {
+            throw new Error('Failed to download payment file');
+        }
+        return response.text();
+    },
+
+    confirmPaymentBatch: (clinicId, batchId, csv) => {
+        return fetchAPI(`/employer/${clinicId}/payroll/payment-batches/${batchId}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({ csv }),
         });
     },
 };
@@ -437,5 +666,5 @@ export const documentsAPI = {
 };
 
 // Export helper functions
-export { getToken, getClinicId };
+export { getToken, getTokenKey, getClinicId };
 
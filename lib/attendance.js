@@ -0,0 +1,531 @@
+/**
+ * HURE Core - Attendance Against the Roster
+ * Clock-in/clock-out segments per working day (migration 036), matched to
+ * the staff member's schedule block or shift, with late arrivals, early
+ * departures and no-shows judged by the clinic thresholds (migration 035)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { getHolidays } = require('./holidays');
+const { addDays } = require('./compensation');
+const { DEFAULT_TIMEZONE, localParts, parseTime } = require('./timezone');
+
+// Defaults mirror migrations 011, 035 and 038 (clinic_settings)
+const DEFAULT_SETTINGS = {
+    late_threshold_minutes: 15,
+    early_leave_threshold_minutes: 15,
+    required_daily_hours: 8,
+    unpaid_break_minutes: 30,
+    auto_clock_out_after_minutes: 120
+};
+
+const DAY_MINUTES = 24 * 60;
+
+// How long after an overnight slot ends a clock-in still belongs to it
+const OVERNIGHT_GRACE_MINUTES = 120;
+
+// How soon after clocking out a clock-in past midnight is still the same
+// day's work (back from a break taken across midnight)
+const RETURN_GRACE_MINUTES = 60;
+
+const timeToMinutes = (value) => parseTime(String(value || '').slice(0, 5));
+
+/**
+ * Load the attendance thresholds with defaults applied
+ */
+async function getAttendanceSettings(clinicId) {
+    const { data } = await supabaseAdmin
+        .from('clinic_settings')
+        .select('late_threshold_minutes, early_leave_threshold_minutes, required_daily_hours, unpaid_break_minutes, auto_clock_out_after_minutes')
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+    return {
+        late_threshold_minutes: data?.late_threshold_minutes ?? DEFAULT_SETTINGS.late_threshold_minutes,
+        early_leave_threshold_minutes: data?.early_leave_threshold_minutes ?? DEFAULT_SETTINGS.early_leave_threshold_minutes,
+        required_daily_hours: parseFloat(data?.required_daily_hours) || DEFAULT_SETTINGS.required_daily_hours,
+        unpaid_break_minutes: data?.unpaid_break_minutes ?? DEFAULT_SETTINGS.unpaid_break_minutes,
+        auto_clock_out_after_minutes: data?.auto_clock_out_after_minutes ?? DEFAULT_SETTINGS.auto_clock_out_after_minutes
+    };
+}
+
+async function locationTimeZone(locationId) {
+    if (!locationId) return DEFAULT_TIMEZONE;
+    const { data } = await supabaseAdmin
+        .from('clinic_locations')
+        .select('timezone')
+        .eq('id', locationId)
+        .maybeSingle();
+    return data?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Minutes after midnight of `date` at which an instant falls, in local time.
+ * Goes past 1440 for instants on the following day (overnight work).
+ */
+function minutesIntoDay(instant, date, timeZone) {
+    const local = localParts(instant, timeZone);
+    const dayOffset = Math.round((Date.parse(local.date) - Date.parse(date)) / 86400000);
+    return local.minuteOfDay + dayOffset * DAY_MINUTES;
+}
+
+/**
+ * Schedule blocks and shifts a staff member works on a date, earliest first
+ * @returns {Promise<object[]>} { schedule_block_id, shift_id, location_id,
+ *   start_time, end_time, start, end } - start/end in minutes, end past
+ *   1440 for overnight slots
+ */
+async function getRosterSlots(clinicId, staffId, date) {
+    const [{ data: blocks, error: blockError }, { data: shifts, error: shiftError }] = await Promise.all([
+        supabaseAdmin
+            .from('schedule_blocks')
+            .select('id, location_id, start_time, end_time')
+            .eq('clinic_id', clinicId)
+            .eq('date', date)
+            .contains('assigned_staff_ids', [staffId]),
+        supabaseAdmin
+            .from('shifts')
+            .select('id, location_id, start_time, end_time')
+            .eq('clinic_id', clinicId)
+            .eq('staff_id', staffId)
+            .eq('date', date)
+            .not('status', 'in', '(cancelled,declined)')
+    ]);
+
+    if (blockError) throw blockError;
+    if (shiftError) throw shiftError;
+
+    const slot = (row, isBlock) => {
+        const start = timeToMinutes(row.start_time);
+        const end = timeToMinutes(row.end_time);
+        return {
+            schedule_block_id: isBlock ? row.id : null,
+            shift_id: isBlock ? null : row.id,
+            location_id: row.location_id,
+            start_time: row.start_time,
+            end_time: row.end_time,
+            start,
+            end: end > start ? end : end + DAY_MINUTES
+        };
+    };
+
+    return [
+        ...(blocks || []).map(b => slot(b, true)),
+        ...(shifts || []).map(s => slot(s, false))
+    ]
+        .filter(s => s.start !== null && s.end !== null)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Roster fields for a new clock-in: the slot being worked (the first one
+ * that has not ended yet) and whether the arrival is late
+ * @param {object} punch - { clinicId, staffId, date, clockIn, locationId }
+ * @returns {Promise<object>} attendances columns, including status
+ */
+async function clockInFields({ clinicId, staffId, date, clockIn, locationId = null }) {
+    const [slots, settings] = await Promise.all([
+        getRosterSlots(clinicId, staffId, date),
+        getAttendanceSettings(clinicId)
+    ]);
+
+    if (slots.length === 0) {
+        return { status: 'present', minutes_late: 0 };
+    }
+
+    const timeZone = await locationTimeZone(locationId || slots[0].location_id);
+    const minute = minutesIntoDay(clockIn, date, timeZone);
+    const slot = slots.find(s => s.end > minute) || slots[slots.length - 1];
+    const minutesLate = Math.max(0, minute - slot.start);
+
+    return {
+        schedule_block_id: slot.schedule_block_id,
+        shift_id: slot.shift_id,
+        scheduled_start: slot.start_time,
+        scheduled_end: slot.end_time,
+        minutes_late: minutesLate,
+        status: minutesLate > settings.late_threshold_minutes ? 'late' : 'present'
+    };
+}
+
+/**
+ * Fields for a clock-out: how early the staff member left, and the final
+ * status. Working under half the scheduled time (or half the clinic's
+ * required daily hours when not rostered) makes it a half day; otherwise a
+ * late arrival stays late.
+ * @param {object} attendance - attendances row being closed
+ * @param {Date|string} clockOut - last clock-out of the day
+ * @param {number} [workedMinutes] - time inside segments, defaults to clock_in to clockOut
+ * @returns {Promise<{ status: string, minutes_early: number, left_early: boolean }>}
+ */
+async function clockOutFields(attendance, clockOut, workedMinutes = (new Date(clockOut) - new Date(attendance.clock_in)) / 60000) {
+    const settings = await getAttendanceSettings(attendance.clinic_id);
+
+    let expectedMinutes = settings.required_daily_hours * 60;
+    let minutesEarly = 0;
+
+    const start = timeToMinutes(attendance.scheduled_start);
+    let end = timeToMinutes(attendance.scheduled_end);
+    if (start !== null && end !== null) {
+        if (end <= start) end += DAY_MINUTES;
+        expectedMinutes = end - start;
+
+        const timeZone = await locationTimeZone(attendance.location_id);
+        minutesEarly = Math.max(0, end - minutesIntoDay(clockOut, attendance.date, timeZone));
+    }
+
+    let status = workedMinutes < expectedMinutes / 2
+        ? 'half_day'
+        : (attendance.minutes_late > settings.late_threshold_minutes ? 'late' : 'present');
+
+    // Work on a public holiday the staff member was not rostered for is
+    // voluntary, so it is never recorded as a half day
+    if (status === 'half_day' && start === null) {
+        const holidays = await getHolidays(attendance.clinic_id, attendance.date, attendance.date);
+        if (holidays.has(attendance.date)) status = 'present';
+    }
+
+    return {
+        status,
+        minutes_early: minutesEarly,
+        left_early: minutesEarly > settings.early_leave_threshold_minutes
+    };
+}
+
+/**
+ * The staff member's open segment, if they are clocked in
+ * @returns {Promise<object|null>} attendance_segments row with its attendance
+ */
+async function findOpenSegment(staffId) {
+    const { data, error } = await supabaseAdmin
+        .from('attendance_segments')
+        .select('*, attendance:attendances(*)')
+        .eq('staff_id', staffId)
+        .is('clock_out', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * The working day a clock-in belongs to: the local date at the location,
+ * unless it continues the day before. That is the case while yesterday's
+ * day is still open or was clocked out of within RETURN_GRACE_MINUTES (a
+ * break across midnight), or when it falls within an overnight slot that
+ * started the day before.
+ * @returns {Promise<{ date: string, attendance: object|null }>}
+ */
+async function attendanceDayFor(staffId, at, timeZone) {
+    const today = localParts(at, timeZone).date;
+    const yesterday = addDays(today, -1);
+
+    const { data: recent, error } = await supabaseAdmin
+        .from('attendances')
+        .select('*')
+        .eq('staff_id', staffId)
+        .in('date', [yesterday, today]);
+
+    if (error) throw error;
+
+    const current = (recent || []).find(a => a.date === today);
+    if (current) return { date: today, attendance: current };
+
+    const previous = (recent || []).find(a => a.date === yesterday);
+    if (!previous?.clock_in) return { date: today, attendance: null };
+
+    const sinceOut = previous.clock_out ? (new Date(at) - new Date(previous.clock_out)) / 60000 : 0;
+    if (sinceOut <= RETURN_GRACE_MINUTES) {
+        return { date: yesterday, attendance: previous };
+    }
+
+    const start = timeToMinutes(previous.scheduled_start);
+    const end = timeToMinutes(previous.scheduled_end);
+    if (start !== null && end !== null && end <= start
+        && minutesIntoDay(at, yesterday, timeZone) <= end + DAY_MINUTES + OVERNIGHT_GRACE_MINUTES) {
+        return { date: yesterday, attendance: previous };
+    }
+
+    return { date: today, attendance: null };
+}
+
+/**
+ * Clock a staff member in: open a segment on their working day, creating
+ * the attendance row (matched to the roster) on the first punch of the day.
+ * Callers check findOpenSegment first.
+ * @param {object} punch - { clinicId, staffId, at, locationId, method, position, outsideGeofence, notes }
+ * @returns {Promise<{ attendance?: object, segment?: object, error?: string }>}
+ */
+async function startAttendanceSegment({ clinicId, staffId, at = new Date(), locationId = null, method = 'manual', position = null, outsideGeofence = false, notes }) {
+    const clockIn = new Date(at).toISOString();
+
+    // Punches without a location count at the staff member's own location
+    if (!locationId) {
+        const { data: member } = await supabaseAdmin.from('staff').select('location_id').eq('id', staffId).maybeSingle();
+        locationId = member?.location_id || null;
+    }
+    const timeZone = await locationTimeZone(locationId);
+    const { date, attendance: existing } = await attendanceDayFor(staffId, clockIn, timeZone);
+
+    let attendance;
+    if (existing?.clock_in) {
+        // Back from a break, or the next part of a split shift
+        const { data, error } = await supabaseAdmin
+            .from('attendances')
+            .update({
+                clock_out: null,
+                outside_geofence: Boolean(existing.outside_geofence) || outsideGeofence,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        attendance = data;
+    } else {
+        const roster = await clockInFields({ clinicId, staffId, date, clockIn, locationId });
+        const fields = {
+            clinic_id: clinicId,
+            staff_id: staffId,
+            date,
+            clock_in: clockIn,
+            clock_in_method: method,
+            clock_in_position: position,
+            location_id: locationId,
+            outside_geofence: outsideGeofence,
+            ...(notes !== undefined ? { notes } : {}),
+            ...roster
+        };
+
+        // A no-show record for the day is replaced by the late punch
+        const { data, error } = existing
+            ? await supabaseAdmin.from('attendances').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', existing.id).select().single()
+            : await supabaseAdmin.from('attendances').insert(fields).select().single();
+
+        if (error) throw error;
+        attendance = data;
+    }
+
+    const { data: segment, error: segmentError } = await supabaseAdmin
+        .from('attendance_segments')
+        .insert({
+            attendance_id: attendance.id,
+            clinic_id: clinicId,
+            staff_id: staffId,
+            location_id: locationId,
+            clock_in: clockIn,
+            clock_in_method: method,
+            clock_in_position: position
+        })
+        .select()
+        .single();
+
+    if (segmentError) {
+        if (segmentError.code === '23505') return { error: 'Already clocked in' };
+        throw segmentError;
+    }
+
+    return { attendance, segment };
+}
+
+/**
+ * Recompute a day from its segments: first in, last out, hours worked less
+ * the part of the unpaid break not already taken between segments, and,
+ * once every segment is closed, the final status
+ * @returns {Promise<{ attendance: object, workedMinutes: number }>}
+ */
+async function recalculateAttendance(attendanceId, extra = {}) {
+    const [{ data: attendance, error }, { data: segments, error: segmentError }] = await Promise.all([
+        supabaseAdmin.from('attendances').select('*').eq('id', attendanceId).single(),
+        supabaseAdmin
+            .from('attendance_segments')
+            .select('clock_in, clock_out')
+            .eq('attendance_id', attendanceId)
+            .order('clock_in', { ascending: true })
+    ]);
+
+    if (error) throw error;
+    if (segmentError) throw segmentError;
+
+    const closed = (segments || []).filter(s => s.clock_out);
+    const open = (segments || []).length > closed.length;
+
+    const workedMinutes = closed.reduce((sum, s) => sum + (new Date(s.clock_out) - new Date(s.clock_in)) / 60000, 0);
+    const gapMinutes = closed.slice(1).reduce((sum, s, i) => sum + Math.max(0, (new Date(s.clock_in) - new Date(closed[i].clock_out)) / 60000), 0);
+
+    const fields = {
+        ...extra,
+        clock_in: segments?.[0]?.clock_in || attendance.clock_in,
+        updated_at: new Date().toISOString()
+    };
+
+    if (open) {
+        fields.clock_out = null;
+    } else if (closed.length > 0) {
+        const settings = await getAttendanceSettings(attendance.clinic_id);
+        const breakMinutes = Math.round(Math.min(workedMinutes, Math.max(0, settings.unpaid_break_minutes - gapMinutes)));
+        const lastOut = closed.reduce((latest, s) => (s.clock_out > latest ? s.clock_out : latest), closed[0].clock_out);
+
+        Object.assign(fields, {
+            clock_out: lastOut,
+            hours_worked: Math.round(((workedMinutes - breakMinutes) / 60) * 100) / 100,
+            break_minutes_deducted: breakMinutes,
+            ...(await clockOutFields({ ...attendance, clock_in: fields.clock_in }, lastOut, workedMinutes))
+        });
+    }
+
+    const { data, error: updateError } = await supabaseAdmin
+        .from('attendances')
+        .update(fields)
+        .eq('id', attendanceId)
+        .select()
+        .single();
+
+    if (updateError) throw updateError;
+    return { attendance: data, workedMinutes };
+}
+
+/**
+ * Clock a staff member out of their open segment and recompute the day
+ * @param {object} segment - from findOpenSegment
+ * @param {object} punch - { at, method, position, outsideGeofence, notes }
+ * @returns {Promise<{ attendance: object, workedMinutes: number }>}
+ */
+async function endAttendanceSegment(segment, { at = new Date(), method = 'manual', position = null, outsideGeofence = false, notes } = {}) {
+    const clockOut = new Date(at).toISOString();
+
+    const { error } = await supabaseAdmin
+        .from('attendance_segments')
+        .update({
+            clock_out: clockOut,
+            clock_out_method: method,
+            clock_out_position: position,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', segment.id);
+
+    if (error) throw error;
+
+    return recalculateAttendance(segment.attendance_id, {
+        clock_out_method: method,
+        clock_out_position: position,
+        outside_geofence: Boolean(segment.attendance?.outside_geofence) || outsideGeofence,
+        ...(notes ? { notes } : {})
+    });
+}
+
+/**
+ * Create absent records for staff rostered on a date who never clocked in.
+ * Staff on approved leave that day, and suspended or terminated staff, are
+ * skipped. Safe to run more than once for the same date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ clinicId?: string }} [options] - limit to one clinic
+ * @returns {Promise<object[]>} inserted attendances rows
+ */
+async function recordNoShows(date, { clinicId = null } = {}) {
+    let blockQuery = supabaseAdmin
+        .from('schedule_blocks')
+        .select('id, clinic_id, location_id, start_time, end_time, assigned_staff_ids')
+        .eq('date', date);
+    let shiftQuery = supabaseAdmin
+        .from('shifts')
+        .select('id, clinic_id, location_id, start_time, end_time, staff_id')
+        .eq('date', date)
+        .not('staff_id', 'is', null)
+        .not('status', 'in', '(cancelled,declined)');
+
+    if (clinicId) {
+        blockQuery = blockQuery.eq('clinic_id', clinicId);
+        shiftQuery = shiftQuery.eq('clinic_id', clinicId);
+    }
+
+    const [{ data: blocks, error: blockError }, { data: shifts, error: shiftError }] = await Promise.all([blockQuery, shiftQuery]);
+    if (blockError) throw blockError;
+    if (shiftError) throw shiftError;
+
+    // Each rostered staff member's first slot of the day
+    const firstSlot = new Map();
+    const consider = (staffId, row, isBlock) => {
+        const current = firstSlot.get(staffId);
+        if (current && current.start_time <= row.start_time) return;
+        firstSlot.set(staffId, { ...row, isBlock });
+    };
+    (blocks || []).forEach(b => (b.assigned_staff_ids || []).forEach(id => consider(id, b, true)));
+    (shifts || []).forEach(s => consider(s.staff_id, s, false));
+
+    const staffIds = [...firstSlot.keys()];
+    if (staffIds.length === 0) return [];
+
+    const [{ data: punches, error: punchError }, { data: leaves, error: leaveError }, { data: staff, error: staffError }] = await Promise.all([
+        supabaseAdmin
+            .from('attendances')
+            .select('staff_id')
+            .eq('date', date)
+            .in('staff_id', staffIds),
+        supabaseAdmin
+            .from('leave_requests')
+            .select('staff_id')
+            .eq('status', 'approved')
+            .lte('from_date', date)
+            .gte('to_date', date)
+            .in('staff_id', staffIds),
+        supabaseAdmin
+            .from('staff')
+            .select('id, employment_status')
+            .in('id', staffIds)
+    ]);
+
+    if (punchError) throw punchError;
+    if (leaveError) throw leaveError;
+    if (staffError) throw staffError;
+
+    const excused = new Set([
+        ...(punches || []).map(p => p.staff_id),
+        ...(leaves || []).map(l => l.staff_id),
+        ...(staff || []).filter(s => ['suspended', 'terminated'].includes(s.employment_status)).map(s => s.id)
+    ]);
+    const known = new Set((staff || []).map(s => s.id));
+
+    const rows = staffIds
+        .filter(id => known.has(id) && !excused.has(id))
+        .map(staffId => {
+            const slot = firstSlot.get(staffId);
+            return {
+                clinic_id: slot.clinic_id,
+                staff_id: staffId,
+                date,
+                location_id: slot.location_id,
+                schedule_block_id: slot.isBlock ? slot.id : null,
+                shift_id: slot.isBlock ? null : slot.id,
+                scheduled_start: slot.start_time,
+                scheduled_end: slot.end_time,
+                status: 'absent',
+                notes: 'No-show: rostered but did not clock in'
+            };
+        });
+
+    if (rows.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+        .from('attendances')
+        .upsert(rows, { onConflict: 'staff_id,date', ignoreDuplicates: true })
+        .select();
+
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    getAttendanceSettings,
+    locationTimeZone,
+    getRosterSlots,
+    clockInFields,
+    clockOutFields,
+    findOpenSegment,
+    attendanceDayFor,
+    startAttendanceSegment,
+    endAttendanceSegment,
+    recalculateAttendance,
+    recordNoShows
+};
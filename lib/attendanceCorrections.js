@@ -0,0 +1,193 @@
+/**
+ * HURE Core - Attendance Corrections
+ * Staff-proposed fixes to a day's punches, applied on manager approval
+ * (attendance_corrections, migration 037). The day as it was is saved on the
+ * correction before approval replaces its segments with the corrected times.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { clockInFields, recalculateAttendance } = require('./attendance');
+const { LOCKED_STATUSES } = require('./payroll');
+
+const MAX_SHIFT_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate proposed times against the attendance day
+ * @param {object} attendance - attendances row
+ * @param {object} input - { clockIn, clockOut, reason } (ISO timestamps)
+ * @returns {{ correction?: object, error?: string }} attendance_corrections fields
+ */
+function prepareCorrection(attendance, { clockIn, clockOut, reason }) {
+    const start = new Date(clockIn || '');
+    const end = new Date(clockOut || '');
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return { error: 'Corrected clock-in and clock-out times are required' };
+    }
+    if (end <= start) {
+        return { error: 'Clock-out must be after clock-in' };
+    }
+    if (end - start > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+        return { error: `A corrected day cannot be longer than ${MAX_SHIFT_HOURS} hours` };
+    }
+    if (end > new Date()) {
+        return { error: 'Corrected times cannot be in the future' };
+    }
+
+    // Clock-in has to fall on the attendance day, give or take time zones
+    const dayStart = Date.parse(`${attendance.date}T00:00:00Z`);
+    if (start.getTime() < dayStart - DAY_MS / 2 || start.getTime() > dayStart + DAY_MS * 1.5) {
+        return { error: `Clock-in must be on ${attendance.date}` };
+    }
+
+    if (!reason || !reason.trim()) {
+        return { error: 'Please give a reason for the correction' };
+    }
+
+    return {
+        correction: {
+            clinic_id: attendance.clinic_id,
+            attendance_id: attendance.id,
+            staff_id: attendance.staff_id,
+            proposed_clock_in: start.toISOString(),
+            proposed_clock_out: end.toISOString(),
+            reason: reason.trim()
+        }
+    };
+}
+
+/**
+ * The day as it stands, in the shape kept on the correction as original
+ * @returns {Promise<object>} { clock_in, clock_out, hours_worked, status, ..., segments }
+ */
+async function snapshotDay(attendanceId) {
+    const [{ data: attendance, error }, { data: segments, error: segmentError }] = await Promise.all([
+        supabaseAdmin.from('attendances').select('*').eq('id', attendanceId).single(),
+        supabaseAdmin
+            .from('attendance_segments')
+            .select('*')
+            .eq('attendance_id', attendanceId)
+            .order('clock_in', { ascending: true })
+    ]);
+
+    if (error) throw error;
+    if (segmentError) throw segmentError;
+
+    return {
+        clock_in: attendance.clock_in,
+        clock_out: attendance.clock_out,
+        hours_worked: attendance.hours_worked,
+        status: attendance.status,
+        minutes_late: attendance.minutes_late,
+        minutes_early: attendance.minutes_early,
+        break_minutes_deducted: attendance.break_minutes_deducted,
+        segments: (segments || []).map(s => ({
+            clock_in: s.clock_in,
+            clock_out: s.clock_out,
+            clock_in_method: s.clock_in_method,
+            clock_out_method: s.clock_out_method,
+            location_id: s.location_id
+        }))
+    };
+}
+
+/**
+ * Apply an approved correction: replace the day's segments with the
+ * corrected punch pair and recompute hours, lateness and status. Callers
+ * save the day's snapshot (snapshotDay) on the correction first, since the
+ * old segments are gone afterwards.
+ * @param {object} correction - attendance_corrections row
+ * @param {object} original - from snapshotDay
+ * @returns {Promise<{ attendance: object }>}
+ */
+async function applyCorrection(correction, original) {
+    const { data: attendance, error } = await supabaseAdmin
+        .from('attendances')
+        .select('*')
+        .eq('id', correction.attendance_id)
+        .single();
+
+    if (error) throw error;
+
+    const { error: deleteError } = await supabaseAdmin
+        .from('attendance_segments')
+        .delete()
+        .eq('attendance_id', attendance.id);
+
+    if (deleteError) throw deleteError;
+
+    const { error: insertError } = await supabaseAdmin
+        .from('attendance_segments')
+        .insert({
+            attendance_id: attendance.id,
+            clinic_id: attendance.clinic_id,
+            staff_id: attendance.staff_id,
+            location_id: attendance.location_id,
+            clock_in: correction.proposed_clock_in,
+            clock_out: correction.proposed_clock_out,
+            clock_in_method: 'correction',
+            clock_out_method: 'correction'
+        });
+
+    if (insertError) throw insertError;
+
+    // Lateness is judged again from the corrected clock-in
+    const roster = await clockInFields({
+        clinicId: attendance.clinic_id,
+        staffId: attendance.staff_id,
+        date: attendance.date,
+        clockIn: correction.proposed_clock_in,
+        locationId: attendance.location_id
+    });
+
+    const { error: rosterError } = await supabaseAdmin
+        .from('attendances')
+        .update({ ...roster, last_correction_id: correction.id, needs_review: false, review_reason: null })
+        .eq('id', attendance.id);
+
+    if (rosterError) throw rosterError;
+
+    const { attendance: corrected } = await recalculateAttendance(attendance.id, {
+        clock_in_method: 'correction',
+        clock_out_method: 'correction'
+    });
+
+    // The corrected day has a clock-out, so a staff member it closed is off duty
+    if (original.segments.some(seg => !seg.clock_out)) {
+        const { error: staffError } = await supabaseAdmin
+            .from('staff')
+            .update({ status: 'off' })
+            .eq('id', attendance.staff_id)
+            .eq('status', 'on_duty');
+
+        if (staffError) throw staffError;
+    }
+
+    return { attendance: corrected };
+}
+
+/**
+ * Whether payroll covering the day is already approved or paid, in which
+ * case the correction needs a payroll adjustment to reach the payslip
+ */
+async function isPayrollLocked(attendance) {
+    const { data, error } = await supabaseAdmin
+        .from('payroll_entries')
+        .select('id')
+        .eq('clinic_id', attendance.clinic_id)
+        .eq('staff_id', attendance.staff_id)
+        .in('status', LOCKED_STATUSES)
+        .or(`date.eq.${attendance.date},and(period_start.lte.${attendance.date},period_end.gte.${attendance.date})`)
+        .limit(1);
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+module.exports = {
+    prepareCorrection,
+    snapshotDay,
+    applyCorrection,
+    isPayrollLocked
+};
@@ -104,8 +104,38 @@ const AUDIT_TYPES = {
     // Care provisioning
     CARE_PROVISIONED: 'care_provisioned',
 
+    // Verification review
+    VERIFICATION_CLAIMED: 'verification_claimed',
+    VERIFICATION_DOCUMENTS_REQUESTED: 'verification_documents_requested',
+    VERIFICATION_APPROVED: 'verification_approved',
+    VERIFICATION_REJECTED: 'verification_rejected',
+
     // Site content
-    SITE_CONTENT_UPDATED: 'site_content_updated'
+    SITE_CONTENT_UPDATED: 'site_content_updated',
+
+    // Staff actions
+    STAFF_COMPENSATION_CHANGED: 'staff_compensation_changed',
+    STAFF_PAYOUT_CHANGED: 'staff_payout_changed',
+
+    // Payroll actions
+    PAYROLL_ADJUSTMENT_CREATED: 'payroll_adjustment_created',
+
+    // Security events
+    CROSS_TENANT_ACCESS_DENIED: 'cross_tenant_access_denied',
+    PASSWORD_RESET_REQUESTED: 'password_reset_requested',
+    PASSWORD_RESET_COMPLETED: 'password_reset_completed',
+    SESSION_REVOKED: 'session_revoked',
+    SESSION_TOKEN_REUSED: 'session_token_reused',
+
+    // Role actions
+    ROLE_CREATED: 'role_created',
+    ROLE_UPDATED: 'role_updated',
+    ROLE_DELETED: 'role_deleted',
+
+    // Attendance actions
+    ATTENDANCE_CORRECTION_APPROVED: 'attendance_correction_approved',
+    ATTENDANCE_CORRECTION_REJECTED: 'attendance_correction_rejected',
+    ATTENDANCE_AUTO_CLOCK_OUT: 'attendance_auto_clock_out'
 };
 
 module.exports = {
@@ -1,16 +1,47 @@
 /**
  * HURE Core - Authentication Middleware
- * Protects SuperAdmin routes
+ * Protects SuperAdmin and employer portal routes
  * 
  * NOTE: Set SKIP_AUTH=true in .env.local for development/testing
  */
 
 const jwt = require('jsonwebtoken');
 require('dotenv').config({ path: '.env.local' });
+const { supabaseAdmin } = require('./supabase');
+const { logAudit, AUDIT_TYPES } = require('./audit');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'hure-dev-secret';
 const SKIP_AUTH = process.env.SKIP_AUTH === 'true';
 
+/**
+ * Whether a login token's session has ended. Tokens carrying a session id
+ * (sid) are checked against auth_sessions; older tokens without one against
+ * the account's sessions_valid_after, set on password reset.
+ */
+async function isSessionRevoked(decoded) {
+    if (decoded.sid) {
+        const { data: session } = await supabaseAdmin
+            .from('auth_sessions')
+            .select('revoked_at, expires_at')
+            .eq('id', decoded.sid)
+            .maybeSingle();
+
+        return !session || !!session.revoked_at || new Date(session.expires_at) < new Date();
+    }
+
+    const [table, id] = decoded.staffId ? ['staff', decoded.staffId] : ['users', decoded.id];
+    if (!id || !decoded.iat) return false;
+
+    const { data } = await supabaseAdmin
+        .from(table)
+        .select('sessions_valid_after')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (!data?.sessions_valid_after) return false;
+    return decoded.iat < Math.floor(new Date(data.sessions_valid_after).getTime() / 1000);
+}
+
 /**
  * Middleware to verify SuperAdmin JWT
  * In dev mode with SKIP_AUTH=true, allows all requests
@@ -60,18 +91,112 @@ function requireSuperAdmin(req, res, next) {
     }
 }
 
+/**
+ * Middleware to verify an employer portal JWT
+ * Accepts owner logins (POST /api/auth/login) and staff logins with any
+ * account role but employee; what each role may do is checked per endpoint
+ * by requirePermission (lib/permissions).
+ * On routes with a :clinicId param the token's clinic must match it; other
+ * clinics are refused and the attempt is written to the audit log.
+ * Tokens whose session was revoked, or issued before a password reset,
+ * are refused.
+ * In dev mode with SKIP_AUTH=true, a valid token is still used if present,
+ * otherwise a demo owner is attached.
+ */
+async function requireEmployer(req, res, next) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+
+    let decoded = null;
+    if (token) {
+        try {
+            decoded = jwt.verify(token, JWT_SECRET);
+        } catch (err) {
+            if (!SKIP_AUTH) {
+                return res.status(401).json({ error: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+            }
+        }
+    }
+
+    if (!decoded) {
+        if (SKIP_AUTH) {
+            req.user = {
+                id: 'demo-owner',
+                role: 'owner',
+                name: 'Demo Owner',
+                clinicId: req.params.clinicId
+            };
+            return next();
+        }
+        return res.status(401).json({ error: 'No token provided' });
+    }
+
+    if (decoded.staffId && (!decoded.role || decoded.role === 'employee')) {
+        return res.status(403).json({ error: 'Employer access required' });
+    }
+
+    if (!decoded.staffId && !decoded.id) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (await isSessionRevoked(decoded)) {
+        return res.status(401).json({ error: 'Session ended. Please log in again.' });
+    }
+
+    req.user = {
+        id: decoded.id || null,
+        staffId: decoded.staffId || null,
+        clinicId: decoded.clinicId,
+        email: decoded.email,
+        role: decoded.role,
+        name: decoded.name || decoded.email || 'Employer'
+    };
+
+    const { clinicId } = req.params;
+    if (clinicId && req.user.clinicId !== clinicId) {
+        logAudit(
+            AUDIT_TYPES.CROSS_TENANT_ACCESS_DENIED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'clinic', id: clinicId },
+            { method: req.method, path: req.originalUrl, tokenClinicId: req.user.clinicId || null, ip: req.ip }
+        );
+        return res.status(403).json({ error: 'You do not have access to this clinic' });
+    }
+
+    next();
+}
+
+/**
+ * Middleware for scheduled jobs. Vercel Cron sends CRON_SECRET as a bearer
+ * token; without a configured secret the jobs only run with SKIP_AUTH=true.
+ */
+function requireCronSecret(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret) {
+        return SKIP_AUTH ? next() : res.status(503).json({ error: 'Scheduled jobs are not configured' });
+    }
+
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Invalid job secret' });
+    }
+
+    next();
+}
+
 /**
  * Generate a JWT token
- * Includes all properties passed in user object
+ * Includes all properties passed in user object. Logins go through
+ * lib/sessions, which issues short-lived tokens tied to a session.
  */
-function generateToken(user) {
+function generateToken(user, expiresIn = '24h') {
     return jwt.sign(
         {
             ...user, // Include all properties (id, staffId, clinicId, email, role, name, etc.)
             role: user.role || 'staff'
         },
         JWT_SECRET,
-        { expiresIn: '24h' }
+        { expiresIn }
     );
 }
 
@@ -119,8 +244,11 @@ function verifyToken(token) {
 
 module.exports = {
     requireSuperAdmin,
+    requireEmployer,
+    requireCronSecret,
     generateToken,
     generateFirstLoginToken,
     verifyFirstLoginToken,
-    verifyToken
+    verifyToken,
+    isSessionRevoked
 };
@@ -0,0 +1,194 @@
+/**
+ * HURE Core - Missed Clock-Out Job
+ * Closes segments left open long after the shift ended (migration 038):
+ * the day stops at the scheduled end, is flagged for review, the staff
+ * member goes back off duty and they and their managers are emailed
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { getAttendanceSettings, locationTimeZone, endAttendanceSegment } = require('./attendance');
+const { instantAt, localParts, parseTime } = require('./timezone');
+const { sendMissedClockOutEmail } = require('./email');
+const { logAudit, AUDIT_TYPES } = require('./audit');
+const { rolesWithPermission } = require('./permissions');
+
+const DAY_MINUTES = 24 * 60;
+const REVIEW_REASON = 'Did not clock out; closed automatically at the scheduled end';
+
+const JOB_ACTOR = { id: 'system', role: 'system', name: 'Missed clock-out job' };
+
+/**
+ * When the day being worked should have ended: the scheduled end of the
+ * matched block or shift, or required_daily_hours after the first clock-in
+ * when the staff member was not rostered
+ */
+function expectedEnd(attendance, settings, timeZone) {
+    const start = parseTime(String(attendance.scheduled_start || '').slice(0, 5));
+    let end = parseTime(String(attendance.scheduled_end || '').slice(0, 5));
+
+    if (start !== null && end !== null) {
+        if (end <= start) end += DAY_MINUTES;
+        return instantAt(attendance.date, end, timeZone);
+    }
+
+    return new Date(new Date(attendance.clock_in).getTime() + settings.required_daily_hours * 60 * 60000);
+}
+
+/**
+ * Close every open segment whose day ended more than the clinic's
+ * auto_clock_out_after_minutes ago
+ * @param {{ now?: Date, clinicId?: string }} [options]
+ * @returns {Promise<object[]>} { segment, attendance, staff, timeZone } per closed day
+ */
+async function closeMissedClockOuts({ now = new Date(), clinicId = null } = {}) {
+    let query = supabaseAdmin
+        .from('attendance_segments')
+        .select('*, attendance:attendances(*), staff:staff(id, first_name, last_name, email, status)')
+        .is('clock_out', null)
+        .lt('clock_in', now.toISOString());
+
+    if (clinicId) {
+        query = query.eq('clinic_id', clinicId);
+    }
+
+    const { data: open, error } = await query;
+    if (error) throw error;
+
+    const settingsByClinic = {};
+    const closed = [];
+
+    for (const segment of open || []) {
+        const attendance = segment.attendance;
+        if (!attendance) continue;
+
+        if (!settingsByClinic[segment.clinic_id]) {
+            settingsByClinic[segment.clinic_id] = await getAttendanceSettings(segment.clinic_id);
+        }
+        const settings = settingsByClinic[segment.clinic_id];
+        const timeZone = await locationTimeZone(segment.location_id || attendance.location_id);
+
+        const end = expectedEnd(attendance, settings, timeZone);
+        if (now - end < settings.auto_clock_out_after_minutes * 60000) continue;
+
+        // Back from a break after the shift was due to end: nothing to count
+        const at = end > new Date(segment.clock_in) ? end : new Date(segment.clock_in);
+
+        await endAttendanceSegment(segment, { at, method: 'auto' });
+
+        const { data: flagged, error: flagError } = await supabaseAdmin
+            .from('attendances')
+            .update({ needs_review: true, review_reason: REVIEW_REASON })
+            .eq('id', attendance.id)
+            .select()
+            .single();
+
+        if (flagError) throw flagError;
+
+        await supabaseAdmin
+            .from('staff')
+            .update({ status: 'off' })
+            .eq('id', segment.staff_id)
+            .eq('status', 'on_duty');
+
+        await logAudit(
+            AUDIT_TYPES.ATTENDANCE_AUTO_CLOCK_OUT,
+            JOB_ACTOR,
+            { entity: 'attendance', id: attendance.id, name: segment.staff ? `${segment.staff.first_name} ${segment.staff.last_name}` : segment.staff_id },
+            { clinicId: segment.clinic_id, date: attendance.date, clock_in: segment.clock_in, clock_out: at.toISOString() },
+            REVIEW_REASON
+        );
+
+        closed.push({ segment, attendance: flagged, staff: segment.staff, timeZone });
+    }
+
+    return closed;
+}
+
+const formatLocalTime = (instant, timeZone) => {
+    const minute = localParts(instant, timeZone).minuteOfDay;
+    return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+};
+
+const formatDay = (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+});
+
+/**
+ * Email the staff member and everyone who reviews attendance at their
+ * location (the clinic's contact address when none has an email)
+ * @param {object} closedDay - from closeMissedClockOuts
+ */
+async function notifyMissedClockOut({ attendance, staff, timeZone }) {
+    // The owner account and staff whose role holds attendance.review
+    const roles = await rolesWithPermission(attendance.clinic_id, 'attendance.review');
+    const [{ data: clinic }, { data: managers }, { data: owners }] = await Promise.all([
+        supabaseAdmin.from('clinics').select('name, email').eq('id', attendance.clinic_id).maybeSingle(),
+        supabaseAdmin
+            .from('staff')
+            .select('email, location_id')
+            .eq('clinic_id', attendance.clinic_id)
+            .in('account_role', roles)
+            .not('email', 'is', null),
+        supabaseAdmin
+            .from('users')
+            .select('email')
+            .eq('clinic_id', attendance.clinic_id)
+            .in('role', roles)
+            .not('email', 'is', null)
+    ]);
+
+    const staffName = staff ? `${staff.first_name} ${staff.last_name}` : 'A staff member';
+    const clinicName = clinic?.name || 'your clinic';
+    const args = [
+        staffName,
+        clinicName,
+        formatDay(attendance.date),
+        formatLocalTime(attendance.clock_in, timeZone),
+        formatLocalTime(attendance.clock_out, timeZone)
+    ];
+
+    const managerEmails = new Set([
+        ...(owners || []).map(o => o.email),
+        ...(managers || [])
+            .filter(m => !m.location_id || m.location_id === attendance.location_id)
+            .map(m => m.email)
+    ]);
+    if (managerEmails.size === 0 && clinic?.email) {
+        managerEmails.add(clinic.email);
+    }
+    managerEmails.delete(staff?.email);
+
+    const sends = [...managerEmails].map(email => sendMissedClockOutEmail(email, ...args, true));
+    if (staff?.email) {
+        sends.push(sendMissedClockOutEmail(staff.email, ...args, false));
+    }
+
+    return Promise.all(sends);
+}
+
+/**
+ * Close missed clock-outs and send the notifications
+ * @param {{ now?: Date, clinicId?: string, notify?: boolean }} [options]
+ * @returns {Promise<object[]>} closed days
+ */
+async function runAutoClockOut({ now = new Date(), clinicId = null, notify = true } = {}) {
+    const closed = await closeMissedClockOuts({ now, clinicId });
+
+    if (notify) {
+        for (const day of closed) {
+            try {
+                await notifyMissedClockOut(day);
+            } catch (err) {
+                console.error(`Missed clock-out email failed for attendance ${day.attendance.id}:`, err);
+            }
+        }
+    }
+
+    return closed;
+}
+
+module.exports = {
+    closeMissedClockOuts,
+    notifyMissedClockOut,
+    runAutoClockOut
+};
@@ -0,0 +1,205 @@
+/**
+ * HURE Core - Staff Compensation Profiles
+ * Pay basis, rate and recurring items per staff member, with history by effective date
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const PAY_BASES = ['MONTHLY', 'DAILY', 'HOURLY'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift an ISO date (YYYY-MM-DD) by a number of days
+ */
+function addDays(isoDate, days) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    return new Date(d.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Total of a list of recurring items ([{ name, amount_kes }])
+ */
+function sumItems(items) {
+    return (items || []).reduce((sum, item) => sum + (parseInt(item.amount_kes, 10) || 0), 0);
+}
+
+/**
+ * Validate and normalise a profile from a request body
+ * @returns {{ profile?: object, error?: string }}
+ */
+function normaliseProfile(body) {
+    const payBasis = (body.payBasis || body.pay_basis || '').toUpperCase();
+    const rate = body.rateKes ?? body.rate_kes;
+    const effectiveFrom = body.effectiveFrom || body.effective_from;
+
+    if (!PAY_BASES.includes(payBasis)) {
+        return { error: `Pay basis must be one of ${PAY_BASES.join(', ')}` };
+    }
+
+    if (!Number.isInteger(Number(rate)) || Number(rate) < 0) {
+        return { error: 'Rate must be a whole number of KES' };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) {
+        return { error: 'Effective-from date (YYYY-MM-DD) is required' };
+    }
+
+    const items = (list, label) => {
+        if (list === undefined || list === null) return { value: [] };
+        if (!Array.isArray(list)) return { error: `${label} must be a list` };
+
+        for (const item of list) {
+            if (!item?.name || !Number.isInteger(Number(item.amount_kes)) || Number(item.amount_kes) < 0) {
+                return { error: `Each ${label.toLowerCase()} item needs a name and a whole KES amount` };
+            }
+        }
+        return { value: list.map(i => ({ name: String(i.name), amount_kes: Number(i.amount_kes) })) };
+    };
+
+    const allowances = items(body.allowances, 'Allowances');
+    if (allowances.error) return { error: allowances.error };
+
+    const deductions = items(body.deductions, 'Deductions');
+    if (deductions.error) return { error: deductions.error };
+
+    return {
+        profile: {
+            pay_basis: payBasis,
+            rate_kes: Number(rate),
+            allowances: allowances.value,
+            deductions: deductions.value,
+            effective_from: effectiveFrom,
+            notes: body.notes || null
+        }
+    };
+}
+
+/**
+ * Recompute effective_to for a staff member so profiles never overlap:
+ * each profile ends the day before the next one starts
+ */
+async function closeOverlappingProfiles(staffId) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('staff_compensation')
+        .select('id, effective_from, effective_to')
+        .eq('staff_id', staffId)
+        .order('effective_from', { ascending: true });
+
+    if (error) throw error;
+
+    for (let i = 0; i < rows.length; i++) {
+        const next = rows[i + 1];
+        const effectiveTo = next ? addDays(next.effective_from, -1) : null;
+
+        if (rows[i].effective_to !== effectiveTo) {
+            const { error: updateError } = await supabaseAdmin
+                .from('staff_compensation')
+                .update({ effective_to: effectiveTo })
+                .eq('id', rows[i].id);
+
+            if (updateError) throw updateError;
+        }
+    }
+}
+
+/**
+ * Add a compensation profile, keeping history intact.
+ * A profile starting on the same date as an existing one replaces it.
+ */
+async function addCompensationProfile(clinicId, staffId, profile, actorName = null) {
+    const { data, error } = await supabaseAdmin
+        .from('staff_compensation')
+        .upsert({
+            clinic_id: clinicId,
+            staff_id: staffId,
+            ...profile,
+            created_by: actorName
+        }, { onConflict: 'staff_id,effective_from' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await closeOverlappingProfiles(staffId);
+
+    // Keep the summary columns on staff (migration 016) in line with today's profile
+    const today = new Date().toISOString().slice(0, 10);
+    const { data: history } = await supabaseAdmin
+        .from('staff_compensation')
+        .select('*')
+        .eq('staff_id', staffId);
+
+    const current = resolveCompensation(history || [], today);
+    if (current) {
+        await supabaseAdmin
+            .from('staff')
+            .update({
+                pay_basis: current.pay_basis === 'MONTHLY' ? 'MONTHLY' : 'DAILY',
+                monthly_salary_kes: current.pay_basis === 'MONTHLY' ? current.rate_kes : 0,
+                daily_rate_kes: current.pay_basis === 'DAILY' ? current.rate_kes : 0,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', staffId);
+    }
+
+    return data;
+}
+
+/**
+ * Load compensation history for a set of staff, grouped by staff_id
+ */
+async function getCompensationHistory(clinicId, staffIds) {
+    if (!staffIds.length) return {};
+
+    const { data, error } = await supabaseAdmin
+        .from('staff_compensation')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .in('staff_id', staffIds)
+        .order('effective_from', { ascending: true });
+
+    if (error) throw error;
+
+    const byStaff = {};
+    (data || []).forEach(p => {
+        (byStaff[p.staff_id] = byStaff[p.staff_id] || []).push(p);
+    });
+    return byStaff;
+}
+
+/**
+ * The profile in effect on a date, or null
+ */
+function resolveCompensation(history, isoDate) {
+    return (history || []).find(p =>
+        p.effective_from <= isoDate && (!p.effective_to || p.effective_to >= isoDate)
+    ) || null;
+}
+
+/**
+ * Profile built from the summary columns on staff, for staff with no history yet
+ */
+function legacyCompensation(member) {
+    const isDaily = member.pay_basis === 'DAILY';
+    return {
+        id: null,
+        pay_basis: isDaily ? 'DAILY' : 'MONTHLY',
+        rate_kes: (isDaily ? member.daily_rate_kes : member.monthly_salary_kes) || 0,
+        allowances: [],
+        deductions: [],
+        effective_from: null,
+        effective_to: null
+    };
+}
+
+module.exports = {
+    PAY_BASES,
+    addDays,
+    sumItems,
+    normaliseProfile,
+    addCompensationProfile,
+    getCompensationHistory,
+    resolveCompensation,
+    legacyCompensation
+};
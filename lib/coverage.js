@@ -0,0 +1,247 @@
+/**
+ * HURE Core - Leave Coverage Impact
+ * What approving a leave request does to the schedule: blocks the staff
+ * member is assigned to, and dates where their role drops below the cover
+ * the schedule blocks call for
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { addDays } = require('./compensation');
+
+const sameRole = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/**
+ * People covering a block: assigned staff plus external locums
+ * @param {object} block - schedule_blocks row
+ * @param {Set<string>} [away] - staff ids not available that day
+ */
+function blockStaffed(block, away = new Set()) {
+    const assigned = (block.assigned_staff_ids || []).filter(id => !away.has(id));
+    return assigned.length + (block.external_covers || []).length;
+}
+
+/**
+ * Impact of a leave request on the schedule, as if it were approved
+ * @param {object} request - leave_requests row
+ * @returns {Promise<{ staff, blocks: object[], coverage: object[] }>}
+ *   blocks   - blocks the staff member is assigned to in the leave window,
+ *              with the cover left once they are off (partial: half-day or
+ *              hourly leave, which does not release the block)
+ *   coverage - dates where their role is short, team-wide
+ */
+async function getLeaveImpact(request) {
+    const { clinic_id: clinicId, staff_id: staffId, from_date: from, to_date: to } = request;
+
+    const { data: member } = await supabaseAdmin
+        .from('staff')
+        .select('id, first_name, last_name, job_role, location_id')
+        .eq('id', staffId)
+        .single();
+
+    const blockQuery = supabaseAdmin
+        .from('schedule_blocks')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .gte('date', from)
+        .lte('date', to)
+        .order('date', { ascending: true })
+        .order('start_time', { ascending: true });
+
+    let teamQuery = supabaseAdmin
+        .from('staff')
+        .select('id, job_role')
+        .eq('clinic_id', clinicId)
+        .not('employment_status', 'in', '(suspended,terminated)');
+
+    if (member?.location_id) {
+        teamQuery = teamQuery.eq('location_id', member.location_id);
+    }
+
+    const [{ data: blocks, error: blockError }, { data: team, error: teamError }, { data: leaves, error: leaveError }] = await Promise.all([
+        blockQuery,
+        teamQuery,
+        supabaseAdmin
+            .from('leave_requests')
+            .select('id, staff_id, from_date, to_date, duration_type')
+            .eq('clinic_id', clinicId)
+            .eq('status', 'approved')
+            .lte('from_date', to)
+            .gte('to_date', from)
+    ]);
+
+    if (blockError) throw blockError;
+    if (teamError) throw teamError;
+    if (leaveError) throw leaveError;
+
+    const partial = (request.duration_type || 'full_day') !== 'full_day';
+
+    // Staff away on each date: other approved full-day leave plus this request
+    const awayOn = (date) => {
+        const away = new Set((leaves || [])
+            .filter(l => l.id !== request.id && (l.duration_type || 'full_day') === 'full_day')
+            .filter(l => l.from_date <= date && l.to_date >= date)
+            .map(l => l.staff_id));
+        if (!partial) away.add(staffId);
+        return away;
+    };
+
+    const affected = (blocks || [])
+        .filter(b => (b.assigned_staff_ids || []).includes(staffId))
+        .map(b => {
+            const staffedAfter = blockStaffed(b, awayOn(b.date));
+            return {
+                id: b.id,
+                date: b.date,
+                start_time: b.start_time,
+                end_time: b.end_time,
+                role_needed: b.role_needed,
+                location_id: b.location_id,
+                qty_needed: b.qty_needed || 1,
+                staffed_after: staffedAfter,
+                short_by: Math.max(0, (b.qty_needed || 1) - staffedAfter),
+                partial
+            };
+        });
+
+    const coverage = [];
+    const teamIds = (team || []).filter(s => sameRole(s.job_role, member?.job_role)).map(s => s.id);
+
+    if (member?.job_role) {
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            const required = (blocks || [])
+                .filter(b => b.date === date && sameRole(b.role_needed, member.job_role))
+                .filter(b => !member.location_id || !b.location_id || b.location_id === member.location_id)
+                .reduce((sum, b) => sum + (b.qty_needed || 1), 0);
+
+            const away = awayOn(date);
+            const onLeave = teamIds.filter(id => away.has(id)).length;
+            const available = teamIds.length - onLeave;
+
+            if (available < required || (teamIds.length > 0 && available === 0)) {
+                coverage.push({
+                    date,
+                    role: member.job_role,
+                    team_size: teamIds.length,
+                    on_leave: onLeave,
+                    available,
+                    required
+                });
+            }
+        }
+    }
+
+    return {
+        staff: member
+            ? { id: member.id, name: `${member.first_name} ${member.last_name}`, job_role: member.job_role }
+            : { id: staffId, name: 'Unknown', job_role: null },
+        blocks: affected,
+        coverage
+    };
+}
+
+/**
+ * Take an approved full-day leave's staff member off their blocks in the
+ * leave window, flagging blocks left below qty_needed as needing cover.
+ * The blocks are remembered on the request (released_block_ids) so they can
+ * be restored if the leave is cancelled or amended.
+ * @returns {Promise<object[]>} updated blocks
+ */
+async function releaseLeaveBlocks(request, impact) {
+    if ((request.duration_type || 'full_day') !== 'full_day') return [];
+
+    const released = [];
+    for (const affected of impact.blocks) {
+        const { data: block } = await supabaseAdmin
+            .from('schedule_blocks')
+            .select('assigned_staff_ids, external_covers, qty_needed, needs_cover, cover_reason')
+            .eq('id', affected.id)
+            .single();
+
+        if (!block) continue;
+
+        const assignedStaffIds = (block.assigned_staff_ids || []).filter(id => id !== request.staff_id);
+        const short = blockStaffed({ ...block, assigned_staff_ids: assignedStaffIds }) < (block.qty_needed || 1);
+
+        const { data, error } = await supabaseAdmin
+            .from('schedule_blocks')
+            .update({
+                assigned_staff_ids: assignedStaffIds,
+                needs_cover: short || Boolean(block.needs_cover),
+                cover_reason: short ? `${impact.staff.name} on ${request.leave_type} leave` : block.cover_reason,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', affected.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        released.push(data);
+    }
+
+    if (released.length > 0) {
+        const releasedIds = [...new Set([...(request.released_block_ids || []), ...released.map(b => b.id)])];
+        const { error } = await supabaseAdmin
+            .from('leave_requests')
+            .update({ released_block_ids: releasedIds })
+            .eq('id', request.id);
+
+        if (error) throw error;
+    }
+    return released;
+}
+
+/**
+ * Put a staff member back on the blocks their leave released, except those
+ * still inside a remaining leave window (e.g. the new dates of an amendment)
+ * @param {object} request - leave_requests row with released_block_ids
+ * @param {{ from: string, to: string }} [keep] - dates still on leave
+ * @returns {Promise<string[]>} ids of blocks still released (inside keep)
+ */
+async function restoreLeaveBlocks(request, keep = null) {
+    const ids = request.released_block_ids || [];
+    if (ids.length === 0) return [];
+
+    const { data: blocks, error } = await supabaseAdmin
+        .from('schedule_blocks')
+        .select('id, date, assigned_staff_ids, external_covers, qty_needed, needs_cover')
+        .in('id', ids);
+
+    if (error) throw error;
+
+    const kept = [];
+    for (const block of blocks || []) {
+        if (keep && block.date >= keep.from && block.date <= keep.to) {
+            kept.push(block.id);
+            continue;
+        }
+
+        const assignedStaffIds = [...new Set([...(block.assigned_staff_ids || []), request.staff_id])];
+        const filled = blockStaffed({ ...block, assigned_staff_ids: assignedStaffIds }) >= (block.qty_needed || 1);
+
+        const { error: updateError } = await supabaseAdmin
+            .from('schedule_blocks')
+            .update({
+                assigned_staff_ids: assignedStaffIds,
+                ...(filled ? { needs_cover: false, cover_reason: null } : {}),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', block.id);
+
+        if (updateError) throw updateError;
+    }
+
+    const { error: clearError } = await supabaseAdmin
+        .from('leave_requests')
+        .update({ released_block_ids: kept })
+        .eq('id', request.id);
+
+    if (clearError) throw clearError;
+    return kept;
+}
+
+module.exports = {
+    blockStaffed,
+    getLeaveImpact,
+    releaseLeaveBlocks,
+    restoreLeaveBlocks
+};
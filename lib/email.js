@@ -390,6 +390,70 @@ async function sendVerificationStatusEmail(to, clinicName, verificationType, sta
   return sendEmail(to, subject, emailTemplate(content));
 }
 
+/**
+ * Send a request for more verification documents
+ * @param {string} to - Recipient email
+ * @param {string} clinicName - Clinic name
+ * @param {string} verificationType - 'organization' or 'facility'
+ * @param {string} documents - What the reviewer needs
+ * @param {string} locationName - Location name (for facility verification)
+ */
+async function sendVerificationDocumentsRequestedEmail(to, clinicName, verificationType, documents, locationName = null) {
+  const typeLabel = verificationType === 'organization' ? 'Organization' : 'Facility';
+  const locationText = locationName ? ` for ${locationName}` : '';
+
+  const subject = `📄 More Documents Needed for Your ${typeLabel} Verification${locationText} - HURE`;
+
+  const content = `
+    <h2>More Documents Needed</h2>
+    <p>The HURE team is reviewing the ${typeLabel.toLowerCase()} verification${locationText} for <strong>${clinicName}</strong> and needs a little more before it can be approved.</p>
+    <p><strong>Please provide:</strong> ${documents}</p>
+    <p>Upload the documents and submit the verification again. Your review picks up where it left off.</p>
+    <p style="text-align: center;">
+      <a href="${process.env.APP_URL || 'http://localhost:5173'}/employer" class="btn">Update Verification</a>
+    </p>
+    <p class="note">If you have questions, please contact our support team.</p>
+  `;
+
+  return sendEmail(to, subject, emailTemplate(content));
+}
+
+/**
+ * Send missed clock-out notification email
+ * @param {string} to - Recipient email
+ * @param {string} staffName - Staff member who did not clock out
+ * @param {string} clinicName - Clinic name
+ * @param {string} date - Attendance day (e.g., Wed, 24 Dec 2025)
+ * @param {string} clockIn - Local clock-in time (HH:MM)
+ * @param {string} clockOut - Local time the day was closed at (HH:MM)
+ * @param {boolean} isManager - Whether the recipient reviews the day
+ */
+async function sendMissedClockOutEmail(to, staffName, clinicName, date, clockIn, clockOut, isManager = false) {
+  const config = getConfig();
+  const subject = isManager
+    ? `${staffName} did not clock out on ${date} - HURE`
+    : `You did not clock out on ${date} - HURE`;
+
+  const content = `
+    <h2>Missed Clock-Out</h2>
+    <p>Hello,</p>
+    <p>${isManager ? `<strong>${staffName}</strong> was` : 'You were'} still clocked in at <strong>${clinicName}</strong> well after the end of the shift, so the day has been closed automatically.</p>
+    <div class="info-box">
+      <p><strong>Date:</strong> ${date}</p>
+      <p><strong>Clocked in:</strong> ${clockIn}</p>
+      <p><strong>Clocked out (automatic):</strong> ${clockOut}</p>
+    </div>
+    <p>${isManager
+      ? 'Hours were counted up to the scheduled end and the day is marked for review. Check the times in Attendance.'
+      : 'Hours were counted up to your scheduled end. If you worked different times, send a correction from My Attendance.'}</p>
+    <p style="text-align: center;">
+      <a href="${config.APP_URL}/${isManager ? 'employer' : 'employee'}" class="btn">${isManager ? 'Review Attendance' : 'Open My Attendance'}</a>
+    </p>
+  `;
+
+  return sendEmail(to, subject, emailTemplate(content));
+}
+
 // ============================================
 // BREVO API - CORE EMAIL SENDING
 // ============================================
@@ -480,6 +544,8 @@ module.exports = {
   sendStaffInviteEmail,
   sendPasswordResetEmail,
   sendVerificationStatusEmail,
+  sendVerificationDocumentsRequestedEmail,
+  sendMissedClockOutEmail,
   sendEmail,
 
   // Utilities
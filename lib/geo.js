@@ -0,0 +1,88 @@
+/**
+ * HURE Core - Geofencing
+ * Checks a device position against the fences on clinic_locations
+ * (latitude, longitude, geofence_radius_m; migration 033)
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in metres between two { latitude, longitude } points
+ */
+function distanceMeters(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Validate a position sent by the device
+ * @param {object} input - { latitude, longitude, accuracy? } (accuracy in metres)
+ * @returns {{ position?: object|null, error?: string }} position is null when none was sent
+ */
+function normalisePosition(input) {
+    if (input === undefined || input === null) return { position: null };
+
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    const accuracy = input.accuracy === undefined || input.accuracy === null ? null : Number(input.accuracy);
+
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90
+        || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        return { error: 'Position must have a valid latitude and longitude' };
+    }
+    if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) {
+        return { error: 'Position accuracy must be a positive number of metres' };
+    }
+
+    return { position: { latitude, longitude, accuracy } };
+}
+
+const hasFence = (location) => location.latitude !== null && location.latitude !== undefined
+    && location.longitude !== null && location.longitude !== undefined
+    && Number(location.geofence_radius_m) > 0;
+
+/**
+ * Check a punch position against the fence of the location being punched
+ * at. Other locations' fences play no part: being inside one of them is not
+ * being at work here. The reported GPS accuracy is allowed for, up to the
+ * size of the fence itself.
+ * @param {object|null} location - clinic_locations row, or null when unknown
+ * @param {object|null} position - from normalisePosition
+ * @returns {{ geofence: string, enforced: boolean, location_id: string|null, distance_m: number|null }}
+ *   geofence - not_configured, inside, outside or no_position
+ */
+function checkGeofence(location, position) {
+    const locationId = location?.id || null;
+
+    if (!location || !hasFence(location)) {
+        return { geofence: 'not_configured', enforced: false, location_id: locationId, distance_m: null };
+    }
+
+    const enforced = Boolean(location.geofence_enforced);
+
+    if (!position) {
+        return { geofence: 'no_position', enforced, location_id: locationId, distance_m: null };
+    }
+
+    const distance = distanceMeters(position, { latitude: Number(location.latitude), longitude: Number(location.longitude) });
+    const radius = Number(location.geofence_radius_m);
+    const allowance = Math.min(position.accuracy || 0, radius);
+
+    return {
+        geofence: distance <= radius + allowance ? 'inside' : 'outside',
+        enforced,
+        location_id: locationId,
+        distance_m: Math.round(distance)
+    };
+}
+
+module.exports = {
+    distanceMeters,
+    normalisePosition,
+    checkGeofence
+};
@@ -0,0 +1,139 @@
+/**
+ * HURE Core - Public Holidays
+ * Kenyan national public holidays (Public Holidays Act, Cap 110) and the
+ * per-clinic calendar built from them (clinic_holidays, migration 027)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { addDays } = require('./compensation');
+
+// Fixed-date national holidays as MM-DD
+const FIXED_HOLIDAYS = [
+    ['01-01', "New Year's Day"],
+    ['05-01', 'Labour Day'],
+    ['06-01', 'Madaraka Day'],
+    ['10-10', 'Mazingira Day'],
+    ['10-20', 'Mashujaa Day'],
+    ['12-12', 'Jamhuri Day'],
+    ['12-25', 'Christmas Day'],
+    ['12-26', 'Boxing Day']
+];
+
+/**
+ * Western Easter Sunday for a year (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * National holidays for a year, including the Monday observed when a
+ * holiday falls on a Sunday. Eid al-Fitr follows the moon sighting and is
+ * gazetted each year, so it is not included here.
+ * @returns {{ date: string, name: string }[]}
+ */
+function kenyanPublicHolidays(year) {
+    const easter = easterSunday(year);
+    const holidays = [
+        ...FIXED_HOLIDAYS.map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name })),
+        { date: addDays(easter, -2), name: 'Good Friday' },
+        { date: addDays(easter, 1), name: 'Easter Monday' }
+    ];
+
+    const taken = new Set(holidays.map(h => h.date));
+    holidays
+        .filter(h => new Date(`${h.date}T00:00:00Z`).getUTCDay() === 0)
+        .forEach(h => {
+            let observed = addDays(h.date, 1);
+            while (taken.has(observed)) observed = addDays(observed, 1);
+            taken.add(observed);
+            holidays.push({ date: observed, name: `${h.name} (observed)` });
+        });
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Seed a clinic's calendar with the national holidays for each year in a
+ * range, once per year. Existing rows for the same date are left alone.
+ */
+async function ensureNationalHolidays(clinicId, from, to) {
+    const years = [];
+    for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+        years.push(year);
+    }
+
+    const { data: seeded, error } = await supabaseAdmin
+        .from('clinic_holiday_years')
+        .select('year')
+        .eq('clinic_id', clinicId)
+        .in('year', years);
+
+    if (error) throw error;
+
+    const done = new Set((seeded || []).map(r => r.year));
+    for (const year of years.filter(y => !done.has(y))) {
+        const { error: seedError } = await supabaseAdmin
+            .from('clinic_holidays')
+            .upsert(kenyanPublicHolidays(year).map(h => ({
+                clinic_id: clinicId,
+                date: h.date,
+                name: h.name,
+                source: 'national'
+            })), { onConflict: 'clinic_id,date', ignoreDuplicates: true });
+
+        if (seedError) throw seedError;
+
+        await supabaseAdmin
+            .from('clinic_holiday_years')
+            .upsert({ clinic_id: clinicId, year }, { onConflict: 'clinic_id,year', ignoreDuplicates: true });
+    }
+}
+
+/**
+ * Calendar rows between two dates, inclusive, including switched-off days
+ */
+async function listHolidays(clinicId, from, to) {
+    await ensureNationalHolidays(clinicId, from, to);
+
+    const { data, error } = await supabaseAdmin
+        .from('clinic_holidays')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .gte('date', from)
+        .lte('date', to)
+        .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Active holidays between two dates, inclusive
+ * @returns {Promise<Map<string, string>>} date -> holiday name
+ */
+async function getHolidays(clinicId, from, to) {
+    const rows = await listHolidays(clinicId, from, to);
+    return new Map(rows.filter(h => h.is_active !== false).map(h => [h.date, h.name]));
+}
+
+module.exports = {
+    kenyanPublicHolidays,
+    ensureNationalHolidays,
+    listHolidays,
+    getHolidays
+};
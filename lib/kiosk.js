@@ -0,0 +1,113 @@
+/**
+ * HURE Core - QR Kiosk Codes
+ * Short-lived signed codes shown by a location's reception tablet and
+ * scanned by staff to clock in or out (migration 034)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('./supabase');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'hure-dev-secret';
+
+// The tablet shows a new code every ROTATE_SECONDS; each stays valid a little
+// longer so a scan that starts just before the switch still goes through
+const ROTATE_SECONDS = 30;
+const CODE_TTL_SECONDS = 60;
+
+// Codes are signed per location, never with the login secret alone, so a
+// code can neither pass as a session token nor outlive a key rotation
+const signingSecret = (kioskKey) => `${JWT_SECRET}:kiosk:${kioskKey}`;
+
+function generateKioskKey() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Issue a fresh code for a kiosk location
+ * @param {object} location - clinic_locations row with kiosk_key
+ * @returns {{ code: string, expires_at: string, refresh_in: number }}
+ */
+function issueKioskCode(location) {
+    const code = jwt.sign(
+        { type: 'kiosk', lid: location.id, cid: location.clinic_id },
+        signingSecret(location.kiosk_key),
+        { expiresIn: CODE_TTL_SECONDS, jwtid: crypto.randomBytes(9).toString('base64url') }
+    );
+
+    return {
+        code,
+        expires_at: new Date(Date.now() + CODE_TTL_SECONDS * 1000).toISOString(),
+        refresh_in: ROTATE_SECONDS
+    };
+}
+
+/**
+ * Check a scanned code without using it up
+ * @returns {Promise<{ location?: object, codeId?: string, error?: string }>}
+ */
+async function verifyKioskCode(code, clinicId) {
+    const unverified = jwt.decode(code || '');
+    if (!unverified || unverified.type !== 'kiosk' || !unverified.lid) {
+        return { error: 'This is not a valid clock-in code' };
+    }
+
+    const { data: location } = await supabaseAdmin
+        .from('clinic_locations')
+        .select('id, clinic_id, name, kiosk_key, is_active')
+        .eq('id', unverified.lid)
+        .maybeSingle();
+
+    if (!location?.kiosk_key || location.is_active === false) {
+        return { error: 'Kiosk mode is not active at this location' };
+    }
+    if (location.clinic_id !== clinicId) {
+        return { error: 'This code belongs to another clinic' };
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(code, signingSecret(location.kiosk_key));
+    } catch (err) {
+        return {
+            error: err.name === 'TokenExpiredError'
+                ? 'This code has expired. Scan the code currently on the screen.'
+                : 'This is not a valid clock-in code'
+        };
+    }
+
+    return { location, codeId: payload.jti };
+}
+
+/**
+ * Use up a verified code for a staff member, once every other check on the
+ * punch has passed so a refused punch can be retried with the same code.
+ * A code is deliberately good once per staff member rather than once in
+ * total: everyone arriving at reception within the same ROTATE_SECONDS scans
+ * the same code. A copy sent to someone off site is stopped by the
+ * location's geofence, which applies to kiosk punches too.
+ * @returns {Promise<{ error?: string }>}
+ */
+async function redeemKioskCode(codeId, staffId, locationId) {
+    const { error } = await supabaseAdmin
+        .from('kiosk_code_uses')
+        .insert({ code_id: codeId, staff_id: staffId, location_id: locationId });
+
+    if (error) {
+        if (error.code === '23505') {
+            return { error: 'This code has already been used. Scan the code currently on the screen.' };
+        }
+        throw error;
+    }
+
+    return {};
+}
+
+module.exports = {
+    ROTATE_SECONDS,
+    CODE_TTL_SECONDS,
+    generateKioskKey,
+    issueKioskCode,
+    verifyKioskCode,
+    redeemKioskCode
+};
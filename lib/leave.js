@@ -0,0 +1,624 @@
+/**
+ * HURE Core - Leave Helpers
+ * Day counts and attachments for leave_requests and the leave balance ledger (migration 028),
+ * shared by the employer and employee routes
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { getHolidays } = require('./holidays');
+const { addDays } = require('./compensation');
+const { weekdayOf, parseTime } = require('./timezone');
+
+// Leave types that draw on a balance, and the clinic_settings column holding the allowance.
+// Other types (unpaid, compassionate, other) are not limited by a balance.
+const BALANCE_TYPES = {
+    annual: 'annual_leave_days',
+    sick: 'sick_leave_days',
+    maternity: 'maternity_leave_days',
+    paternity: 'paternity_leave_days'
+};
+
+// Annual leave accrues monthly; the others are granted in full each year
+const ACCRUED_TYPES = ['annual'];
+
+// Defaults mirror migration 011 (clinic_settings)
+const DEFAULT_POLICY = {
+    annual_leave_days: 21,
+    sick_leave_days: 10,
+    maternity_leave_days: 90,
+    paternity_leave_days: 14,
+    leave_carryover_allowed: false,
+    leave_carryover_max_days: null,
+    sick_note_required_after_days: null
+};
+
+// Sick notes and other supporting documents
+const ATTACHMENT_BUCKET = 'clinic-documents';
+const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// How a request is measured. Half-day and hour-based leave cover a single date.
+const DURATION_TYPES = ['full_day', 'half_day', 'hours'];
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Validate the duration fields of a new request
+ * @param {object} input - { durationType, halfDayPeriod, hours }
+ * @returns {{ duration?: { type, period, hours }, error?: string }}
+ */
+function normaliseLeaveDuration({ durationType, halfDayPeriod, hours } = {}, from, to) {
+    const type = durationType || 'full_day';
+
+    if (!DURATION_TYPES.includes(type)) {
+        return { error: `Duration must be one of: ${DURATION_TYPES.join(', ')}` };
+    }
+    if (type === 'full_day') {
+        return { duration: { type, period: null, hours: null } };
+    }
+    if (from !== to) {
+        return { error: 'Half-day and hourly leave must start and end on the same date' };
+    }
+    if (type === 'half_day') {
+        if (!['am', 'pm'].includes(halfDayPeriod)) {
+            return { error: 'Choose the morning (am) or afternoon (pm) half' };
+        }
+        return { duration: { type, period: halfDayPeriod, hours: null } };
+    }
+
+    const value = Number(hours);
+    if (!Number.isFinite(value) || value <= 0 || value > 24 || Math.round(value * 4) !== value * 4) {
+        return { error: 'Hours must be a positive number in quarter hours' };
+    }
+    return { duration: { type, period: null, hours: value } };
+}
+
+const timeToMinutes = (value) => parseTime(String(value || '').slice(0, 5));
+
+function spanMinutes(start, end) {
+    const from = timeToMinutes(start);
+    const to = timeToMinutes(end);
+    if (from === null || to === null) return 0;
+    return to > from ? to - from : to + 24 * 60 - from; // Overnight blocks end the next day
+}
+
+/**
+ * Working minutes per date from the clinic's business hours (weekdays at
+ * required_daily_hours when none are set), without public holidays
+ * @returns {Promise<Map<string, number>>} date -> minutes, working dates only
+ */
+async function getDefaultWorkingDays(clinicId, from, to) {
+    const working = new Map();
+
+    const [{ data: settings }, holidays] = await Promise.all([
+        supabaseAdmin
+            .from('clinic_settings')
+            .select('business_hours, required_daily_hours')
+            .eq('clinic_id', clinicId)
+            .maybeSingle(),
+        getHolidays(clinicId, from, to)
+    ]);
+
+    const hours = settings?.business_hours;
+    const defaultMinutes = (parseFloat(settings?.required_daily_hours) || 8) * 60;
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (holidays.has(date)) continue;
+
+        const day = weekdayOf(date);
+        const open = hours?.[DAY_NAMES[day]];
+        if (!hours) {
+            if (day !== 0 && day !== 6) working.set(date, defaultMinutes);
+        } else if (open && !open.closed) {
+            working.set(date, spanMinutes(open.open, open.close) || defaultMinutes);
+        }
+    }
+    return working;
+}
+
+/**
+ * Last date the clinic has rostered anyone on, from a date onwards, or null
+ */
+async function lastRosteredDate(clinicId, from) {
+    const latest = (table, extra = q => q) => extra(supabaseAdmin
+        .from(table)
+        .select('date')
+        .eq('clinic_id', clinicId)
+        .gte('date', from))
+        .order('date', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    const [{ data: block }, { data: shift }] = await Promise.all([
+        latest('schedule_blocks'),
+        latest('shifts', q => q.neq('status', 'cancelled'))
+    ]);
+
+    const dates = [block?.date, shift?.date].filter(Boolean).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+/**
+ * Working minutes per date for a staff member between two dates.
+ * Uses their roster (schedule blocks and shifts) when they have one in the
+ * range, up to the last date the clinic has rostered; dates beyond that, and
+ * staff who are never rostered, follow the clinic's business hours without
+ * public holidays.
+ * @returns {Promise<Map<string, number>>} date -> minutes, working dates only
+ */
+async function getWorkingDays(clinicId, staffId, from, to) {
+    if (!staffId) return getDefaultWorkingDays(clinicId, from, to);
+
+    const working = new Map();
+    const add = (date, minutes) => working.set(date, (working.get(date) || 0) + minutes);
+
+    const [{ data: blocks }, { data: shifts }] = await Promise.all([
+        supabaseAdmin
+            .from('schedule_blocks')
+            .select('date, start_time, end_time')
+            .eq('clinic_id', clinicId)
+            .contains('assigned_staff_ids', [staffId])
+            .gte('date', from)
+            .lte('date', to),
+        supabaseAdmin
+            .from('shifts')
+            .select('date, start_time, end_time')
+            .eq('clinic_id', clinicId)
+            .eq('staff_id', staffId)
+            .neq('status', 'cancelled')
+            .gte('date', from)
+            .lte('date', to)
+    ]);
+
+    [...(blocks || []), ...(shifts || [])].forEach(s => add(s.date, spanMinutes(s.start_time, s.end_time)));
+    if (working.size === 0) return getDefaultWorkingDays(clinicId, from, to);
+
+    // Not rostered yet: charge the days the staff member would normally work
+    const rosteredTo = await lastRosteredDate(clinicId, from);
+    if (rosteredTo && rosteredTo < to) {
+        const unrostered = await getDefaultWorkingDays(clinicId, addDays(rosteredTo, 1), to);
+        unrostered.forEach((minutes, date) => working.set(date, minutes));
+    }
+
+    return working;
+}
+
+/**
+ * Working days a leave request costs. Each rostered or open day counts as
+ * one; a half day as 0.5; hourly leave as the share of that day's hours.
+ * @param {string} clinicId
+ * @param {string} staffId
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {object} duration - from normaliseLeaveDuration, defaults to full days
+ */
+async function calculateLeaveDays(clinicId, staffId, from, to, duration = { type: 'full_day' }) {
+    const working = await getWorkingDays(clinicId, staffId, from, to);
+
+    if (duration.type === 'half_day') {
+        return working.has(from) ? 0.5 : 0;
+    }
+    if (duration.type === 'hours') {
+        const minutes = working.get(from);
+        return minutes ? round2(Math.min(1, (duration.hours * 60) / minutes)) : 0;
+    }
+    return working.size;
+}
+
+/**
+ * Load the clinic's leave policy with defaults applied
+ */
+async function getLeavePolicy(clinicId) {
+    const { data } = await supabaseAdmin
+        .from('clinic_settings')
+        .select('annual_leave_days, sick_leave_days, maternity_leave_days, paternity_leave_days, leave_carryover_allowed, leave_carryover_max_days, sick_note_required_after_days')
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+    return Object.fromEntries(Object.entries(DEFAULT_POLICY).map(([key, fallback]) =>
+        [key, data?.[key] ?? fallback]
+    ));
+}
+
+/**
+ * Whether a request needs a supporting document under the clinic's policy
+ */
+function attachmentRequired(policy, leaveType, daysCount) {
+    const threshold = policy.sick_note_required_after_days;
+    return leaveType === 'sick' && threshold !== null && threshold !== undefined && daysCount > Number(threshold);
+}
+
+/**
+ * Store a leave attachment sent as base64 (same shape as document uploads)
+ * @param {string} clinicId
+ * @param {string} staffId
+ * @param {object} file - { fileName, fileData, fileType }
+ * @returns {Promise<{ path?: string, name?: string, type?: string, error?: string }>}
+ */
+async function uploadLeaveAttachment(clinicId, staffId, { fileName, fileData, fileType }) {
+    if (!fileName || !fileData) {
+        return { error: 'Attachment file name and data are required' };
+    }
+
+    const type = fileType || 'application/octet-stream';
+    if (!ATTACHMENT_TYPES.includes(type)) {
+        return { error: 'Attachments must be a PDF, JPEG or PNG file' };
+    }
+
+    const buffer = Buffer.from(fileData.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_ATTACHMENT_BYTES) {
+        return { error: 'Attachments must be smaller than 5 MB' };
+    }
+
+    const safeName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const path = `${clinicId}/leave/${staffId}/${Date.now()}_${safeName}`;
+
+    const { error } = await supabaseAdmin.storage
+        .from(ATTACHMENT_BUCKET)
+        .upload(path, buffer, { contentType: type, upsert: false });
+
+    if (error) {
+        console.error('Leave attachment upload error:', error);
+        throw new Error(`Failed to upload file: ${error.message}`);
+    }
+
+    return { path, name: fileName, type };
+}
+
+/**
+ * Remove an uploaded attachment, e.g. when saving the request fails
+ */
+async function removeLeaveAttachment(path) {
+    if (path) await supabaseAdmin.storage.from(ATTACHMENT_BUCKET).remove([path]);
+}
+
+/**
+ * Signed URL (1 hour) for previewing a request's attachment
+ * @returns {Promise<{ url: string, name: string, type: string } | null>}
+ */
+async function getLeaveAttachmentUrl(request) {
+    if (!request.attachment_path) {
+        return request.attachment_url
+            ? { url: request.attachment_url, name: request.attachment_url.split('/').pop(), type: null }
+            : null;
+    }
+
+    const { data, error } = await supabaseAdmin.storage
+        .from(ATTACHMENT_BUCKET)
+        .createSignedUrl(request.attachment_path, 3600);
+
+    if (error) throw error;
+    return { url: data.signedUrl, name: request.attachment_name, type: request.attachment_type };
+}
+
+/**
+ * Leave year a request is charged to
+ */
+function leaveYear(request) {
+    return Number(request.from_date.slice(0, 4));
+}
+
+async function insertLedgerRows(rows, { replace = false } = {}) {
+    for (let i = 0; i < rows.length; i += 500) {
+        const { error } = await supabaseAdmin
+            .from('leave_ledger')
+            .upsert(rows.slice(i, i + 500), { onConflict: 'staff_id,entry_key', ignoreDuplicates: !replace });
+
+        if (error) throw error;
+    }
+}
+
+/**
+ * Bring the ledger up to date for a set of staff: monthly accruals and yearly
+ * entitlements up to today, deductions for approved requests, and carry-over
+ * into the current year. Safe to run repeatedly.
+ * A changed allowance applies from the sync after the change: this year's
+ * entitlements are rewritten and accruals for months still to come use the
+ * new rate. Months already accrued and past years keep what they earned.
+ * The ledger covers the previous and current year, and starts no earlier than
+ * the month the staff member was added.
+ * @param {string} clinicId
+ * @param {object[]} staff - rows with id and created_at
+ * @param {string} asOf - YYYY-MM-DD, defaults to today
+ */
+async function syncLeaveLedger(clinicId, staff, asOf = new Date().toISOString().slice(0, 10)) {
+    if (staff.length === 0) return;
+
+    const policy = await getLeavePolicy(clinicId);
+    const currentYear = Number(asOf.slice(0, 4));
+    const asOfMonth = asOf.slice(0, 7);
+    const rows = [];
+    const entitlements = [];
+
+    const ledgerRow = (member, fields) => ({ clinic_id: clinicId, staff_id: member.id, created_by: 'system', ...fields });
+
+    staff.forEach(member => {
+        const joinedMonth = (member.created_at || asOf).slice(0, 7);
+        const firstYear = Math.max(Number(joinedMonth.slice(0, 4)), currentYear - 1);
+
+        for (let year = firstYear; year <= currentYear; year++) {
+            Object.entries(BALANCE_TYPES).forEach(([type, column]) => {
+                const allowance = Number(policy[column]) || 0;
+
+                if (!ACCRUED_TYPES.includes(type)) {
+                    (year === currentYear ? entitlements : rows).push(ledgerRow(member, {
+                        leave_type: type,
+                        year,
+                        entry_type: 'entitlement',
+                        days: allowance,
+                        entry_key: `entitlement:${type}:${year}`,
+                        note: `${year} allowance`,
+                        updated_at: new Date().toISOString()
+                    }));
+                    return;
+                }
+
+                for (let m = 1; m <= 12; m++) {
+                    const month = `${year}-${String(m).padStart(2, '0')}`;
+                    if (month < joinedMonth || month > asOfMonth) continue;
+
+                    rows.push(ledgerRow(member, {
+                        leave_type: type,
+                        year,
+                        entry_type: 'accrual',
+                        days: round2(allowance / 12),
+                        entry_key: `accrual:${type}:${month}`,
+                        note: `Accrued for ${month}`
+                    }));
+                }
+            });
+        }
+    });
+
+    await insertLedgerRows(rows);
+    await insertLedgerRows(entitlements, { replace: true });
+
+    // Approved requests in the ledger window that have not been charged yet
+    const staffIds = staff.map(s => s.id);
+    const { data: approved, error: approvedError } = await supabaseAdmin
+        .from('leave_requests')
+        .select('id, clinic_id, staff_id, leave_type, from_date, days_count')
+        .eq('clinic_id', clinicId)
+        .eq('status', 'approved')
+        .in('staff_id', staffIds)
+        .in('leave_type', Object.keys(BALANCE_TYPES))
+        .gte('from_date', `${currentYear - 1}-01-01`);
+
+    if (approvedError) throw approvedError;
+
+    await insertLedgerRows((approved || []).map(deductionRow));
+
+    // Unused annual leave moves into the current year, up to the clinic's cap.
+    // It is recalculated on every sync so late changes to last year's leave
+    // are reflected.
+    if (policy.leave_carryover_allowed) {
+        const cap = policy.leave_carryover_max_days === null ? Infinity : Number(policy.leave_carryover_max_days);
+        const previous = await getLeaveBalances(clinicId, staffIds, currentYear - 1);
+        const carry = staff
+            .filter(member => (member.created_at || asOf).slice(0, 4) < String(currentYear))
+            .map(member => ledgerRow(member, {
+                leave_type: 'annual',
+                year: currentYear,
+                entry_type: 'carry_over',
+                days: Math.min(cap, Math.max(0, previous[member.id].annual.balance)),
+                entry_key: `carry_over:annual:${currentYear}`,
+                note: `Unused annual leave from ${currentYear - 1}`,
+                updated_at: new Date().toISOString()
+            }));
+
+        await insertLedgerRows(carry, { replace: true });
+    } else {
+        // Carry-over switched off: what was carried in earlier no longer counts
+        const { error: clearError } = await supabaseAdmin
+            .from('leave_ledger')
+            .update({ days: 0, updated_at: new Date().toISOString() })
+            .eq('clinic_id', clinicId)
+            .eq('entry_key', `carry_over:annual:${currentYear}`)
+            .in('staff_id', staffIds)
+            .neq('days', 0);
+
+        if (clearError) throw clearError;
+    }
+}
+
+/**
+ * Run syncLeaveLedger for every staff member, clinic by clinic. Called by the
+ * daily ledger job so reads never have to recompute balances.
+ * @param {{ clinicId?: string, asOf?: string }} [options]
+ * @returns {Promise<{ clinics: number, staff: number }>}
+ */
+async function syncAllLeaveLedgers({ clinicId = null, asOf } = {}) {
+    let query = supabaseAdmin
+        .from('staff')
+        .select('id, clinic_id, created_at');
+
+    if (clinicId) {
+        query = query.eq('clinic_id', clinicId);
+    }
+
+    const { data: staff, error } = await query;
+    if (error) throw error;
+
+    const byClinic = {};
+    (staff || []).forEach(member => {
+        (byClinic[member.clinic_id] = byClinic[member.clinic_id] || []).push(member);
+    });
+
+    for (const [id, members] of Object.entries(byClinic)) {
+        await syncLeaveLedger(id, members, asOf);
+    }
+
+    return { clinics: Object.keys(byClinic).length, staff: (staff || []).length };
+}
+
+function deductionRow(request) {
+    return {
+        clinic_id: request.clinic_id,
+        staff_id: request.staff_id,
+        leave_type: request.leave_type,
+        year: leaveYear(request),
+        entry_type: 'deduction',
+        days: -(Number(request.days_count) || 0),
+        entry_key: `leave:${request.id}`,
+        leave_request_id: request.id,
+        note: `Leave from ${request.from_date}`,
+        created_by: 'system'
+    };
+}
+
+/**
+ * Balances per staff member and leave type for a year
+ * @returns {Promise<object>} { [staffId]: { [leaveType]: { accrued, carried_over, used, adjusted, balance, pending, available } } }
+ */
+async function getLeaveBalances(clinicId, staffIds, year) {
+    if (staffIds.length === 0) return {};
+
+    const [{ data: entries, error }, { data: pending, error: pendingError }] = await Promise.all([
+        supabaseAdmin
+            .from('leave_ledger')
+            .select('staff_id, leave_type, entry_type, days')
+            .eq('clinic_id', clinicId)
+            .eq('year', year)
+            .in('staff_id', staffIds),
+        supabaseAdmin
+            .from('leave_requests')
+            .select('staff_id, leave_type, days_count')
+            .eq('clinic_id', clinicId)
+            .eq('status', 'pending')
+            .in('staff_id', staffIds)
+            .gte('from_date', `${year}-01-01`)
+            .lte('from_date', `${year}-12-31`)
+    ]);
+
+    if (error) throw error;
+    if (pendingError) throw pendingError;
+
+    const balances = {};
+    const bucket = (staffId, type) => {
+        balances[staffId] = balances[staffId] || {};
+        balances[staffId][type] = balances[staffId][type]
+            || { accrued: 0, carried_over: 0, used: 0, adjusted: 0, balance: 0, pending: 0, available: 0 };
+        return balances[staffId][type];
+    };
+
+    staffIds.forEach(id => Object.keys(BALANCE_TYPES).forEach(type => bucket(id, type)));
+
+    (entries || []).forEach(e => {
+        const b = bucket(e.staff_id, e.leave_type);
+        const days = Number(e.days) || 0;
+        if (e.entry_type === 'accrual' || e.entry_type === 'entitlement') b.accrued += days;
+        else if (e.entry_type === 'carry_over') b.carried_over += days;
+        else if (e.entry_type === 'deduction' || e.entry_type === 'reversal') b.used -= days;
+        else b.adjusted += days;
+        b.balance += days;
+    });
+
+    (pending || [])
+        .filter(r => BALANCE_TYPES[r.leave_type])
+        .forEach(r => { bucket(r.staff_id, r.leave_type).pending += Number(r.days_count) || 0; });
+
+    Object.values(balances).forEach(types => Object.values(types).forEach(b => {
+        Object.keys(b).forEach(k => { b[k] = round2(b[k]); });
+        b.available = round2(b.balance - b.pending);
+    }));
+
+    return balances;
+}
+
+/**
+ * Check a new or approved request against the staff member's balance
+ * @param {object} request - { clinic_id, staff_id, leave_type, from_date, days_count, id? }
+ * @param {object} options - { countPending: include other pending requests (for new requests) }
+ * @returns {Promise<{ error?: string, balance?: object }>}
+ */
+async function checkLeaveBalance(request, { countPending = true } = {}) {
+    if (!BALANCE_TYPES[request.leave_type]) return {};
+
+    const { data: member } = await supabaseAdmin
+        .from('staff')
+        .select('id, created_at')
+        .eq('id', request.staff_id)
+        .single();
+
+    await syncLeaveLedger(request.clinic_id, member ? [member] : [{ id: request.staff_id }]);
+
+    const year = leaveYear(request);
+    const balances = await getLeaveBalances(request.clinic_id, [request.staff_id], year);
+    const balance = balances[request.staff_id][request.leave_type];
+    const available = countPending ? balance.available : balance.balance;
+
+    if (Number(request.days_count) > available) {
+        return {
+            balance,
+            error: `Only ${Math.max(0, available)} day(s) of ${request.leave_type} leave available for ${year}`
+        };
+    }
+
+    return { balance };
+}
+
+/**
+ * Charge an approved request to the ledger
+ */
+async function recordLeaveDeduction(request) {
+    if (!BALANCE_TYPES[request.leave_type]) return;
+    await insertLedgerRows([deductionRow(request)]);
+}
+
+/**
+ * Give the days back when an approved request is cancelled or rejected
+ */
+async function reverseLeaveDeduction(request, actor = 'system') {
+    if (!BALANCE_TYPES[request.leave_type]) return;
+
+    const { data: charged } = await supabaseAdmin
+        .from('leave_ledger')
+        .select('days')
+        .eq('staff_id', request.staff_id)
+        .eq('entry_key', `leave:${request.id}`)
+        .maybeSingle();
+
+    if (!charged) return;
+
+    await insertLedgerRows([{
+        clinic_id: request.clinic_id,
+        staff_id: request.staff_id,
+        leave_type: request.leave_type,
+        year: leaveYear(request),
+        entry_type: 'reversal',
+        days: -Number(charged.days),
+        // A request can be approved and cancelled more than once
+        entry_key: `reversal:${request.id}:${Date.now()}`,
+        leave_request_id: request.id,
+        note: `Leave from ${request.from_date} ${request.status}`,
+        created_by: actor
+    }]);
+
+    // Free the deduction key so a later re-approval charges again
+    await supabaseAdmin
+        .from('leave_ledger')
+        .update({ entry_key: `leave:${request.id}:reversed:${Date.now()}`, updated_at: new Date().toISOString() })
+        .eq('staff_id', request.staff_id)
+        .eq('entry_key', `leave:${request.id}`);
+}
+
+module.exports = {
+    BALANCE_TYPES,
+    DURATION_TYPES,
+    normaliseLeaveDuration,
+    getWorkingDays,
+    calculateLeaveDays,
+    getLeavePolicy,
+    attachmentRequired,
+    uploadLeaveAttachment,
+    removeLeaveAttachment,
+    getLeaveAttachmentUrl,
+    syncLeaveLedger,
+    syncAllLeaveLedgers,
+    getLeaveBalances,
+    checkLeaveBalance,
+    recordLeaveDeduction,
+    reverseLeaveDeduction
+};
@@ -0,0 +1,181 @@
+/**
+ * HURE Core - Leave Change Requests
+ * Cancelling or re-dating approved leave (leave_change_requests, migration 032).
+ * The original request is kept as it was approved; accepting a change closes
+ * it and, for amendments, creates a replacement linked by amended_from.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const {
+    normaliseLeaveDuration,
+    calculateLeaveDays,
+    checkLeaveBalance,
+    recordLeaveDeduction,
+    reverseLeaveDeduction
+} = require('./leave');
+const { getLeaveImpact, releaseLeaveBlocks, restoreLeaveBlocks } = require('./coverage');
+
+const CHANGE_TYPES = ['cancel', 'amend'];
+
+/**
+ * Validate a change request against the leave it targets and work out the
+ * new day count for amendments
+ * @param {object} leave - approved leave_requests row
+ * @param {object} input - { changeType, startDate, endDate, durationType, halfDayPeriod, hours }
+ * @returns {Promise<{ change?: object, error?: string }>} leave_change_requests fields
+ */
+async function prepareLeaveChange(leave, { changeType, startDate, endDate, durationType, halfDayPeriod, hours }) {
+    if (!CHANGE_TYPES.includes(changeType)) {
+        return { error: `Change type must be one of: ${CHANGE_TYPES.join(', ')}` };
+    }
+
+    if (changeType === 'cancel') {
+        return { change: { change_type: 'cancel' } };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+        return { error: 'New start and end dates (YYYY-MM-DD) are required' };
+    }
+    if (endDate < startDate) {
+        return { error: 'End date cannot be before start date' };
+    }
+
+    const { duration, error: durationError } = normaliseLeaveDuration({ durationType, halfDayPeriod, hours }, startDate, endDate);
+    if (durationError) return { error: durationError };
+
+    const daysCount = await calculateLeaveDays(leave.clinic_id, leave.staff_id, startDate, endDate, duration);
+    if (daysCount === 0) {
+        return { error: 'The new dates are not working days for this staff member' };
+    }
+
+    const balanceError = await checkAmendedBalance(leave, startDate, daysCount);
+    if (balanceError) return { error: balanceError };
+
+    return {
+        change: {
+            change_type: 'amend',
+            new_from_date: startDate,
+            new_to_date: endDate,
+            new_duration_type: duration.type,
+            new_half_day_period: duration.period,
+            new_hours: duration.hours,
+            new_days_count: daysCount
+        }
+    };
+}
+
+/**
+ * The days already charged for the original come back when it is amended,
+ * so only the difference has to fit the balance (same leave year)
+ */
+async function checkAmendedBalance(leave, newFrom, newDays) {
+    const sameYear = newFrom.slice(0, 4) === leave.from_date.slice(0, 4);
+    const { error } = await checkLeaveBalance({
+        clinic_id: leave.clinic_id,
+        staff_id: leave.staff_id,
+        leave_type: leave.leave_type,
+        from_date: newFrom,
+        days_count: newDays - (sameYear ? Number(leave.days_count) || 0 : 0)
+    }, { countPending: false });
+    return error;
+}
+
+/**
+ * Accept a pending change: close the original request, give back its days
+ * and schedule blocks, and for amendments approve the replacement.
+ * The replacement is saved before anything is given back, and the original
+ * is reopened if that fails, so a failed amendment leaves the leave as it was.
+ * @param {object} actor - the reviewer (see payrollWorkflow.actorFromUser)
+ * @returns {Promise<{ leave: object, result: object|null, error?: string }>}
+ */
+async function applyLeaveChange(change, leave, actor) {
+    const now = new Date().toISOString();
+
+    if (change.change_type === 'amend') {
+        const balanceError = await checkAmendedBalance(leave, change.new_from_date, Number(change.new_days_count));
+        if (balanceError) return { error: balanceError };
+    }
+
+    const { data: closed, error: closeError } = await supabaseAdmin
+        .from('leave_requests')
+        .update({
+            status: change.change_type === 'cancel' ? 'cancelled' : 'amended',
+            updated_at: now
+        })
+        .eq('id', leave.id)
+        .eq('status', 'approved')
+        .select()
+        .single();
+
+    if (closeError || !closed) {
+        return { error: 'Leave request is no longer approved' };
+    }
+
+    if (change.change_type === 'cancel') {
+        await reverseLeaveDeduction(closed, actor.key);
+        await restoreLeaveBlocks(closed);
+        return { leave: closed, result: null };
+    }
+
+    const { data: replacement, error: insertError } = await supabaseAdmin
+        .from('leave_requests')
+        .insert({
+            clinic_id: leave.clinic_id,
+            staff_id: leave.staff_id,
+            leave_type: leave.leave_type,
+            from_date: change.new_from_date,
+            to_date: change.new_to_date,
+            days_count: change.new_days_count,
+            duration_type: change.new_duration_type,
+            half_day_period: change.new_half_day_period,
+            hours: change.new_hours,
+            reason: leave.reason,
+            attachment_url: leave.attachment_url,
+            attachment_path: leave.attachment_path,
+            attachment_name: leave.attachment_name,
+            attachment_type: leave.attachment_type,
+            status: 'approved',
+            reviewed_by: actor.userId,
+            reviewed_by_staff_id: actor.staffId,
+            reviewed_by_name: actor.name,
+            reviewed_at: now,
+            amended_from: leave.id
+        })
+        .select()
+        .single();
+
+    if (insertError) {
+        await supabaseAdmin
+            .from('leave_requests')
+            .update({ status: 'approved', updated_at: leave.updated_at || now })
+            .eq('id', leave.id)
+            .eq('status', 'amended');
+
+        throw insertError;
+    }
+
+    await reverseLeaveDeduction(closed, actor.key);
+
+    // Blocks inside the new dates stay released and move to the replacement
+    const keptBlockIds = await restoreLeaveBlocks(closed, { from: change.new_from_date, to: change.new_to_date });
+    if (keptBlockIds.length > 0) {
+        const { error: keptError } = await supabaseAdmin
+            .from('leave_requests')
+            .update({ released_block_ids: keptBlockIds })
+            .eq('id', replacement.id);
+
+        if (keptError) throw keptError;
+        replacement.released_block_ids = keptBlockIds;
+    }
+
+    await recordLeaveDeduction(replacement);
+    await releaseLeaveBlocks(replacement, await getLeaveImpact(replacement));
+
+    return { leave: closed, result: replacement };
+}
+
+module.exports = {
+    CHANGE_TYPES,
+    prepareLeaveChange,
+    applyLeaveChange
+};
@@ -0,0 +1,145 @@
+/**
+ * HURE Core - Password Reset
+ * Forgot-password tokens for clinic owners (users) and staff
+ * (password_reset_tokens, migration 041). The emailed token is random; only
+ * its SHA-256 hash is stored, it works once and expires after an hour.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabaseAdmin } = require('./supabase');
+const { revokeAllSessions } = require('./sessions');
+
+const TOKEN_TTL_MINUTES = 60;
+
+// Requests allowed per hour: per account before emails stop being sent,
+// per IP address before requests are refused
+const MAX_REQUESTS_PER_ACCOUNT = 3;
+const MAX_REQUESTS_PER_IP = 10;
+
+const ACCOUNT_TABLES = { user: 'users', staff: 'staff' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hourAgo = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+/**
+ * Record a reset request from an IP address and say whether it has made too
+ * many in the last hour. Every request counts, including those for unknown
+ * accounts or accounts already at their email quota, so the form cannot be
+ * used to probe for accounts without limit.
+ * @returns {Promise<boolean>} true when the request should be refused
+ */
+async function recordResetRequest(ip) {
+    if (!ip) return false;
+
+    const { error: insertError } = await supabaseAdmin
+        .from('password_reset_requests')
+        .insert({ requested_ip: ip });
+
+    if (insertError) throw insertError;
+
+    const { count, error } = await supabaseAdmin
+        .from('password_reset_requests')
+        .select('id', { count: 'exact', head: true })
+        .eq('requested_ip', ip)
+        .gte('created_at', hourAgo());
+
+    if (error) throw error;
+    return count > MAX_REQUESTS_PER_IP;
+}
+
+/**
+ * Issue a reset token for an account
+ * @param {string} accountType - 'user' or 'staff'
+ * @returns {Promise<string|null>} the token to email, or null when the
+ *   account has had its quota of reset emails this hour
+ */
+async function createResetToken(accountType, accountId, ip = null) {
+    const { count, error: countError } = await supabaseAdmin
+        .from('password_reset_tokens')
+        .select('id', { count: 'exact', head: true })
+        .eq('account_type', accountType)
+        .eq('account_id', accountId)
+        .gte('created_at', hourAgo());
+
+    if (countError) throw countError;
+    if (count >= MAX_REQUESTS_PER_ACCOUNT) return null;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabaseAdmin
+        .from('password_reset_tokens')
+        .insert({
+            account_type: accountType,
+            account_id: accountId,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES * 60000).toISOString(),
+            requested_ip: ip
+        });
+
+    if (error) throw error;
+    return token;
+}
+
+/**
+ * Set a new password with a reset token. The token and any other
+ * outstanding tokens for the account are used up, and every session and
+ * login token issued before now stops working.
+ * @returns {Promise<{ accountId?: string, error?: string }>}
+ */
+async function resetPassword(accountType, token, newPassword) {
+    if (!token) return { error: 'Reset link is invalid' };
+
+    const { data: reset, error } = await supabaseAdmin
+        .from('password_reset_tokens')
+        .select('*')
+        .eq('token_hash', hashToken(token))
+        .eq('account_type', accountType)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!reset || reset.used_at) return { error: 'Reset link is invalid or has already been used' };
+    if (new Date(reset.expires_at) < new Date()) return { error: 'Reset link has expired. Please request a new one.' };
+
+    const now = new Date().toISOString();
+
+    // Claim the token first so two requests with the same link cannot both succeed
+    const { data: claimed, error: claimError } = await supabaseAdmin
+        .from('password_reset_tokens')
+        .update({ used_at: now })
+        .eq('id', reset.id)
+        .is('used_at', null)
+        .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed?.length) return { error: 'Reset link is invalid or has already been used' };
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(newPassword, salt);
+
+    const { error: updateError } = await supabaseAdmin
+        .from(ACCOUNT_TABLES[accountType])
+        .update({ password_hash: passwordHash, sessions_valid_after: now, updated_at: now })
+        .eq('id', reset.account_id);
+
+    if (updateError) throw updateError;
+
+    await supabaseAdmin
+        .from('password_reset_tokens')
+        .update({ used_at: now })
+        .eq('account_type', accountType)
+        .eq('account_id', reset.account_id)
+        .is('used_at', null);
+
+    await revokeAllSessions(accountType, reset.account_id, 'password_reset');
+
+    return { accountId: reset.account_id };
+}
+
+module.exports = {
+    TOKEN_TTL_MINUTES,
+    recordResetRequest,
+    createResetToken,
+    resetPassword
+};
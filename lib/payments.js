@@ -0,0 +1,354 @@
+/**
+ * HURE Core - Payroll Payment Batches
+ * Bank bulk-transfer and M-Pesa B2C files for approved payroll_entries,
+ * and the confirmation import that marks them paid
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+const { recordStatusHistory } = require('./payrollWorkflow');
+
+const PAYMENT_METHODS = ['bank', 'mpesa'];
+
+// Statuses in a bank/M-Pesa result file that count as paid
+const SUCCESS_RESULTS = ['success', 'successful', 'completed', 'complete', 'paid', 'processed'];
+
+const BANK_HEADERS = ['Reference', 'Beneficiary Name', 'Account Number', 'Bank Code', 'Branch Code', 'Amount', 'Narration'];
+const MPESA_HEADERS = ['Reference', 'Phone Number', 'Amount', 'Name', 'Remarks'];
+
+/**
+ * Normalise a Kenyan mobile number to 2547XXXXXXXX / 2541XXXXXXXX, or null
+ */
+function normaliseMpesaPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const local = digits.replace(/^(254|0)/, '');
+    return /^[17]\d{8}$/.test(local) ? `254${local}` : null;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(r => r.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Minimal CSV parser (quoted fields, CRLF) returning an array of row arrays
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(c => c.trim() !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(c => c.trim() !== '')) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Payment details for a staff member on a method, or null if incomplete.
+ * Only the payout details the staff member gave count; a contact phone is
+ * never used as an M-Pesa account.
+ */
+function payeeAccount(member, method) {
+    if (method === 'mpesa') {
+        const phone = normaliseMpesaPhone(member.mpesa_phone);
+        return phone ? { phone } : null;
+    }
+
+    if (!member.bank_account_number || !member.bank_code) return null;
+    return {
+        account_number: member.bank_account_number,
+        account_name: member.bank_account_name || `${member.first_name} ${member.last_name}`,
+        bank_code: member.bank_code,
+        branch_code: member.bank_branch_code || ''
+    };
+}
+
+/**
+ * Render the payment file for a batch
+ * @returns {{ fileName: string, content: string }}
+ */
+function buildPaymentFile(batch) {
+    const narration = `Salary ${batch.reference}`;
+
+    const content = batch.method === 'mpesa'
+        ? toCsv(MPESA_HEADERS, batch.lines.map(l =>
+            [l.line_ref, l.account.phone, l.amount_kes, l.name, narration]))
+        : toCsv(BANK_HEADERS, batch.lines.map(l =>
+            [l.line_ref, l.account.account_name, l.account.account_number, l.account.bank_code, l.account.branch_code, l.amount_kes, narration]));
+
+    return {
+        fileName: `${batch.reference}_${batch.method === 'mpesa' ? 'mpesa_b2c' : 'bank_transfer'}.csv`,
+        content
+    };
+}
+
+/**
+ * Export approved, unbatched entries into a new payment batch.
+ * Entries are stamped with the batch but stay approved until confirmed.
+ * @param {string} clinicId
+ * @param {object} options - { method, payrollKeys? }
+ * @returns {Promise<{ batch: object|null, missing: object[], conflict?: boolean }>}
+ *   conflict when another export claimed some of the entries first; nothing is batched
+ */
+async function createPaymentBatch(clinicId, { method, payrollKeys }) {
+    let query = supabaseAdmin
+        .from('payroll_entries')
+        .select('payroll_key, staff_id, amount_kes, net_kes')
+        .eq('clinic_id', clinicId)
+        .eq('status', 'approved')
+        .is('payment_batch_id', null);
+
+    if (Array.isArray(payrollKeys) && payrollKeys.length > 0) {
+        query = query.in('payroll_key', payrollKeys);
+    }
+
+    const { data: entries, error } = await query;
+    if (error) throw error;
+
+    const staffIds = [...new Set((entries || []).map(e => e.staff_id))];
+    const { data: staff, error: staffError } = staffIds.length > 0
+        ? await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name, payment_method, bank_code, bank_branch_code, bank_account_name, bank_account_number, mpesa_phone')
+            .in('id', staffIds)
+        : { data: [] };
+
+    if (staffError) throw staffError;
+
+    const reference = `HURE-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    const lines = [];
+    const missing = [];
+
+    (staff || []).forEach(member => {
+        const name = `${member.first_name} ${member.last_name}`;
+
+        // Paid through the other method's batch
+        if (member.payment_method && member.payment_method !== method) return;
+
+        const account = member.payment_method ? payeeAccount(member, method) : null;
+        if (!account) {
+            missing.push({
+                staff_id: member.id,
+                name,
+                payment_method: member.payment_method || null,
+                reason: member.payment_method ? 'Payment details incomplete' : 'No payout method set'
+            });
+            return;
+        }
+
+        const own = entries.filter(e => e.staff_id === member.id);
+        const amount = own.reduce((sum, e) => sum + (e.net_kes ?? e.amount_kes ?? 0), 0);
+        if (amount <= 0) return;
+
+        lines.push({
+            line_ref: `${reference}-${String(lines.length + 1).padStart(3, '0')}`,
+            staff_id: member.id,
+            name,
+            account,
+            amount_kes: amount,
+            payroll_keys: own.map(e => e.payroll_key),
+            result: null,
+            transaction_ref: null
+        });
+    });
+
+    if (lines.length === 0) {
+        return { batch: null, missing };
+    }
+
+    const { data: batch, error: batchError } = await supabaseAdmin
+        .from('payment_batches')
+        .insert({
+            clinic_id: clinicId,
+            method,
+            reference,
+            lines,
+            line_count: lines.length,
+            total_kes: lines.reduce((sum, l) => sum + l.amount_kes, 0)
+        })
+        .select()
+        .single();
+
+    if (batchError) throw batchError;
+
+    // Only entries no other export has claimed in the meantime are stamped
+    const keys = lines.flatMap(l => l.payroll_keys);
+    const { data: stamped, error: stampError } = await supabaseAdmin
+        .from('payroll_entries')
+        .update({ payment_batch_id: batch.id, updated_at: new Date().toISOString() })
+        .eq('clinic_id', clinicId)
+        .eq('status', 'approved')
+        .is('payment_batch_id', null)
+        .in('payroll_key', keys)
+        .select('payroll_key');
+
+    if (stampError || (stamped || []).length !== keys.length) {
+        await discardBatch(batch);
+        if (stampError) throw stampError;
+        return { batch: null, missing, conflict: true };
+    }
+
+    return { batch, missing };
+}
+
+/**
+ * Undo a batch whose entries could not all be stamped: release what it
+ * stamped and delete it, so the entries can only be paid through one batch
+ */
+async function discardBatch(batch) {
+    const { error: releaseError } = await supabaseAdmin
+        .from('payroll_entries')
+        .update({ payment_batch_id: null, updated_at: new Date().toISOString() })
+        .eq('payment_batch_id', batch.id);
+
+    if (releaseError) throw releaseError;
+
+    const { error } = await supabaseAdmin
+        .from('payment_batches')
+        .delete()
+        .eq('id', batch.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Read a bank/M-Pesa result file
+ * @param {string} csvText - CSV with Reference and Status columns (Transaction ID / Receipt optional)
+ * @returns {{ results?: object[], error?: string }}
+ */
+function parseConfirmation(csvText) {
+    const [header, ...rows] = parseCsv(csvText || '');
+    if (!header) {
+        return { error: 'Confirmation file is empty' };
+    }
+
+    const columns = header.map(h => h.trim().toLowerCase());
+    const refCol = columns.findIndex(c => c === 'reference' || c === 'ref');
+    const statusCol = columns.findIndex(c => c === 'status' || c === 'result');
+    const txCol = columns.findIndex(c => ['transaction id', 'transaction ref', 'receipt', 'receipt no', 'bank reference'].includes(c));
+
+    if (refCol === -1 || statusCol === -1) {
+        return { error: 'Confirmation file needs Reference and Status columns' };
+    }
+
+    return {
+        results: rows.map(r => ({
+            line_ref: (r[refCol] || '').trim(),
+            paid: SUCCESS_RESULTS.includes((r[statusCol] || '').trim().toLowerCase()),
+            transaction_ref: txCol !== -1 ? (r[txCol] || '').trim() || null : null
+        }))
+    };
+}
+
+/**
+ * Apply confirmation results to a batch.
+ * Successful lines move their entries to paid; failed lines are released
+ * from the batch so they can be exported again. A line's first result is final.
+ * @param {object} batch - payment_batches row
+ * @param {object[]} results - from parseConfirmation
+ * @param {object} actor - who imported the file (see payrollWorkflow.actorFromUser)
+ * @returns {Promise<{ batch: object, paidKeys: string[], unmatched: string[] }>}
+ */
+async function confirmPaymentBatch(batch, results, actor) {
+    const linesByRef = Object.fromEntries(batch.lines.map(l => [l.line_ref, l]));
+    const unmatched = [];
+    const now = new Date().toISOString();
+    const changed = [];
+
+    results.forEach(r => {
+        const line = linesByRef[r.line_ref];
+        if (!line) {
+            unmatched.push(r.line_ref);
+            return;
+        }
+        if (line.result) return;
+
+        line.result = r.paid ? 'paid' : 'failed';
+        line.transaction_ref = r.transaction_ref;
+        changed.push(line);
+    });
+
+    const paidKeys = [];
+    const history = [];
+    for (const line of changed) {
+        if (line.result === 'paid') {
+            const { data: paid, error } = await supabaseAdmin
+                .from('payroll_entries')
+                .update({ status: 'paid', paid_at: now, payment_reference: line.transaction_ref || line.line_ref, updated_at: now })
+                .eq('clinic_id', batch.clinic_id)
+                .eq('payment_batch_id', batch.id)
+                .eq('status', 'approved')
+                .in('payroll_key', line.payroll_keys)
+                .select('id, payroll_key');
+
+            if (error) throw error;
+            (paid || []).forEach(entry => {
+                paidKeys.push(entry.payroll_key);
+                history.push({ entry, from: 'approved', to: 'paid', action: 'pay' });
+            });
+        } else {
+            const { error } = await supabaseAdmin
+                .from('payroll_entries')
+                .update({ payment_batch_id: null, updated_at: now })
+                .eq('clinic_id', batch.clinic_id)
+                .eq('payment_batch_id', batch.id)
+                .in('payroll_key', line.payroll_keys);
+
+            if (error) throw error;
+        }
+    }
+
+    await recordStatusHistory(batch.clinic_id, history, actor, `Confirmed by payment batch ${batch.reference}`);
+
+    const allPaid = batch.lines.every(l => l.result === 'paid');
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from('payment_batches')
+        .update({
+            lines: batch.lines,
+            status: allPaid ? 'confirmed' : 'partially_confirmed',
+            confirmed_at: now,
+            updated_at: now
+        })
+        .eq('id', batch.id)
+        .select()
+        .single();
+
+    if (updateError) throw updateError;
+
+    return { batch: updated, paidKeys, unmatched };
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    normaliseMpesaPhone,
+    payeeAccount,
+    buildPaymentFile,
+    createPaymentBatch,
+    parseConfirmation,
+    confirmPaymentBatch
+};
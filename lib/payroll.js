@@ -0,0 +1,484 @@
+/**
+ * HURE Core - Payroll Engine
+ * Builds payroll_entries for a period from attendances, compensation profiles and clinic_settings
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const {
+    addDays,
+    sumItems,
+    getCompensationHistory,
+    resolveCompensation,
+    legacyCompensation
+} = require('./compensation');
+const { getRateTable, applyStatutoryDeductions, totalsByStaff, STATUTORY_FIELDS } = require('./statutory');
+const { getHolidays } = require('./holidays');
+const {
+    createPremiumContext,
+    priceAttendance,
+    pricePremiums,
+    mergePremiums,
+    weekStart
+} = require('./premiums');
+
+// Defaults mirror migration 011 (clinic_settings)
+const DEFAULT_SETTINGS = {
+    required_daily_hours: 8,
+    unpaid_break_minutes: 30,
+    overtime_multiplier: 1.5,
+    premium_rules: []
+};
+
+// Working days used to turn a monthly salary into an hourly equivalent for overtime
+const WORKING_DAYS_PER_MONTH = 22;
+
+// Entries past this point belong to the approval workflow and are never recalculated
+const RECALCULABLE_STATUSES = ['draft'];
+
+// Entries in these statuses are immutable (enforced by the trigger in migration 024)
+const LOCKED_STATUSES = ['approved', 'paid'];
+
+// Columns refreshed on draft adjustment entries when their period is recalculated
+const DEDUCTION_COLUMNS = ['statutory_table_id', 'taxable_pay_kes', 'paye_kes', 'shif_kes', 'nssf_kes', 'housing_levy_kes', 'net_kes', 'deductions'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Build the payroll_key used for deduplication (see migration 015)
+ */
+function dailyKey(staffId, date, locationId) {
+    return `d_${staffId}_${date}_${locationId || 'none'}`;
+}
+
+// Full calendar months keep one salary entry per month; weekly and other
+// partial periods get one per period so they do not overwrite each other
+function monthlyKey(staffId, period) {
+    const month = monthOf(period.from);
+    if (period.from === month.from && period.to === month.to) {
+        return `m_${staffId}_${period.from.slice(0, 7)}`;
+    }
+    return `m_${staffId}_${period.from}_${period.to}`;
+}
+
+function adjustmentKey(staffId, periodStart) {
+    return `adj_${staffId}_${periodStart.slice(0, 7)}_${Date.now().toString(36)}`;
+}
+
+/**
+ * Calendar month containing a date, as { from, to }
+ */
+function monthOf(isoDate) {
+    const [y, m] = isoDate.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const mm = String(m).padStart(2, '0');
+    return { from: `${y}-${mm}-01`, to: `${y}-${mm}-${last}` };
+}
+
+/**
+ * Human label for a period, e.g. 'Dec 2025'
+ */
+function periodLabel(periodStart) {
+    const [y, m] = periodStart.split('-').map(Number);
+    return `${MONTHS[m - 1]} ${y}`;
+}
+
+/**
+ * Load clinic_settings with defaults applied
+ */
+async function getPayrollSettings(clinicId) {
+    const { data } = await supabaseAdmin
+        .from('clinic_settings')
+        .select('required_daily_hours, unpaid_break_minutes, overtime_multiplier, premium_rules')
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+    return {
+        required_daily_hours: parseFloat(data?.required_daily_hours) || DEFAULT_SETTINGS.required_daily_hours,
+        unpaid_break_minutes: data?.unpaid_break_minutes ?? DEFAULT_SETTINGS.unpaid_break_minutes,
+        overtime_multiplier: parseFloat(data?.overtime_multiplier) || DEFAULT_SETTINGS.overtime_multiplier,
+        premium_rules: Array.isArray(data?.premium_rules) ? data.premium_rules : DEFAULT_SETTINGS.premium_rules
+    };
+}
+
+/**
+ * Units for a daily-paid attendance day (1 = full day, 0.5 = half day)
+ */
+function dayUnits(attendance, hours, settings) {
+    if (attendance.status === 'half_day') return 0.5;
+    return hours.regular >= settings.required_daily_hours / 2 ? 1 : 0.5;
+}
+
+/**
+ * Every calendar date in a period, inclusive
+ */
+function periodDates(period) {
+    const dates = [];
+    for (let d = period.from; d <= period.to; d = addDays(d, 1)) {
+        dates.push(d);
+    }
+    return dates;
+}
+
+function workSummary(days, hours, overtime) {
+    const parts = [`${days} day${days === 1 ? '' : 's'}`, `${round2(hours)} h`];
+    if (overtime > 0) parts.push(`${round2(overtime)} h OT`);
+    return parts.join(' • ');
+}
+
+/**
+ * Calculate one entry per worked day paid on a DAILY or HOURLY profile
+ */
+function buildDailyEntries(member, days, settings, period) {
+    return days.map(({ attendance: a, comp, worked }) => {
+        const hours = { payable: round2(worked.payable), regular: round2(worked.regular), overtime: round2(worked.overtime) };
+        const isHourly = comp.pay_basis === 'HOURLY';
+        const hourlyRate = isHourly ? comp.rate_kes : comp.rate_kes / settings.required_daily_hours;
+        const units = isHourly ? hours.regular : dayUnits(a, hours, settings);
+        const priced = pricePremiums(worked.buckets, hourlyRate);
+        const overtimePay = Math.round(priced.overtimePay);
+        const premiumPay = Math.round(priced.premiumPay);
+        const allowances = sumItems(comp.allowances);
+        const locationId = a.location_id || member.location_id || null;
+
+        return {
+            payroll_key: dailyKey(member.id, a.date, locationId),
+            pay_type: isHourly ? 'HOURLY' : 'DAILY',
+            staff_id: member.id,
+            location_id: locationId,
+            compensation_id: comp.id,
+            period_label: periodLabel(period.from),
+            period_start: period.from,
+            period_end: period.to,
+            date: a.date,
+            units,
+            rate_kes: comp.rate_kes,
+            regular_hours: hours.regular,
+            overtime_hours: hours.overtime,
+            overtime_pay_kes: overtimePay,
+            premium_pay_kes: premiumPay,
+            premiums: mergePremiums([priced.premiums]),
+            allowances_kes: allowances,
+            other_deductions_kes: sumItems(comp.deductions),
+            amount_kes: Math.round(units * comp.rate_kes) + overtimePay + premiumPay + allowances,
+            hours_audit: hours.payable,
+            work_summary: workSummary(1, hours.payable, hours.overtime)
+        };
+    });
+}
+
+/**
+ * Calculate the single period entry for one salaried staff member.
+ * Salary and recurring items are prorated by calendar day across the
+ * MONTHLY profiles in effect during the period, each day being worth
+ * 1/days-in-its-month, so weekly and partial periods pay their share.
+ */
+function buildMonthlyEntry(member, days, compFor, settings, period) {
+    const calendar = periodDates(period);
+
+    let salary = 0;
+    let allowances = 0;
+    let deductions = 0;
+    let latest = null;
+
+    calendar.forEach(date => {
+        const comp = compFor(date);
+        if (!comp || comp.pay_basis !== 'MONTHLY') return;
+        const share = 1 / Number(monthOf(date).to.slice(8));
+        salary += comp.rate_kes * share;
+        allowances += sumItems(comp.allowances) * share;
+        deductions += sumItems(comp.deductions) * share;
+        latest = comp;
+    });
+
+    if (!latest) return null;
+
+    // Overtime and premiums use the hourly equivalent of the salary in effect on each worked day
+    const totals = days.reduce((acc, { comp, worked }) => {
+        const hourlyRate = comp.rate_kes / (WORKING_DAYS_PER_MONTH * settings.required_daily_hours);
+        const priced = pricePremiums(worked.buckets, hourlyRate);
+        acc.payable += worked.payable;
+        acc.regular += worked.regular;
+        acc.overtime += worked.overtime;
+        acc.overtimePay += priced.overtimePay;
+        acc.premiumPay += priced.premiumPay;
+        acc.premiums.push(priced.premiums);
+        return acc;
+    }, { payable: 0, regular: 0, overtime: 0, overtimePay: 0, premiumPay: 0, premiums: [] });
+
+    const overtimePay = Math.round(totals.overtimePay);
+    const premiumPay = Math.round(totals.premiumPay);
+    const salaryDue = Math.round(salary);
+    const allowancesDue = Math.round(allowances);
+
+    return {
+        payroll_key: monthlyKey(member.id, period),
+        pay_type: 'MONTHLY',
+        staff_id: member.id,
+        location_id: member.location_id || null,
+        compensation_id: latest.id,
+        period_label: periodLabel(period.from),
+        period_start: period.from,
+        period_end: period.to,
+        date: null,
+        units: 1,
+        rate_kes: latest.rate_kes,
+        regular_hours: round2(totals.regular),
+        overtime_hours: round2(totals.overtime),
+        overtime_pay_kes: overtimePay,
+        premium_pay_kes: premiumPay,
+        premiums: mergePremiums(totals.premiums),
+        allowances_kes: allowancesDue,
+        other_deductions_kes: Math.round(deductions),
+        amount_kes: salaryDue + overtimePay + premiumPay + allowancesDue,
+        hours_audit: round2(totals.payable),
+        work_summary: workSummary(days.length, totals.payable, totals.overtime)
+    };
+}
+
+/**
+ * Calculate payroll entries for a clinic and period without saving them
+ * @param {string} clinicId
+ * @param {object} period - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', locationId }
+ * @returns {Promise<{ entries: object[], skipped: string[] }>} payroll_entries rows with
+ *   deductions and net pay (without clinic_id/status). Existing draft adjustments for the
+ *   period are included with entry_kind 'adjustment'. Entries already past draft are left
+ *   out and their payroll_keys returned as skipped.
+ */
+async function calculatePayroll(clinicId, period) {
+    const settings = await getPayrollSettings(clinicId);
+
+    let staffQuery = supabaseAdmin
+        .from('staff')
+        .select('id, first_name, last_name, location_id, pay_basis, monthly_salary_kes, daily_rate_kes, employment_status')
+        .eq('clinic_id', clinicId);
+
+    if (period.locationId) {
+        staffQuery = staffQuery.eq('location_id', period.locationId);
+    }
+
+    const { data: staff, error: staffError } = await staffQuery;
+    if (staffError) throw staffError;
+
+    // Start on the Monday of the first week so weekly-hours rules see the whole week
+    const leadIn = weekStart(period.from);
+
+    const { data: attendances, error: attError } = await supabaseAdmin
+        .from('attendances')
+        .select('staff_id, date, clock_in, clock_out, hours_worked, break_minutes_deducted, status, location_id, segments:attendance_segments(clock_in, clock_out)')
+        .eq('clinic_id', clinicId)
+        .gte('date', leadIn)
+        .lte('date', period.to)
+        .not('hours_worked', 'is', null)
+        .neq('status', 'absent')
+        .order('date', { ascending: true });
+
+    if (attError) throw attError;
+
+    const history = await getCompensationHistory(clinicId, (staff || []).map(s => s.id));
+    const holidays = await getHolidays(clinicId, leadIn, period.to);
+
+    const { data: locations } = await supabaseAdmin
+        .from('clinic_locations')
+        .select('id, timezone')
+        .eq('clinic_id', clinicId);
+
+    const timeZones = Object.fromEntries((locations || []).map(l => [l.id, l.timezone]));
+
+    const byStaff = {};
+    (attendances || []).forEach(a => {
+        (byStaff[a.staff_id] = byStaff[a.staff_id] || []).push(a);
+    });
+
+    const entries = [];
+    (staff || []).forEach(member => {
+        const profiles = history[member.id] || [];
+
+        // Staff without any profile yet are paid from the rates on their staff record
+        const compFor = profiles.length > 0
+            ? (date) => resolveCompensation(profiles, date)
+            : () => legacyCompensation(member);
+
+        const daily = [];
+        const monthly = [];
+        const premiumContext = createPremiumContext(settings, holidays);
+        (byStaff[member.id] || []).forEach(attendance => {
+            const worked = priceAttendance(premiumContext, attendance, timeZones[attendance.location_id || member.location_id]);
+            if (attendance.date < period.from) return; // lead-in days only count towards weekly hours
+
+            const comp = compFor(attendance.date);
+            if (!comp) return; // worked before the first profile took effect
+            (comp.pay_basis === 'MONTHLY' ? monthly : daily).push({ attendance, comp, worked });
+        });
+
+        entries.push(...buildDailyEntries(member, daily, settings, period));
+
+        const monthlyEntry = buildMonthlyEntry(member, monthly, compFor, settings, period);
+        if (monthlyEntry && ((member.employment_status === 'active' && monthlyEntry.rate_kes > 0) || monthly.length > 0)) {
+            entries.push(monthlyEntry);
+        }
+    });
+
+    // Draft adjustments rolled into this period count towards each staff member's gross
+    const staffIds = (staff || []).map(s => s.id);
+    const { data: adjustments, error: adjError } = staffIds.length > 0
+        ? await supabaseAdmin
+            .from('payroll_entries')
+            .select('id, payroll_key, entry_kind, staff_id, amount_kes, other_deductions_kes')
+            .eq('clinic_id', clinicId)
+            .eq('entry_kind', 'adjustment')
+            .eq('status', 'draft')
+            .gte('period_start', period.from)
+            .lte('period_end', period.to)
+            .in('staff_id', staffIds)
+        : { data: [] };
+
+    if (adjError) throw adjError;
+
+    entries.push(...(adjustments || []));
+
+    if (entries.length === 0) {
+        return { entries, skipped: [] };
+    }
+
+    // Statutory bands are monthly: everything the staff member earns in the
+    // month the period ends in is taxed together, whichever run it came from
+    const taxMonth = monthOf(period.to);
+    const adjustmentIds = new Set((adjustments || []).map(a => a.id));
+
+    const { data: monthEntries, error: monthError } = await supabaseAdmin
+        .from('payroll_entries')
+        .select(['id', 'payroll_key', 'status', 'staff_id', 'amount_kes', ...STATUTORY_FIELDS].join(', '))
+        .eq('clinic_id', clinicId)
+        .gte('period_end', taxMonth.from)
+        .lte('period_end', taxMonth.to)
+        .in('staff_id', staffIds);
+
+    if (monthError) throw monthError;
+
+    const locked = new Set((monthEntries || [])
+        .filter(e => !RECALCULABLE_STATUSES.includes(e.status))
+        .map(e => e.payroll_key));
+    const calculating = entries.filter(e => !locked.has(e.payroll_key));
+    const calculatingKeys = new Set(calculating.map(e => e.payroll_key));
+
+    // Entries from other runs, and locked entries this run would have produced,
+    // keep their saved amounts and deductions
+    const prior = totalsByStaff((monthEntries || []).filter(e =>
+        locked.has(e.payroll_key) || (!calculatingKeys.has(e.payroll_key) && !adjustmentIds.has(e.id))
+    ));
+
+    // Statutory deductions use the rate table in effect at the end of the period
+    const rateTable = await getRateTable(period.to);
+    return {
+        entries: applyStatutoryDeductions(calculating, rateTable, prior),
+        skipped: entries.filter(e => locked.has(e.payroll_key)).map(e => e.payroll_key)
+    };
+}
+
+/**
+ * Calculate and save payroll entries for a period.
+ * Re-running is idempotent on payroll_key; entries already past draft are left untouched.
+ * @returns {Promise<{ saved: object[], skipped: string[] }>}
+ */
+async function recalculatePayroll(clinicId, period) {
+    const { entries: calculated, skipped } = await calculatePayroll(clinicId, period);
+    const adjustments = calculated.filter(e => e.entry_kind === 'adjustment');
+    const entries = calculated.filter(e => e.entry_kind !== 'adjustment');
+
+    const now = new Date().toISOString();
+
+    // Adjustments keep their amount; only their share of deductions changes
+    const savedAdjustments = [];
+    for (const adj of adjustments) {
+        const updates = Object.fromEntries(DEDUCTION_COLUMNS.map(c => [c, adj[c]]));
+        const { data, error } = await supabaseAdmin
+            .from('payroll_entries')
+            .update({ ...updates, updated_at: now })
+            .eq('id', adj.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        savedAdjustments.push(data);
+    }
+
+    if (entries.length === 0) {
+        return { saved: savedAdjustments, skipped };
+    }
+
+    const rows = entries
+        .map(e => ({
+            ...e,
+            clinic_id: clinicId,
+            status: 'draft',
+            calculated_at: now,
+            updated_at: now
+        }));
+
+    let saved = [];
+    if (rows.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from('payroll_entries')
+            .upsert(rows, { onConflict: 'clinic_id,payroll_key' })
+            .select();
+
+        if (error) throw error;
+        saved = data || [];
+    }
+
+    return { saved: [...saved, ...savedAdjustments], skipped };
+}
+
+/**
+ * Record a correction to a locked entry as a new draft adjustment entry.
+ * The adjustment lands in the month after the original's period, or the
+ * current month if that has already passed, and is paid with that run.
+ * @param {object} original - the approved/paid payroll_entries row
+ * @param {object} adjustment - { amountKes (signed), reason, actor }
+ * @returns {Promise<object>} the new payroll_entries row
+ */
+async function createAdjustment(original, { amountKes, reason, actor }) {
+    const originalEnd = original.period_end || original.date || new Date().toISOString().slice(0, 10);
+    const following = monthOf(addDays(monthOf(originalEnd).to, 1));
+    const current = monthOf(new Date().toISOString().slice(0, 10));
+    const period = following.from >= current.from ? following : current;
+
+    const { data, error } = await supabaseAdmin
+        .from('payroll_entries')
+        .insert({
+            clinic_id: original.clinic_id,
+            payroll_key: adjustmentKey(original.staff_id, period.from),
+            entry_kind: 'adjustment',
+            adjusts_entry_id: original.id,
+            adjustment_reason: reason,
+            created_by: actor,
+            pay_type: original.pay_type,
+            staff_id: original.staff_id,
+            location_id: original.location_id,
+            period_label: periodLabel(period.from),
+            period_start: period.from,
+            period_end: period.to,
+            units: 0,
+            rate_kes: 0,
+            amount_kes: amountKes,
+            other_deductions_kes: 0,
+            work_summary: `Adjustment to ${original.period_label || original.date}: ${reason}`,
+            status: 'draft'
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    LOCKED_STATUSES,
+    calculatePayroll,
+    recalculatePayroll,
+    createAdjustment,
+    getPayrollSettings,
+    periodLabel
+};
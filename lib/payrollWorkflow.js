@@ -0,0 +1,201 @@
+/**
+ * HURE Core - Payroll Approval Workflow
+ * draft -> submitted -> approved -> paid, with submitted -> draft to send an entry back.
+ * Every transition is tied to the signed-in actor and written to payroll_status_history.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+// Action performed by moving an entry into each status, and where it may come from
+const TRANSITIONS = {
+    submitted: { action: 'submit', from: ['draft'] },
+    approved: { action: 'approve', from: ['submitted'] },
+    draft: { action: 'return', from: ['submitted'] },
+    paid: { action: 'pay', from: ['approved'] }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Describe the authenticated user (req.user from requireEmployer) as a workflow actor
+ */
+function actorFromUser(user) {
+    return {
+        key: user.staffId ? `staff:${user.staffId}` : `user:${user.id}`,
+        userId: !user.staffId && UUID_PATTERN.test(user.id || '') ? user.id : null,
+        staffId: user.staffId || null,
+        name: user.name,
+        role: user.role
+    };
+}
+
+/**
+ * Number of signers a clinic needs to approve an entry (1 or 2)
+ */
+async function getApprovalsRequired(clinicId) {
+    const { data } = await supabaseAdmin
+        .from('clinic_settings')
+        .select('payroll_approvals_required')
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+    return data?.payroll_approvals_required === 2 ? 2 : 1;
+}
+
+/**
+ * Write history rows for entries that changed status
+ * @param {object[]} changes - [{ entry, from, to, action }]
+ */
+async function recordStatusHistory(clinicId, changes, actor, note = null) {
+    if (changes.length === 0) return;
+
+    const { error } = await supabaseAdmin
+        .from('payroll_status_history')
+        .insert(changes.map(({ entry, from, to, action }) => ({
+            clinic_id: clinicId,
+            payroll_entry_id: entry.id,
+            payroll_key: entry.payroll_key,
+            from_status: from,
+            to_status: to,
+            action,
+            actor: actor.key,
+            actor_user_id: actor.userId,
+            actor_staff_id: actor.staffId,
+            actor_name: actor.name,
+            actor_role: actor.role,
+            note
+        })));
+
+    if (error) {
+        console.error('Payroll history error:', error);
+    }
+}
+
+/**
+ * Work out the update for one entry, or why it is not allowed
+ * @returns {{ updates?: object, action?: string, error?: string }}
+ */
+function planTransition(entry, toStatus, actor, approvalsRequired) {
+    const transition = TRANSITIONS[toStatus];
+    const now = new Date().toISOString();
+
+    if (!transition.from.includes(entry.status)) {
+        return { error: `Cannot move a ${entry.status} entry to ${toStatus}` };
+    }
+
+    switch (transition.action) {
+        case 'submit':
+            return {
+                action: 'submit',
+                updates: { status: 'submitted', submitted_by: actor.key, submitted_by_name: actor.name, submitted_at: now, approvals: [] }
+            };
+
+        case 'return':
+            return {
+                action: 'return',
+                updates: { status: 'draft', submitted_by: null, submitted_by_name: null, submitted_at: null, approvals: [] }
+            };
+
+        case 'approve': {
+            // Segregation of duties: the submitter never signs off their own run
+            if (entry.submitted_by === actor.key) {
+                return { error: 'The person who submitted an entry cannot approve it' };
+            }
+
+            const approvals = entry.approvals || [];
+            if (approvals.some(a => a.actor === actor.key)) {
+                return { error: 'You have already approved this entry' };
+            }
+
+            const signed = [...approvals, { actor: actor.key, name: actor.name, at: now }];
+            if (signed.length < approvalsRequired) {
+                return { action: 'approval', updates: { approvals: signed } };
+            }
+
+            return {
+                action: 'approve',
+                updates: { status: 'approved', approvals: signed, approved_at: now, approved_by: actor.userId }
+            };
+        }
+
+        case 'pay':
+            // Exported entries are paid when the bank or M-Pesa confirmation is imported
+            if (entry.payment_batch_id) {
+                return { error: 'Entry is in a payment batch; it is marked paid when the batch is confirmed' };
+            }
+            return { action: 'pay', updates: { status: 'paid', paid_at: now } };
+    }
+}
+
+/**
+ * Move entries to a new status on behalf of an actor
+ * @param {string} clinicId
+ * @param {string[]} payrollKeys
+ * @param {string} toStatus - submitted | approved | draft | paid
+ * @param {object} actor - from actorFromUser
+ * @param {string} note - optional comment (e.g. why an entry was sent back)
+ * @returns {Promise<{ updated: object[], rejected: { payroll_key: string, error: string }[] }>}
+ */
+async function transitionEntries(clinicId, payrollKeys, toStatus, actor, note = null) {
+    const { data: entries, error } = await supabaseAdmin
+        .from('payroll_entries')
+        .select('id, payroll_key, status, submitted_by, approvals, payment_batch_id, updated_at')
+        .eq('clinic_id', clinicId)
+        .in('payroll_key', payrollKeys);
+
+    if (error) throw error;
+
+    const approvalsRequired = toStatus === 'approved' ? await getApprovalsRequired(clinicId) : 1;
+    const found = new Set((entries || []).map(e => e.payroll_key));
+
+    const updated = [];
+    const changes = [];
+    const rejected = payrollKeys
+        .filter(key => !found.has(key))
+        .map(key => ({ payroll_key: key, error: 'Payroll entry not found' }));
+
+    for (const entry of entries || []) {
+        const plan = planTransition(entry, toStatus, actor, approvalsRequired);
+        if (plan.error) {
+            rejected.push({ payroll_key: entry.payroll_key, error: plan.error });
+            continue;
+        }
+
+        // Only apply if nobody touched the entry in the meantime. Status alone
+        // is not enough: two signers approving together both see it submitted,
+        // so the row's updated_at acts as its version.
+        let update = supabaseAdmin
+            .from('payroll_entries')
+            .update({ ...plan.updates, updated_at: new Date().toISOString() })
+            .eq('id', entry.id)
+            .eq('status', entry.status);
+
+        update = entry.updated_at ? update.eq('updated_at', entry.updated_at) : update.is('updated_at', null);
+
+        const { data, error: updateError } = await update
+            .select()
+            .maybeSingle();
+
+        if (updateError) throw updateError;
+
+        if (!data) {
+            rejected.push({ payroll_key: entry.payroll_key, error: 'Entry changed while updating; reload and try again' });
+            continue;
+        }
+
+        updated.push(data);
+        changes.push({ entry, from: entry.status, to: data.status, action: plan.action });
+    }
+
+    await recordStatusHistory(clinicId, changes, actor, note);
+
+    return { updated, rejected };
+}
+
+module.exports = {
+    TRANSITIONS,
+    actorFromUser,
+    getApprovalsRequired,
+    recordStatusHistory,
+    transitionEntries
+};
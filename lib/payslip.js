@@ -0,0 +1,211 @@
+/**
+ * HURE Core - Payslips
+ * Issues one payslip per staff member per period from paid payroll_entries
+ * and renders it as a PDF stored in the clinic-documents bucket
+ */
+
+const PDFDocument = require('pdfkit');
+const { supabaseAdmin } = require('./supabase');
+
+const STORAGE_BUCKET = 'clinic-documents';
+
+const kes = (n) => `KES ${Math.round(Number(n) || 0).toLocaleString('en-KE')}`;
+const sum = (rows, field) => rows.reduce((acc, r) => acc + (Number(r[field]) || 0), 0);
+
+/**
+ * Create or refresh payslips for the staff/periods touched by newly paid entries
+ * @param {string} clinicId
+ * @param {string[]} payrollKeys - entries that just moved to paid
+ * @returns {Promise<object[]>} upserted payslips
+ */
+async function issuePayslips(clinicId, payrollKeys) {
+    if (!payrollKeys.length) return [];
+
+    const { data: paid, error } = await supabaseAdmin
+        .from('payroll_entries')
+        .select('staff_id, period_label')
+        .eq('clinic_id', clinicId)
+        .eq('status', 'paid')
+        .in('payroll_key', payrollKeys);
+
+    if (error) throw error;
+
+    const groups = new Map();
+    (paid || []).forEach(e => groups.set(`${e.staff_id}|${e.period_label}`, e));
+
+    const issued = [];
+    for (const { staff_id: staffId, period_label: periodLabel } of groups.values()) {
+        // A slip covers every paid entry for the staff member in that period
+        const { data: entries, error: entriesError } = await supabaseAdmin
+            .from('payroll_entries')
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('staff_id', staffId)
+            .eq('period_label', periodLabel)
+            .eq('status', 'paid');
+
+        if (entriesError) throw entriesError;
+
+        const starts = entries.map(e => e.period_start || e.date).filter(Boolean).sort();
+        const ends = entries.map(e => e.period_end || e.date).filter(Boolean).sort();
+        const gross = sum(entries, 'amount_kes');
+        const statutory = sum(entries, 'paye_kes') + sum(entries, 'shif_kes')
+            + sum(entries, 'nssf_kes') + sum(entries, 'housing_levy_kes');
+
+        const { data: payslip, error: upsertError } = await supabaseAdmin
+            .from('payslips')
+            .upsert({
+                clinic_id: clinicId,
+                staff_id: staffId,
+                period_label: periodLabel,
+                period_start: starts[0] || null,
+                period_end: ends[ends.length - 1] || null,
+                gross_kes: gross,
+                paye_kes: sum(entries, 'paye_kes'),
+                shif_kes: sum(entries, 'shif_kes'),
+                nssf_kes: sum(entries, 'nssf_kes'),
+                housing_levy_kes: sum(entries, 'housing_levy_kes'),
+                other_deductions_kes: sum(entries, 'other_deductions_kes'),
+                // Entries saved before migration 021 have no net figure
+                net_kes: entries.every(e => e.net_kes !== null && e.net_kes !== undefined)
+                    ? sum(entries, 'net_kes')
+                    : gross - statutory - sum(entries, 'other_deductions_kes'),
+                hours_worked: Math.round(sum(entries, 'hours_audit') * 100) / 100,
+                overtime_hours: Math.round(sum(entries, 'overtime_hours') * 100) / 100,
+                payroll_keys: entries.map(e => e.payroll_key),
+                // Force a fresh PDF on next download
+                file_path: null,
+                generated_at: null,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'staff_id,period_label' })
+            .select()
+            .single();
+
+        if (upsertError) throw upsertError;
+        issued.push(payslip);
+    }
+
+    return issued;
+}
+
+/**
+ * Render a payslip PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderPayslipPdf({ payslip, clinic, staff, entries }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const row = (label, value, options = {}) => {
+            const y = doc.y;
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+            doc.text(label, 50, y, { width: 330 });
+            doc.text(value, 380, y, { width: 165, align: 'right' });
+            doc.moveDown(0.4);
+        };
+
+        const section = (title) => {
+            doc.moveDown(0.8);
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f766e').text(title, 50);
+            doc.fillColor('black');
+            doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).strokeColor('#cbd5e1').stroke();
+            doc.moveDown(0.5);
+        };
+
+        // Header
+        doc.font('Helvetica-Bold').fontSize(18).text(clinic?.name || 'Clinic', 50, 50);
+        doc.font('Helvetica').fontSize(10).fillColor('#475569')
+            .text([clinic?.town, clinic?.country].filter(Boolean).join(', '));
+        doc.fillColor('black').moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).text(`Payslip — ${payslip.period_label}`);
+        doc.moveDown(0.5);
+
+        row('Employee', `${staff.first_name} ${staff.last_name}`);
+        row('Job role', staff.job_role || '—');
+        if (payslip.period_start && payslip.period_end) {
+            row('Period', `${payslip.period_start} to ${payslip.period_end}`);
+        }
+
+        // Earnings
+        section('Earnings');
+        entries.forEach(e => {
+            const label = [e.date || e.pay_type, e.work_summary].filter(Boolean).join(' — ');
+            row(label, kes(e.amount_kes));
+        });
+        row('Overtime pay (included above)', kes(sum(entries, 'overtime_pay_kes')));
+        row('Premium pay (included above)', kes(sum(entries, 'premium_pay_kes')));
+        row('Allowances (included above)', kes(sum(entries, 'allowances_kes')));
+        row('Gross pay', kes(payslip.gross_kes), { bold: true });
+
+        // Hours
+        section('Hours');
+        row('Hours worked', `${Number(payslip.hours_worked || 0).toFixed(2)} h`);
+        row('Overtime hours', `${Number(payslip.overtime_hours || 0).toFixed(2)} h`);
+
+        // Deductions
+        section('Deductions');
+        row('PAYE', kes(payslip.paye_kes));
+        row('SHIF', kes(payslip.shif_kes));
+        row('NSSF', kes(payslip.nssf_kes));
+        row('Affordable Housing Levy', kes(payslip.housing_levy_kes));
+        row('Other deductions', kes(payslip.other_deductions_kes));
+        row('Total deductions', kes(payslip.gross_kes - payslip.net_kes), { bold: true });
+
+        section('Net Pay');
+        row('Net pay', kes(payslip.net_kes), { bold: true });
+
+        doc.moveDown(2);
+        doc.font('Helvetica').fontSize(8).fillColor('#64748b')
+            .text(`Generated by HURE Core on ${new Date().toISOString().slice(0, 10)}`, 50);
+
+        doc.end();
+    });
+}
+
+/**
+ * Return the storage path of a payslip's PDF, rendering and uploading it if needed
+ */
+async function ensurePayslipFile(payslip) {
+    if (payslip.file_path) return payslip.file_path;
+
+    const [{ data: clinic }, { data: staff }, { data: entries, error: entriesError }] = await Promise.all([
+        supabaseAdmin.from('clinics').select('name, town, country').eq('id', payslip.clinic_id).single(),
+        supabaseAdmin.from('staff').select('first_name, last_name, job_role').eq('id', payslip.staff_id).single(),
+        supabaseAdmin
+            .from('payroll_entries')
+            .select('*')
+            .eq('clinic_id', payslip.clinic_id)
+            .in('payroll_key', payslip.payroll_keys || [])
+            .order('date', { ascending: true })
+    ]);
+
+    if (entriesError) throw entriesError;
+
+    const buffer = await renderPayslipPdf({ payslip, clinic, staff, entries: entries || [] });
+    const slug = payslip.period_label.replace(/\s+/g, '-').toLowerCase();
+    const filePath = `${payslip.clinic_id}/payslips/${payslip.staff_id}/${slug}.pdf`;
+
+    const { error: uploadError } = await supabaseAdmin.storage
+        .from(STORAGE_BUCKET)
+        .upload(filePath, buffer, { contentType: 'application/pdf', upsert: true });
+
+    if (uploadError) throw uploadError;
+
+    await supabaseAdmin
+        .from('payslips')
+        .update({ file_path: filePath, generated_at: new Date().toISOString() })
+        .eq('id', payslip.id);
+
+    return filePath;
+}
+
+module.exports = {
+    STORAGE_BUCKET,
+    issuePayslips,
+    renderPayslipPdf,
+    ensurePayslipFile
+};
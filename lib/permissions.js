@@ -0,0 +1,303 @@
+/**
+ * HURE Core - Role Permissions
+ * Named permissions for employer portal endpoints, checked against the
+ * clinic's role_permissions matrix (migration 007) for the caller's account
+ * role. Default roles are seeded per clinic on first use (migration 039).
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { getPlanDetails } = require('./plans');
+
+// Every permission an employer portal endpoint can require
+const PERMISSIONS = {
+    'staff.view': 'View staff',
+    'staff.create': 'Add staff',
+    'staff.update': 'Edit staff details and roles',
+    'staff.delete': 'Remove staff',
+    'staff.invite': 'Send and revoke invites',
+    'staff.compensation': 'View and change pay',
+    'staff.verify': 'Review staff KYC',
+    'staff.sessions': 'View and end staff sign-ins',
+    'schedule.view': 'View the schedule',
+    'schedule.manage': 'Create, edit and assign shifts',
+    'attendance.view': 'View attendance',
+    'attendance.clock': 'Clock staff in and out',
+    'attendance.review': 'Review corrections and flagged days',
+    'attendance.export': 'Export attendance',
+    'leave.view': 'View leave',
+    'leave.request': 'Record leave for staff',
+    'leave.review': 'Approve and reject leave',
+    'leave.balances': 'Adjust leave balances',
+    'payroll.view': 'View payroll',
+    'payroll.manage': 'Calculate payroll, adjustments and payment files',
+    'payroll.approve': 'Review and approve payroll',
+    'payroll.pay': 'Mark payroll paid',
+    'locations.view': 'View locations',
+    'locations.manage': 'Manage locations, geofences and kiosks',
+    'settings.view': 'View clinic settings and holidays',
+    'settings.manage': 'Change clinic settings and holidays',
+    'verification.manage': 'Submit organisation and facility verification',
+    'docs.view': 'View documents',
+    'docs.manage': 'Upload and delete documents',
+    'audit.view': 'View the audit log',
+    'audit.record': 'Record portal actions in the audit log',
+    'billing.view': 'View billing',
+    'roles.manage': 'Manage roles and permissions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Seeded for every clinic. The owner role always has every permission.
+const DEFAULT_ROLES = {
+    owner: {
+        description: 'Full access to all features',
+        permissions: ALL_PERMISSIONS
+    },
+    admin: {
+        description: 'Runs staff, schedules and attendance',
+        permissions: [
+            'staff.view', 'staff.create', 'staff.update', 'staff.invite', 'staff.verify',
+            'schedule.view', 'schedule.manage',
+            'attendance.view', 'attendance.clock', 'attendance.review', 'attendance.export',
+            'leave.view', 'leave.request', 'leave.review',
+            'payroll.view', 'payroll.manage',
+            'locations.view', 'locations.manage',
+            'settings.view',
+            'docs.view', 'docs.manage',
+            'audit.view', 'audit.record'
+        ]
+    },
+    hr: {
+        description: 'Manages leave, pay and documents',
+        permissions: [
+            'staff.view', 'staff.create', 'staff.update', 'staff.invite', 'staff.compensation', 'staff.verify',
+            'schedule.view',
+            'attendance.view', 'attendance.review', 'attendance.export',
+            'leave.view', 'leave.request', 'leave.review', 'leave.balances',
+            'payroll.view', 'payroll.manage', 'payroll.approve',
+            'locations.view',
+            'settings.view',
+            'docs.view', 'docs.manage',
+            'audit.view', 'audit.record'
+        ]
+    },
+    employee: {
+        description: 'Employee portal only',
+        permissions: ['schedule.view', 'attendance.view', 'leave.view', 'locations.view', 'docs.view']
+    }
+};
+
+// Account role with no employer portal access
+const EMPLOYEE_ROLE = 'employee';
+
+/**
+ * Permission list as stored in role_permissions.permissions
+ * ({ "staff.view": true, ... } with every known permission present)
+ */
+function toMatrix(permissions) {
+    const granted = new Set(permissions);
+    return Object.fromEntries(ALL_PERMISSIONS.map(p => [p, granted.has(p)]));
+}
+
+function fromMatrix(matrix) {
+    return ALL_PERMISSIONS.filter(p => matrix?.[p] === true);
+}
+
+/**
+ * Validate a role name ('Front desk' -> 'front_desk')
+ * @returns {{ name?: string, error?: string }}
+ */
+function normaliseRoleName(value) {
+    const name = String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!name) return { error: 'Role name is required' };
+    if (name.length > 40) return { error: 'Role name must be 40 characters or fewer' };
+    return { name };
+}
+
+/**
+ * Validate a list of permission names
+ * @returns {{ permissions?: string[], error?: string }}
+ */
+function normalisePermissions(value) {
+    if (!Array.isArray(value)) return { error: 'Permissions must be a list' };
+    const unknown = value.filter(p => !PERMISSIONS[p]);
+    if (unknown.length > 0) return { error: `Unknown permission: ${unknown.join(', ')}` };
+    return { permissions: [...new Set(value)] };
+}
+
+/**
+ * Create any default role the clinic is missing
+ */
+async function ensureDefaultRoles(clinicId) {
+    const rows = Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+        clinic_id: clinicId,
+        role_name: name,
+        role_description: role.description,
+        is_system: name === 'owner',
+        permissions: toMatrix(role.permissions)
+    }));
+
+    const { error } = await supabaseAdmin
+        .from('role_permissions')
+        .upsert(rows, { onConflict: 'clinic_id,role_name', ignoreDuplicates: true });
+
+    if (error) throw error;
+}
+
+/**
+ * Permissions a clinic grants an account role
+ * @returns {Promise<string[]>}
+ */
+async function getRolePermissions(clinicId, roleName) {
+    if (roleName === 'owner') return ALL_PERMISSIONS;
+
+    const select = () => supabaseAdmin
+        .from('role_permissions')
+        .select('permissions')
+        .eq('clinic_id', clinicId)
+        .eq('role_name', roleName)
+        .maybeSingle();
+
+    let { data, error } = await select();
+    if (error) throw error;
+
+    if (!data && DEFAULT_ROLES[roleName]) {
+        await ensureDefaultRoles(clinicId);
+        ({ data, error } = await select());
+        if (error) throw error;
+    }
+
+    return data ? fromMatrix(data.permissions) : [];
+}
+
+/**
+ * Account roles that hold a permission at a clinic (always including owner)
+ * @returns {Promise<string[]>}
+ */
+async function rolesWithPermission(clinicId, permission) {
+    await ensureDefaultRoles(clinicId);
+
+    const { data, error } = await supabaseAdmin
+        .from('role_permissions')
+        .select('role_name, permissions')
+        .eq('clinic_id', clinicId);
+
+    if (error) throw error;
+
+    const roles = new Set(['owner']);
+    (data || [])
+        .filter(row => row.role_name !== EMPLOYEE_ROLE && row.permissions?.[permission] === true)
+        .forEach(row => roles.add(row.role_name));
+    return [...roles];
+}
+
+/**
+ * Middleware: the employer (req.user from requireEmployer) must hold a
+ * permission for req.params.clinicId
+ * @param {string|function} permission - name, or (req) => name for endpoints
+ *   whose permission depends on the request
+ */
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const needed = typeof permission === 'function' ? permission(req) : permission;
+            const granted = await getRolePermissions(req.params.clinicId, req.user?.role);
+
+            if (!granted.includes(needed)) {
+                return res.status(403).json({ error: `Your role does not allow this (${needed})` });
+            }
+
+            req.permissions = granted;
+            next();
+        } catch (err) {
+            console.error('Permission check error:', err);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+}
+
+/**
+ * Admin-level accounts (employer portal logins) the clinic uses and its plan
+ * allows. The owner counts as one; every staff account with a role other
+ * than employee is another.
+ * @param {string} [excludeStaffId] - staff member whose role is being changed
+ * @returns {Promise<{ used: number, max: number }>}
+ */
+async function getAdminSeats(clinicId, excludeStaffId = null) {
+    let query = supabaseAdmin
+        .from('staff')
+        .select('id', { count: 'exact', head: true })
+        .eq('clinic_id', clinicId)
+        .not('account_role', 'in', `(${EMPLOYEE_ROLE},owner)`)
+        .not('account_role', 'is', null);
+
+    if (excludeStaffId) {
+        query = query.neq('id', excludeStaffId);
+    }
+
+    const [{ count, error }, { data: clinic, error: clinicError }] = await Promise.all([
+        query,
+        supabaseAdmin.from('clinics').select('plan_product, plan_key').eq('id', clinicId).single()
+    ]);
+
+    if (error) throw error;
+    if (clinicError) throw clinicError;
+
+    const plan = getPlanDetails(clinic.plan_product || 'core', clinic.plan_key);
+    return { used: 1 + (count || 0), max: plan?.maxAdminRoles ?? 1 };
+}
+
+/**
+ * Check a staff account can take an account role: the role must exist for
+ * the clinic, and an admin-level role needs a free seat on the plan
+ * @returns {Promise<{ error?: string, status?: number }>}
+ */
+async function checkAccountRole(clinicId, roleName, staffId = null) {
+    if (roleName === EMPLOYEE_ROLE) return {};
+    if (roleName === 'owner') return { error: 'The owner role cannot be assigned to staff', status: 400 };
+
+    await ensureDefaultRoles(clinicId);
+    const { data: role } = await supabaseAdmin
+        .from('role_permissions')
+        .select('id')
+        .eq('clinic_id', clinicId)
+        .eq('role_name', roleName)
+        .maybeSingle();
+
+    if (!role) return { error: `Unknown role: ${roleName}`, status: 400 };
+
+    const seats = await getAdminSeats(clinicId, staffId);
+    if (seats.used >= seats.max) {
+        return {
+            error: `Your plan allows ${seats.max} admin-level account${seats.max === 1 ? '' : 's'} including the owner. Upgrade to add more.`,
+            status: 403
+        };
+    }
+
+    return {};
+}
+
+/**
+ * Keep clinics.admin_role_count (shown against plan limits) current
+ */
+async function syncAdminRoleCount(clinicId) {
+    const { used } = await getAdminSeats(clinicId);
+    await supabaseAdmin.from('clinics').update({ admin_role_count: used }).eq('id', clinicId);
+}
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLES,
+    EMPLOYEE_ROLE,
+    toMatrix,
+    fromMatrix,
+    normaliseRoleName,
+    normalisePermissions,
+    ensureDefaultRoles,
+    getRolePermissions,
+    rolesWithPermission,
+    requirePermission,
+    getAdminSeats,
+    checkAccountRole,
+    syncAdminRoleCount
+};
@@ -0,0 +1,322 @@
+/**
+ * HURE Core - Premium Pay Rules
+ * Prices worked time against clinic_settings.premium_rules (migration 026):
+ * night/weekend windows, public holidays and weekly-hours overtime, alongside
+ * the daily overtime threshold from required_daily_hours.
+ */
+
+const crypto = require('crypto');
+const { localParts, weekdayOf, parseTime } = require('./timezone');
+const { addDays } = require('./compensation');
+
+const RULE_TYPES = ['time_of_day', 'day_of_week', 'public_holiday', 'weekly_hours'];
+
+const MAX_MULTIPLIER = 5;
+
+/**
+ * Validate and normalise a list of rules from a request body
+ * @returns {{ rules?: object[], error?: string }}
+ */
+function normaliseRules(list) {
+    if (!Array.isArray(list)) {
+        return { error: 'Premium rules must be a list' };
+    }
+
+    const rules = [];
+    for (const rule of list) {
+        const name = String(rule?.name || '').trim();
+        const multiplier = Number(rule?.multiplier);
+
+        if (!name) {
+            return { error: 'Each premium rule needs a name' };
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            return { error: `"${name}": type must be one of ${RULE_TYPES.join(', ')}` };
+        }
+        if (!(multiplier >= 1 && multiplier <= MAX_MULTIPLIER)) {
+            return { error: `"${name}": multiplier must be between 1 and ${MAX_MULTIPLIER}` };
+        }
+
+        const normalised = {
+            id: rule.id || `rule_${crypto.randomBytes(4).toString('hex')}`,
+            name,
+            type: rule.type,
+            multiplier,
+            enabled: rule.enabled !== false
+        };
+
+        if (rule.type === 'time_of_day') {
+            const start = parseTime(rule.start);
+            const end = parseTime(rule.end);
+            if (start === null || end === null || start === end) {
+                return { error: `"${name}": start and end must be different HH:MM times` };
+            }
+            normalised.start = rule.start;
+            normalised.end = rule.end;
+        }
+
+        if (rule.type === 'day_of_week') {
+            const days = Array.isArray(rule.days) ? [...new Set(rule.days.map(Number))] : [];
+            if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+                return { error: `"${name}": pick at least one day (0 = Sunday to 6 = Saturday)` };
+            }
+            normalised.days = days.sort();
+        }
+
+        if (rule.type === 'weekly_hours') {
+            const threshold = Number(rule.threshold_hours);
+            if (!(threshold > 0 && threshold <= 168)) {
+                return { error: `"${name}": weekly threshold must be between 1 and 168 hours` };
+            }
+            normalised.threshold_hours = threshold;
+        }
+
+        rules.push(normalised);
+    }
+
+    return { rules };
+}
+
+/**
+ * Whether a minute-of-day falls inside a time_of_day window (which may wrap midnight)
+ */
+function inWindow(rule, minuteOfDay) {
+    const start = parseTime(rule.start);
+    const end = parseTime(rule.end);
+    return start < end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+}
+
+/**
+ * Monday on or before an ISO date, used to group hours into weeks
+ */
+function weekStart(isoDate) {
+    return addDays(isoDate, -((weekdayOf(isoDate) + 6) % 7));
+}
+
+/**
+ * Create a pricing context for one staff member. Weekly hours carry over
+ * between calls, so attendances must be priced in date order.
+ * @param {object} settings - from getPayrollSettings (includes premium_rules)
+ * @param {Map<string, string>} holidays - date -> holiday name
+ */
+function createPremiumContext(settings, holidays) {
+    const enabled = (settings.premium_rules || []).filter(r => r.enabled !== false);
+    const weekly = enabled
+        .filter(r => r.type === 'weekly_hours')
+        .sort((a, b) => a.threshold_hours - b.threshold_hours)[0] || null;
+
+    return {
+        settings,
+        holidays,
+        timeRules: enabled.filter(r => r.type !== 'weekly_hours'),
+        weeklyRule: weekly,
+        dailyRule: {
+            id: 'daily_overtime',
+            name: `Over ${settings.required_daily_hours} h a day`,
+            type: 'daily_hours',
+            multiplier: settings.overtime_multiplier
+        },
+        weekRegular: {}
+    };
+}
+
+/**
+ * Rules that cover a moment of work, ignoring overtime
+ */
+function timeRulesFor(ctx, date, weekday, minuteOfDay) {
+    return ctx.timeRules.filter(rule => {
+        switch (rule.type) {
+            case 'time_of_day': return minuteOfDay !== null && inWindow(rule, minuteOfDay);
+            case 'day_of_week': return rule.days.includes(weekday);
+            case 'public_holiday': return ctx.holidays.has(date);
+            default: return false;
+        }
+    });
+}
+
+/**
+ * The stretches of time actually worked: the day's closed segments
+ * (migration 036), or first in to last out for days recorded without them
+ * @returns {{ start: number, minutes: number }[]}
+ */
+function workedSpans(attendance) {
+    const spans = (attendance.segments || [])
+        .filter(s => s.clock_in && s.clock_out)
+        .map(s => ({ start: new Date(s.clock_in).getTime(), end: new Date(s.clock_out).getTime() }));
+
+    if (spans.length === 0 && attendance.clock_in && attendance.clock_out) {
+        spans.push({ start: new Date(attendance.clock_in).getTime(), end: new Date(attendance.clock_out).getTime() });
+    }
+
+    return spans
+        .map(s => ({ start: s.start, minutes: Math.round((s.end - s.start) / 60000) }))
+        .filter(s => s.minutes > 0)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Break an attendance into pieces of payable time in local wall-clock order.
+ * Each worked segment is walked minute by minute, so the gap in a split
+ * shift earns nothing; the unpaid break is spread evenly across the time
+ * worked. Attendances without punches become one untimed piece.
+ */
+function workPieces(attendance, payable, timeZone) {
+    const spans = workedSpans(attendance);
+    const minutes = spans.reduce((sum, s) => sum + s.minutes, 0);
+
+    if (!(minutes > 0)) {
+        return [{ date: attendance.date, weekday: weekdayOf(attendance.date), minuteOfDay: null, hours: payable }];
+    }
+
+    const perMinute = payable / minutes;
+    const pieces = [];
+
+    spans.forEach(({ start, minutes: spanMinutes }) => {
+        let local = localParts(start, timeZone);
+
+        for (let i = 0; i < spanMinutes; i++) {
+            if (local.minuteOfDay >= 1440) {
+                local = localParts(start + i * 60000, timeZone);
+            }
+            pieces.push({ date: local.date, weekday: local.weekday, minuteOfDay: local.minuteOfDay, hours: perMinute });
+            local = { ...local, minuteOfDay: local.minuteOfDay + 1 };
+        }
+    });
+
+    return pieces;
+}
+
+/**
+ * Split one attendance into regular and overtime hours and attribute each
+ * hour to the rule that prices it (highest multiplier wins).
+ * @param {object} ctx - from createPremiumContext
+ * @param {object} attendance - attendances row with hours_worked, break_minutes_deducted, clock_in, clock_out
+ *   and, for days recorded in segments, segments: [{ clock_in, clock_out }]
+ * @param {string} timeZone - location time zone
+ * @returns {{ payable: number, regular: number, overtime: number, buckets: object[] }}
+ *   buckets: [{ rule, overtime, hours }] for time paid above straight time
+ */
+function priceAttendance(ctx, attendance, timeZone) {
+    const { settings, weeklyRule, dailyRule } = ctx;
+    const worked = parseFloat(attendance.hours_worked) || 0;
+    // Days recorded from segments (migration 036) already exclude the unpaid break
+    const unpaidBreak = attendance.break_minutes_deducted === null || attendance.break_minutes_deducted === undefined
+        ? settings.unpaid_break_minutes / 60
+        : 0;
+    const payable = Math.max(0, worked - unpaidBreak);
+    const week = weekStart(attendance.date);
+
+    let dayHours = 0;
+    let regular = 0;
+    let overtime = 0;
+    const buckets = new Map();
+
+    const credit = (rule, isOvertime, hours) => {
+        const key = `${rule.id}|${isOvertime}`;
+        const bucket = buckets.get(key) || { rule, overtime: isOvertime, hours: 0 };
+        bucket.hours += hours;
+        buckets.set(key, bucket);
+    };
+
+    workPieces(attendance, payable, timeZone).forEach(piece => {
+        let remaining = piece.hours;
+
+        while (remaining > 1e-9) {
+            const dailyRoom = settings.required_daily_hours - dayHours;
+            const weeklyRoom = weeklyRule ? weeklyRule.threshold_hours - (ctx.weekRegular[week] || 0) : Infinity;
+
+            let hours = remaining;
+            let overtimeRule = null;
+            if (dailyRoom <= 1e-9) {
+                overtimeRule = dailyRule;
+            } else if (weeklyRoom <= 1e-9) {
+                overtimeRule = weeklyRule;
+                hours = Math.min(remaining, dailyRoom);
+            } else {
+                hours = Math.min(remaining, dailyRoom, weeklyRoom);
+            }
+
+            const candidates = timeRulesFor(ctx, piece.date, piece.weekday, piece.minuteOfDay);
+            if (overtimeRule) candidates.push(overtimeRule);
+            const winner = candidates.reduce((best, r) => (!best || r.multiplier > best.multiplier ? r : best), null);
+
+            if (overtimeRule) {
+                overtime += hours;
+                credit(winner, true, hours);
+            } else {
+                regular += hours;
+                ctx.weekRegular[week] = (ctx.weekRegular[week] || 0) + hours;
+                if (winner && winner.multiplier > 1) credit(winner, false, hours);
+            }
+
+            dayHours += hours;
+            remaining -= hours;
+        }
+    });
+
+    return { payable, regular, overtime, buckets: [...buckets.values()] };
+}
+
+/**
+ * Turn buckets into pay at an hourly rate.
+ * Overtime hours are paid in full at their multiplier; regular hours only
+ * earn the part above straight time (their base is in the day rate or salary).
+ * @returns {{ overtimePay: number, premiumPay: number, premiums: object[] }} unrounded
+ */
+function pricePremiums(buckets, hourlyRate) {
+    let overtimePay = 0;
+    let premiumPay = 0;
+
+    const premiums = buckets.map(({ rule, overtime, hours }) => {
+        const above = hours * hourlyRate * (rule.multiplier - 1);
+        if (overtime) overtimePay += hours * hourlyRate * rule.multiplier;
+        else premiumPay += above;
+
+        return {
+            rule_id: rule.id,
+            name: rule.name,
+            type: rule.type,
+            multiplier: rule.multiplier,
+            overtime,
+            hours,
+            pay_kes: above
+        };
+    });
+
+    return { overtimePay, premiumPay, premiums };
+}
+
+/**
+ * Combine premium lists from several days, rounding for storage
+ */
+function mergePremiums(lists) {
+    const merged = new Map();
+    lists.flat().forEach(p => {
+        const key = `${p.rule_id}|${p.overtime}`;
+        const current = merged.get(key);
+        if (current) {
+            current.hours += p.hours;
+            current.pay_kes += p.pay_kes;
+        } else {
+            merged.set(key, { ...p });
+        }
+    });
+
+    return [...merged.values()].map(p => ({
+        ...p,
+        hours: Math.round(p.hours * 100) / 100,
+        pay_kes: Math.round(p.pay_kes)
+    }));
+}
+
+module.exports = {
+    RULE_TYPES,
+    normaliseRules,
+    createPremiumContext,
+    priceAttendance,
+    pricePremiums,
+    mergePremiums,
+    weekStart
+};
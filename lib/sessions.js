@@ -0,0 +1,303 @@
+/**
+ * HURE Core - Auth Sessions
+ * Server-side sessions for clinic owners (users) and staff (auth_sessions,
+ * migration 042). A login gets a short-lived access token carrying the
+ * session id and a refresh token that is replaced on every use. Revoking a
+ * session stops both at once (requireEmployer and requireStaff check it).
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+const { generateToken } = require('./auth');
+const { logAudit, AUDIT_TYPES } = require('./audit');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// A refresh token just swapped by another request (a second tab refreshing
+// at the same moment) still gets an access token for this long, instead of
+// counting as reuse
+const REUSE_GRACE_SECONDS = 30;
+
+const ACCOUNT_TABLES = { user: 'users', staff: 'staff' };
+
+// Employment statuses that end every session and block new ones
+const ENDED_EMPLOYMENT_STATUSES = ['suspended', 'terminated'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * revoked_by value for the signed-in account ending a session (req.user)
+ */
+const revokedBy = (user) => (user.staffId ? `staff:${user.staffId}` : `user:${user.id}`);
+
+/**
+ * Access token claims for an account, as the login routes have always issued them
+ */
+function claimsFor(accountType, account) {
+    if (accountType === 'staff') {
+        return {
+            staffId: account.id,
+            clinicId: account.clinic_id,
+            email: account.email,
+            role: account.account_role,
+            name: `${account.first_name} ${account.last_name}`
+        };
+    }
+
+    return {
+        id: account.id,
+        email: account.email,
+        role: account.role,
+        name: account.username || account.first_name,
+        clinicId: account.clinic_id
+    };
+}
+
+/**
+ * Why an account may not hold a session, if it may not
+ * @returns {string|null}
+ */
+function loginBlockedReason(accountType, account) {
+    if (accountType === 'staff') {
+        if (account.status !== 'active') return 'Account is not active';
+        if (ENDED_EMPLOYMENT_STATUSES.includes(account.employment_status)) return `Employment is ${account.employment_status}`;
+        return null;
+    }
+    if (account.clinic?.status === 'suspended') return 'Your clinic account is suspended';
+    return null;
+}
+
+async function loadAccount(accountType, accountId) {
+    const query = accountType === 'staff'
+        ? supabaseAdmin.from('staff').select('id, clinic_id, email, first_name, last_name, account_role, status, employment_status')
+        : supabaseAdmin.from('users').select('id, clinic_id, email, username, first_name, role, clinic:clinics(status)');
+
+    const { data, error } = await query.eq('id', accountId).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Start a session for a login
+ * @param {string} accountType - 'user' or 'staff'
+ * @param {object} account - users or staff row
+ * @param {object} req - request, for the device's user agent and IP
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+async function createSession(accountType, account, req) {
+    const refreshToken = newRefreshToken();
+
+    const { data: session, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .insert({
+            account_type: accountType,
+            account_id: account.id,
+            clinic_id: account.clinic_id || null,
+            refresh_token_hash: hashToken(refreshToken),
+            user_agent: req.get('user-agent')?.slice(0, 300) || null,
+            ip: req.ip || null,
+            expires_at: refreshExpiry()
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    return {
+        token: generateToken({ ...claimsFor(accountType, account), sid: session.id }, ACCESS_TOKEN_TTL),
+        refreshToken,
+        sessionId: session.id
+    };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token. Claims
+ * are rebuilt from the account, so role changes apply from the next refresh.
+ * The token swapped just before (within REUSE_GRACE_SECONDS) gets an access
+ * token only: the caller raced another refresh and that one holds the new
+ * refresh token. Anything older ends the session as token reuse.
+ * @returns {Promise<{ token?: string, refreshToken?: string, error?: string }>}
+ *   refreshToken is absent when the caller should keep the one it has
+ */
+async function refreshSession(refreshToken, req) {
+    if (!refreshToken) return { error: 'Refresh token required' };
+
+    const tokenHash = hashToken(refreshToken);
+
+    const { data: session, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('*')
+        .eq('refresh_token_hash', tokenHash)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session) {
+        const { data: previous } = await supabaseAdmin
+            .from('auth_sessions')
+            .select('*')
+            .eq('previous_token_hash', tokenHash)
+            .is('revoked_at', null)
+            .maybeSingle();
+
+        if (!previous) return { error: 'Session ended. Please log in again.' };
+
+        if (Date.now() - new Date(previous.last_used_at) <= REUSE_GRACE_SECONDS * 1000) {
+            return accessOnly(previous);
+        }
+
+        // A refresh token that was swapped a while ago: someone else has a copy
+        await revokeSession(previous.id, 'token_reuse');
+        logAudit(
+            AUDIT_TYPES.SESSION_TOKEN_REUSED,
+            { id: 'system', role: 'system', name: 'Auth Sessions' },
+            { entity: previous.account_type, id: previous.account_id },
+            { clinicId: previous.clinic_id, sessionId: previous.id, ip: req.ip }
+        );
+        return { error: 'Session ended. Please log in again.' };
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+        return { error: 'Session ended. Please log in again.' };
+    }
+
+    const account = await loadAccount(session.account_type, session.account_id);
+    const blocked = account ? loginBlockedReason(session.account_type, account) : 'Account not found';
+    if (blocked) {
+        await revokeSession(session.id, 'revoked');
+        return { error: blocked };
+    }
+
+    const nextToken = newRefreshToken();
+
+    // Only the request that still holds the current hash gets to rotate it
+    const { data: rotated, error: rotateError } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({
+            refresh_token_hash: hashToken(nextToken),
+            previous_token_hash: tokenHash,
+            last_used_at: new Date().toISOString(),
+            ip: req.ip || session.ip,
+            expires_at: refreshExpiry()
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', tokenHash)
+        .select('id');
+
+    if (rotateError) throw rotateError;
+
+    // Another request rotated it a moment ago
+    if (!rotated?.length) return accessOnly(session, account);
+
+    return {
+        token: generateToken({ ...claimsFor(session.account_type, account), sid: session.id }, ACCESS_TOKEN_TTL),
+        refreshToken: nextToken
+    };
+}
+
+/**
+ * An access token for a live session without rotating its refresh token
+ * (the losing side of two refreshes at once)
+ */
+async function accessOnly(session, account = null) {
+    if (new Date(session.expires_at) < new Date()) {
+        return { error: 'Session ended. Please log in again.' };
+    }
+
+    const current = account || await loadAccount(session.account_type, session.account_id);
+    const blocked = current ? loginBlockedReason(session.account_type, current) : 'Account not found';
+    if (blocked) return { error: blocked };
+
+    return { token: generateToken({ ...claimsFor(session.account_type, current), sid: session.id }, ACCESS_TOKEN_TTL) };
+}
+
+/**
+ * End one session
+ * @param {string} [by] - who ended it, see revokedBy
+ */
+async function revokeSession(sessionId, reason, by = null) {
+    const { error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason, revoked_by: by })
+        .eq('id', sessionId)
+        .is('revoked_at', null);
+
+    if (error) throw error;
+}
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * @returns {Promise<boolean>} whether a session was ended
+ */
+async function revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const { data, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('refresh_token_hash', hashToken(refreshToken))
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * End every session an account has. Tokens issued before sessions existed
+ * carry no session id, so the account's sessions_valid_after is moved up
+ * as well (see isSessionRevoked in lib/auth).
+ * @returns {Promise<number>} sessions ended
+ */
+async function revokeAllSessions(accountType, accountId, reason, by = null) {
+    const now = new Date().toISOString();
+
+    const { error: accountError } = await supabaseAdmin
+        .from(ACCOUNT_TABLES[accountType])
+        .update({ sessions_valid_after: now })
+        .eq('id', accountId);
+
+    if (accountError) throw accountError;
+
+    const { data, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: now, revoked_reason: reason, revoked_by: by })
+        .eq('account_type', accountType)
+        .eq('account_id', accountId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+}
+
+/**
+ * Sessions an account is still signed in with, most recently used first
+ */
+async function listSessions(accountType, accountId) {
+    const { data, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('id, user_agent, ip, created_at, last_used_at, expires_at')
+        .eq('account_type', accountType)
+        .eq('account_id', accountId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    ENDED_EMPLOYMENT_STATUSES,
+    loginBlockedReason,
+    revokedBy,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeAllSessions,
+    listSessions
+};
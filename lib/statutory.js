@@ -0,0 +1,187 @@
+/**
+ * HURE Core - Kenyan Statutory Deductions
+ * PAYE, SHIF, NSSF and Affordable Housing Levy from versioned rate tables (migration 021)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const money = (n) => Math.round(n);
+
+/**
+ * Load the rate table in effect on a date
+ * @param {string} isoDate - usually the period end
+ */
+async function getRateTable(isoDate) {
+    const { data, error } = await supabaseAdmin
+        .from('statutory_rate_tables')
+        .select('*')
+        .lte('effective_from', isoDate)
+        .order('effective_from', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+        throw new Error(`No statutory rate table is in effect on ${isoDate}`);
+    }
+
+    return data;
+}
+
+/**
+ * PAYE on monthly taxable pay, before personal relief
+ */
+function payeBeforeRelief(taxable, bands) {
+    let tax = 0;
+    let lower = 0;
+    const applied = [];
+
+    for (const band of bands) {
+        const upper = band.upto ?? Infinity;
+        if (taxable <= lower) break;
+
+        const slice = Math.min(taxable, upper) - lower;
+        tax += slice * band.rate;
+        applied.push({ from: lower, upto: band.upto, rate: band.rate, taxed_kes: money(slice) });
+        lower = upper;
+    }
+
+    return { tax, applied };
+}
+
+/**
+ * Compute statutory deductions on one month's gross pay
+ * @param {number} grossKes
+ * @param {object} rates - statutory_rate_tables.rates
+ */
+function computeStatutory(grossKes, rates) {
+    const gross = Math.max(0, grossKes);
+    const { nssf: nssfRates, shif: shifRates, housing_levy: levyRates, paye: payeRates } = rates;
+
+    const tierOne = Math.min(gross, nssfRates.lower_limit);
+    const tierTwo = Math.max(0, Math.min(gross, nssfRates.upper_limit) - nssfRates.lower_limit);
+    const nssf = money((tierOne + tierTwo) * nssfRates.rate);
+
+    const shif = gross > 0 ? money(Math.max(shifRates.minimum || 0, gross * shifRates.rate)) : 0;
+    const housingLevy = money(gross * levyRates.rate);
+
+    const beforeTax = (nssfRates.deductible ? nssf : 0)
+        + (shifRates.deductible ? shif : 0)
+        + (levyRates.deductible ? housingLevy : 0);
+
+    const taxable = Math.max(0, gross - beforeTax);
+    const { tax, applied } = payeBeforeRelief(taxable, payeRates.bands);
+    const paye = money(Math.max(0, tax - payeRates.personal_relief));
+
+    return {
+        gross_kes: money(gross),
+        taxable_pay_kes: money(taxable),
+        paye_kes: paye,
+        shif_kes: shif,
+        nssf_kes: nssf,
+        housing_levy_kes: housingLevy,
+        working: {
+            nssf: { tier_one_kes: money(tierOne), tier_two_kes: money(tierTwo), rate: nssfRates.rate },
+            shif: { rate: shifRates.rate, minimum: shifRates.minimum },
+            housing_levy: { rate: levyRates.rate },
+            paye: { bands: applied, tax_kes: money(tax), personal_relief: payeRates.personal_relief }
+        }
+    };
+}
+
+/**
+ * Split a whole-KES amount across entries in proportion to their gross,
+ * giving any rounding remainder to the last entry
+ */
+function allocate(total, entries, grossTotal) {
+    let remaining = total;
+    return entries.map((e, i) => {
+        if (i === entries.length - 1) return remaining;
+        const share = grossTotal > 0 ? money(total * (e.amount_kes || 0) / grossTotal) : 0;
+        remaining -= share;
+        return share;
+    });
+}
+
+const STATUTORY_FIELDS = ['taxable_pay_kes', 'paye_kes', 'shif_kes', 'nssf_kes', 'housing_levy_kes'];
+
+/**
+ * Add statutory deductions and net pay to calculated payroll entries.
+ * The bands are monthly, so deductions are computed on each staff member's
+ * gross for the whole tax month: the entries being calculated plus what the
+ * staff member was already paid that month in other runs (weekly periods,
+ * other locations, entries already approved). What those runs deducted is
+ * taken off and the rest is shared across the entries being calculated.
+ * @param {object[]} entries - rows from calculatePayroll
+ * @param {object} table - statutory_rate_tables row
+ * @param {object} [prior] - staff_id -> { amount_kes, taxable_pay_kes, paye_kes, ... }
+ *   totals of the staff member's other entries in the same tax month
+ * @returns {object[]} the same entries with deduction columns filled in
+ */
+function applyStatutoryDeductions(entries, table, prior = {}) {
+    const byStaff = {};
+    entries.forEach(e => {
+        (byStaff[e.staff_id] = byStaff[e.staff_id] || []).push(e);
+    });
+
+    Object.entries(byStaff).forEach(([staffId, staffEntries]) => {
+        const earlier = prior[staffId] || {};
+        const gross = staffEntries.reduce((sum, e) => sum + (e.amount_kes || 0), 0);
+        const result = computeStatutory(gross + (earlier.amount_kes || 0), table.rates);
+
+        const due = Object.fromEntries(STATUTORY_FIELDS.map(field =>
+            [field, result[field] - (earlier[field] || 0)]
+        ));
+        const shares = Object.fromEntries(STATUTORY_FIELDS.map(field =>
+            [field, allocate(due[field], staffEntries, gross)]
+        ));
+
+        staffEntries.forEach((e, i) => {
+            STATUTORY_FIELDS.forEach(field => { e[field] = shares[field][i]; });
+
+            e.statutory_table_id = table.id;
+            e.net_kes = (e.amount_kes || 0)
+                - e.paye_kes - e.shif_kes - e.nssf_kes - e.housing_levy_kes
+                - (e.other_deductions_kes || 0);
+            e.deductions = {
+                table: table.name,
+                period_gross_kes: money(gross),
+                month_gross_kes: result.gross_kes,
+                month_totals: {
+                    taxable_pay_kes: result.taxable_pay_kes,
+                    paye_kes: result.paye_kes,
+                    shif_kes: result.shif_kes,
+                    nssf_kes: result.nssf_kes,
+                    housing_levy_kes: result.housing_levy_kes
+                },
+                already_deducted: Object.fromEntries(STATUTORY_FIELDS.map(field => [field, earlier[field] || 0])),
+                working: result.working
+            };
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Sum the gross and statutory columns of saved entries per staff member,
+ * in the shape applyStatutoryDeductions takes as prior
+ */
+function totalsByStaff(rows) {
+    const totals = {};
+    (rows || []).forEach(row => {
+        const t = totals[row.staff_id] = totals[row.staff_id] || { amount_kes: 0 };
+        t.amount_kes += row.amount_kes || 0;
+        STATUTORY_FIELDS.forEach(field => { t[field] = (t[field] || 0) + (row[field] || 0); });
+    });
+    return totals;
+}
+
+module.exports = {
+    getRateTable,
+    STATUTORY_FIELDS,
+    computeStatutory,
+    applyStatutoryDeductions,
+    totalsByStaff
+};
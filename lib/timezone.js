@@ -0,0 +1,85 @@
+/**
+ * HURE Core - Local Time Helpers
+ * Converts stored TIMESTAMPTZ values to wall-clock time at a clinic location
+ * (clinic_locations.timezone, migration 013)
+ */
+
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+const formatters = {};
+
+function formatterFor(timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        });
+    }
+    return formatters[timeZone];
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date|string} instant
+ * @param {string} timeZone - IANA name, defaults to Africa/Nairobi
+ * @returns {{ date: string, minuteOfDay: number, weekday: number }} weekday 0 = Sunday
+ */
+function localParts(instant, timeZone = DEFAULT_TIMEZONE) {
+    const parts = Object.fromEntries(
+        formatterFor(timeZone || DEFAULT_TIMEZONE)
+            .formatToParts(new Date(instant))
+            .map(p => [p.type, p.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * The instant a wall-clock time occurs at in a time zone
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} minuteOfDay - minutes after midnight, past 1440 for the next day
+ * @param {string} timeZone - IANA name, defaults to Africa/Nairobi
+ * @returns {Date}
+ */
+function instantAt(isoDate, minuteOfDay, timeZone = DEFAULT_TIMEZONE) {
+    const guess = Date.parse(`${isoDate}T00:00:00Z`) + minuteOfDay * 60000;
+    const local = localParts(guess, timeZone);
+    const shown = Date.parse(`${local.date}T00:00:00Z`) + local.minuteOfDay * 60000;
+    return new Date(guess - (shown - guess));
+}
+
+/**
+ * Day of week (0 = Sunday) of an ISO date
+ */
+function weekdayOf(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight, or null
+ */
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    localParts,
+    instantAt,
+    weekdayOf,
+    parseTime
+};
@@ -0,0 +1,187 @@
+/**
+ * HURE Core - Verification Review Queue
+ * SuperAdmin review of organization and facility verifications
+ * (verification_reviews, migration 040): one review per submission, with a
+ * reviewer claim, internal notes and an SLA on how long it has waited
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+// Hours a submission may wait on HURE before it is overdue
+const REVIEW_SLA_HOURS = Number(process.env.VERIFICATION_SLA_HOURS) || 48;
+
+const OPEN_STATUSES = ['pending_review', 'more_info_required'];
+
+/**
+ * How long a review has been waiting and whether it is past the SLA.
+ * Time spent waiting on the clinic for documents does not count.
+ * @returns {{ waiting_hours: number, sla_hours: number, overdue: boolean, waiting_on: string }}
+ */
+function reviewSla(review, now = new Date()) {
+    if (review.status === 'more_info_required') {
+        const hours = (now - new Date(review.requested_at || review.updated_at)) / 3600000;
+        return { waiting_hours: Math.round(hours * 10) / 10, sla_hours: REVIEW_SLA_HOURS, overdue: false, waiting_on: 'clinic' };
+    }
+
+    const hours = (now - new Date(review.submitted_at)) / 3600000;
+    return {
+        waiting_hours: Math.round(hours * 10) / 10,
+        sla_hours: REVIEW_SLA_HOURS,
+        overdue: hours > REVIEW_SLA_HOURS,
+        waiting_on: 'hure'
+    };
+}
+
+/**
+ * The open review for an organization (locationId null) or facility
+ * @returns {Promise<object|null>}
+ */
+async function getOpenReview(clinicId, locationId = null) {
+    let query = supabaseAdmin
+        .from('verification_reviews')
+        .select('*')
+        .eq('clinic_id', clinicId)
+        .eq('kind', locationId ? 'facility' : 'organization')
+        .in('status', OPEN_STATUSES);
+
+    query = locationId ? query.eq('location_id', locationId) : query.is('location_id', null);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+async function addReviewNote(reviewId, kind, body, author) {
+    const { data, error } = await supabaseAdmin
+        .from('verification_review_notes')
+        .insert({
+            review_id: reviewId,
+            kind,
+            body: body || null,
+            author_id: author?.id || null,
+            author_name: author?.name || null
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Queue a submission. A review sent back for documents goes back into the
+ * queue with the same reviewer and a fresh SLA clock.
+ * @param {object} author - clinic user submitting { id, name }
+ */
+async function openReview(clinicId, locationId = null, author = null) {
+    const existing = await getOpenReview(clinicId, locationId);
+    const now = new Date().toISOString();
+
+    if (existing) {
+        if (existing.status === 'pending_review') return existing;
+
+        const { data, error } = await supabaseAdmin
+            .from('verification_reviews')
+            .update({ status: 'pending_review', submitted_at: now, updated_at: now })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        await addReviewNote(existing.id, 'resubmitted', null, author);
+        return data;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('verification_reviews')
+        .insert({
+            clinic_id: clinicId,
+            location_id: locationId,
+            kind: locationId ? 'facility' : 'organization',
+            submitted_at: now
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * The clinic took a queued submission back to draft: close its review.
+ * A review waiting on requested documents stays open so the request is
+ * still there when the clinic resubmits.
+ */
+async function withdrawReview(clinicId, locationId = null, author = null) {
+    const existing = await getOpenReview(clinicId, locationId);
+    if (!existing || existing.status !== 'pending_review') return;
+
+    const { error } = await supabaseAdmin
+        .from('verification_reviews')
+        .update({ status: 'withdrawn', updated_at: new Date().toISOString() })
+        .eq('id', existing.id);
+
+    if (error) throw error;
+    await addReviewNote(existing.id, 'withdrawn', null, author);
+}
+
+/**
+ * The open review for a submission, queueing one first if the submission
+ * predates the queue, so every waiting submission can be claimed
+ */
+async function ensureOpenReview(clinicId, locationId = null) {
+    try {
+        return await openReview(clinicId, locationId);
+    } catch (err) {
+        // Queued by another request in the meantime
+        if (err.code !== '23505') throw err;
+        return getOpenReview(clinicId, locationId);
+    }
+}
+
+/**
+ * Move the open review to more_info_required, approved or rejected.
+ * Callers check the reviewer holds the claim.
+ * @param {object} reviewer - SuperAdmin { id, name }
+ */
+async function updateReview(clinicId, locationId, status, reviewer, text = null) {
+    const review = await getOpenReview(clinicId, locationId);
+    if (!review) throw new Error('No open review for this submission');
+
+    const now = new Date().toISOString();
+    const updates = { status, updated_at: now };
+
+    if (status === 'more_info_required') {
+        updates.requested_documents = text;
+        updates.requested_at = now;
+    } else {
+        updates.decided_by = reviewer.id;
+        updates.decided_by_name = reviewer.name;
+        updates.decided_at = now;
+        updates.decision_reason = text;
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('verification_reviews')
+        .update(updates)
+        .eq('id', review.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await addReviewNote(review.id, status === 'more_info_required' ? 'documents_requested' : status, text, reviewer);
+    return data;
+}
+
+module.exports = {
+    REVIEW_SLA_HOURS,
+    OPEN_STATUSES,
+    reviewSla,
+    getOpenReview,
+    addReviewNote,
+    openReview,
+    ensureOpenReview,
+    withdrawReview,
+    updateReview
+};
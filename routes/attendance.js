@@ -7,12 +7,18 @@ const express = require('express');
 const router = express.Router();
 
 const { supabaseAdmin } = require('../lib/supabase');
+const { getHolidays } = require('../lib/holidays');
+const { findOpenSegment, startAttendanceSegment, endAttendanceSegment } = require('../lib/attendance');
+const { snapshotDay, applyCorrection, isPayrollLocked } = require('../lib/attendanceCorrections');
+const { requirePermission } = require('../lib/permissions');
+const { actorFromUser } = require('../lib/payrollWorkflow');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
 
 /**
  * GET /api/clinics/:clinicId/attendance
  * List attendance records
  */
-router.get('/:clinicId/attendance', async (req, res) => {
+router.get('/:clinicId/attendance', requirePermission('attendance.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { date, from, to, staffId, status } = req.query;
@@ -21,7 +27,8 @@ router.get('/:clinicId/attendance', async (req, res) => {
             .from('attendances')
             .select(`
                 *,
-                staff:staff_id (id, first_name, last_name, job_role)
+                staff:staff_id (id, first_name, last_name, job_role),
+                segments:attendance_segments (clock_in, clock_out)
             `)
             .eq('clinic_id', clinicId)
             .order('date', { ascending: false })
@@ -64,7 +71,7 @@ router.get('/:clinicId/attendance', async (req, res) => {
  * POST /api/clinics/:clinicId/attendance/clock-in
  * Staff clock in
  */
-router.post('/:clinicId/attendance/clock-in', async (req, res) => {
+router.post('/:clinicId/attendance/clock-in', requirePermission('attendance.clock'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { staffId, method = 'manual', locationId = null, notes } = req.body;
@@ -73,50 +80,44 @@ router.post('/:clinicId/attendance/clock-in', async (req, res) => {
             return res.status(400).json({ error: 'Staff ID is required' });
         }
 
-        const today = new Date().toISOString().split('T')[0];
-        const now = new Date().toISOString();
+        const { data: member } = await supabaseAdmin
+            .from('staff')
+            .select('id')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
 
-        // Check if already clocked in today
-        const { data: existing } = await supabaseAdmin
-            .from('attendances')
-            .select('id, clock_in')
-            .eq('staff_id', staffId)
-            .eq('date', today)
-            .single();
+        if (!member) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
 
-        if (existing) {
+        // Check if already clocked in (a break ends by clocking in again)
+        const open = await findOpenSegment(staffId);
+        if (open) {
             return res.status(400).json({
-                error: 'Already clocked in today',
-                clockIn: existing.clock_in
+                error: 'Already clocked in',
+                clockIn: open.clock_in
             });
         }
 
-        // Create attendance record
-        const { data, error } = await supabaseAdmin
-            .from('attendances')
-            .insert({
-                clinic_id: clinicId,
-                staff_id: staffId,
-                date: today,
-                clock_in: now,
-                clock_in_method: method,
-                location_id: locationId,
-                status: 'present',
-                notes
-            })
-            .select()
-            .single();
+        const { attendance: data, error } = await startAttendanceSegment({
+            clinicId,
+            staffId,
+            locationId,
+            method,
+            notes
+        });
 
         if (error) {
-            console.error('Clock in error:', error);
-            return res.status(500).json({ error: 'Failed to clock in' });
+            return res.status(400).json({ error });
         }
 
         // Update staff status
         await supabaseAdmin
             .from('staff')
             .update({ status: 'on_duty' })
-            .eq('id', staffId);
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId);
 
         res.status(201).json({
             success: true,
@@ -132,9 +133,9 @@ router.post('/:clinicId/attendance/clock-in', async (req, res) => {
 
 /**
  * POST /api/clinics/:clinicId/attendance/clock-out
- * Staff clock out
+ * Staff clock out, at the end of the day or for a break
  */
-router.post('/:clinicId/attendance/clock-out', async (req, res) => {
+router.post('/:clinicId/attendance/clock-out', requirePermission('attendance.clock'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { staffId, method = 'manual', notes } = req.body;
@@ -143,61 +144,27 @@ router.post('/:clinicId/attendance/clock-out', async (req, res) => {
             return res.status(400).json({ error: 'Staff ID is required' });
         }
 
-        const today = new Date().toISOString().split('T')[0];
-        const now = new Date();
-
-        // Get today's attendance
-        const { data: attendance, error: fetchError } = await supabaseAdmin
-            .from('attendances')
-            .select('*')
-            .eq('staff_id', staffId)
-            .eq('date', today)
-            .single();
+        // The open clock-in, which may have started the day before (night shift)
+        const segment = await findOpenSegment(staffId);
 
-        if (fetchError || !attendance) {
-            return res.status(400).json({ error: 'No clock-in record found for today' });
+        if (!segment || segment.clinic_id !== clinicId) {
+            return res.status(400).json({ error: 'No active clock-in found' });
         }
 
-        if (attendance.clock_out) {
-            return res.status(400).json({
-                error: 'Already clocked out today',
-                clockOut: attendance.clock_out
-            });
-        }
-
-        // Calculate hours worked
-        const clockIn = new Date(attendance.clock_in);
-        const hoursWorked = ((now - clockIn) / (1000 * 60 * 60)).toFixed(2);
-
-        // Update attendance
-        const { data, error } = await supabaseAdmin
-            .from('attendances')
-            .update({
-                clock_out: now.toISOString(),
-                clock_out_method: method,
-                hours_worked: parseFloat(hoursWorked),
-                notes: notes || attendance.notes,
-                updated_at: now.toISOString()
-            })
-            .eq('id', attendance.id)
-            .select()
-            .single();
-
-        if (error) {
-            console.error('Clock out error:', error);
-            return res.status(500).json({ error: 'Failed to clock out' });
-        }
+        const { attendance: data } = await endAttendanceSegment(segment, { method, notes });
+        const hoursWorked = parseFloat(data.hours_worked) || 0;
 
         // Update staff status
         await supabaseAdmin
             .from('staff')
             .update({ status: 'off' })
-            .eq('id', staffId);
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId);
 
         res.json({
             success: true,
             data,
-            hoursWorked: parseFloat(hoursWorked),
+            hoursWorked,
             message: 'Clocked out successfully'
         });
 
@@ -211,7 +178,7 @@ router.post('/:clinicId/attendance/clock-out', async (req, res) => {
  * GET /api/clinics/:clinicId/attendance/summary
  * Get payroll summary for date range
  */
-router.get('/:clinicId/attendance/summary', async (req, res) => {
+router.get('/:clinicId/attendance/summary', requirePermission('attendance.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { from, to } = req.query;
@@ -238,6 +205,8 @@ router.get('/:clinicId/attendance/summary', async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch summary' });
         }
 
+        const holidays = await getHolidays(clinicId, from, to);
+
         // Aggregate by staff
         const summary = {};
         data.forEach(record => {
@@ -248,11 +217,15 @@ router.get('/:clinicId/attendance/summary', async (req, res) => {
                     name: record.staff ? `${record.staff.first_name} ${record.staff.last_name}` : 'Unknown',
                     jobRole: record.staff?.job_role || '',
                     daysWorked: 0,
+                    holidayDaysWorked: 0,
                     totalHours: 0,
                     lastDate: null
                 };
             }
             summary[staffId].daysWorked += 1;
+            if (holidays.has(record.date)) {
+                summary[staffId].holidayDaysWorked += 1;
+            }
             summary[staffId].totalHours += parseFloat(record.hours_worked) || 0;
             if (!summary[staffId].lastDate || record.date > summary[staffId].lastDate) {
                 summary[staffId].lastDate = record.date;
@@ -262,7 +235,8 @@ router.get('/:clinicId/attendance/summary', async (req, res) => {
         res.json({
             success: true,
             data: Object.values(summary),
-            period: { from, to }
+            period: { from, to },
+            holidays: [...holidays].map(([date, name]) => ({ date, name }))
         });
 
     } catch (err) {
@@ -275,7 +249,7 @@ router.get('/:clinicId/attendance/summary', async (req, res) => {
  * GET /api/clinics/:clinicId/attendance/export
  * Export attendance as CSV
  */
-router.get('/:clinicId/attendance/export', async (req, res) => {
+router.get('/:clinicId/attendance/export', requirePermission('attendance.export'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { from, to } = req.query;
@@ -288,6 +262,10 @@ router.get('/:clinicId/attendance/export', async (req, res) => {
                 clock_out,
                 hours_worked,
                 status,
+                scheduled_start,
+                scheduled_end,
+                minutes_late,
+                minutes_early,
                 staff:staff_id (first_name, last_name, job_role)
             `)
             .eq('clinic_id', clinicId)
@@ -304,13 +282,14 @@ router.get('/:clinicId/attendance/export', async (req, res) => {
         }
 
         // Build CSV
-        const header = 'Name,Job Role,Date,Clock In,Clock Out,Hours Worked,Status\n';
+        const header = 'Name,Job Role,Date,Scheduled,Clock In,Clock Out,Hours Worked,Status,Minutes Late,Minutes Early\n';
         const rows = data.map(r => {
             const name = r.staff ? `${r.staff.first_name} ${r.staff.last_name}` : 'Unknown';
             const jobRole = r.staff?.job_role || '';
             const clockIn = r.clock_in ? new Date(r.clock_in).toLocaleTimeString() : '';
             const clockOut = r.clock_out ? new Date(r.clock_out).toLocaleTimeString() : '';
-            return `"${name}","${jobRole}","${r.date}","${clockIn}","${clockOut}","${r.hours_worked || ''}","${r.status}"`;
+            const scheduled = r.scheduled_start ? `${r.scheduled_start.slice(0, 5)}-${(r.scheduled_end || '').slice(0, 5)}` : '';
+            return `"${name}","${jobRole}","${r.date}","${scheduled}","${clockIn}","${clockOut}","${r.hours_worked || ''}","${r.status}","${r.minutes_late || 0}","${r.minutes_early || 0}"`;
         }).join('\n');
 
         const csv = header + rows;
@@ -325,4 +304,200 @@ router.get('/:clinicId/attendance/export', async (req, res) => {
     }
 });
 
+/**
+ * PATCH /api/clinics/:clinicId/attendance/:attendanceId/reviewed
+ * Confirm the times on a day flagged for review (e.g. an automatic clock-out)
+ */
+router.patch('/:clinicId/attendance/:attendanceId/reviewed', requirePermission('attendance.review'), async (req, res) => {
+    try {
+        const { clinicId, attendanceId } = req.params;
+
+        const { data, error } = await supabaseAdmin
+            .from('attendances')
+            .update({ needs_review: false, review_reason: null, updated_at: new Date().toISOString() })
+            .eq('id', attendanceId)
+            .eq('clinic_id', clinicId)
+            .select()
+            .single();
+
+        if (error || !data) {
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Mark attendance reviewed error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/attendance/corrections
+ * Correction requests, newest first (?status=pending|approved|rejected)
+ */
+router.get('/:clinicId/attendance/corrections', requirePermission('attendance.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { status } = req.query;
+
+        let query = supabaseAdmin
+            .from('attendance_corrections')
+            .select(`
+                *,
+                attendance:attendance_id (date, clock_in, clock_out, hours_worked, status),
+                staff:staff_id (id, first_name, last_name, job_role)
+            `)
+            .eq('clinic_id', clinicId)
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('List attendance corrections error:', error);
+            return res.status(500).json({ error: 'Failed to fetch corrections' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('List attendance corrections error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/clinics/:clinicId/attendance/corrections/:correctionId
+ * Approve or reject a correction ({ status, reviewNote }). Approval rewrites
+ * the day; the original punches and the reviewer stay on the correction.
+ */
+router.patch('/:clinicId/attendance/corrections/:correctionId', requirePermission('attendance.review'), async (req, res) => {
+    try {
+        const { clinicId, correctionId } = req.params;
+        const { status, reviewNote } = req.body;
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be approved or rejected' });
+        }
+
+        const { data: correction } = await supabaseAdmin
+            .from('attendance_corrections')
+            .select('*')
+            .eq('id', correctionId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!correction) {
+            return res.status(404).json({ error: 'Correction not found' });
+        }
+
+        if (correction.status !== 'pending') {
+            return res.status(400).json({ error: `Correction already ${correction.status}` });
+        }
+
+        const actor = actorFromUser(req.user);
+        if (actor.staffId && actor.staffId === correction.staff_id) {
+            return res.status(403).json({ error: 'You cannot review a correction to your own attendance' });
+        }
+
+        let original = null;
+        let attendance = null;
+        if (status === 'approved') {
+            // Keep the day as it was before its segments are replaced. Setting
+            // original also claims the approval, so two reviewers cannot both apply it.
+            original = await snapshotDay(correction.attendance_id);
+
+            const { data: claimed, error: claimError } = await supabaseAdmin
+                .from('attendance_corrections')
+                .update({ original, updated_at: new Date().toISOString() })
+                .eq('id', correctionId)
+                .eq('status', 'pending')
+                .is('original', null)
+                .select('id')
+                .maybeSingle();
+
+            if (claimError) throw claimError;
+            if (!claimed) {
+                return res.status(409).json({ error: 'Correction is already being reviewed' });
+            }
+
+            try {
+                ({ attendance } = await applyCorrection(correction, original));
+            } catch (applyError) {
+                await supabaseAdmin
+                    .from('attendance_corrections')
+                    .update({ original: null })
+                    .eq('id', correctionId)
+                    .eq('status', 'pending');
+                throw applyError;
+            }
+        }
+
+        let update = supabaseAdmin
+            .from('attendance_corrections')
+            .update({
+                status,
+                original,
+                reviewed_by: actor.key,
+                reviewer_name: actor.name,
+                reviewer_role: actor.role,
+                reviewed_at: new Date().toISOString(),
+                review_note: reviewNote || null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', correctionId)
+            .eq('status', 'pending');
+
+        // A rejection cannot land while someone else's approval is being applied
+        if (status === 'rejected') {
+            update = update.is('original', null);
+        }
+
+        const { data, error } = await update
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update attendance correction error:', error);
+            return res.status(500).json({ error: 'Failed to update correction' });
+        }
+        if (!data) {
+            return res.status(409).json({ error: 'Correction was reviewed in the meantime' });
+        }
+
+        await logAudit(
+            status === 'approved' ? AUDIT_TYPES.ATTENDANCE_CORRECTION_APPROVED : AUDIT_TYPES.ATTENDANCE_CORRECTION_REJECTED,
+            { id: actor.key, role: actor.role, name: actor.name },
+            { entity: 'attendance', id: correction.attendance_id, name: correction.staff_id },
+            {
+                clinicId,
+                correctionId,
+                proposed: { clock_in: correction.proposed_clock_in, clock_out: correction.proposed_clock_out },
+                original: original && { clock_in: original.clock_in, clock_out: original.clock_out, hours_worked: original.hours_worked }
+            },
+            reviewNote || correction.reason
+        );
+
+        // Draft payroll picks the corrected hours up on its next calculation;
+        // approved or paid payroll needs an adjustment
+        const payrollLocked = attendance ? await isPayrollLocked(attendance) : false;
+
+        res.json({
+            success: true,
+            data,
+            attendance,
+            payrollLocked,
+            message: `Correction ${status}`
+        });
+
+    } catch (err) {
+        console.error('Update attendance correction error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
@@ -6,13 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
 
 // ============================================
 // AUDIT LOG ROUTES
 // ============================================
 
 // GET /api/employer/:clinicId/audit
-router.get('/:clinicId/audit', async (req, res) => {
+router.get('/:clinicId/audit', requirePermission('audit.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { location, limit = 100 } = req.query;
@@ -39,10 +40,11 @@ router.get('/:clinicId/audit', async (req, res) => {
 });
 
 // POST /api/employer/:clinicId/audit
-router.post('/:clinicId/audit', async (req, res) => {
+// Records an action taken in the portal; the actor is always the signed-in user
+router.post('/:clinicId/audit', requirePermission('audit.record'), async (req, res) => {
     try {
         const { clinicId } = req.params;
-        const { type, actor_name, actor_role, target_entity, target_id, target_name,
+        const { type, target_entity, target_id, target_name,
             location_id, detail, meta, reason } = req.body;
 
         const { data, error } = await supabaseAdmin
@@ -50,8 +52,9 @@ router.post('/:clinicId/audit', async (req, res) => {
             .insert({
                 clinic_id: clinicId,
                 type,
-                actor_name,
-                actor_role,
+                actor_id: req.user.staffId || req.user.id,
+                actor_name: req.user.name,
+                actor_role: req.user.role,
                 target_entity,
                 target_id,
                 target_name,
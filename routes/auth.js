@@ -8,8 +8,37 @@ const bcrypt = require('bcryptjs');
 const router = express.Router();
 
 const { supabaseAdmin } = require('../lib/supabase');
-const { verifyFirstLoginToken, generateToken } = require('../lib/auth');
+const { verifyFirstLoginToken } = require('../lib/auth');
 const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const { recordResetRequest, createResetToken, resetPassword } = require('../lib/passwordReset');
+const { createSession } = require('../lib/sessions');
+const { sendPasswordResetEmail } = require('../lib/email');
+
+// Same reply whether or not the account exists, so the form cannot be used
+// to find out who has one
+const RESET_REQUESTED_MESSAGE = 'If an account matches, a reset link is on its way. Check your email.';
+
+/**
+ * Find a clinic owner by email or username. Each is matched with its own
+ * equality filter: the identifier is user input, and spliced into an .or()
+ * filter string it could add conditions of its own.
+ * @returns {Promise<object|null>}
+ */
+async function findUserByIdentifier(identifier, columns) {
+    const lookup = (column, value) => supabaseAdmin
+        .from('users')
+        .select(columns)
+        .eq(column, value)
+        .maybeSingle();
+
+    const { data: byEmail, error } = await lookup('email', identifier);
+    if (error) throw error;
+    if (byEmail) return byEmail;
+
+    const { data: byUsername, error: usernameError } = await lookup('username', identifier.toLowerCase());
+    if (usernameError) throw usernameError;
+    return byUsername;
+}
 
 /**
  * POST /api/auth/first-login
@@ -127,19 +156,19 @@ router.post('/first-login', async (req, res) => {
             { clinicId: decoded.clinicId }
         );
 
-        // Generate auth token for immediate login
-        const authToken = generateToken({
-            id: user.id,
-            email: user.email,
+        // Start a session for immediate login
+        const { token: authToken, refreshToken } = await createSession('user', {
+            ...user,
+            username,
             role: 'owner',
-            name: username,
-            clinicId: decoded.clinicId
-        });
+            clinic_id: decoded.clinicId
+        }, req);
 
         res.json({
             success: true,
             message: 'Account setup complete! You can now log in.',
             token: authToken,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -169,15 +198,9 @@ router.post('/login', async (req, res) => {
         }
 
         // Find user by email or username
-        const isEmail = identifier.includes('@');
-
-        const { data: user, error } = await supabaseAdmin
-            .from('users')
-            .select('*, clinic:clinics(id, name, status)')
-            .or(`email.eq.${identifier},username.eq.${identifier.toLowerCase()}`)
-            .single();
+        const user = await findUserByIdentifier(String(identifier), '*, clinic:clinics(id, name, status)');
 
-        if (error || !user) {
+        if (!user) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
@@ -189,35 +212,30 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // Check clinic status
-        if (user.clinic?.status === 'suspended') {
-            return res.status(403).json({ error: 'Your clinic account is suspended' });
-        }
-
         // Verify password
         const passwordValid = await bcrypt.compare(password, user.password_hash);
         if (!passwordValid) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        // Check clinic status once the password matched
+        if (user.clinic?.status === 'suspended') {
+            return res.status(403).json({ error: 'Your clinic account is suspended' });
+        }
+
         // Update last login
         await supabaseAdmin
             .from('users')
             .update({ last_login_at: new Date().toISOString() })
             .eq('id', user.id);
 
-        // Generate token
-        const token = generateToken({
-            id: user.id,
-            email: user.email,
-            role: user.role,
-            name: user.username || user.first_name,
-            clinicId: user.clinic_id
-        });
+        // Start a session
+        const { token, refreshToken } = await createSession('user', user, req);
 
         res.json({
             success: true,
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -234,6 +252,95 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link to a clinic owner ({ identifier: email or username })
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { identifier } = req.body;
+
+        if (!identifier) {
+            return res.status(400).json({ error: 'Username or email required' });
+        }
+
+        if (await recordResetRequest(req.ip)) {
+            return res.status(429).json({ error: 'Too many reset requests. Please try again later.' });
+        }
+
+        const user = await findUserByIdentifier(String(identifier), 'id, email, username, role, password_set');
+
+        // Accounts that never finished first login use their activation link instead
+        if (user?.email && user.password_set) {
+            const token = await createResetToken('user', user.id, req.ip);
+
+            if (token) {
+                const resetUrl = `${process.env.APP_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+                try {
+                    await sendPasswordResetEmail(user.email, resetUrl);
+                } catch (emailErr) {
+                    console.error('Failed to send password reset email:', emailErr);
+                }
+
+                await logAudit(
+                    AUDIT_TYPES.PASSWORD_RESET_REQUESTED,
+                    { id: user.id, role: user.role, name: user.username || user.email },
+                    { entity: 'user', id: user.id, name: user.email },
+                    { ip: req.ip }
+                );
+            }
+        }
+
+        res.json({ success: true, message: RESET_REQUESTED_MESSAGE });
+
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token; every existing session ends
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Token and new password required' });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const { accountId, error } = await resetPassword('user', token, newPassword);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { data: user } = await supabaseAdmin
+            .from('users')
+            .select('id, email, username, role, clinic_id')
+            .eq('id', accountId)
+            .single();
+
+        await logAudit(
+            AUDIT_TYPES.PASSWORD_RESET_COMPLETED,
+            { id: accountId, role: user?.role, name: user?.username || user?.email },
+            { entity: 'user', id: accountId, name: user?.email },
+            { clinicId: user?.clinic_id, ip: req.ip }
+        );
+
+        res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * GET /api/auth/verify-token
  * Verify first-login token is valid
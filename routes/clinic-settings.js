@@ -6,12 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { normaliseRules } = require('../lib/premiums');
+const { syncAllLeaveLedgers } = require('../lib/leave');
+
+// Open segments are closed at most a day after the shift was due to end
+const MAX_AUTO_CLOCK_OUT_MINUTES = 24 * 60;
 
 /**
  * GET /api/clinics/:clinicId/settings
  * Get all clinic settings
  */
-router.get('/:clinicId/settings', async (req, res) => {
+router.get('/:clinicId/settings', requirePermission('settings.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
 
@@ -48,12 +54,18 @@ router.get('/:clinicId/settings', async (req, res) => {
                     required_daily_hours: 8,
                     unpaid_break_minutes: 30,
                     late_threshold_minutes: 15,
+                    early_leave_threshold_minutes: 15,
+                    auto_clock_out_after_minutes: 120,
                     overtime_multiplier: 1.5,
                     annual_leave_days: 21,
                     sick_leave_days: 10,
                     maternity_leave_days: 90,
                     paternity_leave_days: 14,
                     leave_carryover_allowed: false,
+                    leave_carryover_max_days: null,
+                    sick_note_required_after_days: null,
+                    payroll_approvals_required: 1,
+                    premium_rules: [],
                     business_hours: {
                         monday: { open: "08:00", close: "17:00", closed: false },
                         tuesday: { open: "08:00", close: "17:00", closed: false },
@@ -76,6 +88,8 @@ router.get('/:clinicId/settings', async (req, res) => {
                     required_daily_hours: settings.required_daily_hours,
                     unpaid_break_minutes: settings.unpaid_break_minutes,
                     late_threshold_minutes: settings.late_threshold_minutes,
+                    early_leave_threshold_minutes: settings.early_leave_threshold_minutes ?? 15,
+                    auto_clock_out_after_minutes: settings.auto_clock_out_after_minutes ?? 120,
                     overtime_multiplier: settings.overtime_multiplier
                 },
                 leave: {
@@ -83,7 +97,13 @@ router.get('/:clinicId/settings', async (req, res) => {
                     sick_leave_days: settings.sick_leave_days,
                     maternity_leave_days: settings.maternity_leave_days,
                     paternity_leave_days: settings.paternity_leave_days,
-                    leave_carryover_allowed: settings.leave_carryover_allowed
+                    leave_carryover_allowed: settings.leave_carryover_allowed,
+                    leave_carryover_max_days: settings.leave_carryover_max_days ?? null,
+                    sick_note_required_after_days: settings.sick_note_required_after_days ?? null
+                },
+                payroll: {
+                    payroll_approvals_required: settings.payroll_approvals_required ?? 1,
+                    premium_rules: settings.premium_rules || []
                 },
                 business_hours: settings.business_hours
             }
@@ -98,10 +118,38 @@ router.get('/:clinicId/settings', async (req, res) => {
  * PATCH /api/clinics/:clinicId/settings
  * Update clinic settings
  */
-router.patch('/:clinicId/settings', async (req, res) => {
+router.patch('/:clinicId/settings', requirePermission('settings.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
-        const { clinic: clinicUpdates, attendance, leave, business_hours } = req.body;
+        const { clinic: clinicUpdates, attendance, leave, payroll, business_hours } = req.body;
+
+        if (payroll?.payroll_approvals_required !== undefined && ![1, 2].includes(Number(payroll.payroll_approvals_required))) {
+            return res.status(400).json({ error: 'Payroll approvals must be 1 or 2 signers' });
+        }
+
+        const sickNoteDays = leave?.sick_note_required_after_days;
+        if (sickNoteDays !== undefined && sickNoteDays !== null && !(Number.isInteger(sickNoteDays) && sickNoteDays >= 0)) {
+            return res.status(400).json({ error: 'Sick note threshold must be a whole number of days, or empty' });
+        }
+
+        const carryOverCap = leave?.leave_carryover_max_days;
+        if (carryOverCap !== undefined && carryOverCap !== null && !(typeof carryOverCap === 'number' && carryOverCap >= 0 && carryOverCap <= 365)) {
+            return res.status(400).json({ error: 'Carry-over limit must be between 0 and 365 days, or empty for no limit' });
+        }
+
+        const autoClockOut = attendance?.auto_clock_out_after_minutes;
+        if (autoClockOut !== undefined && !(Number.isInteger(autoClockOut) && autoClockOut > 0 && autoClockOut <= MAX_AUTO_CLOCK_OUT_MINUTES)) {
+            return res.status(400).json({ error: `Auto clock-out must be a whole number of minutes between 1 and ${MAX_AUTO_CLOCK_OUT_MINUTES}` });
+        }
+
+        let premiumRules;
+        if (payroll?.premium_rules !== undefined) {
+            const { rules, error } = normaliseRules(payroll.premium_rules);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            premiumRules = rules;
+        }
 
         // Update clinic profile if provided
         if (clinicUpdates) {
@@ -132,6 +180,10 @@ router.patch('/:clinicId/settings', async (req, res) => {
                 settingsUpdate.unpaid_break_minutes = attendance.unpaid_break_minutes;
             if (attendance.late_threshold_minutes !== undefined)
                 settingsUpdate.late_threshold_minutes = attendance.late_threshold_minutes;
+            if (attendance.early_leave_threshold_minutes !== undefined)
+                settingsUpdate.early_leave_threshold_minutes = attendance.early_leave_threshold_minutes;
+            if (attendance.auto_clock_out_after_minutes !== undefined)
+                settingsUpdate.auto_clock_out_after_minutes = attendance.auto_clock_out_after_minutes;
             if (attendance.overtime_multiplier !== undefined)
                 settingsUpdate.overtime_multiplier = attendance.overtime_multiplier;
         }
@@ -147,6 +199,17 @@ router.patch('/:clinicId/settings', async (req, res) => {
                 settingsUpdate.paternity_leave_days = leave.paternity_leave_days;
             if (leave.leave_carryover_allowed !== undefined)
                 settingsUpdate.leave_carryover_allowed = leave.leave_carryover_allowed;
+            if (leave.leave_carryover_max_days !== undefined)
+                settingsUpdate.leave_carryover_max_days = leave.leave_carryover_max_days;
+            if (leave.sick_note_required_after_days !== undefined)
+                settingsUpdate.sick_note_required_after_days = leave.sick_note_required_after_days;
+        }
+
+        if (payroll) {
+            if (payroll.payroll_approvals_required !== undefined)
+                settingsUpdate.payroll_approvals_required = Number(payroll.payroll_approvals_required);
+            if (premiumRules)
+                settingsUpdate.premium_rules = premiumRules;
         }
 
         if (business_hours) {
@@ -170,6 +233,13 @@ router.patch('/:clinicId/settings', async (req, res) => {
             }
         }
 
+        // Allowances and carry-over rules apply to balances straight away
+        // rather than at the next daily ledger job
+        if (leave && ['annual_leave_days', 'sick_leave_days', 'maternity_leave_days', 'paternity_leave_days', 'leave_carryover_allowed', 'leave_carryover_max_days']
+            .some(key => settingsUpdate[key] !== undefined)) {
+            await syncAllLeaveLedgers({ clinicId });
+        }
+
         res.json({ success: true, message: 'Settings updated successfully' });
     } catch (err) {
         console.error('Update settings error:', err);
@@ -6,12 +6,13 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
 
 // ============================================
 // GET /api/employer/:clinicId/documents
 // List all documents for a clinic
 // ============================================
-router.get('/:clinicId/documents', async (req, res) => {
+router.get('/:clinicId/documents', requirePermission('docs.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { category } = req.query;
@@ -41,7 +42,7 @@ router.get('/:clinicId/documents', async (req, res) => {
 // POST /api/employer/:clinicId/documents
 // Upload a new document
 // ============================================
-router.post('/:clinicId/documents', async (req, res) => {
+router.post('/:clinicId/documents', requirePermission('docs.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { name, fileName, fileData, fileType, fileSize, category, uploadedBy, uploadedByName } = req.body;
@@ -109,7 +110,7 @@ router.post('/:clinicId/documents', async (req, res) => {
 // GET /api/employer/:clinicId/documents/:id
 // Get a single document details
 // ============================================
-router.get('/:clinicId/documents/:id', async (req, res) => {
+router.get('/:clinicId/documents/:id', requirePermission('docs.view'), async (req, res) => {
     try {
         const { clinicId, id } = req.params;
 
@@ -136,7 +137,7 @@ router.get('/:clinicId/documents/:id', async (req, res) => {
 // GET /api/employer/:clinicId/documents/:id/download
 // Get a signed download URL for a document
 // ============================================
-router.get('/:clinicId/documents/:id/download', async (req, res) => {
+router.get('/:clinicId/documents/:id/download', requirePermission('docs.view'), async (req, res) => {
     try {
         const { clinicId, id } = req.params;
 
@@ -175,7 +176,7 @@ router.get('/:clinicId/documents/:id/download', async (req, res) => {
 // DELETE /api/employer/:clinicId/documents/:id
 // Delete a document
 // ============================================
-router.delete('/:clinicId/documents/:id', async (req, res) => {
+router.delete('/:clinicId/documents/:id', requirePermission('docs.manage'), async (req, res) => {
     try {
         const { clinicId, id } = req.params;
 
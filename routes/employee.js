@@ -1,13 +1,30 @@
 /**
  * HURE Core - Employee/Staff Routes
- * Handles staff portal access: schedule, attendance, leave, documents
+ * Handles staff portal access: schedule, attendance, leave, documents, payslips
  */
 
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
-const { verifyToken } = require('../lib/auth');
+const { verifyToken, isSessionRevoked } = require('../lib/auth');
 const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const { ensurePayslipFile, STORAGE_BUCKET: PAYSLIP_BUCKET } = require('../lib/payslip');
+const {
+    normaliseLeaveDuration,
+    calculateLeaveDays,
+    getLeaveBalances,
+    checkLeaveBalance,
+    getLeavePolicy,
+    attachmentRequired,
+    uploadLeaveAttachment,
+    removeLeaveAttachment
+} = require('../lib/leave');
+const { prepareLeaveChange } = require('../lib/leaveChanges');
+const { getHolidays } = require('../lib/holidays');
+const { normalisePosition, checkGeofence } = require('../lib/geo');
+const { verifyKioskCode, redeemKioskCode } = require('../lib/kiosk');
+const { getAttendanceSettings, findOpenSegment, startAttendanceSegment, endAttendanceSegment } = require('../lib/attendance');
+const { prepareCorrection } = require('../lib/attendanceCorrections');
 
 /**
  * Middleware: Verify staff authentication
@@ -30,10 +47,81 @@ async function requireStaff(req, res, next) {
         return res.status(403).json({ error: 'Staff access required' });
     }
 
+    if (await isSessionRevoked(decoded)) {
+        return res.status(401).json({ error: 'Session ended. Please log in again.' });
+    }
+
     req.user = decoded;
     next();
 }
 
+/**
+ * Work out how a punch was made and where. A scanned kiosk code pins the
+ * punch to the kiosk's location. Either way the device position is checked
+ * against the fence of the location being punched at, so a kiosk code passed
+ * on to someone off site is no use where the fence is enforced.
+ * @param {object} body - { position, kioskCode? }
+ * @param {string|null} locationId - where the punch is for (the open segment's
+ *   location on clock-out); defaults to the staff member's own location
+ * @returns {Promise<{ method?: string, position?: object, error?: string, status?: number }>}
+ *   position is what gets stored on the attendance row
+ */
+async function checkPunch(clinicId, staffId, body = {}, locationId = null) {
+    const { position, error } = normalisePosition(body.position);
+    if (error) return { error, status: 400 };
+
+    let method = position ? 'gps' : 'manual';
+    let kioskCodeId = null;
+
+    if (body.kioskCode) {
+        const { location: kiosk, codeId, error: kioskError } = await verifyKioskCode(body.kioskCode, clinicId);
+        if (kioskError) return { error: kioskError, status: 400 };
+        method = 'qr_code';
+        locationId = kiosk.id;
+        kioskCodeId = codeId;
+    }
+
+    if (!locationId) {
+        const { data: member } = await supabaseAdmin.from('staff').select('location_id').eq('id', staffId).single();
+        locationId = member?.location_id || null;
+    }
+
+    const { data: location } = locationId
+        ? await supabaseAdmin
+            .from('clinic_locations')
+            .select('id, name, latitude, longitude, geofence_radius_m, geofence_enforced')
+            .eq('id', locationId)
+            .eq('clinic_id', clinicId)
+            .eq('is_active', true)
+            .maybeSingle()
+        : { data: null };
+
+    const fence = checkGeofence(location, position);
+
+    if (fence.enforced && fence.geofence === 'no_position') {
+        return { error: 'Location access is required to clock in or out here', status: 403 };
+    }
+    if (fence.enforced && fence.geofence === 'outside') {
+        return { error: `You are ${fence.distance_m} m from ${location.name}. Move closer to clock in or out.`, status: 403 };
+    }
+
+    // Only a punch that passed every check uses up the code
+    if (kioskCodeId) {
+        const { error: redeemError } = await redeemKioskCode(kioskCodeId, staffId, locationId);
+        if (redeemError) return { error: redeemError, status: 400 };
+    }
+
+    return {
+        method,
+        position: {
+            ...(position || {}),
+            distance_m: fence.distance_m,
+            geofence: fence.geofence,
+            location_id: fence.location_id
+        }
+    };
+}
+
 /**
  * GET /api/employee/profile
  * Get staff member's own profile
@@ -177,7 +265,19 @@ router.get('/schedule', requireStaff, async (req, res) => {
             decline_reason: null
         }));
 
-        res.json({ shifts });
+        // Flag public holidays across the requested range (or the shifts returned)
+        const rangeFrom = from || shifts[0]?.date;
+        const rangeTo = to || shifts[shifts.length - 1]?.date;
+        const holidays = rangeFrom && rangeTo
+            ? await getHolidays(staffData.clinic_id, rangeFrom, rangeTo)
+            : new Map();
+
+        shifts.forEach(s => { s.holiday = holidays.get(s.date) || null; });
+
+        res.json({
+            shifts,
+            holidays: [...holidays].map(([date, name]) => ({ date, name }))
+        });
     } catch (err) {
         console.error('Get staff schedule error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -243,7 +343,7 @@ router.get('/attendance', requireStaff, async (req, res) => {
 
         let query = supabaseAdmin
             .from('attendances')
-            .select('*')
+            .select('*, segments:attendance_segments(clock_in, clock_out)')
             .eq('staff_id', req.user.staffId)
             .order('date', { ascending: false });
 
@@ -256,13 +356,27 @@ router.get('/attendance', requireStaff, async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch attendance' });
         }
 
+        // Latest correction request per day
+        const { data: corrections } = await supabaseAdmin
+            .from('attendance_corrections')
+            .select('id, attendance_id, proposed_clock_in, proposed_clock_out, reason, status, review_note, reviewed_at')
+            .eq('staff_id', req.user.staffId)
+            .order('created_at', { ascending: true });
+
+        const correctionByDay = Object.fromEntries((corrections || []).map(c => [c.attendance_id, c]));
+
         // Map to expected format
         const attendance = (data || []).map(a => ({
             id: a.id,
             date: a.date,
             clock_in: a.clock_in,
             clock_out: a.clock_out,
-            status: a.status
+            hours_worked: a.hours_worked,
+            segments: (a.segments || []).sort((x, y) => x.clock_in.localeCompare(y.clock_in)),
+            status: a.status,
+            needs_review: a.needs_review,
+            review_reason: a.review_reason,
+            correction: correctionByDay[a.id] || null
         }));
 
         res.json({ attendance });
@@ -272,21 +386,60 @@ router.get('/attendance', requireStaff, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/employee/attendance/:attendanceId/corrections
+ * Propose corrected times for a day ({ clockIn, clockOut, reason });
+ * a manager approves or rejects them
+ */
+router.post('/attendance/:attendanceId/corrections', requireStaff, async (req, res) => {
+    try {
+        const { attendanceId } = req.params;
+
+        const { data: attendance } = await supabaseAdmin
+            .from('attendances')
+            .select('*')
+            .eq('id', attendanceId)
+            .eq('staff_id', req.user.staffId)
+            .single();
+
+        if (!attendance) {
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+
+        const { correction, error: correctionError } = prepareCorrection(attendance, req.body);
+        if (correctionError) {
+            return res.status(400).json({ error: correctionError });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('attendance_corrections')
+            .insert({ ...correction, status: 'pending' })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'There is already a correction waiting for approval on this day' });
+            }
+            console.error('Attendance correction insert error:', error);
+            return res.status(500).json({ error: 'Failed to submit correction' });
+        }
+
+        res.status(201).json({ success: true, correction: data, message: 'Correction sent for approval' });
+    } catch (err) {
+        console.error('Submit attendance correction error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * POST /api/employee/attendance/clock-in
  * Clock in for work
  */
 router.post('/attendance/clock-in', requireStaff, async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
         const now = new Date();
 
-        console.log('[DEBUG] Clock-in attempt:', {
-            staffId: req.user.staffId,
-            clinicId: req.user.clinicId,
-            today
-        });
-
         // Get clinic_id from staff table if not in token
         let clinicId = req.user.clinicId;
         if (!clinicId) {
@@ -301,41 +454,32 @@ router.post('/attendance/clock-in', requireStaff, async (req, res) => {
                 return res.status(500).json({ error: 'Failed to get staff details' });
             }
             clinicId = staffData.clinic_id;
-            console.log('[DEBUG] Got clinicId from staff table:', clinicId);
         }
 
-        // Check if already clocked in today
-        const { data: existing } = await supabaseAdmin
-            .from('attendances')
-            .select('*')
-            .eq('staff_id', req.user.staffId)
-            .eq('clinic_id', clinicId)
-            .eq('date', today)
-            .is('clock_out', null)
-            .maybeSingle();
+        // Check if already clocked in (a break ends by clocking in again)
+        if (await findOpenSegment(req.user.staffId)) {
+            return res.status(400).json({ error: 'Already clocked in' });
+        }
 
-        if (existing) {
-            return res.status(400).json({ error: 'Already clocked in today' });
+        const punch = await checkPunch(clinicId, req.user.staffId, req.body);
+        if (punch.error) {
+            return res.status(punch.status).json({ error: punch.error });
         }
 
-        const { data, error } = await supabaseAdmin
-            .from('attendances')
-            .insert({
-                staff_id: req.user.staffId,
-                clinic_id: clinicId,
-                date: today,
-                clock_in: now.toISOString(),
-                status: 'present'
-            })
-            .select()
-            .single();
+        const { attendance: data, error } = await startAttendanceSegment({
+            clinicId,
+            staffId: req.user.staffId,
+            at: now,
+            locationId: punch.position.location_id,
+            method: punch.method,
+            position: punch.position,
+            outsideGeofence: punch.position.geofence === 'outside' || punch.position.geofence === 'no_position'
+        });
 
         if (error) {
-            console.error('[DEBUG] Clock-in insert error:', error);
-            return res.status(500).json({ error: 'Failed to clock in' });
+            return res.status(400).json({ error });
         }
 
-        console.log('[DEBUG] Clock-in successful:', data);
         res.json({ success: true, attendance: data });
     } catch (err) {
         console.error('Clock in error:', err);
@@ -345,71 +489,37 @@ router.post('/attendance/clock-in', requireStaff, async (req, res) => {
 
 /**
  * POST /api/employee/attendance/clock-out
- * Clock out from work
+ * Clock out from work, or for a break
  */
 router.post('/attendance/clock-out', requireStaff, async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
         const now = new Date();
 
-        // Find today's active clock-in
-        const { data: attendance } = await supabaseAdmin
-            .from('attendances')
-            .select('*')
-            .eq('staff_id', req.user.staffId)
-            .eq('date', today)
-            .is('clock_out', null)
-            .single();
+        // Find the open clock-in, which may have started the day before (night shift)
+        const segment = await findOpenSegment(req.user.staffId);
 
-        if (!attendance) {
+        if (!segment) {
             return res.status(400).json({ error: 'No active clock-in found' });
         }
 
-        // Calculate hours worked
-        const clockInTime = new Date(attendance.clock_in);
-        const clockOutTime = now;
-        const millisecondsWorked = clockOutTime - clockInTime;
-        const hoursWorked = millisecondsWorked / (1000 * 60 * 60); // Convert to hours
-
-        // Define required hours (8 hours standard workday)
-        const requiredHours = 8;
-        const halfDayThreshold = requiredHours * 0.5; // 4 hours
-
-        // Determine attendance status
-        let status = 'absent';
-        let overtimeHours = 0;
-
-        if (hoursWorked >= requiredHours) {
-            status = 'present';
-            overtimeHours = hoursWorked - requiredHours;
-        } else if (hoursWorked >= halfDayThreshold) {
-            status = 'half_day';
-        } else {
-            status = 'absent';
-        }
-
-        const { data, error } = await supabaseAdmin
-            .from('attendances')
-            .update({
-                clock_out: now.toISOString(),
-                hours_worked: parseFloat(hoursWorked.toFixed(2)),
-                status: status,
-                updated_at: now.toISOString()
-            })
-            .eq('id', attendance.id)
-            .select()
-            .single();
-
-        if (error) {
-            console.error('[DEBUG] Clock-out error:', error);
-            return res.status(500).json({ error: 'Failed to clock out' });
+        const punch = await checkPunch(segment.clinic_id, req.user.staffId, req.body, segment.location_id);
+        if (punch.error) {
+            return res.status(punch.status).json({ error: punch.error });
         }
 
-        console.log('[DEBUG] Clock-out successful:', {
-            hoursWorked: hoursWorked.toFixed(2),
-            status,
-            overtimeHours: overtimeHours.toFixed(2)
+        // Hours and status for the whole day so far, from all its segments
+        const { attendance: data } = await endAttendanceSegment(segment, {
+            at: now,
+            method: punch.method,
+            position: punch.position,
+            outsideGeofence: punch.position.geofence === 'outside' || punch.position.geofence === 'no_position'
         });
+        const hoursWorked = parseFloat(data.hours_worked) || 0;
+        const { status } = data;
+
+        // Overtime against the clinic's working day
+        const { required_daily_hours: requiredHours } = await getAttendanceSettings(segment.clinic_id);
+        const overtimeHours = Math.max(0, hoursWorked - requiredHours);
 
         res.json({
             success: true,
@@ -440,7 +550,33 @@ router.get('/leave', requireStaff, async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch leave requests' });
         }
 
-        res.json({ leaves: data || [] });
+        // Latest cancellation/amendment request per leave
+        const { data: changes } = await supabaseAdmin
+            .from('leave_change_requests')
+            .select('*')
+            .eq('staff_id', req.user.staffId)
+            .order('created_at', { ascending: true });
+
+        const changeByLeave = Object.fromEntries((changes || []).map(c => [c.leave_request_id, c]));
+        const leaves = (data || []).map(l => ({ ...l, change_request: changeByLeave[l.id] || null }));
+
+        // Balances for this year (the ledger is kept current by the daily job)
+        const { data: member } = await supabaseAdmin
+            .from('staff')
+            .select('id, clinic_id')
+            .eq('id', req.user.staffId)
+            .single();
+
+        let balances = {};
+        let policy = {};
+        if (member) {
+            const year = new Date().getFullYear();
+            balances = (await getLeaveBalances(member.clinic_id, [member.id], year))[member.id];
+            const { sick_note_required_after_days } = await getLeavePolicy(member.clinic_id);
+            policy = { sick_note_required_after_days };
+        }
+
+        res.json({ leaves, balances, policy });
     } catch (err) {
         console.error('Get leave requests error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -458,6 +594,10 @@ router.post('/leave', requireStaff, async (req, res) => {
         const startDate = req.body.startDate || req.body.start_date;
         const endDate = req.body.endDate || req.body.end_date;
         const reason = req.body.reason || null;
+        const durationType = req.body.durationType || req.body.duration_type;
+        const halfDayPeriod = req.body.halfDayPeriod || req.body.half_day_period;
+        const hours = req.body.hours;
+        const attachment = req.body.attachment || null; // { fileName, fileData (base64), fileType }
 
         console.log('[DEBUG] Leave request:', { leaveType, startDate, endDate, reason });
 
@@ -479,10 +619,47 @@ router.post('/leave', requireStaff, async (req, res) => {
             }
         }
 
-        // Calculate days count
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        const daysCount = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
+        if (endDate < startDate) {
+            return res.status(400).json({ error: 'End date cannot be before start date' });
+        }
+
+        const { duration, error: durationError } = normaliseLeaveDuration({ durationType, halfDayPeriod, hours }, startDate, endDate);
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
+
+        // Calculate days count (only rostered or open days are charged)
+        const daysCount = await calculateLeaveDays(clinicId, req.user.staffId, startDate, endDate, duration);
+        if (daysCount === 0) {
+            return res.status(400).json({ error: 'You are not scheduled to work on the selected dates' });
+        }
+
+        const { error: balanceError } = await checkLeaveBalance({
+            clinic_id: clinicId,
+            staff_id: req.user.staffId,
+            leave_type: leaveType,
+            from_date: startDate,
+            days_count: daysCount
+        });
+
+        if (balanceError) {
+            return res.status(400).json({ error: balanceError });
+        }
+
+        const policy = await getLeavePolicy(clinicId);
+        if (!attachment && attachmentRequired(policy, leaveType, daysCount)) {
+            return res.status(400).json({
+                error: `A sick note is required for sick leave longer than ${policy.sick_note_required_after_days} day(s)`
+            });
+        }
+
+        let file = {};
+        if (attachment) {
+            file = await uploadLeaveAttachment(clinicId, req.user.staffId, attachment);
+            if (file.error) {
+                return res.status(400).json({ error: file.error });
+            }
+        }
 
         const { data, error } = await supabaseAdmin
             .from('leave_requests')
@@ -493,13 +670,20 @@ router.post('/leave', requireStaff, async (req, res) => {
                 from_date: startDate,
                 to_date: endDate,
                 days_count: daysCount,
+                duration_type: duration.type,
+                half_day_period: duration.period,
+                hours: duration.hours,
                 reason: reason,
+                attachment_path: file.path || null,
+                attachment_name: file.name || null,
+                attachment_type: file.type || null,
                 status: 'pending'
             })
             .select()
             .single();
 
         if (error) {
+            await removeLeaveAttachment(file.path);
             console.error('[DEBUG] Leave insert error:', error);
             return res.status(500).json({ error: 'Failed to submit leave request' });
         }
@@ -512,6 +696,83 @@ router.post('/leave', requireStaff, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/employee/leave/:leaveId/changes
+ * Withdraw a pending request, or ask the approver to cancel or re-date
+ * approved leave ({ changeType: 'cancel' | 'amend', startDate, endDate, ... })
+ */
+router.post('/leave/:leaveId/changes', requireStaff, async (req, res) => {
+    try {
+        const { leaveId } = req.params;
+        const { changeType, reason } = req.body;
+
+        const { data: leave } = await supabaseAdmin
+            .from('leave_requests')
+            .select('*')
+            .eq('id', leaveId)
+            .eq('staff_id', req.user.staffId)
+            .single();
+
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        // Nothing has been decided yet, so a pending request is withdrawn straight away
+        if (leave.status === 'pending' && changeType === 'cancel') {
+            const { data, error } = await supabaseAdmin
+                .from('leave_requests')
+                .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+                .eq('id', leaveId)
+                .eq('status', 'pending')
+                .select()
+                .maybeSingle();
+
+            if (error) {
+                return res.status(500).json({ error: 'Failed to withdraw leave request' });
+            }
+            if (!data) {
+                return res.status(409).json({ error: 'Leave request was reviewed in the meantime; reload and try again' });
+            }
+            return res.json({ success: true, leave: data, message: 'Leave request withdrawn' });
+        }
+
+        if (leave.status !== 'approved') {
+            return res.status(400).json({ error: `Only approved leave can be changed (this request is ${leave.status})` });
+        }
+
+        const { change, error: changeError } = await prepareLeaveChange(leave, req.body);
+        if (changeError) {
+            return res.status(400).json({ error: changeError });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('leave_change_requests')
+            .insert({
+                clinic_id: leave.clinic_id,
+                leave_request_id: leave.id,
+                staff_id: leave.staff_id,
+                ...change,
+                reason: reason || null,
+                status: 'pending'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'There is already a change waiting for approval on this leave' });
+            }
+            console.error('Leave change insert error:', error);
+            return res.status(500).json({ error: 'Failed to submit change request' });
+        }
+
+        res.status(201).json({ success: true, change: data, message: 'Change sent for approval' });
+    } catch (err) {
+        console.error('Submit leave change error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * GET /api/employee/documents
  * Get documents/policies assigned to staff's clinic
@@ -705,5 +966,72 @@ router.get('/documents/:docId/download', requireStaff, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/employee/payslips
+ * List the staff member's payslips, newest period first
+ */
+router.get('/payslips', requireStaff, async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('payslips')
+            .select('id, period_label, period_start, period_end, gross_kes, paye_kes, shif_kes, nssf_kes, housing_levy_kes, other_deductions_kes, net_kes, hours_worked, overtime_hours, issued_at')
+            .eq('staff_id', req.user.staffId)
+            .order('period_start', { ascending: false, nullsFirst: false })
+            .order('issued_at', { ascending: false });
+
+        if (error) {
+            console.error('Payslips query error:', error);
+            return res.status(500).json({ error: 'Failed to fetch payslips' });
+        }
+
+        res.json({ payslips: data || [] });
+    } catch (err) {
+        console.error('Get payslips error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/employee/payslips/:payslipId/download
+ * Get signed download URL for a payslip PDF (rendered on first request)
+ */
+router.get('/payslips/:payslipId/download', requireStaff, async (req, res) => {
+    try {
+        const { payslipId } = req.params;
+
+        const { data: payslip, error: payslipError } = await supabaseAdmin
+            .from('payslips')
+            .select('*')
+            .eq('id', payslipId)
+            .eq('staff_id', req.user.staffId)
+            .single();
+
+        if (payslipError || !payslip) {
+            return res.status(404).json({ error: 'Payslip not found' });
+        }
+
+        const filePath = await ensurePayslipFile(payslip);
+
+        // Generate signed URL (valid for 1 hour)
+        const { data: signedUrl, error: urlError } = await supabaseAdmin.storage
+            .from(PAYSLIP_BUCKET)
+            .createSignedUrl(filePath, 3600);
+
+        if (urlError) {
+            console.error('Signed URL error:', urlError);
+            return res.status(500).json({ error: 'Failed to generate download URL' });
+        }
+
+        res.json({
+            success: true,
+            downloadUrl: signedUrl.signedUrl,
+            fileName: `Payslip-${payslip.period_label.replace(/\s+/g, '-')}.pdf`
+        });
+    } catch (err) {
+        console.error('Download payslip error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,189 @@
+/**
+ * HURE Core - Holiday Calendar Routes
+ * Per-clinic public holidays: seeded national days plus ad-hoc gazetted days
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { listHolidays } = require('../lib/holidays');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// National days are seeded per year on first read, so one request may only
+// span a couple of years
+const MAX_RANGE_DAYS = 731;
+const MIN_YEAR = 2000;
+const MAX_YEAR = 2100;
+
+/**
+ * GET /api/clinics/:clinicId/holidays
+ * List the calendar for a year (?year=2025, defaults to this year) or range (?from=&to=)
+ */
+router.get('/:clinicId/holidays', requirePermission('settings.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+        const from = DATE_PATTERN.test(req.query.from || '') ? req.query.from : `${year}-01-01`;
+        const to = DATE_PATTERN.test(req.query.to || '') ? req.query.to : `${year}-12-31`;
+
+        if (to < from) {
+            return res.status(400).json({ error: 'End date cannot be before start date' });
+        }
+
+        if (Number(from.slice(0, 4)) < MIN_YEAR || Number(to.slice(0, 4)) > MAX_YEAR) {
+            return res.status(400).json({ error: `Holidays are available for ${MIN_YEAR} to ${MAX_YEAR}` });
+        }
+
+        if ((Date.parse(to) - Date.parse(from)) / 86400000 > MAX_RANGE_DAYS) {
+            return res.status(400).json({ error: 'Ask for at most two years of holidays at a time' });
+        }
+
+        const data = await listHolidays(clinicId, from, to);
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('List holidays error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/clinics/:clinicId/holidays
+ * Add an ad-hoc (gazetted) holiday
+ */
+router.post('/:clinicId/holidays', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { date, name } = req.body;
+
+        if (!DATE_PATTERN.test(date || '') || !name?.trim()) {
+            return res.status(400).json({ error: 'Date (YYYY-MM-DD) and name are required' });
+        }
+
+        if (Number(date.slice(0, 4)) < MIN_YEAR || Number(date.slice(0, 4)) > MAX_YEAR) {
+            return res.status(400).json({ error: `Holidays can be added for ${MIN_YEAR} to ${MAX_YEAR}` });
+        }
+
+        // Make sure the national days for that year exist first, so they
+        // cannot later be seeded over the new entry
+        await listHolidays(clinicId, date, date);
+
+        const { data, error } = await supabaseAdmin
+            .from('clinic_holidays')
+            .insert({
+                clinic_id: clinicId,
+                date,
+                name: name.trim(),
+                source: 'custom'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `There is already a holiday on ${date}` });
+            }
+            console.error('Create holiday error:', error);
+            return res.status(500).json({ error: 'Failed to add holiday' });
+        }
+
+        res.status(201).json({ success: true, data });
+
+    } catch (err) {
+        console.error('Create holiday error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/clinics/:clinicId/holidays/:holidayId
+ * Rename a holiday or switch it on/off
+ */
+router.patch('/:clinicId/holidays/:holidayId', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { clinicId, holidayId } = req.params;
+        const { name, isActive } = req.body;
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (name !== undefined) {
+            if (!name.trim()) {
+                return res.status(400).json({ error: 'Name cannot be empty' });
+            }
+            updates.name = name.trim();
+        }
+        if (isActive !== undefined) {
+            updates.is_active = Boolean(isActive);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('clinic_holidays')
+            .update(updates)
+            .eq('id', holidayId)
+            .eq('clinic_id', clinicId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update holiday error:', error);
+            return res.status(500).json({ error: 'Failed to update holiday' });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Update holiday error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/clinics/:clinicId/holidays/:holidayId
+ * Remove an ad-hoc holiday (national holidays are switched off instead)
+ */
+router.delete('/:clinicId/holidays/:holidayId', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { clinicId, holidayId } = req.params;
+
+        const { data: existing } = await supabaseAdmin
+            .from('clinic_holidays')
+            .select('source')
+            .eq('id', holidayId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        if (existing.source === 'national') {
+            return res.status(400).json({ error: 'National holidays cannot be deleted. Switch it off instead.' });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('clinic_holidays')
+            .delete()
+            .eq('id', holidayId)
+            .eq('clinic_id', clinicId);
+
+        if (error) {
+            console.error('Delete holiday error:', error);
+            return res.status(500).json({ error: 'Failed to delete holiday' });
+        }
+
+        res.json({ success: true, message: 'Holiday deleted' });
+
+    } catch (err) {
+        console.error('Delete holiday error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
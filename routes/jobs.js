@@ -0,0 +1,100 @@
+/**
+ * HURE Core - Scheduled Job Routes
+ * Called daily by Vercel Cron (see vercel.json), or by hand with the
+ * CRON_SECRET bearer token to re-run a date
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireCronSecret } = require('../lib/auth');
+const { recordNoShows } = require('../lib/attendance');
+const { runAutoClockOut } = require('../lib/autoClockOut');
+const { addDays } = require('../lib/compensation');
+const { syncAllLeaveLedgers } = require('../lib/leave');
+const { DEFAULT_TIMEZONE, localParts } = require('../lib/timezone');
+
+router.use(requireCronSecret);
+
+/**
+ * GET /api/jobs/no-shows?date=YYYY-MM-DD&clinicId=
+ * Mark rostered staff who never clocked in as absent. Defaults to yesterday
+ * (East Africa time), once every shift of the day has ended.
+ */
+router.get('/no-shows', async (req, res) => {
+    try {
+        const { clinicId = null } = req.query;
+        const date = req.query.date || addDays(localParts(new Date(), DEFAULT_TIMEZONE).date, -1);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+        }
+
+        const recorded = await recordNoShows(date, { clinicId });
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                recorded: recorded.length,
+                absences: recorded.map(a => ({ id: a.id, clinic_id: a.clinic_id, staff_id: a.staff_id }))
+            }
+        });
+
+    } catch (err) {
+        console.error('No-show job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/jobs/auto-clock-out?clinicId=
+ * Close attendances left open past the clinic's cutoff after the scheduled
+ * end, flag them for review and email the staff member and their managers
+ */
+router.get('/auto-clock-out', async (req, res) => {
+    try {
+        const { clinicId = null } = req.query;
+
+        const closed = await runAutoClockOut({ clinicId });
+
+        res.json({
+            success: true,
+            data: {
+                closed: closed.length,
+                attendances: closed.map(c => ({
+                    id: c.attendance.id,
+                    clinic_id: c.attendance.clinic_id,
+                    staff_id: c.attendance.staff_id,
+                    date: c.attendance.date,
+                    clock_out: c.attendance.clock_out
+                }))
+            }
+        });
+
+    } catch (err) {
+        console.error('Auto clock-out job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/jobs/leave-ledger?clinicId=
+ * Post monthly accruals, yearly entitlements, missed deductions and
+ * carry-over to the leave ledger, so balance reads stay cheap
+ */
+router.get('/leave-ledger', async (req, res) => {
+    try {
+        const { clinicId = null } = req.query;
+
+        const synced = await syncAllLeaveLedgers({ clinicId });
+
+        res.json({ success: true, data: synced });
+
+    } catch (err) {
+        console.error('Leave ledger job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
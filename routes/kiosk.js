@@ -0,0 +1,57 @@
+/**
+ * HURE Core - Kiosk Routes
+ * Public endpoint polled by a location's reception tablet for its QR code.
+ * The kiosk key in the URL is the tablet's only credential.
+ */
+
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+
+const { supabaseAdmin } = require('../lib/supabase');
+const { issueKioskCode } = require('../lib/kiosk');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+/**
+ * GET /api/kiosk/:kioskKey/code
+ * Current clock-in code as an SVG QR. The QR opens the employee portal,
+ * which clocks the scanning staff member in or out.
+ */
+router.get('/:kioskKey/code', async (req, res) => {
+    try {
+        const { kioskKey } = req.params;
+
+        const { data: location } = await supabaseAdmin
+            .from('clinic_locations')
+            .select('id, clinic_id, name, kiosk_key, is_active, clinic:clinics(name)')
+            .eq('kiosk_key', kioskKey)
+            .maybeSingle();
+
+        if (!location || location.is_active === false) {
+            return res.status(404).json({ error: 'Kiosk not found or switched off' });
+        }
+
+        const { code, expires_at, refresh_in } = issueKioskCode(location);
+        const url = `${APP_URL}/employee?kiosk=${encodeURIComponent(code)}`;
+        const svg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+        // Codes are single-use per person; never let a proxy hand out an old one
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data: {
+                location: { id: location.id, name: location.name, clinic_name: location.clinic?.name || null },
+                svg,
+                expires_at,
+                refresh_in
+            }
+        });
+
+    } catch (err) {
+        console.error('Kiosk code error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -7,31 +7,30 @@ const express = require('express');
 const router = express.Router();
 
 const { supabaseAdmin } = require('../lib/supabase');
-
-/**
- * Calculate business days between two dates
- */
-function calculateDays(from, to) {
-    const start = new Date(from);
-    const end = new Date(to);
-    let count = 0;
-    const current = new Date(start);
-
-    while (current <= end) {
-        const day = current.getDay();
-        if (day !== 0 && day !== 6) { // Exclude weekends
-            count++;
-        }
-        current.setDate(current.getDate() + 1);
-    }
-    return count;
-}
+const { requirePermission } = require('../lib/permissions');
+const {
+    BALANCE_TYPES,
+    normaliseLeaveDuration,
+    calculateLeaveDays,
+    getLeavePolicy,
+    attachmentRequired,
+    uploadLeaveAttachment,
+    removeLeaveAttachment,
+    getLeaveAttachmentUrl,
+    getLeaveBalances,
+    checkLeaveBalance,
+    recordLeaveDeduction,
+    reverseLeaveDeduction
+} = require('../lib/leave');
+const { getLeaveImpact, releaseLeaveBlocks, restoreLeaveBlocks } = require('../lib/coverage');
+const { applyLeaveChange } = require('../lib/leaveChanges');
+const { actorFromUser } = require('../lib/payrollWorkflow');
 
 /**
  * GET /api/clinics/:clinicId/leave
  * List leave requests
  */
-router.get('/:clinicId/leave', async (req, res) => {
+router.get('/:clinicId/leave', requirePermission('leave.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { status, staffId, type } = req.query;
@@ -71,11 +70,367 @@ router.get('/:clinicId/leave', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/clinics/:clinicId/leave/balances
+ * Leave balances for every staff member (?year=, defaults to this year)
+ */
+router.get('/:clinicId/leave/balances', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+
+        const { data: staff, error: staffError } = await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name, job_role, location_id')
+            .eq('clinic_id', clinicId);
+
+        if (staffError) {
+            console.error('Leave balances error:', staffError);
+            return res.status(500).json({ error: 'Failed to fetch staff' });
+        }
+
+        const balances = await getLeaveBalances(clinicId, (staff || []).map(s => s.id), year);
+
+        res.json({
+            success: true,
+            year,
+            data: (staff || []).map(s => ({
+                staff_id: s.id,
+                name: `${s.first_name} ${s.last_name}`,
+                job_role: s.job_role,
+                location_id: s.location_id,
+                balances: balances[s.id]
+            }))
+        });
+
+    } catch (err) {
+        console.error('Leave balances error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/leave/balances/:staffId
+ * Ledger entries behind a staff member's balances (?year=)
+ */
+router.get('/:clinicId/leave/balances/:staffId', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+        const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+
+        const { data, error } = await supabaseAdmin
+            .from('leave_ledger')
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('staff_id', staffId)
+            .eq('year', year)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Leave ledger error:', error);
+            return res.status(500).json({ error: 'Failed to fetch leave ledger' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Leave ledger error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/clinics/:clinicId/leave/balances/:staffId/adjustments
+ * Manually correct a balance (e.g. opening balance for existing staff)
+ */
+router.post('/:clinicId/leave/balances/:staffId/adjustments', requirePermission('leave.balances'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+        const { leaveType, days, note } = req.body;
+        const year = parseInt(req.body.year, 10) || new Date().getFullYear();
+        const amount = Number(days);
+
+        if (!BALANCE_TYPES[leaveType]) {
+            return res.status(400).json({ error: `Leave type must be one of ${Object.keys(BALANCE_TYPES).join(', ')}` });
+        }
+
+        if (!Number.isFinite(amount) || amount === 0 || Math.round(amount * 2) !== amount * 2) {
+            return res.status(400).json({ error: 'Days must be a non-zero multiple of 0.5' });
+        }
+
+        if (!note?.trim()) {
+            return res.status(400).json({ error: 'A note explaining the adjustment is required' });
+        }
+
+        const { data: member } = await supabaseAdmin
+            .from('staff')
+            .select('id')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('leave_ledger')
+            .insert({
+                clinic_id: clinicId,
+                staff_id: staffId,
+                leave_type: leaveType,
+                year,
+                entry_type: 'adjustment',
+                days: amount,
+                entry_key: `adjustment:${Date.now()}`,
+                note: note.trim(),
+                created_by: actorFromUser(req.user).key
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Leave adjustment error:', error);
+            return res.status(500).json({ error: 'Failed to adjust balance' });
+        }
+
+        res.status(201).json({ success: true, data });
+
+    } catch (err) {
+        console.error('Leave adjustment error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/leave/changes
+ * Cancellation and amendment requests for approved leave (?status=pending)
+ */
+router.get('/:clinicId/leave/changes', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { status } = req.query;
+
+        let query = supabaseAdmin
+            .from('leave_change_requests')
+            .select(`
+                *,
+                staff:staff_id (id, first_name, last_name, job_role),
+                leave:leave_request_id (id, leave_type, from_date, to_date, days_count, duration_type, half_day_period, hours, status)
+            `)
+            .eq('clinic_id', clinicId)
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('List leave changes error:', error);
+            return res.status(500).json({ error: 'Failed to fetch leave change requests' });
+        }
+
+        res.json({ success: true, data: data || [] });
+
+    } catch (err) {
+        console.error('List leave changes error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/clinics/:clinicId/leave/changes/:changeId
+ * Accept or decline a cancellation/amendment. Accepting restores the
+ * balance and schedule; the original request is kept for the record.
+ */
+router.patch('/:clinicId/leave/changes/:changeId', requirePermission('leave.review'), async (req, res) => {
+    try {
+        const { clinicId, changeId } = req.params;
+        const { status, reviewNote } = req.body;
+        const actor = actorFromUser(req.user);
+
+        if (!['accepted', 'declined'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be accepted or declined' });
+        }
+
+        const { data: change } = await supabaseAdmin
+            .from('leave_change_requests')
+            .select('*')
+            .eq('id', changeId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!change) {
+            return res.status(404).json({ error: 'Change request not found' });
+        }
+
+        if (change.status !== 'pending') {
+            return res.status(400).json({ error: `Change request already ${change.status}` });
+        }
+
+        // Claim the change first so two reviewers accepting together cannot
+        // both apply it to the leave balance
+        const { data: claimed, error: claimError } = await supabaseAdmin
+            .from('leave_change_requests')
+            .update({
+                status,
+                reviewed_by: actor.userId,
+                reviewed_by_staff_id: actor.staffId,
+                reviewed_by_name: actor.name,
+                reviewed_at: new Date().toISOString(),
+                review_note: reviewNote || null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', changeId)
+            .eq('clinic_id', clinicId)
+            .eq('status', 'pending')
+            .select()
+            .maybeSingle();
+
+        if (claimError) {
+            console.error('Update leave change error:', claimError);
+            return res.status(500).json({ error: 'Failed to update change request' });
+        }
+
+        if (!claimed) {
+            return res.status(409).json({ error: 'Change request was reviewed by someone else; reload and try again' });
+        }
+
+        const release = () => supabaseAdmin
+            .from('leave_change_requests')
+            .update({
+                status: 'pending',
+                reviewed_by: null,
+                reviewed_by_staff_id: null,
+                reviewed_by_name: null,
+                reviewed_at: null,
+                review_note: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', changeId)
+            .eq('status', status);
+
+        let data = claimed;
+        let result = null;
+        if (status === 'accepted') {
+            const { data: leave } = await supabaseAdmin
+                .from('leave_requests')
+                .select('*')
+                .eq('id', change.leave_request_id)
+                .single();
+
+            let applied;
+            try {
+                applied = await applyLeaveChange(change, leave, actor);
+            } catch (applyError) {
+                await release();
+                throw applyError;
+            }
+
+            if (applied.error) {
+                await release();
+                return res.status(400).json({ error: applied.error });
+            }
+            result = applied.result;
+
+            if (result) {
+                const { data: linked, error } = await supabaseAdmin
+                    .from('leave_change_requests')
+                    .update({ result_leave_id: result.id })
+                    .eq('id', changeId)
+                    .select()
+                    .single();
+
+                if (error) {
+                    console.error('Update leave change error:', error);
+                    return res.status(500).json({ error: 'Failed to update change request' });
+                }
+                data = linked;
+            }
+        }
+
+        res.json({
+            success: true,
+            data,
+            leave: result,
+            message: `Change request ${status}`
+        });
+
+    } catch (err) {
+        console.error('Update leave change error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/leave/:leaveId/impact
+ * Pre-approval check: blocks the staff member would leave and dates where
+ * their role would be short of cover
+ */
+router.get('/:clinicId/leave/:leaveId/impact', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { clinicId, leaveId } = req.params;
+
+        const { data: leave } = await supabaseAdmin
+            .from('leave_requests')
+            .select('*')
+            .eq('id', leaveId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        const data = await getLeaveImpact(leave);
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Leave impact error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/leave/:leaveId/attachment
+ * Short-lived URL for previewing the request's attachment
+ */
+router.get('/:clinicId/leave/:leaveId/attachment', requirePermission('leave.view'), async (req, res) => {
+    try {
+        const { clinicId, leaveId } = req.params;
+
+        const { data: leave } = await supabaseAdmin
+            .from('leave_requests')
+            .select('attachment_path, attachment_name, attachment_type, attachment_url')
+            .eq('id', leaveId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        const attachment = await getLeaveAttachmentUrl(leave);
+        if (!attachment) {
+            return res.status(404).json({ error: 'This request has no attachment' });
+        }
+
+        res.json({ success: true, data: attachment });
+
+    } catch (err) {
+        console.error('Leave attachment error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * GET /api/clinics/:clinicId/leave/:leaveId
  * Get single leave request
  */
-router.get('/:clinicId/leave/:leaveId', async (req, res) => {
+router.get('/:clinicId/leave/:leaveId', requirePermission('leave.view'), async (req, res) => {
     try {
         const { clinicId, leaveId } = req.params;
 
@@ -106,7 +461,7 @@ router.get('/:clinicId/leave/:leaveId', async (req, res) => {
  * POST /api/clinics/:clinicId/leave
  * Create leave request
  */
-router.post('/:clinicId/leave', async (req, res) => {
+router.post('/:clinicId/leave', requirePermission('leave.request'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const {
@@ -115,7 +470,11 @@ router.post('/:clinicId/leave', async (req, res) => {
             fromDate,
             toDate,
             reason,
-            attachmentUrl
+            attachmentUrl,
+            attachment,
+            durationType,
+            halfDayPeriod,
+            hours
         } = req.body;
 
         // Validation
@@ -126,12 +485,64 @@ router.post('/:clinicId/leave', async (req, res) => {
         }
 
         // Validate dates
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate) || !/^\d{4}-\d{2}-\d{2}$/.test(toDate)) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+
         if (new Date(toDate) < new Date(fromDate)) {
             return res.status(400).json({ error: 'End date cannot be before start date' });
         }
 
-        // Calculate days
-        const daysCount = calculateDays(fromDate, toDate);
+        const { duration, error: durationError } = normaliseLeaveDuration({ durationType, halfDayPeriod, hours }, fromDate, toDate);
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
+
+        const { data: member } = await supabaseAdmin
+            .from('staff')
+            .select('id')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        // Calculate working days against the roster or business hours
+        const daysCount = await calculateLeaveDays(clinicId, staffId, fromDate, toDate, duration);
+
+        if (daysCount === 0) {
+            return res.status(400).json({ error: 'The selected dates are not working days for this staff member' });
+        }
+
+        // Paid leave types cannot exceed what is left after other pending requests
+        const { error: balanceError } = await checkLeaveBalance({
+            clinic_id: clinicId,
+            staff_id: staffId,
+            leave_type: leaveType,
+            from_date: fromDate,
+            days_count: daysCount
+        });
+
+        if (balanceError) {
+            return res.status(400).json({ error: balanceError });
+        }
+
+        const policy = await getLeavePolicy(clinicId);
+        if (!attachment && !attachmentUrl && attachmentRequired(policy, leaveType, daysCount)) {
+            return res.status(400).json({
+                error: `A sick note is required for sick leave longer than ${policy.sick_note_required_after_days} day(s)`
+            });
+        }
+
+        let file = {};
+        if (attachment) {
+            file = await uploadLeaveAttachment(clinicId, staffId, attachment);
+            if (file.error) {
+                return res.status(400).json({ error: file.error });
+            }
+        }
 
         const { data, error } = await supabaseAdmin
             .from('leave_requests')
@@ -142,14 +553,21 @@ router.post('/:clinicId/leave', async (req, res) => {
                 from_date: fromDate,
                 to_date: toDate,
                 days_count: daysCount,
+                duration_type: duration.type,
+                half_day_period: duration.period,
+                hours: duration.hours,
                 reason,
                 attachment_url: attachmentUrl,
+                attachment_path: file.path || null,
+                attachment_name: file.name || null,
+                attachment_type: file.type || null,
                 status: 'pending'
             })
             .select()
             .single();
 
         if (error) {
+            await removeLeaveAttachment(file.path);
             console.error('Create leave error:', error);
             return res.status(500).json({ error: 'Failed to create leave request' });
         }
@@ -170,16 +588,39 @@ router.post('/:clinicId/leave', async (req, res) => {
  * PATCH /api/clinics/:clinicId/leave/:leaveId
  * Update leave request (approve/reject)
  */
-router.patch('/:clinicId/leave/:leaveId', async (req, res) => {
+router.patch('/:clinicId/leave/:leaveId', requirePermission('leave.review'), async (req, res) => {
     try {
         const { clinicId, leaveId } = req.params;
-        const { status, rejectionReason, reviewerId } = req.body;
+        const { status, rejectionReason } = req.body;
+        const actor = actorFromUser(req.user);
 
         const validStatuses = ['pending', 'approved', 'rejected', 'cancelled'];
         if (status && !validStatuses.includes(status)) {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
+        const { data: existing } = await supabaseAdmin
+            .from('leave_requests')
+            .select('*')
+            .eq('id', leaveId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        if (existing.status === 'amended') {
+            return res.status(400).json({ error: 'This request was replaced by an amendment and cannot be changed' });
+        }
+
+        if (status === 'approved' && existing.status !== 'approved') {
+            const { error: balanceError } = await checkLeaveBalance(existing, { countPending: false });
+            if (balanceError) {
+                return res.status(400).json({ error: balanceError });
+            }
+        }
+
         const updates = {
             updated_at: new Date().toISOString()
         };
@@ -189,9 +630,9 @@ router.patch('/:clinicId/leave/:leaveId', async (req, res) => {
 
             if (status === 'approved' || status === 'rejected') {
                 updates.reviewed_at = new Date().toISOString();
-                if (reviewerId) {
-                    updates.reviewed_by = reviewerId;
-                }
+                updates.reviewed_by = actor.userId;
+                updates.reviewed_by_staff_id = actor.staffId;
+                updates.reviewed_by_name = actor.name;
             }
 
             if (status === 'rejected' && rejectionReason) {
@@ -212,15 +653,23 @@ router.patch('/:clinicId/leave/:leaveId', async (req, res) => {
             return res.status(500).json({ error: 'Failed to update leave request' });
         }
 
-        // If approved, update staff status during leave period
-        if (status === 'approved') {
-            // TODO: Could set staff status to 'on_leave' during the period
+        // Keep the balance ledger and the schedule in step with the decision
+        let releasedBlocks = [];
+        if (status === 'approved' && existing.status !== 'approved') {
+            await recordLeaveDeduction(data);
+            releasedBlocks = await releaseLeaveBlocks(data, await getLeaveImpact(data));
+        } else if (existing.status === 'approved' && ['rejected', 'cancelled', 'pending'].includes(status)) {
+            await reverseLeaveDeduction(data, actor.key);
+            await restoreLeaveBlocks(data);
         }
 
         res.json({
             success: true,
             data,
-            message: `Leave request ${status}`
+            releasedBlocks,
+            message: releasedBlocks.length > 0
+                ? `Leave request ${status}; removed from ${releasedBlocks.length} schedule block(s)`
+                : `Leave request ${status}`
         });
 
     } catch (err) {
@@ -233,7 +682,7 @@ router.patch('/:clinicId/leave/:leaveId', async (req, res) => {
  * DELETE /api/clinics/:clinicId/leave/:leaveId
  * Cancel/delete leave request
  */
-router.delete('/:clinicId/leave/:leaveId', async (req, res) => {
+router.delete('/:clinicId/leave/:leaveId', requirePermission('leave.request'), async (req, res) => {
     try {
         const { clinicId, leaveId } = req.params;
 
@@ -7,12 +7,58 @@ const express = require('express');
 const router = express.Router();
 
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { normalisePosition } = require('../lib/geo');
+const { generateKioskKey } = require('../lib/kiosk');
+
+/**
+ * Map geofence fields from the request body to clinic_locations columns.
+ * A null latitude/longitude clears the fence.
+ * @returns {{ fields?: object, error?: string }}
+ */
+function geofenceFields({ latitude, longitude, geofenceRadiusM, geofenceEnforced }) {
+    const fields = {};
+
+    if (latitude !== undefined || longitude !== undefined) {
+        if (latitude === null || longitude === null || latitude === '' || longitude === '') {
+            fields.latitude = null;
+            fields.longitude = null;
+        } else {
+            const { position, error } = normalisePosition({ latitude, longitude });
+            if (error) return { error };
+            fields.latitude = position.latitude;
+            fields.longitude = position.longitude;
+        }
+    }
+
+    if (geofenceRadiusM !== undefined) {
+        if (geofenceRadiusM === null || geofenceRadiusM === '') {
+            fields.geofence_radius_m = null;
+        } else {
+            const radius = Number(geofenceRadiusM);
+            if (!Number.isInteger(radius) || radius < 10 || radius > 5000) {
+                return { error: 'Geofence radius must be between 10 and 5000 metres' };
+            }
+            fields.geofence_radius_m = radius;
+        }
+    }
+
+    if (geofenceEnforced !== undefined) {
+        // Form and query values arrive as strings; "false" must not turn the fence on
+        if (![true, false, 'true', 'false'].includes(geofenceEnforced)) {
+            return { error: 'Geofence enforced must be true or false' };
+        }
+        fields.geofence_enforced = geofenceEnforced === true || geofenceEnforced === 'true';
+    }
+
+    return { fields };
+}
 
 /**
  * GET /api/clinics/:clinicId/locations
  * List clinic locations
  */
-router.get('/:clinicId/locations', async (req, res) => {
+router.get('/:clinicId/locations', requirePermission('locations.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { active } = req.query;
@@ -47,7 +93,7 @@ router.get('/:clinicId/locations', async (req, res) => {
  * POST /api/clinics/:clinicId/locations
  * Create new location
  */
-router.post('/:clinicId/locations', async (req, res) => {
+router.post('/:clinicId/locations', requirePermission('locations.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { name, address, town, phone, email, isPrimary = false } = req.body;
@@ -56,6 +102,11 @@ router.post('/:clinicId/locations', async (req, res) => {
             return res.status(400).json({ error: 'Location name is required' });
         }
 
+        const { fields: geofence, error: geofenceError } = geofenceFields(req.body);
+        if (geofenceError) {
+            return res.status(400).json({ error: geofenceError });
+        }
+
         // If setting as primary, unset existing primary
         if (isPrimary) {
             await supabaseAdmin
@@ -75,7 +126,8 @@ router.post('/:clinicId/locations', async (req, res) => {
                 phone,
                 email,
                 is_primary: isPrimary,
-                is_active: true
+                is_active: true,
+                ...geofence
             })
             .select()
             .single();
@@ -100,7 +152,7 @@ router.post('/:clinicId/locations', async (req, res) => {
  * PATCH /api/clinics/:clinicId/locations/:locationId
  * Update location
  */
-router.patch('/:clinicId/locations/:locationId', async (req, res) => {
+router.patch('/:clinicId/locations/:locationId', requirePermission('locations.manage'), async (req, res) => {
     try {
         const { clinicId, locationId } = req.params;
         const { name, address, town, phone, email, isPrimary, isActive } = req.body;
@@ -116,6 +168,12 @@ router.patch('/:clinicId/locations/:locationId', async (req, res) => {
         if (email !== undefined) updates.email = email;
         if (isActive !== undefined) updates.is_active = isActive;
 
+        const { fields: geofence, error: geofenceError } = geofenceFields(req.body);
+        if (geofenceError) {
+            return res.status(400).json({ error: geofenceError });
+        }
+        Object.assign(updates, geofence);
+
         // If setting as primary, unset existing primary first
         if (isPrimary === true) {
             await supabaseAdmin
@@ -148,11 +206,48 @@ router.patch('/:clinicId/locations/:locationId', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/clinics/:clinicId/locations/:locationId/kiosk
+ * Switch QR kiosk mode on (new key, which also rotates an existing one) or off
+ */
+router.post('/:clinicId/locations/:locationId/kiosk', requirePermission('locations.manage'), async (req, res) => {
+    try {
+        const { clinicId, locationId } = req.params;
+        const { enabled } = req.body;
+
+        const { data, error } = await supabaseAdmin
+            .from('clinic_locations')
+            .update({
+                kiosk_key: enabled ? generateKioskKey() : null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', locationId)
+            .eq('clinic_id', clinicId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Kiosk mode error:', error);
+            return res.status(500).json({ error: 'Failed to update kiosk mode' });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Kiosk mode error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * DELETE /api/clinics/:clinicId/locations/:locationId
  * Delete location
  */
-router.delete('/:clinicId/locations/:locationId', async (req, res) => {
+router.delete('/:clinicId/locations/:locationId', requirePermission('locations.manage'), async (req, res) => {
     try {
         const { clinicId, locationId } = req.params;
 
@@ -6,16 +6,43 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const { LOCKED_STATUSES, recalculatePayroll, createAdjustment } = require('../lib/payroll');
+const { issuePayslips } = require('../lib/payslip');
+const { TRANSITIONS, actorFromUser, transitionEntries } = require('../lib/payrollWorkflow');
+const {
+    PAYMENT_METHODS,
+    buildPaymentFile,
+    createPaymentBatch,
+    parseConfirmation,
+    confirmPaymentBatch
+} = require('../lib/payments');
+
+const isISODate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// Submitting is payroll.manage, paying payroll.pay; approving or returning
+// a submitted run is payroll.approve
+const statusPermission = (req) => ({ submitted: 'payroll.manage', paid: 'payroll.pay' }[req.body.status] || 'payroll.approve');
+
+// Payslips are a by-product of paying; a failure here must not undo the status change
+async function issuePayslipsSafely(clinicId, payrollKeys) {
+    try {
+        await issuePayslips(clinicId, payrollKeys);
+    } catch (err) {
+        console.error('Error issuing payslips:', err);
+    }
+}
 
 // ============================================
 // PAYROLL ROUTES
 // ============================================
 
 // GET /api/employer/:clinicId/payroll
-router.get('/:clinicId/payroll', async (req, res) => {
+router.get('/:clinicId/payroll', requirePermission('payroll.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
-        const { location, type } = req.query;
+        const { location, type, from, to } = req.query;
 
         let query = supabaseAdmin
             .from('payroll_entries')
@@ -30,6 +57,14 @@ router.get('/:clinicId/payroll', async (req, res) => {
             query = query.eq('pay_type', type);
         }
 
+        if (from) {
+            query = query.gte('period_start', from);
+        }
+
+        if (to) {
+            query = query.lte('period_end', to);
+        }
+
         const { data, error } = await query;
         if (error) throw error;
 
@@ -40,13 +75,65 @@ router.get('/:clinicId/payroll', async (req, res) => {
     }
 });
 
+// POST /api/employer/:clinicId/payroll/calculate
+// Build draft entries for a period from attendances, compensation profiles and clinic_settings
+router.post('/:clinicId/payroll/calculate', requirePermission('payroll.manage'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { from, to, location } = req.body;
+
+        if (!isISODate(from) || !isISODate(to)) {
+            return res.status(400).json({ success: false, error: 'from and to dates (YYYY-MM-DD) are required' });
+        }
+
+        if (to < from) {
+            return res.status(400).json({ success: false, error: 'End date cannot be before start date' });
+        }
+
+        const { saved, skipped } = await recalculatePayroll(clinicId, {
+            from,
+            to,
+            locationId: location && location !== 'ALL' ? location : null
+        });
+
+        res.json({ success: true, data: saved, skipped });
+    } catch (err) {
+        console.error('Error calculating payroll:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // POST /api/employer/:clinicId/payroll
-router.post('/:clinicId/payroll', async (req, res) => {
+router.post('/:clinicId/payroll', requirePermission('payroll.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { payroll_key, pay_type, staff_id, location_id, period_label, date,
             units, rate_kes, amount_kes, work_summary, hours_audit, status } = req.body;
 
+        // Approved and paid entries never change; corrections go in as adjustments
+        const { data: existing } = await supabaseAdmin
+            .from('payroll_entries')
+            .select('status')
+            .eq('clinic_id', clinicId)
+            .eq('payroll_key', payroll_key)
+            .maybeSingle();
+
+        if (existing && LOCKED_STATUSES.includes(existing.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Entry is ${existing.status} and locked. Add an adjustment instead.`
+            });
+        }
+
+        if (existing?.status === 'submitted') {
+            return res.status(409).json({ success: false, error: 'Entry is awaiting approval. Return it to draft before editing.' });
+        }
+
+        // Entries only leave draft through the status endpoints, which record who moved them
+        if (status && status !== 'draft') {
+            return res.status(400).json({ success: false, error: 'Use the status endpoints to submit, approve or pay entries' });
+        }
+
         // Upsert based on payroll_key
         const { data, error } = await supabaseAdmin
             .from('payroll_entries')
@@ -63,7 +150,7 @@ router.post('/:clinicId/payroll', async (req, res) => {
                 amount_kes,
                 work_summary,
                 hours_audit,
-                status: status || 'draft',
+                status: 'draft',
                 updated_at: new Date().toISOString()
             }, { onConflict: 'clinic_id,payroll_key' })
             .select()
@@ -79,36 +166,28 @@ router.post('/:clinicId/payroll', async (req, res) => {
 });
 
 // PUT /api/employer/:clinicId/payroll/:payrollKey/status
-router.put('/:clinicId/payroll/:payrollKey/status', async (req, res) => {
+router.put('/:clinicId/payroll/:payrollKey/status', requirePermission(statusPermission), async (req, res) => {
     try {
         const { clinicId, payrollKey } = req.params;
-        const { status } = req.body;
+        const { status, note } = req.body;
 
-        const validStatuses = ['draft', 'submitted', 'approved', 'paid'];
-        if (!validStatuses.includes(status)) {
+        if (!TRANSITIONS[status]) {
             return res.status(400).json({ success: false, error: 'Invalid status' });
         }
 
-        const updates = {
-            status,
-            updated_at: new Date().toISOString()
-        };
+        const { updated, rejected } = await transitionEntries(
+            clinicId, [decodeURIComponent(payrollKey)], status, actorFromUser(req.user), note
+        );
 
-        if (status === 'approved') {
-            updates.approved_at = new Date().toISOString();
-        } else if (status === 'paid') {
-            updates.paid_at = new Date().toISOString();
+        if (rejected.length > 0) {
+            const { error } = rejected[0];
+            return res.status(error === 'Payroll entry not found' ? 404 : 409).json({ success: false, error });
         }
 
-        const { data, error } = await supabaseAdmin
-            .from('payroll_entries')
-            .update(updates)
-            .eq('clinic_id', clinicId)
-            .eq('payroll_key', decodeURIComponent(payrollKey))
-            .select()
-            .single();
-
-        if (error) throw error;
+        const data = updated[0];
+        if (data.status === 'paid') {
+            await issuePayslipsSafely(clinicId, [data.payroll_key]);
+        }
 
         res.json({ success: true, data });
     } catch (err) {
@@ -118,38 +197,219 @@ router.put('/:clinicId/payroll/:payrollKey/status', async (req, res) => {
 });
 
 // PUT /api/employer/:clinicId/payroll/bulk-status
-router.put('/:clinicId/payroll/bulk-status', async (req, res) => {
+router.put('/:clinicId/payroll/bulk-status', requirePermission(statusPermission), async (req, res) => {
     try {
         const { clinicId } = req.params;
-        const { payroll_keys, status } = req.body;
+        const { payroll_keys, status, note } = req.body;
 
         if (!Array.isArray(payroll_keys) || payroll_keys.length === 0) {
             return res.status(400).json({ success: false, error: 'No payroll keys provided' });
         }
 
-        const updates = {
-            status,
-            updated_at: new Date().toISOString()
-        };
-
-        if (status === 'approved') {
-            updates.approved_at = new Date().toISOString();
-        } else if (status === 'paid') {
-            updates.paid_at = new Date().toISOString();
+        if (!TRANSITIONS[status]) {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
         }
 
+        const { updated, rejected } = await transitionEntries(
+            clinicId, payroll_keys, status, actorFromUser(req.user), note
+        );
+
+        const paidKeys = updated.filter(e => e.status === 'paid').map(e => e.payroll_key);
+        await issuePayslipsSafely(clinicId, paidKeys);
+
+        res.json({ success: true, data: updated, updated: updated.length, rejected });
+    } catch (err) {
+        console.error('Error bulk updating payroll:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// GET /api/employer/:clinicId/payroll/:payrollKey/history
+router.get('/:clinicId/payroll/:payrollKey/history', requirePermission('payroll.view'), async (req, res) => {
+    try {
+        const { clinicId, payrollKey } = req.params;
+
         const { data, error } = await supabaseAdmin
+            .from('payroll_status_history')
+            .select('from_status, to_status, action, actor_name, actor_role, note, created_at')
+            .eq('clinic_id', clinicId)
+            .eq('payroll_key', decodeURIComponent(payrollKey))
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ success: true, data: data || [] });
+    } catch (err) {
+        console.error('Error fetching payroll history:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// POST /api/employer/:clinicId/payroll/:payrollKey/adjustments
+// Correct an approved or paid entry with a new draft entry in the next period
+router.post('/:clinicId/payroll/:payrollKey/adjustments', requirePermission('payroll.manage'), async (req, res) => {
+    try {
+        const { clinicId, payrollKey } = req.params;
+        const { amount_kes, reason } = req.body;
+
+        const amount = Number(amount_kes);
+        if (!Number.isInteger(amount) || amount === 0) {
+            return res.status(400).json({ success: false, error: 'Adjustment amount must be a non-zero whole number of KES' });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ success: false, error: 'A reason is required for adjustments' });
+        }
+
+        const { data: original, error: fetchError } = await supabaseAdmin
             .from('payroll_entries')
-            .update(updates)
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('payroll_key', decodeURIComponent(payrollKey))
+            .single();
+
+        if (fetchError || !original) {
+            return res.status(404).json({ success: false, error: 'Payroll entry not found' });
+        }
+
+        if (!LOCKED_STATUSES.includes(original.status)) {
+            return res.status(400).json({ success: false, error: 'Entry is not locked yet; recalculate or edit it instead' });
+        }
+
+        const actor = actorFromUser(req.user);
+        const data = await createAdjustment(original, { amountKes: amount, reason: reason.trim(), actor: actor.name });
+
+        await logAudit(
+            AUDIT_TYPES.PAYROLL_ADJUSTMENT_CREATED,
+            { id: actor.key, role: actor.role, name: actor.name },
+            { entity: 'payroll_entry', id: original.id, name: original.payroll_key },
+            { clinicId, adjustmentKey: data.payroll_key, amountKes: amount, period: data.period_label },
+            reason.trim()
+        );
+
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        console.error('Error creating payroll adjustment:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================
+// PAYMENT BATCHES
+// ============================================
+
+// GET /api/employer/:clinicId/payroll/payment-batches
+router.get('/:clinicId/payroll/payment-batches', requirePermission('payroll.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+
+        const { data, error } = await supabaseAdmin
+            .from('payment_batches')
+            .select('id, method, reference, status, line_count, total_kes, exported_at, confirmed_at')
             .eq('clinic_id', clinicId)
-            .in('payroll_key', payroll_keys)
-            .select();
+            .order('exported_at', { ascending: false });
 
         if (error) throw error;
 
-        res.json({ success: true, data, updated: data?.length || 0 });
+        res.json({ success: true, data: data || [] });
     } catch (err) {
-        console.error('Error bulk updating payroll:', err);
+        console.error('Error fetching payment batches:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// POST /api/employer/:clinicId/payroll/payment-batches
+// Export approved entries as a bank or M-Pesa bulk file; entries stay approved until confirmed
+router.post('/:clinicId/payroll/payment-batches', requirePermission('payroll.manage'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { method, payroll_keys } = req.body;
+
+        if (!PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({ success: false, error: `Method must be one of ${PAYMENT_METHODS.join(', ')}` });
+        }
+
+        const { batch, missing, conflict } = await createPaymentBatch(clinicId, { method, payrollKeys: payroll_keys });
+
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some of these entries were exported by another batch at the same time. Reload and try again.'
+            });
+        }
+
+        if (!batch) {
+            return res.status(400).json({
+                success: false,
+                error: 'No approved entries with payment details are waiting to be paid',
+                missing
+            });
+        }
+
+        res.status(201).json({ success: true, data: batch, file: buildPaymentFile(batch), missing });
+    } catch (err) {
+        console.error('Error exporting payment batch:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// GET /api/employer/:clinicId/payroll/payment-batches/:batchId/file
+router.get('/:clinicId/payroll/payment-batches/:batchId/file', requirePermission('payroll.manage'), async (req, res) => {
+    try {
+        const { clinicId, batchId } = req.params;
+
+        const { data: batch, error } = await supabaseAdmin
+            .from('payment_batches')
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('id', batchId)
+            .single();
+
+        if (error || !batch) {
+            return res.status(404).json({ success: false, error: 'Payment batch not found' });
+        }
+
+        const { fileName, content } = buildPaymentFile(batch);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(content);
+    } catch (err) {
+        console.error('Error downloading payment batch:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// POST /api/employer/:clinicId/payroll/payment-batches/:batchId/confirm
+// Import the bank/M-Pesa result file; confirmed lines move their entries to paid
+router.post('/:clinicId/payroll/payment-batches/:batchId/confirm', requirePermission('payroll.pay'), async (req, res) => {
+    try {
+        const { clinicId, batchId } = req.params;
+        const { csv } = req.body;
+
+        const { results, error: parseError } = parseConfirmation(csv);
+        if (parseError) {
+            return res.status(400).json({ success: false, error: parseError });
+        }
+
+        const { data: batch, error } = await supabaseAdmin
+            .from('payment_batches')
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('id', batchId)
+            .single();
+
+        if (error || !batch) {
+            return res.status(404).json({ success: false, error: 'Payment batch not found' });
+        }
+
+        const { batch: updated, paidKeys, unmatched } = await confirmPaymentBatch(batch, results, actorFromUser(req.user));
+
+        await issuePayslipsSafely(clinicId, paidKeys);
+
+        res.json({ success: true, data: updated, paid: paidKeys.length, unmatched });
+    } catch (err) {
+        console.error('Error confirming payment batch:', err);
         res.status(500).json({ success: false, error: err.message });
     }
 });
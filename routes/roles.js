@@ -0,0 +1,272 @@
+/**
+ * HURE Core - Role Routes
+ * The clinic's role_permissions matrix: default roles plus custom ones
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { supabaseAdmin } = require('../lib/supabase');
+const {
+    PERMISSIONS,
+    DEFAULT_ROLES,
+    EMPLOYEE_ROLE,
+    toMatrix,
+    fromMatrix,
+    normaliseRoleName,
+    normalisePermissions,
+    ensureDefaultRoles,
+    getRolePermissions,
+    requirePermission,
+    getAdminSeats
+} = require('../lib/permissions');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+
+const formatRole = (row, staffCount = 0) => ({
+    id: row.id,
+    name: row.role_name,
+    description: row.role_description,
+    permissions: fromMatrix(row.permissions),
+    is_system: Boolean(row.is_system),
+    is_default: Boolean(DEFAULT_ROLES[row.role_name]),
+    staff_count: staffCount
+});
+
+/**
+ * GET /api/clinics/:clinicId/roles
+ * Roles with their permissions, the permission catalog and admin seats
+ */
+router.get('/:clinicId/roles', requirePermission('staff.view'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+
+        await ensureDefaultRoles(clinicId);
+
+        const [{ data: roles, error }, { data: staff }, seats] = await Promise.all([
+            supabaseAdmin
+                .from('role_permissions')
+                .select('*')
+                .eq('clinic_id', clinicId)
+                .order('created_at', { ascending: true }),
+            supabaseAdmin
+                .from('staff')
+                .select('account_role')
+                .eq('clinic_id', clinicId),
+            getAdminSeats(clinicId)
+        ]);
+
+        if (error) {
+            return res.status(500).json({ error: 'Failed to fetch roles' });
+        }
+
+        const counts = {};
+        (staff || []).forEach(s => {
+            const role = s.account_role || EMPLOYEE_ROLE;
+            counts[role] = (counts[role] || 0) + 1;
+        });
+
+        res.json({
+            success: true,
+            data: (roles || []).map(r => formatRole(r, counts[r.role_name])),
+            permissions: PERMISSIONS,
+            adminSeats: seats
+        });
+
+    } catch (err) {
+        console.error('List roles error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/roles/me
+ * The signed-in employer's role and permissions
+ */
+router.get('/:clinicId/roles/me', async (req, res) => {
+    try {
+        const permissions = await getRolePermissions(req.params.clinicId, req.user.role);
+        res.json({ success: true, data: { role: req.user.role, permissions } });
+    } catch (err) {
+        console.error('Get my permissions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/clinics/:clinicId/roles
+ * Create a custom role ({ name, description, permissions: [] })
+ */
+router.post('/:clinicId/roles', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { clinicId } = req.params;
+        const { description = null } = req.body;
+
+        const { name, error: nameError } = normaliseRoleName(req.body.name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+        if (DEFAULT_ROLES[name]) {
+            return res.status(409).json({ error: `${name} is a built-in role` });
+        }
+
+        const { permissions, error: permissionError } = normalisePermissions(req.body.permissions || []);
+        if (permissionError) {
+            return res.status(400).json({ error: permissionError });
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('role_permissions')
+            .insert({
+                clinic_id: clinicId,
+                role_name: name,
+                role_description: description,
+                permissions: toMatrix(permissions)
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A role with that name already exists' });
+            }
+            console.error('Create role error:', error);
+            return res.status(500).json({ error: 'Failed to create role' });
+        }
+
+        await logAudit(
+            AUDIT_TYPES.ROLE_CREATED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'role', id: data.id, name },
+            { clinicId, permissions }
+        );
+
+        res.status(201).json({ success: true, data: formatRole(data) });
+
+    } catch (err) {
+        console.error('Create role error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/clinics/:clinicId/roles/:roleId
+ * Change a role's description or permissions. The owner role cannot change.
+ */
+router.patch('/:clinicId/roles/:roleId', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { clinicId, roleId } = req.params;
+        const { description, permissions: requested } = req.body;
+
+        const { data: role } = await supabaseAdmin
+            .from('role_permissions')
+            .select('*')
+            .eq('id', roleId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (role.is_system) {
+            return res.status(400).json({ error: 'The owner role always has every permission' });
+        }
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (description !== undefined) updates.role_description = description;
+
+        if (requested !== undefined) {
+            const { permissions, error: permissionError } = normalisePermissions(requested);
+            if (permissionError) {
+                return res.status(400).json({ error: permissionError });
+            }
+            if (role.role_name === req.user.role && !permissions.includes('roles.manage')) {
+                return res.status(400).json({ error: 'You cannot remove roles.manage from your own role' });
+            }
+            updates.permissions = toMatrix(permissions);
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('role_permissions')
+            .update(updates)
+            .eq('id', roleId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update role error:', error);
+            return res.status(500).json({ error: 'Failed to update role' });
+        }
+
+        await logAudit(
+            AUDIT_TYPES.ROLE_UPDATED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'role', id: roleId, name: role.role_name },
+            { clinicId, before: fromMatrix(role.permissions), after: fromMatrix(data.permissions) }
+        );
+
+        res.json({ success: true, data: formatRole(data) });
+
+    } catch (err) {
+        console.error('Update role error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/clinics/:clinicId/roles/:roleId
+ * Delete a custom role no staff member holds
+ */
+router.delete('/:clinicId/roles/:roleId', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { clinicId, roleId } = req.params;
+
+        const { data: role } = await supabaseAdmin
+            .from('role_permissions')
+            .select('id, role_name')
+            .eq('id', roleId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (DEFAULT_ROLES[role.role_name]) {
+            return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+        }
+
+        const { count } = await supabaseAdmin
+            .from('staff')
+            .select('id', { count: 'exact', head: true })
+            .eq('clinic_id', clinicId)
+            .eq('account_role', role.role_name);
+
+        if (count > 0) {
+            return res.status(409).json({ error: `${count} staff member(s) still have this role` });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('role_permissions')
+            .delete()
+            .eq('id', roleId);
+
+        if (error) {
+            console.error('Delete role error:', error);
+            return res.status(500).json({ error: 'Failed to delete role' });
+        }
+
+        await logAudit(
+            AUDIT_TYPES.ROLE_DELETED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'role', id: roleId, name: role.role_name },
+            { clinicId }
+        );
+
+        res.json({ success: true, message: 'Role deleted' });
+
+    } catch (err) {
+        console.error('Delete role error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -6,13 +6,23 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { getHolidays } = require('../lib/holidays');
+const { blockStaffed } = require('../lib/coverage');
+
+// A block flagged by approved leave stops needing cover once it is filled
+const coverUpdate = (block) => (
+    block.needs_cover && blockStaffed(block) >= (block.qty_needed || 1)
+        ? { needs_cover: false, cover_reason: null }
+        : {}
+);
 
 // ============================================
 // SCHEDULE BLOCKS ROUTES (Coverage-first model)
 // ============================================
 
 // GET /api/employer/:clinicId/schedule-blocks
-router.get('/:clinicId/schedule-blocks', async (req, res) => {
+router.get('/:clinicId/schedule-blocks', requirePermission('schedule.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { location } = req.query;
@@ -31,7 +41,16 @@ router.get('/:clinicId/schedule-blocks', async (req, res) => {
         const { data, error } = await query;
         if (error) throw error;
 
-        res.json({ success: true, data: data || [] });
+        // Flag blocks that fall on a public holiday
+        const blocks = data || [];
+        const holidays = blocks.length > 0
+            ? await getHolidays(clinicId, blocks[0].date, blocks[blocks.length - 1].date)
+            : new Map();
+
+        res.json({
+            success: true,
+            data: blocks.map(b => ({ ...b, holiday: holidays.get(b.date) || null }))
+        });
     } catch (err) {
         console.error('Error fetching schedule blocks:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -39,7 +58,7 @@ router.get('/:clinicId/schedule-blocks', async (req, res) => {
 });
 
 // POST /api/employer/:clinicId/schedule-blocks
-router.post('/:clinicId/schedule-blocks', async (req, res) => {
+router.post('/:clinicId/schedule-blocks', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { date, start_time, end_time, role_needed, qty_needed, location_id, notes } = req.body;
@@ -75,7 +94,7 @@ router.post('/:clinicId/schedule-blocks', async (req, res) => {
 });
 
 // PUT /api/employer/:clinicId/schedule-blocks/:blockId
-router.put('/:clinicId/schedule-blocks/:blockId', async (req, res) => {
+router.put('/:clinicId/schedule-blocks/:blockId', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId, blockId } = req.params;
         const updates = req.body;
@@ -92,10 +111,14 @@ router.put('/:clinicId/schedule-blocks/:blockId', async (req, res) => {
             return res.status(404).json({ success: false, error: 'Schedule block not found' });
         }
 
+        // A block stays with its clinic
+        const { id, clinic_id, ...fields } = updates;
+
         const { data, error } = await supabaseAdmin
             .from('schedule_blocks')
-            .update({ ...updates, updated_at: new Date().toISOString() })
+            .update({ ...fields, updated_at: new Date().toISOString() })
             .eq('id', blockId)
+            .eq('clinic_id', clinicId)
             .select()
             .single();
 
@@ -109,7 +132,7 @@ router.put('/:clinicId/schedule-blocks/:blockId', async (req, res) => {
 });
 
 // DELETE /api/employer/:clinicId/schedule-blocks/:blockId
-router.delete('/:clinicId/schedule-blocks/:blockId', async (req, res) => {
+router.delete('/:clinicId/schedule-blocks/:blockId', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId, blockId } = req.params;
 
@@ -130,19 +153,37 @@ router.delete('/:clinicId/schedule-blocks/:blockId', async (req, res) => {
 
 // PUT /api/employer/:clinicId/schedule-blocks/:blockId/assign
 // Assign staff to a schedule block
-router.put('/:clinicId/schedule-blocks/:blockId/assign', async (req, res) => {
+router.put('/:clinicId/schedule-blocks/:blockId/assign', requirePermission('schedule.manage'), async (req, res) => {
     try {
-        const { blockId } = req.params;
+        const { clinicId, blockId } = req.params;
         const { staff_id, action } = req.body; // action: 'add' or 'remove'
 
         const { data: block, error: fetchError } = await supabaseAdmin
             .from('schedule_blocks')
-            .select('assigned_staff_ids')
+            .select('assigned_staff_ids, external_covers, qty_needed, needs_cover')
             .eq('id', blockId)
-            .single();
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
 
         if (fetchError) throw fetchError;
 
+        if (!block) {
+            return res.status(404).json({ success: false, error: 'Schedule block not found' });
+        }
+
+        if (action === 'add') {
+            const { data: member } = await supabaseAdmin
+                .from('staff')
+                .select('id')
+                .eq('id', staff_id)
+                .eq('clinic_id', clinicId)
+                .maybeSingle();
+
+            if (!member) {
+                return res.status(404).json({ success: false, error: 'Staff member not found' });
+            }
+        }
+
         let assignedStaffIds = block.assigned_staff_ids || [];
 
         if (action === 'add' && !assignedStaffIds.includes(staff_id)) {
@@ -155,9 +196,11 @@ router.put('/:clinicId/schedule-blocks/:blockId/assign', async (req, res) => {
             .from('schedule_blocks')
             .update({
                 assigned_staff_ids: assignedStaffIds,
+                ...coverUpdate({ ...block, assigned_staff_ids: assignedStaffIds }),
                 updated_at: new Date().toISOString()
             })
             .eq('id', blockId)
+            .eq('clinic_id', clinicId)
             .select()
             .single();
 
@@ -172,19 +215,24 @@ router.put('/:clinicId/schedule-blocks/:blockId/assign', async (req, res) => {
 
 // PUT /api/employer/:clinicId/schedule-blocks/:blockId/locum
 // Add/remove external locum cover
-router.put('/:clinicId/schedule-blocks/:blockId/locum', async (req, res) => {
+router.put('/:clinicId/schedule-blocks/:blockId/locum', requirePermission('schedule.manage'), async (req, res) => {
     try {
-        const { blockId } = req.params;
+        const { clinicId, blockId } = req.params;
         const { locum, action, locum_id } = req.body; // action: 'add' or 'remove'
 
         const { data: block, error: fetchError } = await supabaseAdmin
             .from('schedule_blocks')
-            .select('external_covers')
+            .select('assigned_staff_ids, external_covers, qty_needed, needs_cover')
             .eq('id', blockId)
-            .single();
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
 
         if (fetchError) throw fetchError;
 
+        if (!block) {
+            return res.status(404).json({ success: false, error: 'Schedule block not found' });
+        }
+
         let externalCovers = block.external_covers || [];
 
         if (action === 'add' && locum) {
@@ -200,9 +248,11 @@ router.put('/:clinicId/schedule-blocks/:blockId/locum', async (req, res) => {
             .from('schedule_blocks')
             .update({
                 external_covers: externalCovers,
+                ...coverUpdate({ ...block, external_covers: externalCovers }),
                 updated_at: new Date().toISOString()
             })
             .eq('id', blockId)
+            .eq('clinic_id', clinicId)
             .select()
             .single();
 
@@ -0,0 +1,148 @@
+/**
+ * HURE Core - Session Routes
+ * Refresh, logout and signed-in device management for clinic owners and
+ * staff (employer and employee portals alike)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { supabaseAdmin } = require('../lib/supabase');
+const { verifyToken, isSessionRevoked } = require('../lib/auth');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const {
+    refreshSession,
+    revokeSession,
+    revokeByRefreshToken,
+    listSessions,
+    revokedBy
+} = require('../lib/sessions');
+
+/**
+ * Middleware: any login token that belongs to a live session
+ */
+async function requireSession(req, res, next) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const decoded = verifyToken(authHeader.substring(7));
+    if (!decoded) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    // Tokens issued before sessions existed cannot list or end them
+    if (!decoded.sid) {
+        return res.status(401).json({ error: 'Please log in again to manage your sessions' });
+    }
+
+    if (await isSessionRevoked(decoded)) {
+        return res.status(401).json({ error: 'Session ended. Please log in again.' });
+    }
+
+    req.user = decoded;
+    req.account = decoded.staffId
+        ? { type: 'staff', id: decoded.staffId }
+        : { type: 'user', id: decoded.id };
+    next();
+}
+
+/**
+ * POST /api/sessions/refresh
+ * Swap a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { token, refreshToken, error } = await refreshSession(req.body?.refreshToken, req);
+
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        res.json({ success: true, token, refreshToken });
+
+    } catch (err) {
+        console.error('Refresh session error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/sessions/logout
+ * End the session a refresh token belongs to. Works with an expired access
+ * token, so signing out always succeeds.
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        await revokeByRefreshToken(refreshToken, 'logout');
+
+        res.json({ success: true, message: 'Signed out' });
+
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/sessions
+ * Devices the signed-in account is signed in on; current marks this one
+ */
+router.get('/', requireSession, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.account.type, req.account.id);
+
+        res.json({
+            success: true,
+            data: sessions.map(s => ({ ...s, current: s.id === req.user.sid }))
+        });
+
+    } catch (err) {
+        console.error('List sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId
+ * Sign one of the account's own devices out
+ */
+router.delete('/:sessionId', requireSession, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const { data: session } = await supabaseAdmin
+            .from('auth_sessions')
+            .select('id, account_type, account_id, clinic_id, user_agent')
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (!session || session.account_type !== req.account.type || session.account_id !== req.account.id) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await revokeSession(sessionId, sessionId === req.user.sid ? 'logout' : 'revoked', revokedBy(req.user));
+
+        await logAudit(
+            AUDIT_TYPES.SESSION_REVOKED,
+            { id: req.account.id, role: req.user.role, name: req.user.name },
+            { entity: req.account.type, id: req.account.id, name: req.user.name },
+            { clinicId: session.clinic_id, sessionId, userAgent: session.user_agent }
+        );
+
+        res.json({ success: true, message: 'Session ended' });
+
+    } catch (err) {
+        console.error('Revoke session error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
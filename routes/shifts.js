@@ -7,12 +7,27 @@ const express = require('express');
 const router = express.Router();
 
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+
+/**
+ * Whether a staff member belongs to the clinic
+ */
+async function isClinicStaff(clinicId, staffId) {
+    const { data } = await supabaseAdmin
+        .from('staff')
+        .select('id')
+        .eq('id', staffId)
+        .eq('clinic_id', clinicId)
+        .maybeSingle();
+
+    return !!data;
+}
 
 /**
  * GET /api/clinics/:clinicId/shifts
  * List shifts for a clinic
  */
-router.get('/:clinicId/shifts', async (req, res) => {
+router.get('/:clinicId/shifts', requirePermission('schedule.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { date, from, to, status, staffId, role } = req.query;
@@ -68,7 +83,7 @@ router.get('/:clinicId/shifts', async (req, res) => {
  * GET /api/clinics/:clinicId/shifts/:shiftId
  * Get single shift
  */
-router.get('/:clinicId/shifts/:shiftId', async (req, res) => {
+router.get('/:clinicId/shifts/:shiftId', requirePermission('schedule.view'), async (req, res) => {
     try {
         const { clinicId, shiftId } = req.params;
 
@@ -99,7 +114,7 @@ router.get('/:clinicId/shifts/:shiftId', async (req, res) => {
  * POST /api/clinics/:clinicId/shifts
  * Create new shift
  */
-router.post('/:clinicId/shifts', async (req, res) => {
+router.post('/:clinicId/shifts', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const {
@@ -117,6 +132,10 @@ router.post('/:clinicId/shifts', async (req, res) => {
             return res.status(400).json({ error: 'Date, start time, and end time are required' });
         }
 
+        if (staffId && !(await isClinicStaff(clinicId, staffId))) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
         // Determine status
         const status = staffId ? 'assigned' : 'open';
 
@@ -153,7 +172,7 @@ router.post('/:clinicId/shifts', async (req, res) => {
  * PATCH /api/clinics/:clinicId/shifts/:shiftId
  * Update shift
  */
-router.patch('/:clinicId/shifts/:shiftId', async (req, res) => {
+router.patch('/:clinicId/shifts/:shiftId', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId, shiftId } = req.params;
         const updates = req.body;
@@ -169,6 +188,10 @@ router.patch('/:clinicId/shifts/:shiftId', async (req, res) => {
         if (updates.status !== undefined) dbUpdates.status = updates.status;
         if (updates.notes !== undefined) dbUpdates.notes = updates.notes;
 
+        if (dbUpdates.staff_id && !(await isClinicStaff(clinicId, dbUpdates.staff_id))) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
         dbUpdates.updated_at = new Date().toISOString();
 
         const { data, error } = await supabaseAdmin
@@ -196,7 +219,7 @@ router.patch('/:clinicId/shifts/:shiftId', async (req, res) => {
  * PATCH /api/clinics/:clinicId/shifts/:shiftId/assign
  * Assign staff to shift
  */
-router.patch('/:clinicId/shifts/:shiftId/assign', async (req, res) => {
+router.patch('/:clinicId/shifts/:shiftId/assign', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId, shiftId } = req.params;
         const { staffId } = req.body;
@@ -250,7 +273,7 @@ router.patch('/:clinicId/shifts/:shiftId/assign', async (req, res) => {
  * DELETE /api/clinics/:clinicId/shifts/:shiftId
  * Delete shift
  */
-router.delete('/:clinicId/shifts/:shiftId', async (req, res) => {
+router.delete('/:clinicId/shifts/:shiftId', requirePermission('schedule.manage'), async (req, res) => {
     try {
         const { clinicId, shiftId } = req.params;
 
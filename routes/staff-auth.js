@@ -8,7 +8,10 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 
 const { supabaseAdmin } = require('../lib/supabase');
-const { generateToken } = require('../lib/auth');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const { recordResetRequest, createResetToken, resetPassword } = require('../lib/passwordReset');
+const { createSession, loginBlockedReason } = require('../lib/sessions');
+const { sendPasswordResetEmail } = require('../lib/email');
 
 /**
  * GET /api/staff/verify-invite
@@ -123,19 +126,14 @@ router.post('/accept-invite', async (req, res) => {
             return res.status(500).json({ error: 'Failed to accept invite' });
         }
 
-        // Generate auth token
-        const authToken = generateToken({
-            staffId: staff.id,
-            clinicId: staff.clinic_id,
-            email: staff.email,
-            role: staff.account_role,
-            name: `${staff.first_name} ${staff.last_name}`
-        });
+        // Start a session
+        const { token: authToken, refreshToken } = await createSession('staff', staff, req);
 
         res.json({
             success: true,
             message: 'Invite accepted successfully',
             token: authToken,
+            refreshToken,
             staff: {
                 id: staff.id,
                 name: `${staff.first_name} ${staff.last_name}`,
@@ -174,10 +172,6 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        if (staff.status !== 'active') {
-            return res.status(403).json({ error: 'Account is not active' });
-        }
-
         if (!staff.password_hash) {
             return res.status(401).json({ error: 'Please complete your invite first' });
         }
@@ -189,18 +183,20 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate token
-        const authToken = generateToken({
-            staffId: staff.id,
-            clinicId: staff.clinic_id,
-            email: staff.email,
-            role: staff.account_role,
-            name: `${staff.first_name} ${staff.last_name}`
-        });
+        // Inactive accounts and suspended or terminated staff cannot sign in.
+        // Only said once the password matched, so it reveals nothing to guessers.
+        const blocked = loginBlockedReason('staff', staff);
+        if (blocked) {
+            return res.status(403).json({ error: blocked });
+        }
+
+        // Start a session
+        const { token: authToken, refreshToken } = await createSession('staff', staff, req);
 
         res.json({
             success: true,
             token: authToken,
+            refreshToken,
             staff: {
                 id: staff.id,
                 name: `${staff.first_name} ${staff.last_name}`,
@@ -217,4 +213,97 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/staff/forgot-password
+ * Email a password reset link to a staff member ({ email })
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
+        }
+
+        if (await recordResetRequest(req.ip)) {
+            return res.status(429).json({ error: 'Too many reset requests. Please try again later.' });
+        }
+
+        const { data: staff } = await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name, email, clinic_id, account_role, status, password_hash')
+            .eq('email', email.toLowerCase())
+            .maybeSingle();
+
+        // Staff who have not accepted their invite set a password from the invite instead
+        if (staff && staff.status === 'active' && staff.password_hash) {
+            const token = await createResetToken('staff', staff.id, req.ip);
+
+            if (token) {
+                const resetUrl = `${process.env.APP_URL || 'http://localhost:5173'}/employee/reset-password?token=${token}`;
+                try {
+                    await sendPasswordResetEmail(staff.email, resetUrl);
+                } catch (emailErr) {
+                    console.error('Failed to send password reset email:', emailErr);
+                }
+
+                await logAudit(
+                    AUDIT_TYPES.PASSWORD_RESET_REQUESTED,
+                    { id: staff.id, role: staff.account_role, name: `${staff.first_name} ${staff.last_name}` },
+                    { entity: 'staff', id: staff.id, name: staff.email },
+                    { clinicId: staff.clinic_id, ip: req.ip }
+                );
+            }
+        }
+
+        res.json({ success: true, message: 'If an account matches, a reset link is on its way. Check your email.' });
+
+    } catch (err) {
+        console.error('Staff forgot password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/staff/reset-password
+ * Set a new password with a reset token; every existing session ends
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and password required' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const { accountId, error } = await resetPassword('staff', token, password);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { data: staff } = await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name, email, clinic_id, account_role')
+            .eq('id', accountId)
+            .single();
+
+        await logAudit(
+            AUDIT_TYPES.PASSWORD_RESET_COMPLETED,
+            { id: accountId, role: staff?.account_role, name: staff ? `${staff.first_name} ${staff.last_name}` : 'Staff' },
+            { entity: 'staff', id: accountId, name: staff?.email },
+            { clinicId: staff?.clinic_id, ip: req.ip }
+        );
+
+        res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+
+    } catch (err) {
+        console.error('Staff reset password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
@@ -8,13 +8,37 @@ const router = express.Router();
 const crypto = require('crypto');
 
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission, checkAccountRole, syncAdminRoleCount, EMPLOYEE_ROLE } = require('../lib/permissions');
 const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const { normaliseProfile, addCompensationProfile } = require('../lib/compensation');
+const { normaliseMpesaPhone } = require('../lib/payments');
+const { ENDED_EMPLOYMENT_STATUSES, listSessions, revokeAllSessions, revokedBy } = require('../lib/sessions');
+
+// Columns that decide where a staff member's pay is sent
+const PAYOUT_FIELDS = ['payment_method', 'bank_name', 'bank_code', 'bank_branch_code', 'bank_account_name', 'bank_account_number', 'mpesa_phone'];
+
+/**
+ * Why a staff account cannot take an account role, if it cannot: giving
+ * portal access needs roles.manage, the role must exist and the plan must
+ * have an admin-level seat free
+ * @returns {Promise<{ error: string, status: number }|null>}
+ */
+async function accountRoleError(req, accountRole, staffId = null) {
+    if (!accountRole || accountRole === EMPLOYEE_ROLE) return null;
+
+    if (!(req.permissions || []).includes('roles.manage')) {
+        return { error: 'Only roles with roles.manage can give staff employer access', status: 403 };
+    }
+
+    const { error, status } = await checkAccountRole(req.params.clinicId, accountRole, staffId);
+    return error ? { error, status } : null;
+}
 
 /**
  * GET /api/clinics/:clinicId/staff
  * List all staff for a clinic
  */
-router.get('/:clinicId/staff', async (req, res) => {
+router.get('/:clinicId/staff', requirePermission('staff.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { status, kyc_status, employment_status, search } = req.query;
@@ -58,7 +82,7 @@ router.get('/:clinicId/staff', async (req, res) => {
  * GET /api/clinics/:clinicId/staff/:staffId
  * Get single staff member
  */
-router.get('/:clinicId/staff/:staffId', async (req, res) => {
+router.get('/:clinicId/staff/:staffId', requirePermission('staff.view'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
 
@@ -85,7 +109,7 @@ router.get('/:clinicId/staff/:staffId', async (req, res) => {
  * POST /api/clinics/:clinicId/staff
  * Create new staff member
  */
-router.post('/:clinicId/staff', async (req, res) => {
+router.post('/:clinicId/staff', requirePermission('staff.create'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const {
@@ -98,7 +122,11 @@ router.post('/:clinicId/staff', async (req, res) => {
             licenseType,
             licenseNumber,
             licenseExpiry,
-            employmentStatus = 'inactive'
+            employmentStatus = 'inactive',
+            payBasis,
+            monthlySalaryKes,
+            dailyRateKes,
+            hourlyRateKes
         } = req.body;
 
         console.log('Create staff - received data:', { firstName, lastName, email, jobRole, accountRole, licenseType, licenseNumber, licenseExpiry });
@@ -108,6 +136,28 @@ router.post('/:clinicId/staff', async (req, res) => {
             return res.status(400).json({ error: 'First name and last name are required' });
         }
 
+        const roleError = await accountRoleError(req, accountRole);
+        if (roleError) {
+            return res.status(roleError.status).json({ error: roleError.error });
+        }
+
+        // Pay details are checked up front so a bad rate never leaves someone without pay
+        let profile = null;
+        if (payBasis) {
+            const basis = String(payBasis).toUpperCase();
+            const rateKes = { MONTHLY: monthlySalaryKes, DAILY: dailyRateKes, HOURLY: hourlyRateKes }[basis];
+            const result = normaliseProfile({
+                payBasis: basis,
+                rateKes,
+                effectiveFrom: new Date().toISOString().slice(0, 10)
+            });
+
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            profile = result.profile;
+        }
+
         // Check if email already exists for this clinic
         if (email) {
             const { data: existing } = await supabaseAdmin
@@ -147,13 +197,22 @@ router.post('/:clinicId/staff', async (req, res) => {
             return res.status(500).json({ error: 'Failed to create staff' });
         }
 
+        // Opening compensation profile, if pay details were given
+        if (profile) {
+            await addCompensationProfile(clinicId, data.id, { ...profile, effective_from: data.created_at.slice(0, 10) }, req.user.name);
+        }
+
         // Update clinic staff count (optional - RPC function may not exist yet)
         // await supabaseAdmin.rpc('increment_staff_count', { clinic_uuid: clinicId });
 
+        if (accountRole !== EMPLOYEE_ROLE) {
+            await syncAdminRoleCount(clinicId);
+        }
+
         // Log audit
         await logAudit(
             AUDIT_TYPES.STAFF_CREATED || 'staff_created',
-            { id: 'system', role: 'owner', name: 'Employer Portal' },
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
             { entity: 'staff', id: data.id, name: `${firstName} ${lastName}` },
             { clinicId, accountRole, jobRole }
         );
@@ -170,7 +229,7 @@ router.post('/:clinicId/staff', async (req, res) => {
  * PATCH /api/clinics/:clinicId/staff/:staffId
  * Update staff member
  */
-router.patch('/:clinicId/staff/:staffId', async (req, res) => {
+router.patch('/:clinicId/staff/:staffId', requirePermission('staff.update'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
         const updates = req.body;
@@ -190,6 +249,54 @@ router.patch('/:clinicId/staff/:staffId', async (req, res) => {
         if (updates.licenseExpiry !== undefined) dbUpdates.license_expiry = updates.licenseExpiry;
         if (updates.inviteStatus !== undefined) dbUpdates.invite_status = updates.inviteStatus;
 
+        // Payment details
+        if (updates.paymentMethod !== undefined) dbUpdates.payment_method = updates.paymentMethod || null;
+        if (updates.bankName !== undefined) dbUpdates.bank_name = updates.bankName;
+        if (updates.bankCode !== undefined) dbUpdates.bank_code = updates.bankCode;
+        if (updates.bankBranchCode !== undefined) dbUpdates.bank_branch_code = updates.bankBranchCode;
+        if (updates.bankAccountName !== undefined) dbUpdates.bank_account_name = updates.bankAccountName;
+        if (updates.bankAccountNumber !== undefined) dbUpdates.bank_account_number = updates.bankAccountNumber;
+        if (updates.mpesaPhone !== undefined) dbUpdates.mpesa_phone = updates.mpesaPhone;
+
+        if (dbUpdates.payment_method && !['bank', 'mpesa'].includes(dbUpdates.payment_method)) {
+            return res.status(400).json({ error: 'Payment method must be bank or mpesa' });
+        }
+
+        if (dbUpdates.mpesa_phone && !normaliseMpesaPhone(dbUpdates.mpesa_phone)) {
+            return res.status(400).json({ error: 'M-Pesa number must be a Kenyan mobile number' });
+        }
+
+        const { data: current } = await supabaseAdmin
+            .from('staff')
+            .select(['account_role', ...PAYOUT_FIELDS].join(', '))
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!current) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
+        // Where someone's pay goes is a pay decision, not a profile edit. The
+        // edit form sends every field, so only values that change count.
+        const payoutChanged = PAYOUT_FIELDS.filter(field =>
+            dbUpdates[field] !== undefined && (dbUpdates[field] ?? '') !== (current[field] ?? '')
+        );
+        if (payoutChanged.length > 0 && !(req.permissions || []).includes('staff.compensation')) {
+            return res.status(403).json({ error: 'Changing payment details needs staff.compensation' });
+        }
+
+        if (dbUpdates.account_role !== undefined) {
+            if (current.account_role === dbUpdates.account_role) {
+                delete dbUpdates.account_role;
+            } else {
+                const roleError = await accountRoleError(req, dbUpdates.account_role, staffId);
+                if (roleError) {
+                    return res.status(roleError.status).json({ error: roleError.error });
+                }
+            }
+        }
+
         dbUpdates.updated_at = new Date().toISOString();
 
         const { data, error } = await supabaseAdmin
@@ -209,6 +316,32 @@ router.patch('/:clinicId/staff/:staffId', async (req, res) => {
             return res.status(404).json({ error: 'Staff not found' });
         }
 
+        if (dbUpdates.account_role !== undefined) {
+            await syncAdminRoleCount(clinicId);
+        }
+
+        if (payoutChanged.length > 0) {
+            await logAudit(
+                AUDIT_TYPES.STAFF_PAYOUT_CHANGED,
+                { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+                { entity: 'staff', id: staffId, name: `${data.first_name} ${data.last_name}` },
+                { clinicId, fields: payoutChanged, paymentMethod: data.payment_method }
+            );
+        }
+
+        // Suspending or terminating someone signs them out everywhere
+        if (dbUpdates.employment_status !== undefined && ENDED_EMPLOYMENT_STATUSES.includes(data.employment_status)) {
+            const revoked = await revokeAllSessions('staff', staffId, 'employment_ended', revokedBy(req.user));
+            if (revoked) {
+                await logAudit(
+                    AUDIT_TYPES.SESSION_REVOKED,
+                    { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+                    { entity: 'staff', id: staffId, name: `${data.first_name} ${data.last_name}` },
+                    { clinicId, sessions: revoked, reason: 'employment_ended', employmentStatus: data.employment_status }
+                );
+            }
+        }
+
         res.json({ success: true, data });
 
     } catch (err) {
@@ -221,7 +354,7 @@ router.patch('/:clinicId/staff/:staffId', async (req, res) => {
  * DELETE /api/clinics/:clinicId/staff/:staffId
  * Delete staff member
  */
-router.delete('/:clinicId/staff/:staffId', async (req, res) => {
+router.delete('/:clinicId/staff/:staffId', requirePermission('staff.delete'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
 
@@ -236,6 +369,9 @@ router.delete('/:clinicId/staff/:staffId', async (req, res) => {
             return res.status(500).json({ error: 'Failed to delete staff' });
         }
 
+        await syncAdminRoleCount(clinicId);
+        await revokeAllSessions('staff', staffId, 'revoked', revokedBy(req.user));
+
         res.json({ success: true, message: 'Staff deleted' });
 
     } catch (err) {
@@ -244,11 +380,148 @@ router.delete('/:clinicId/staff/:staffId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/clinics/:clinicId/staff/:staffId/sessions
+ * Devices a staff member is signed in on
+ */
+router.get('/:clinicId/staff/:staffId/sessions', requirePermission('staff.sessions'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+
+        const { data: staff } = await supabaseAdmin
+            .from('staff')
+            .select('id')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!staff) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
+        const data = await listSessions('staff', staffId);
+
+        res.json({ success: true, data });
+
+    } catch (err) {
+        console.error('Get staff sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/clinics/:clinicId/staff/:staffId/sessions/revoke
+ * Sign a staff member out on every device
+ */
+router.post('/:clinicId/staff/:staffId/sessions/revoke', requirePermission('staff.sessions'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+
+        const { data: staff } = await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .maybeSingle();
+
+        if (!staff) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
+        const revoked = await revokeAllSessions('staff', staffId, 'revoked', revokedBy(req.user));
+
+        await logAudit(
+            AUDIT_TYPES.SESSION_REVOKED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'staff', id: staffId, name: `${staff.first_name} ${staff.last_name}` },
+            { clinicId, sessions: revoked, reason: 'revoked' }
+        );
+
+        res.json({ success: true, message: `Signed out of ${revoked} session${revoked === 1 ? '' : 's'}`, revoked });
+
+    } catch (err) {
+        console.error('Revoke staff sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/clinics/:clinicId/staff/:staffId/compensation
+ * Compensation profile history, newest first
+ */
+router.get('/:clinicId/staff/:staffId/compensation', requirePermission('staff.compensation'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+
+        const { data, error } = await supabaseAdmin
+            .from('staff_compensation')
+            .select('*')
+            .eq('clinic_id', clinicId)
+            .eq('staff_id', staffId)
+            .order('effective_from', { ascending: false });
+
+        if (error) {
+            console.error('Get compensation error:', error);
+            return res.status(500).json({ error: 'Failed to fetch compensation' });
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const current = data.find(p => p.effective_from <= today && (!p.effective_to || p.effective_to >= today)) || null;
+
+        res.json({ success: true, data, current });
+
+    } catch (err) {
+        console.error('Get compensation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/clinics/:clinicId/staff/:staffId/compensation
+ * Add a compensation profile from an effective date; earlier profiles are kept as history
+ */
+router.post('/:clinicId/staff/:staffId/compensation', requirePermission('staff.compensation'), async (req, res) => {
+    try {
+        const { clinicId, staffId } = req.params;
+
+        const { profile, error: validationError } = normaliseProfile(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: staff } = await supabaseAdmin
+            .from('staff')
+            .select('id, first_name, last_name')
+            .eq('id', staffId)
+            .eq('clinic_id', clinicId)
+            .single();
+
+        if (!staff) {
+            return res.status(404).json({ error: 'Staff not found' });
+        }
+
+        const data = await addCompensationProfile(clinicId, staffId, profile, req.user.name);
+
+        await logAudit(
+            AUDIT_TYPES.STAFF_COMPENSATION_CHANGED,
+            { id: req.user.staffId || req.user.id, role: req.user.role, name: req.user.name },
+            { entity: 'staff', id: staffId, name: `${staff.first_name} ${staff.last_name}` },
+            { clinicId, payBasis: profile.pay_basis, rateKes: profile.rate_kes, effectiveFrom: profile.effective_from }
+        );
+
+        res.status(201).json({ success: true, data });
+
+    } catch (err) {
+        console.error('Add compensation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * POST /api/clinics/:clinicId/staff/:staffId/invite
  * Send invite to staff member
  */
-router.post('/:clinicId/staff/:staffId/invite', async (req, res) => {
+router.post('/:clinicId/staff/:staffId/invite', requirePermission('staff.invite'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
         const { method = 'email' } = req.body;
@@ -340,7 +613,7 @@ router.post('/:clinicId/staff/:staffId/invite', async (req, res) => {
  * DELETE /api/clinics/:clinicId/staff/:staffId/invite
  * Revoke staff invite
  */
-router.delete('/:clinicId/staff/:staffId/invite', async (req, res) => {
+router.delete('/:clinicId/staff/:staffId/invite', requirePermission('staff.invite'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
 
@@ -371,7 +644,7 @@ router.delete('/:clinicId/staff/:staffId/invite', async (req, res) => {
  * PATCH /api/clinics/:clinicId/staff/:staffId/kyc
  * Update staff KYC status
  */
-router.patch('/:clinicId/staff/:staffId/kyc', async (req, res) => {
+router.patch('/:clinicId/staff/:staffId/kyc', requirePermission('staff.verify'), async (req, res) => {
     try {
         const { clinicId, staffId } = req.params;
         const { status } = req.body;
@@ -416,233 +689,4 @@ router.patch('/:clinicId/staff/:staffId/kyc', async (req, res) => {
     }
 });
 
-/**
- * GET /api/staff/verify-invite
- * Verify invite token validity
- */
-router.get('/verify-invite', async (req, res) => {
-    try {
-        const { token } = req.query;
-
-        if (!token) {
-            return res.status(400).json({ error: 'Token required' });
-        }
-
-        const { data: staff, error } = await supabaseAdmin
-            .from('staff')
-            .select(`
-                id,
-                first_name,
-                last_name,
-                email,
-                job_role,
-                account_role,
-                invite_status,
-                invite_expires_at,
-                clinic:clinics(id, name, town)
-            `)
-            .eq('invite_token', token)
-            .single();
-
-        if (error || !staff) {
-            console.log('Verify invite - not found for token:', token);
-            return res.status(404).json({ error: 'Invalid invite token' });
-        }
-
-        if (staff.invite_status === 'accepted') {
-            return res.status(400).json({ error: 'Invite already accepted' });
-        }
-
-        if (new Date(staff.invite_expires_at) < new Date()) {
-            return res.status(400).json({ error: 'Invite has expired' });
-        }
-
-        console.log('Verify invite - staff found:', staff);
-
-        // Build full name, handling null values
-        const firstName = staff.first_name || '';
-        const lastName = staff.last_name || '';
-        const fullName = `${firstName} ${lastName}`.trim() || 'Staff Member';
-
-        res.json({
-            success: true,
-            staff: {
-                name: fullName,
-                email: staff.email,
-                jobRole: staff.job_role || 'Employee',
-                accountRole: staff.account_role || 'employee',
-                clinic: staff.clinic
-            }
-        });
-
-    } catch (err) {
-        console.error('Verify invite error:', err);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
-/**
- * POST /api/staff/accept-invite
- * Accept invite and set password
- */
-router.post('/accept-invite', async (req, res) => {
-    try {
-        const { token, password } = req.body;
-
-        if (!token || !password) {
-            return res.status(400).json({ error: 'Token and password required' });
-        }
-
-        if (password.length < 8) {
-            return res.status(400).json({ error: 'Password must be at least 8 characters' });
-        }
-
-        // Get staff
-        const { data: staff, error: staffError } = await supabaseAdmin
-            .from('staff')
-            .select('*')
-            .eq('invite_token', token)
-            .single();
-
-        if (staffError || !staff) {
-            return res.status(404).json({ error: 'Invalid invite token' });
-        }
-
-        if (staff.invite_status === 'accepted') {
-            return res.status(400).json({ error: 'Invite already accepted' });
-        }
-
-        if (new Date(staff.invite_expires_at) < new Date()) {
-            return res.status(400).json({ error: 'Invite has expired' });
-        }
-
-        // Hash password
-        const bcrypt = require('bcryptjs');
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
-
-        // Update staff - set invite_status to accepted and activate the employee
-        const updateData = {
-            password_hash: passwordHash,
-            invite_status: 'accepted',
-            invite_token: null,
-            invite_accepted_at: new Date().toISOString(),
-            status: 'active',
-            employment_status: 'active', // Also activate employment
-            updated_at: new Date().toISOString()
-        };
-
-        console.log('Accept invite - updating staff', staff.id, 'with:', updateData);
-
-        const { data: updatedStaff, error: updateError } = await supabaseAdmin
-            .from('staff')
-            .update(updateData)
-            .eq('id', staff.id)
-            .select()
-            .single();
-
-        if (updateError) {
-            console.error('Accept invite error:', updateError);
-            return res.status(500).json({ error: 'Failed to accept invite' });
-        }
-
-        console.log('Accept invite - staff updated successfully:', updatedStaff?.id, 'invite_status:', updatedStaff?.invite_status);
-
-        // Generate auth token
-        const { generateToken } = require('../lib/auth');
-        const authToken = generateToken({
-            staffId: staff.id,
-            clinicId: staff.clinic_id,
-            email: staff.email,
-            role: staff.account_role,
-            name: `${staff.first_name} ${staff.last_name}`
-        });
-
-        res.json({
-            success: true,
-            message: 'Invite accepted successfully',
-            token: authToken,
-            staff: {
-                id: staff.id,
-                name: `${staff.first_name} ${staff.last_name}`,
-                email: staff.email,
-                jobRole: staff.job_role,
-                clinicId: staff.clinic_id
-            }
-        });
-
-    } catch (err) {
-        console.error('Accept invite error:', err);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
-/**
- * POST /api/staff/login
- * Staff login with email and password
- */
-router.post('/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password required' });
-        }
-
-        // Find staff
-        const { data: staff, error } = await supabaseAdmin
-            .from('staff')
-            .select('*, clinic:clinics(id, name, status)')
-            .eq('email', email.toLowerCase())
-            .single();
-
-        if (error || !staff) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        if (staff.status !== 'active') {
-            return res.status(403).json({ error: 'Account is not active' });
-        }
-
-        if (!staff.password_hash) {
-            return res.status(400).json({ error: 'Please accept your invite first' });
-        }
-
-        // Verify password
-        const bcrypt = require('bcryptjs');
-        const passwordValid = await bcrypt.compare(password, staff.password_hash);
-
-        if (!passwordValid) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        // Generate token
-        const { generateToken } = require('../lib/auth');
-        const authToken = generateToken({
-            staffId: staff.id,
-            clinicId: staff.clinic_id,
-            email: staff.email,
-            role: staff.account_role,
-            name: `${staff.first_name} ${staff.last_name}`
-        });
-
-        res.json({
-            success: true,
-            token: authToken,
-            staff: {
-                id: staff.id,
-                name: `${staff.first_name} ${staff.last_name}`,
-                email: staff.email,
-                jobRole: staff.job_role,
-                clinicId: staff.clinic_id,
-                clinicName: staff.clinic?.name
-            }
-        });
-
-    } catch (err) {
-        console.error('Staff login error:', err);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
 module.exports = router;
@@ -6,13 +6,38 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
+const { requirePermission } = require('../lib/permissions');
+const { getOpenReview, openReview, withdrawReview } = require('../lib/verificationReviews');
+
+// Statuses a clinic can set itself; the rest are decided by SuperAdmin review
+const CLINIC_STATUSES = ['draft', 'pending_review'];
+
+/**
+ * Queue the submission for review, or take it out of the queue when the
+ * clinic moves it back to draft
+ */
+async function syncReview(req, status, locationId = null) {
+    const { clinicId } = req.params;
+    const author = { id: req.user.staffId || req.user.id, name: req.user.name };
+    if (status === 'pending_review') {
+        await openReview(clinicId, locationId, author);
+    } else if (status === 'draft') {
+        await withdrawReview(clinicId, locationId, author);
+    }
+}
+
+// What the reviewer asked for while the submission is sent back
+async function requestedDocuments(clinicId, locationId = null) {
+    const review = await getOpenReview(clinicId, locationId);
+    return review?.status === 'more_info_required' ? review.requested_documents : null;
+}
 
 // ============================================
 // VERIFICATION ROUTES
 // ============================================
 
 // GET /api/employer/:clinicId/org-verification
-router.get('/:clinicId/org-verification', async (req, res) => {
+router.get('/:clinicId/org-verification', requirePermission('settings.view'), async (req, res) => {
     try {
         const { clinicId } = req.params;
 
@@ -24,7 +49,7 @@ router.get('/:clinicId/org-verification', async (req, res) => {
 
         if (error) throw error;
 
-        res.json({ success: true, data });
+        res.json({ success: true, data: { ...data, requested_documents: await requestedDocuments(clinicId) } });
     } catch (err) {
         console.error('Error fetching org verification:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -32,11 +57,15 @@ router.get('/:clinicId/org-verification', async (req, res) => {
 });
 
 // PUT /api/employer/:clinicId/org-verification
-router.put('/:clinicId/org-verification', async (req, res) => {
+router.put('/:clinicId/org-verification', requirePermission('verification.manage'), async (req, res) => {
     try {
         const { clinicId } = req.params;
         const { org_verification_status, kra_pin, business_reg_no, org_verification_docs } = req.body;
 
+        if (org_verification_status !== undefined && !CLINIC_STATUSES.includes(org_verification_status)) {
+            return res.status(400).json({ success: false, error: 'Status must be draft or pending_review' });
+        }
+
         const updates = { updated_at: new Date().toISOString() };
         if (org_verification_status !== undefined) updates.org_verification_status = org_verification_status;
         if (kra_pin !== undefined) updates.kra_pin = kra_pin;
@@ -52,6 +81,8 @@ router.put('/:clinicId/org-verification', async (req, res) => {
 
         if (error) throw error;
 
+        await syncReview(req, org_verification_status);
+
         res.json({ success: true, data });
     } catch (err) {
         console.error('Error updating org verification:', err);
@@ -60,7 +91,7 @@ router.put('/:clinicId/org-verification', async (req, res) => {
 });
 
 // GET /api/employer/:clinicId/locations/:locationId/verification
-router.get('/:clinicId/locations/:locationId/verification', async (req, res) => {
+router.get('/:clinicId/locations/:locationId/verification', requirePermission('settings.view'), async (req, res) => {
     try {
         const { clinicId, locationId } = req.params;
 
@@ -73,7 +104,7 @@ router.get('/:clinicId/locations/:locationId/verification', async (req, res) =>
 
         if (error) throw error;
 
-        res.json({ success: true, data });
+        res.json({ success: true, data: { ...data, requested_documents: await requestedDocuments(clinicId, locationId) } });
     } catch (err) {
         console.error('Error fetching facility verification:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -81,11 +112,15 @@ router.get('/:clinicId/locations/:locationId/verification', async (req, res) =>
 });
 
 // PUT /api/employer/:clinicId/locations/:locationId/verification
-router.put('/:clinicId/locations/:locationId/verification', async (req, res) => {
+router.put('/:clinicId/locations/:locationId/verification', requirePermission('verification.manage'), async (req, res) => {
     try {
         const { clinicId, locationId } = req.params;
         const { facility_verification_status, license_no, licensing_body, license_expiry, facility_docs } = req.body;
 
+        if (facility_verification_status !== undefined && !CLINIC_STATUSES.includes(facility_verification_status)) {
+            return res.status(400).json({ success: false, error: 'Status must be draft or pending_review' });
+        }
+
         const updates = { updated_at: new Date().toISOString() };
         if (facility_verification_status !== undefined) updates.facility_verification_status = facility_verification_status;
         if (license_no !== undefined) updates.license_no = license_no;
@@ -103,6 +138,8 @@ router.put('/:clinicId/locations/:locationId/verification', async (req, res) =>
 
         if (error) throw error;
 
+        await syncReview(req, facility_verification_status, locationId);
+
         res.json({ success: true, data });
     } catch (err) {
         console.error('Error updating facility verification:', err);
@@ -1,43 +1,217 @@
 /**
  * HURE Core - Verifications Routes (SuperAdmin)
- * Review and approve/reject organization and facility verifications
+ * Review queue for organization and facility verifications: claim a
+ * submission, keep internal notes, request more documents, approve or reject
  */
 
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../lib/supabase');
-const { sendVerificationStatusEmail } = require('../lib/email');
+const { requireSuperAdmin } = require('../lib/auth');
+const { sendVerificationStatusEmail, sendVerificationDocumentsRequestedEmail } = require('../lib/email');
+const { logAudit, AUDIT_TYPES } = require('../lib/audit');
+const {
+    REVIEW_SLA_HOURS,
+    OPEN_STATUSES,
+    reviewSla,
+    getOpenReview,
+    addReviewNote,
+    ensureOpenReview,
+    updateReview
+} = require('../lib/verificationReviews');
+
+router.use(requireSuperAdmin);
+
+const reviewerOf = (req) => ({ id: req.user.id, name: req.user.name });
+
+const formatReview = (review) => review && ({
+    id: review.id,
+    status: review.status,
+    submitted_at: review.submitted_at,
+    claimed_by: review.claimed_by,
+    claimed_by_name: review.claimed_by_name,
+    claimed_at: review.claimed_at,
+    requested_documents: review.requested_documents,
+    requested_at: review.requested_at,
+    sla: reviewSla(review)
+});
+
+/**
+ * A review claimed by another reviewer cannot be worked on
+ * @returns {string|null} error message
+ */
+const claimConflict = (review, req) => (
+    review?.claimed_by && review.claimed_by !== req.user.id
+        ? `${review.claimed_by_name || 'Another reviewer'} is reviewing this`
+        : null
+);
+
+/**
+ * Set an organization (locationId null) or facility verification status,
+ * record it on the review, email the clinic and write the audit log
+ */
+async function setVerificationStatus(req, { clinicId, locationId = null, status, text = null }) {
+    const { data: clinic, error: clinicErr } = await supabaseAdmin
+        .from('clinics')
+        .select('name, email')
+        .eq('id', clinicId)
+        .single();
+
+    if (clinicErr) throw clinicErr;
+
+    const kind = locationId ? 'facility' : 'organization';
+    const now = new Date().toISOString();
+
+    const query = locationId
+        ? supabaseAdmin
+            .from('clinic_locations')
+            .update({ facility_verification_status: status, updated_at: now })
+            .eq('id', locationId)
+            .eq('clinic_id', clinicId)
+            .select('id, name, facility_verification_status')
+        : supabaseAdmin
+            .from('clinics')
+            .update({ org_verification_status: status, updated_at: now })
+            .eq('id', clinicId)
+            .select('id, name, email, org_verification_status');
+
+    const { data, error } = await query.single();
+
+    if (error) {
+        console.error('[Verification] Update error:', error);
+        throw error;
+    }
+
+    const review = await updateReview(clinicId, locationId, status, reviewerOf(req), text);
+
+    if (clinic.email) {
+        try {
+            if (status === 'more_info_required') {
+                await sendVerificationDocumentsRequestedEmail(clinic.email, clinic.name, kind, text, locationId ? data.name : null);
+            } else {
+                await sendVerificationStatusEmail(clinic.email, clinic.name, kind, status, locationId ? data.name : null, text);
+            }
+        } catch (emailErr) {
+            console.error(`Failed to send verification ${status} email:`, emailErr);
+        }
+    }
+
+    const auditType = {
+        more_info_required: AUDIT_TYPES.VERIFICATION_DOCUMENTS_REQUESTED,
+        approved: AUDIT_TYPES.VERIFICATION_APPROVED,
+        rejected: AUDIT_TYPES.VERIFICATION_REJECTED
+    }[status];
+
+    await logAudit(
+        auditType,
+        { id: req.user.id, role: req.user.role, name: req.user.name },
+        { entity: kind, id: locationId || clinicId, name: locationId ? `${clinic.name} - ${data.name}` : clinic.name },
+        { clinicId, reviewId: review.id, waitedHours: reviewSla(review).waiting_hours },
+        text
+    );
+
+    return { data, review };
+}
+
+/**
+ * Shared handler for the approve, reject and request-documents routes
+ */
+const statusHandler = (status) => async (req, res) => {
+    try {
+        const { clinicId, locationId = null } = req.params;
+        const { documents, reason } = req.body || {};
+        const text = status === 'more_info_required' ? documents : reason;
+
+        if (status === 'more_info_required' && !text?.trim()) {
+            return res.status(400).json({ success: false, error: 'Say which documents are needed' });
+        }
+
+        // Decisions are made by whoever holds the review; claim it first
+        const open = await getOpenReview(clinicId, locationId);
+        const conflict = claimConflict(open, req);
+        if (conflict || open?.claimed_by !== req.user.id) {
+            return res.status(409).json({ success: false, error: conflict || 'Claim this review before deciding it' });
+        }
+
+        const { data, review } = await setVerificationStatus(req, {
+            clinicId,
+            locationId,
+            status,
+            text: text?.trim() || null
+        });
+
+        res.json({ success: true, data, review: formatReview(review) });
+    } catch (err) {
+        console.error(`Error setting verification ${status}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
 
 // ============================================
-// GET PENDING VERIFICATIONS
+// REVIEW QUEUE
 // ============================================
 
 // GET /api/verifications/pending
+// Open submissions, oldest first, with their review and SLA.
+// ?assigned=me|unassigned narrows to the caller's or unclaimed reviews.
 router.get('/pending', async (req, res) => {
     try {
-        // Get clinics with pending org verification
-        const { data: pendingOrgs, error: orgsError } = await supabaseAdmin
-            .from('clinics')
-            .select('id, name, email, kra_pin, business_reg_no, org_verification_status, created_at')
-            .eq('org_verification_status', 'pending_review')
-            .order('created_at', { ascending: false });
+        const { assigned } = req.query;
+
+        const [{ data: orgs, error: orgsError }, { data: facilities, error: facError }, { data: reviews, error: reviewError }] = await Promise.all([
+            supabaseAdmin
+                .from('clinics')
+                .select('id, name, email, kra_pin, business_reg_no, org_verification_status, org_verification_docs, created_at, updated_at')
+                .in('org_verification_status', OPEN_STATUSES),
+            supabaseAdmin
+                .from('clinic_locations')
+                .select('id, name, clinic_id, license_no, licensing_body, license_expiry, facility_verification_status, facility_docs, created_at, updated_at, clinic:clinics(name, email)')
+                .in('facility_verification_status', OPEN_STATUSES),
+            supabaseAdmin
+                .from('verification_reviews')
+                .select('*')
+                .in('status', OPEN_STATUSES)
+        ]);
 
         if (orgsError) throw orgsError;
+        if (facError) throw facError;
+        if (reviewError) throw reviewError;
 
-        // Get locations with pending facility verification
-        const { data: pendingFacilities, error: facError } = await supabaseAdmin
-            .from('clinic_locations')
-            .select('id, name, clinic_id, license_no, licensing_body, license_expiry, facility_verification_status, created_at, clinic:clinics(name, email)')
-            .eq('facility_verification_status', 'pending_review')
-            .order('created_at', { ascending: false });
+        const open = [...(reviews || [])];
+        const reviewFor = (kind, id) => open.find(r =>
+            r.kind === kind && (kind === 'facility' ? r.location_id === id : r.clinic_id === id)
+        );
 
-        if (facError) throw facError;
+        // Submissions from before the queue existed are queued now so they can be claimed
+        for (const org of orgs || []) {
+            if (!reviewFor('organization', org.id)) open.push(await ensureOpenReview(org.id));
+        }
+        for (const facility of facilities || []) {
+            if (!reviewFor('facility', facility.id)) open.push(await ensureOpenReview(facility.clinic_id, facility.id));
+        }
+
+        const withReview = (row, kind) => ({ ...row, review: formatReview(reviewFor(kind, row.id)) });
+
+        const keep = (row) => {
+            if (assigned === 'me') return row.review.claimed_by === req.user.id;
+            if (assigned === 'unassigned') return !row.review.claimed_by;
+            return true;
+        };
+        const oldestFirst = (a, b) => new Date(a.review.submitted_at) - new Date(b.review.submitted_at);
 
         res.json({
             success: true,
             data: {
-                organizations: pendingOrgs || [],
-                facilities: pendingFacilities || []
+                organizations: (orgs || [])
+                    .map(o => withReview(o, 'organization'))
+                    .filter(keep)
+                    .sort(oldestFirst),
+                facilities: (facilities || [])
+                    .map(f => withReview(f, 'facility'))
+                    .filter(keep)
+                    .sort(oldestFirst),
+                slaHours: REVIEW_SLA_HOURS,
+                reviewerId: req.user.id
             }
         });
     } catch (err) {
@@ -46,213 +220,169 @@ router.get('/pending', async (req, res) => {
     }
 });
 
-// ============================================
-// ORGANIZATION VERIFICATION ACTIONS
-// ============================================
-
-// PATCH /api/verifications/org/:clinicId/approve
-router.patch('/org/:clinicId/approve', async (req, res) => {
+// POST /api/verifications/reviews/:reviewId/claim
+// Take a review. { force: true } takes it over from another reviewer.
+router.post('/reviews/:reviewId/claim', async (req, res) => {
     try {
-        const { clinicId } = req.params;
-        console.log('[Verification] Approving org:', clinicId);
+        const { reviewId } = req.params;
+
+        const { data: review, error: fetchError } = await supabaseAdmin
+            .from('verification_reviews')
+            .select('*')
+            .eq('id', reviewId)
+            .in('status', OPEN_STATUSES)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Review not found or already decided' });
+        }
 
-        const { data, error } = await supabaseAdmin
-            .from('clinics')
+        const conflict = claimConflict(review, req);
+        if (conflict && !req.body?.force) {
+            return res.status(409).json({ success: false, error: conflict });
+        }
+
+        // Only claim from the holder seen above, so two reviewers claiming
+        // (or taking over) at once cannot both think they hold it
+        let claim = supabaseAdmin
+            .from('verification_reviews')
             .update({
-                org_verification_status: 'approved',
+                claimed_by: req.user.id,
+                claimed_by_name: req.user.name,
+                claimed_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             })
-            .eq('id', clinicId)
-            .select('id, name, email, org_verification_status')
-            .single();
+            .eq('id', reviewId)
+            .in('status', OPEN_STATUSES);
 
-        if (error) {
-            console.error('[Verification] Update error:', error);
-            throw error;
-        }
+        claim = review.claimed_by ? claim.eq('claimed_by', review.claimed_by) : claim.is('claimed_by', null);
 
-        // Send notification email
-        if (data && data.email) {
-            try {
-                await sendVerificationStatusEmail(
-                    data.email,
-                    data.name,
-                    'organization',
-                    'approved'
-                );
-                console.log(`Approval email sent to ${data.email}`);
-            } catch (emailErr) {
-                console.error('Failed to send approval email:', emailErr);
-            }
+        const { data, error } = await claim
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            return res.status(409).json({ success: false, error: 'Someone else claimed this review first; reload the queue' });
         }
 
-        res.json({ success: true, data });
+        await addReviewNote(reviewId, 'claimed', conflict ? `Taken over from ${review.claimed_by_name}` : null, reviewerOf(req));
+
+        await logAudit(
+            AUDIT_TYPES.VERIFICATION_CLAIMED,
+            { id: req.user.id, role: req.user.role, name: req.user.name },
+            { entity: review.kind, id: review.location_id || review.clinic_id },
+            { clinicId: review.clinic_id, reviewId, previousReviewer: review.claimed_by_name || null }
+        );
+
+        res.json({ success: true, data: formatReview(data) });
     } catch (err) {
-        console.error('Error approving org verification:', err);
+        console.error('Error claiming verification review:', err);
         res.status(500).json({ success: false, error: err.message });
     }
 });
 
-// PATCH /api/verifications/org/:clinicId/reject
-router.patch('/org/:clinicId/reject', async (req, res) => {
+// DELETE /api/verifications/reviews/:reviewId/claim
+// Put a review you hold back in the queue
+router.delete('/reviews/:reviewId/claim', async (req, res) => {
     try {
-        const { clinicId } = req.params;
-        const { reason } = req.body;
-        console.log('[Verification] Rejecting org:', clinicId, 'Reason:', reason);
+        const { reviewId } = req.params;
 
         const { data, error } = await supabaseAdmin
-            .from('clinics')
-            .update({
-                org_verification_status: 'rejected',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', clinicId)
-            .select('id, name, email, org_verification_status')
-            .single();
-
-        if (error) {
-            console.error('[Verification] Update error:', error);
-            throw error;
+            .from('verification_reviews')
+            .update({ claimed_by: null, claimed_by_name: null, claimed_at: null, updated_at: new Date().toISOString() })
+            .eq('id', reviewId)
+            .eq('claimed_by', req.user.id)
+            .in('status', OPEN_STATUSES)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'You have not claimed this review' });
         }
 
-        // Send notification email
-        if (data && data.email) {
-            try {
-                await sendVerificationStatusEmail(
-                    data.email,
-                    data.name,
-                    'organization',
-                    'rejected',
-                    null,
-                    reason
-                );
-                console.log(`Rejection email sent to ${data.email}`);
-            } catch (emailErr) {
-                console.error('Failed to send rejection email:', emailErr);
-            }
-        }
+        await addReviewNote(reviewId, 'released', null, reviewerOf(req));
 
-        res.json({ success: true, data });
+        res.json({ success: true, data: formatReview(data) });
     } catch (err) {
-        console.error('Error rejecting org verification:', err);
+        console.error('Error releasing verification review:', err);
         res.status(500).json({ success: false, error: err.message });
     }
 });
 
-// ============================================
-// FACILITY VERIFICATION ACTIONS
-// ============================================
-
-// PATCH /api/verifications/facility/:clinicId/:locationId/approve
-router.patch('/facility/:clinicId/:locationId/approve', async (req, res) => {
+// GET /api/verifications/reviews/:reviewId/notes
+router.get('/reviews/:reviewId/notes', async (req, res) => {
     try {
-        const { clinicId, locationId } = req.params;
+        const { data, error } = await supabaseAdmin
+            .from('verification_review_notes')
+            .select('*')
+            .eq('review_id', req.params.reviewId)
+            .order('created_at', { ascending: true });
 
-        // First get clinic email
-        const { data: clinic, error: clinicErr } = await supabaseAdmin
-            .from('clinics')
-            .select('name, email')
-            .eq('id', clinicId)
-            .single();
+        if (error) throw error;
 
-        if (clinicErr) throw clinicErr;
+        res.json({ success: true, data: data || [] });
+    } catch (err) {
+        console.error('Error fetching verification review notes:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        console.log('[Verification] Approving facility:', locationId, 'for clinic:', clinicId);
+// POST /api/verifications/reviews/:reviewId/notes
+// Internal note for other reviewers; clinics never see these
+router.post('/reviews/:reviewId/notes', async (req, res) => {
+    try {
+        const body = req.body?.body?.trim();
+        if (!body) {
+            return res.status(400).json({ success: false, error: 'Note cannot be empty' });
+        }
 
-        const { data, error } = await supabaseAdmin
-            .from('clinic_locations')
-            .update({
-                facility_verification_status: 'approved',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', locationId)
-            .eq('clinic_id', clinicId)
-            .select('id, name, facility_verification_status')
-            .single();
+        const { data: review } = await supabaseAdmin
+            .from('verification_reviews')
+            .select('id')
+            .eq('id', req.params.reviewId)
+            .maybeSingle();
 
-        if (error) {
-            console.error('[Verification] Facility update error:', error);
-            throw error;
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
         }
 
-        // Send notification email
-        if (clinic && clinic.email) {
-            try {
-                await sendVerificationStatusEmail(
-                    clinic.email,
-                    clinic.name,
-                    'facility',
-                    'approved',
-                    data.name
-                );
-                console.log(`Facility approval email sent to ${clinic.email}`);
-            } catch (emailErr) {
-                console.error('Failed to send facility approval email:', emailErr);
-            }
-        }
+        const data = await addReviewNote(review.id, 'note', body, reviewerOf(req));
 
-        res.json({ success: true, data });
+        res.status(201).json({ success: true, data });
     } catch (err) {
-        console.error('Error approving facility verification:', err);
+        console.error('Error adding verification review note:', err);
         res.status(500).json({ success: false, error: err.message });
     }
 });
 
-// PATCH /api/verifications/facility/:clinicId/:locationId/reject
-router.patch('/facility/:clinicId/:locationId/reject', async (req, res) => {
-    try {
-        const { clinicId, locationId } = req.params;
-        const { reason } = req.body;
+// ============================================
+// ORGANIZATION VERIFICATION ACTIONS
+// ============================================
 
-        // First get clinic email
-        const { data: clinic, error: clinicErr } = await supabaseAdmin
-            .from('clinics')
-            .select('name, email')
-            .eq('id', clinicId)
-            .single();
+// PATCH /api/verifications/org/:clinicId/approve
+router.patch('/org/:clinicId/approve', statusHandler('approved'));
 
-        if (clinicErr) throw clinicErr;
+// PATCH /api/verifications/org/:clinicId/reject
+router.patch('/org/:clinicId/reject', statusHandler('rejected'));
 
-        console.log('[Verification] Rejecting facility:', locationId, 'for clinic:', clinicId);
+// PATCH /api/verifications/org/:clinicId/request-documents
+// Send it back to the clinic ({ documents: 'what is needed' })
+router.patch('/org/:clinicId/request-documents', statusHandler('more_info_required'));
 
-        const { data, error } = await supabaseAdmin
-            .from('clinic_locations')
-            .update({
-                facility_verification_status: 'rejected',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', locationId)
-            .eq('clinic_id', clinicId)
-            .select('id, name, facility_verification_status')
-            .single();
+// ============================================
+// FACILITY VERIFICATION ACTIONS
+// ============================================
 
-        if (error) {
-            console.error('[Verification] Facility update error:', error);
-            throw error;
-        }
+// PATCH /api/verifications/facility/:clinicId/:locationId/approve
+router.patch('/facility/:clinicId/:locationId/approve', statusHandler('approved'));
 
-        // Send notification email
-        if (clinic && clinic.email) {
-            try {
-                await sendVerificationStatusEmail(
-                    clinic.email,
-                    clinic.name,
-                    'facility',
-                    'rejected',
-                    data.name,
-                    reason
-                );
-                console.log(`Facility rejection email sent to ${clinic.email}`);
-            } catch (emailErr) {
-                console.error('Failed to send facility rejection email:', emailErr);
-            }
-        }
+// PATCH /api/verifications/facility/:clinicId/:locationId/reject
+router.patch('/facility/:clinicId/:locationId/reject', statusHandler('rejected'));
 
-        res.json({ success: true, data });
-    } catch (err) {
-        console.error('Error rejecting facility verification:', err);
-        res.status(500).json({ success: false, error: err.message });
-    }
-});
+// PATCH /api/verifications/facility/:clinicId/:locationId/request-documents
+router.patch('/facility/:clinicId/:locationId/request-documents', statusHandler('more_info_required'));
 
 module.exports = router;
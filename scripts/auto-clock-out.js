@@ -0,0 +1,41 @@
+/**
+ * Close missed clock-outs by hand, outside the hourly cron
+ *
+ * Usage: node scripts/auto-clock-out.js [--clinic <clinicId>] [--at <ISO time>] [--no-email]
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const { runAutoClockOut } = require('../lib/autoClockOut');
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+async function autoClockOut() {
+    const clinicId = option('--clinic');
+    const now = option('--at') ? new Date(option('--at')) : new Date();
+    const notify = !process.argv.includes('--no-email');
+
+    if (Number.isNaN(now.getTime())) {
+        console.error('--at must be an ISO date/time');
+        process.exit(1);
+    }
+
+    console.log(`⏰ Closing missed clock-outs as of ${now.toISOString()}${clinicId ? ` for clinic ${clinicId}` : ''}...\n`);
+
+    const closed = await runAutoClockOut({ now, clinicId, notify });
+
+    for (const { attendance, staff } of closed) {
+        const name = staff ? `${staff.first_name} ${staff.last_name}` : attendance.staff_id;
+        console.log(`  ✅ ${name} · ${attendance.date} · clocked out at ${attendance.clock_out}`);
+    }
+
+    console.log(`\n🎉 ${closed.length} attendance(s) closed${notify ? '' : ' (emails skipped)'}`);
+    process.exit(0);
+}
+
+autoClockOut().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+});
@@ -12,11 +12,16 @@ if (process.env.NODE_ENV !== 'production') {
 
 const app = express();
 
+// Behind Vercel's proxy: take req.ip from the X-Forwarded-For entry it adds,
+// so per-IP limits see the client rather than the proxy
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));  // Increased limit for file uploads
 
 // Import routes
+const { requireEmployer } = require('./lib/auth');
 const onboardRoutes = require('./routes/onboard');
 const authRoutes = require('./routes/auth');
 const clinicsRoutes = require('./routes/clinics');
@@ -34,6 +39,7 @@ const attendanceRoutes = require('./routes/attendance');
 const leaveRoutes = require('./routes/leave');
 const locationsRoutes = require('./routes/locations');
 const settingsRoutes = require('./routes/clinic-settings');
+const holidaysRoutes = require('./routes/holidays');
 
 // New: Coverage-first scheduling, payroll, verification, audit
 const scheduleBlocksRoutes = require('./routes/scheduleBlocks');
@@ -45,8 +51,18 @@ const verificationsRoutes = require('./routes/verifications'); // SuperAdmin ver
 // Employee Portal routes
 const employeeRoutes = require('./routes/employee');
 
+// Login sessions (refresh, logout, signed-in devices)
+const sessionsRoutes = require('./routes/sessions');
+
+// Reception kiosk (public, authenticated by kiosk key)
+const kioskRoutes = require('./routes/kiosk');
+
+// Scheduled jobs (Vercel Cron)
+const jobsRoutes = require('./routes/jobs');
+
 // Document management routes
 const documentsRoutes = require('./routes/documents');
+const rolesRoutes = require('./routes/roles');
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -63,15 +79,21 @@ app.use('/api/promos', promosRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/site-content', siteContentRoutes);
 
-// Employer Portal routes (scoped by clinic)
+// Employer Portal routes (scoped by clinic). Signed in and checked against
+// :clinicId once here, not in each router: every router below shares the
+// mount, so a guard inside each one would run again for every router passed.
+app.use('/api/clinics/:clinicId', requireEmployer);
 app.use('/api/clinics', staffRoutes);      // /api/clinics/:clinicId/staff
 app.use('/api/clinics', shiftsRoutes);     // /api/clinics/:clinicId/shifts
 app.use('/api/clinics', attendanceRoutes); // /api/clinics/:clinicId/attendance
 app.use('/api/clinics', leaveRoutes);      // /api/clinics/:clinicId/leave
 app.use('/api/clinics', locationsRoutes);  // /api/clinics/:clinicId/locations
 app.use('/api/clinics', settingsRoutes);   // /api/clinics/:clinicId/settings
+app.use('/api/clinics', holidaysRoutes);   // /api/clinics/:clinicId/holidays
+app.use('/api/clinics', rolesRoutes);      // /api/clinics/:clinicId/roles
 
 // New: Coverage-first scheduling, payroll, verification, audit log routes
+app.use('/api/employer/:clinicId', requireEmployer);
 app.use('/api/employer', scheduleBlocksRoutes);  // /api/employer/:clinicId/schedule-blocks
 app.use('/api/employer', payrollRoutes);         // /api/employer/:clinicId/payroll
 app.use('/api/employer', verificationRoutes);    // /api/employer/:clinicId/org-verification
@@ -88,6 +110,15 @@ app.use('/api/staff', staffAuthRoutes);    // /api/staff/login, /api/staff/accep
 // Employee Portal routes (staff-authenticated)
 app.use('/api/employee', employeeRoutes);  // /api/employee/profile, /api/employee/schedule, etc.
 
+// Login sessions for owners and staff
+app.use('/api/sessions', sessionsRoutes);  // /api/sessions/refresh, /api/sessions/logout, /api/sessions
+
+// Reception kiosk QR codes (public - kiosk key in the URL)
+app.use('/api/kiosk', kioskRoutes);        // /api/kiosk/:kioskKey/code
+
+// Scheduled jobs (CRON_SECRET bearer token)
+app.use('/api/jobs', jobsRoutes);          // /api/jobs/no-shows
+
 // Error handler
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
@@ -130,6 +161,9 @@ if (process.env.NODE_ENV !== 'production') {
         console.log('   GET/POST      /api/clinics/:clinicId/leave');
         console.log('   GET/POST      /api/clinics/:clinicId/locations');
         console.log('   GET/PATCH     /api/clinics/:clinicId/settings');
+        console.log('   GET/POST      /api/clinics/:clinicId/roles');
+        console.log('   POST          /api/sessions/refresh');
+        console.log('   GET/DELETE    /api/sessions');
     });
 }
 
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { attendanceDayFor } = require('../lib/attendance');
+
+const NAIROBI = 'Africa/Nairobi';
+
+// Nairobi is UTC+3 all year
+const nairobi = (date, time) => new Date(`${date}T${time}:00+03:00`).toISOString();
+
+const day = (date, fields = {}) => ({
+    id: `attendance-${date}`,
+    staff_id: 'staff-1',
+    date,
+    clock_in: nairobi(date, '08:00'),
+    clock_out: nairobi(date, '17:00'),
+    scheduled_start: '08:00:00',
+    scheduled_end: '17:00:00',
+    ...fields
+});
+
+test.beforeEach(() => {
+    db.reset();
+});
+
+test('attendanceDayFor uses the local date at the location', async () => {
+    // 01:30 in Nairobi is still the previous evening in UTC
+    const result = await attendanceDayFor('staff-1', nairobi('2026-03-11', '01:30'), NAIROBI);
+
+    assert.equal(result.date, '2026-03-11');
+    assert.equal(result.attendance, null);
+    assert.equal(
+        (await attendanceDayFor('staff-1', nairobi('2026-03-11', '01:30'), 'UTC')).date,
+        '2026-03-10'
+    );
+});
+
+test('attendanceDayFor returns today\'s day when one is already open', async () => {
+    db.seed('attendances', [day('2026-03-10'), day('2026-03-11', { clock_out: null })]);
+
+    const result = await attendanceDayFor('staff-1', nairobi('2026-03-11', '13:00'), NAIROBI);
+
+    assert.equal(result.date, '2026-03-11');
+    assert.equal(result.attendance.id, 'attendance-2026-03-11');
+});
+
+test('attendanceDayFor keeps a clock-in past midnight on a day still open', async () => {
+    db.seed('attendances', [day('2026-03-10', { clock_out: null })]);
+
+    const result = await attendanceDayFor('staff-1', nairobi('2026-03-11', '03:00'), NAIROBI);
+
+    assert.equal(result.date, '2026-03-10');
+    assert.equal(result.attendance.id, 'attendance-2026-03-10');
+});
+
+test('attendanceDayFor treats a return within the hour after midnight as a break', async () => {
+    db.seed('attendances', [day('2026-03-10', { clock_out: nairobi('2026-03-10', '23:40') })]);
+
+    assert.equal((await attendanceDayFor('staff-1', nairobi('2026-03-11', '00:30'), NAIROBI)).date, '2026-03-10');
+    assert.equal((await attendanceDayFor('staff-1', nairobi('2026-03-11', '00:50'), NAIROBI)).date, '2026-03-11');
+});
+
+test('attendanceDayFor keeps clock-ins within an overnight slot on the night it started', async () => {
+    db.seed('attendances', [day('2026-03-10', {
+        clock_in: nairobi('2026-03-10', '20:00'),
+        clock_out: nairobi('2026-03-10', '22:00'),
+        scheduled_start: '20:00:00',
+        scheduled_end: '06:00:00'
+    })]);
+
+    // Up to two hours after the slot ends
+    assert.equal((await attendanceDayFor('staff-1', nairobi('2026-03-11', '04:00'), NAIROBI)).date, '2026-03-10');
+    assert.equal((await attendanceDayFor('staff-1', nairobi('2026-03-11', '07:55'), NAIROBI)).date, '2026-03-10');
+    assert.equal((await attendanceDayFor('staff-1', nairobi('2026-03-11', '08:30'), NAIROBI)).date, '2026-03-11');
+});
+
+test('attendanceDayFor starts a new day after a day shift ended the day before', async () => {
+    db.seed('attendances', [day('2026-03-10'), { ...day('2026-03-10'), id: 'other', staff_id: 'staff-2', clock_out: null }]);
+
+    const result = await attendanceDayFor('staff-1', nairobi('2026-03-11', '07:50'), NAIROBI);
+
+    assert.equal(result.date, '2026-03-11');
+    assert.equal(result.attendance, null);
+});
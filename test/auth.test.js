@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A developer's .env.local must not let every request through
+process.env.SKIP_AUTH = 'false';
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { requireEmployer, generateToken } = require('../lib/auth');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60000).toISOString();
+
+const owner = { id: 'user-1', clinicId: 'clinic-1', email: 'owner@example.com', role: 'owner', name: 'Owner' };
+const manager = { staffId: 'staff-1', clinicId: 'clinic-1', email: 'hr@example.com', role: 'hr', name: 'Wanjiru Kamau' };
+
+/**
+ * Run requireEmployer for a request and report what it did
+ * @returns {Promise<{ status: number|null, body: object|null, next: boolean, user: object }>}
+ */
+async function authenticate(claims, clinicId = 'clinic-1') {
+    const req = {
+        method: 'GET',
+        originalUrl: `/api/clinics/${clinicId}/staff`,
+        ip: '10.0.0.1',
+        params: { clinicId },
+        headers: claims ? { authorization: `Bearer ${generateToken(claims)}` } : {}
+    };
+    const result = { status: null, body: null, next: false };
+    const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; }
+    };
+
+    await requireEmployer(req, res, () => { result.next = true; });
+    return { ...result, user: req.user };
+}
+
+// logAudit is not awaited by the middleware
+const auditWritten = () => new Promise(resolve => setImmediate(resolve));
+
+test.beforeEach(() => {
+    db.reset();
+    db.seed('users', [{ id: 'user-1', sessions_valid_after: null }]);
+    db.seed('staff', [{ id: 'staff-1', sessions_valid_after: null }]);
+});
+
+test('requireEmployer lets owners and staff managers into their own clinic', async () => {
+    const asOwner = await authenticate(owner);
+    assert.equal(asOwner.next, true);
+    assert.equal(asOwner.user.id, 'user-1');
+    assert.equal(asOwner.user.staffId, null);
+
+    const asManager = await authenticate(manager);
+    assert.equal(asManager.next, true);
+    assert.equal(asManager.user.staffId, 'staff-1');
+    assert.equal(asManager.user.role, 'hr');
+});
+
+test('requireEmployer refuses another clinic and audits the attempt', async () => {
+    const result = await authenticate(manager, 'clinic-2');
+    await auditWritten();
+
+    assert.equal(result.next, false);
+    assert.equal(result.status, 403);
+
+    const [entry] = db.rows('audit_logs');
+    assert.equal(entry.type, 'cross_tenant_access_denied');
+    assert.equal(entry.actor_id, 'staff-1');
+    assert.equal(entry.target_id, 'clinic-2');
+    assert.equal(entry.meta.tokenClinicId, 'clinic-1');
+});
+
+test('requireEmployer refuses employee logins and missing tokens', async () => {
+    const employee = await authenticate({ ...manager, role: 'employee' });
+    assert.equal(employee.status, 403);
+    assert.equal(employee.next, false);
+
+    const anonymous = await authenticate(null);
+    assert.equal(anonymous.status, 401);
+});
+
+test('requireEmployer refuses a token whose session was revoked', async () => {
+    db.seed('auth_sessions', [{ id: 'session-1', revoked_at: null, expires_at: inAnHour() }]);
+
+    assert.equal((await authenticate({ ...manager, sid: 'session-1' })).next, true);
+
+    db.rows('auth_sessions')[0].revoked_at = new Date().toISOString();
+    assert.equal((await authenticate({ ...manager, sid: 'session-1' })).status, 401);
+    assert.equal((await authenticate({ ...manager, sid: 'unknown' })).status, 401);
+});
+
+test('requireEmployer refuses tokens without a session issued before sessions_valid_after', async () => {
+    db.rows('users')[0].sessions_valid_after = inAnHour();
+
+    assert.equal((await authenticate(owner)).status, 401);
+    assert.equal((await authenticate(manager)).next, true);
+});
@@ -0,0 +1,177 @@
+/**
+ * HURE Core - In-memory Supabase for tests
+ * Stands in for lib/supabase so lib modules run against plain arrays.
+ * Supports the query builder calls the lib code uses; selected columns and
+ * embedded relations are ignored and whole rows are returned.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const clone = (value) => (value === null || value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+class Query {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.op = 'select';
+        this.filters = [];
+        this.options = {};
+        this.returning = false;
+        this.mode = null;
+        this.sort = null;
+        this.max = null;
+    }
+
+    select(columns, options = {}) {
+        if (this.op === 'select') this.options = options;
+        else this.returning = true;
+        return this;
+    }
+
+    insert(values) { this.op = 'insert'; this.values = values; return this; }
+    upsert(values, options = {}) { this.op = 'upsert'; this.values = values; this.upsertOptions = options; return this; }
+    update(values) { this.op = 'update'; this.values = values; return this; }
+    delete() { this.op = 'delete'; return this; }
+
+    eq(column, value) { this.filters.push(row => row[column] === value); return this; }
+    neq(column, value) { this.filters.push(row => row[column] !== value); return this; }
+    is(column, value) { this.filters.push(row => (row[column] ?? null) === value); return this; }
+    in(column, values) { this.filters.push(row => values.includes(row[column])); return this; }
+    gt(column, value) { this.filters.push(row => row[column] > value); return this; }
+    gte(column, value) { this.filters.push(row => row[column] >= value); return this; }
+    lte(column, value) { this.filters.push(row => row[column] <= value); return this; }
+    contains(column, values) { this.filters.push(row => values.every(v => (row[column] || []).includes(v))); return this; }
+
+    // not(column, 'is', null) and not(column, 'in', '(a,b)')
+    not(column, operator, value) {
+        const list = operator === 'in' ? value.replace(/^\(|\)$/g, '').split(',') : null;
+        this.filters.push(row => (list ? !list.includes(row[column]) : (row[column] ?? null) !== value));
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) { this.sort = { column, ascending }; return this; }
+    limit(n) { this.max = n; return this; }
+    single() { this.mode = 'single'; return this; }
+    maybeSingle() { this.mode = 'maybeSingle'; return this; }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+
+    run() {
+        this.db.hooks.forEach(hook => hook(this));
+
+        const rows = this.db.rows(this.table);
+        const matches = () => rows.filter(row => this.filters.every(f => f(row)));
+        let data;
+
+        switch (this.op) {
+            case 'insert': {
+                const now = new Date().toISOString();
+                data = [].concat(this.values).map(v => ({ id: crypto.randomUUID(), created_at: now, ...clone(v) }));
+                const columns = this.db.constraints[this.table];
+                if (columns && data.some(row => this.db.conflict(this.table, row, columns))) {
+                    return { data: null, error: { code: '23505', message: `Duplicate ${this.table} row` } };
+                }
+                rows.push(...data);
+                if (!this.returning) return { data: null, error: null };
+                break;
+            }
+            case 'upsert': {
+                const { onConflict = 'id', ignoreDuplicates = false } = this.upsertOptions;
+                const columns = onConflict.split(',');
+                const now = new Date().toISOString();
+                data = [];
+                [].concat(this.values).forEach(v => {
+                    const existing = this.db.conflict(this.table, v, columns);
+                    if (!existing) {
+                        const row = { id: crypto.randomUUID(), created_at: now, ...clone(v) };
+                        rows.push(row);
+                        data.push(row);
+                    } else if (!ignoreDuplicates) {
+                        Object.assign(existing, clone(v));
+                        data.push(existing);
+                    }
+                });
+                if (!this.returning) return { data: null, error: null };
+                break;
+            }
+            case 'update':
+                data = matches();
+                data.forEach(row => Object.assign(row, clone(this.values)));
+                if (!this.returning) return { data: null, error: null };
+                break;
+            case 'delete':
+                data = matches();
+                this.db.tables[this.table] = rows.filter(row => !data.includes(row));
+                if (!this.returning) return { data: null, error: null };
+                break;
+            default: {
+                data = matches();
+                if (this.sort) {
+                    const { column, ascending } = this.sort;
+                    data.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+                }
+                if (this.max !== null) data = data.slice(0, this.max);
+                const count = this.options.count ? data.length : null;
+                if (this.options.head) return { data: null, count, error: null };
+            }
+        }
+
+        data = clone(data);
+        if (this.mode === 'single' && data.length !== 1) {
+            return { data: null, error: { message: `Expected one ${this.table} row, got ${data.length}` } };
+        }
+        if (this.mode === 'maybeSingle' && data.length > 1) {
+            return { data: null, error: { message: `Expected at most one ${this.table} row, got ${data.length}` } };
+        }
+        if (this.mode) data = data[0] || null;
+
+        return { data, error: null };
+    }
+}
+
+/**
+ * Replace lib/supabase with an in-memory database. Call before requiring
+ * the lib modules under test.
+ * @returns {{ tables: object, rows: Function, seed: Function, reset: Function, onQuery: Function, unique: Function }}
+ */
+function installFakeSupabase() {
+    const db = {
+        tables: {},
+        hooks: [],
+        constraints: {},
+        rows(table) {
+            return (this.tables[table] = this.tables[table] || []);
+        },
+        seed(table, rows) {
+            this.rows(table).push(...rows.map(clone));
+        },
+        // Run fn before every query (to change data mid-operation)
+        onQuery(fn) {
+            this.hooks.push(fn);
+        },
+        // Refuse inserts that repeat these columns, like a unique index (23505)
+        unique(table, columns) {
+            this.constraints[table] = columns;
+        },
+        // Row already holding the same values in the columns, if any
+        conflict(table, values, columns) {
+            return this.rows(table).find(row => columns.every(c => row[c] === values[c]));
+        },
+        reset() {
+            this.tables = {};
+            this.hooks = [];
+            this.constraints = {};
+        }
+    };
+
+    const client = { from: (table) => new Query(db, table) };
+    const file = path.join(__dirname, '..', '..', 'lib', 'supabase.js');
+    require.cache[file] = { id: file, filename: file, loaded: true, exports: { supabase: client, supabaseAdmin: client } };
+
+    return db;
+}
+
+module.exports = { installFakeSupabase };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { issueKioskCode, verifyKioskCode, redeemKioskCode, generateKioskKey } = require('../lib/kiosk');
+
+const reception = { id: 'location-1', clinic_id: 'clinic-1', name: 'Reception', kiosk_key: generateKioskKey(), is_active: true };
+
+test.beforeEach(() => {
+    db.reset();
+    db.seed('clinic_locations', [reception]);
+    // Migration 034: one use per code and staff member
+    db.unique('kiosk_code_uses', ['code_id', 'staff_id']);
+});
+
+test('verifyKioskCode accepts the code on screen without using it up', async () => {
+    const { code } = issueKioskCode(reception);
+
+    const first = await verifyKioskCode(code, 'clinic-1');
+    assert.equal(first.location.id, 'location-1');
+    assert.ok(first.codeId);
+
+    assert.equal((await verifyKioskCode(code, 'clinic-1')).codeId, first.codeId);
+    assert.equal(db.rows('kiosk_code_uses').length, 0);
+});
+
+test('verifyKioskCode refuses expired, forged and other clinics\' codes', async () => {
+    const { code } = issueKioskCode(reception);
+    assert.match((await verifyKioskCode(code, 'clinic-2')).error, /another clinic/);
+
+    const expired = jwt.sign(
+        { type: 'kiosk', lid: reception.id, cid: reception.clinic_id, exp: Math.floor(Date.now() / 1000) - 5 },
+        `${process.env.JWT_SECRET || 'hure-dev-secret'}:kiosk:${reception.kiosk_key}`
+    );
+    assert.match((await verifyKioskCode(expired, 'clinic-1')).error, /expired/);
+
+    const forged = jwt.sign({ type: 'kiosk', lid: reception.id }, 'guessed-secret');
+    assert.match((await verifyKioskCode(forged, 'clinic-1')).error, /not a valid/);
+    assert.match((await verifyKioskCode('', 'clinic-1')).error, /not a valid/);
+});
+
+test('verifyKioskCode refuses codes once kiosk mode is off or the key rotated', async () => {
+    const { code } = issueKioskCode(reception);
+
+    db.rows('clinic_locations')[0].kiosk_key = generateKioskKey();
+    assert.match((await verifyKioskCode(code, 'clinic-1')).error, /not a valid/);
+
+    db.rows('clinic_locations')[0].kiosk_key = null;
+    assert.match((await verifyKioskCode(code, 'clinic-1')).error, /not active/);
+});
+
+test('redeemKioskCode lets each staff member use a code once', async () => {
+    const { codeId } = await verifyKioskCode(issueKioskCode(reception).code, 'clinic-1');
+
+    assert.deepEqual(await redeemKioskCode(codeId, 'staff-1', 'location-1'), {});
+    assert.match((await redeemKioskCode(codeId, 'staff-1', 'location-1')).error, /already been used/);
+
+    // Colleagues arriving together scan the same code
+    assert.deepEqual(await redeemKioskCode(codeId, 'staff-2', 'location-1'), {});
+    assert.equal(db.rows('kiosk_code_uses').length, 2);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { syncLeaveLedger, getLeaveBalances } = require('../lib/leave');
+
+const amina = { id: 'staff-1', created_at: '2025-01-06T08:00:00Z' };
+
+const settings = (fields) => Object.assign(db.rows('clinic_settings')[0], fields);
+const entry = (key) => db.rows('leave_ledger').find(e => e.entry_key === key);
+const balances = async (year) => (await getLeaveBalances('clinic-1', ['staff-1'], year))['staff-1'];
+
+test.beforeEach(() => {
+    db.reset();
+    db.seed('clinic_settings', [{ clinic_id: 'clinic-1' }]);
+});
+
+test('syncLeaveLedger accrues annual leave monthly from the month a staff member joined', async () => {
+    await syncLeaveLedger('clinic-1', [{ id: 'staff-1', created_at: '2026-02-15T08:00:00Z' }], '2026-05-20');
+
+    const annual = (await balances(2026)).annual;
+    assert.equal(annual.accrued, 7); // February to May at 21 / 12
+    assert.equal((await balances(2026)).sick.accrued, 10);
+
+    // Running again adds nothing
+    const count = db.rows('leave_ledger').length;
+    await syncLeaveLedger('clinic-1', [{ id: 'staff-1', created_at: '2026-02-15T08:00:00Z' }], '2026-05-20');
+    assert.equal(db.rows('leave_ledger').length, count);
+});
+
+test('syncLeaveLedger charges approved requests once', async () => {
+    db.seed('leave_requests', [
+        { id: 'leave-1', clinic_id: 'clinic-1', staff_id: 'staff-1', leave_type: 'annual', status: 'approved', from_date: '2026-03-02', days_count: 3 },
+        { id: 'leave-2', clinic_id: 'clinic-1', staff_id: 'staff-1', leave_type: 'annual', status: 'pending', from_date: '2026-04-06', days_count: 2 },
+        { id: 'leave-3', clinic_id: 'clinic-1', staff_id: 'staff-1', leave_type: 'unpaid', status: 'approved', from_date: '2026-04-13', days_count: 5 }
+    ]);
+
+    await syncLeaveLedger('clinic-1', [amina], '2026-05-20');
+    await syncLeaveLedger('clinic-1', [amina], '2026-05-20');
+
+    const annual = (await balances(2026)).annual;
+    assert.equal(annual.used, 3);
+    assert.equal(annual.pending, 2);
+    assert.equal(annual.balance, 5.75);
+    assert.equal(annual.available, 3.75);
+    assert.equal(entry('leave:leave-3'), undefined);
+});
+
+test('syncLeaveLedger applies a changed allowance to this year only', async () => {
+    await syncLeaveLedger('clinic-1', [amina], '2026-03-10');
+    settings({ sick_leave_days: 15, annual_leave_days: 24 });
+    await syncLeaveLedger('clinic-1', [amina], '2026-04-10');
+
+    assert.equal(entry('entitlement:sick:2026').days, 15);
+    assert.equal(entry('entitlement:sick:2025').days, 10);
+
+    // Months already accrued keep the old rate
+    assert.equal(entry('accrual:annual:2026-03').days, 1.75);
+    assert.equal(entry('accrual:annual:2026-04').days, 2);
+});
+
+test('syncLeaveLedger carries unused annual leave up to the clinic\'s cap', async () => {
+    db.seed('leave_requests', [
+        { id: 'leave-1', clinic_id: 'clinic-1', staff_id: 'staff-1', leave_type: 'annual', status: 'approved', from_date: '2025-08-04', days_count: 6 }
+    ]);
+
+    settings({ leave_carryover_allowed: true });
+    await syncLeaveLedger('clinic-1', [amina], '2026-01-15');
+    assert.equal(entry('carry_over:annual:2026').days, 15);
+
+    settings({ leave_carryover_max_days: 5 });
+    await syncLeaveLedger('clinic-1', [amina], '2026-01-15');
+    assert.equal(entry('carry_over:annual:2026').days, 5);
+    assert.equal((await balances(2026)).annual.carried_over, 5);
+
+    settings({ leave_carryover_allowed: false });
+    await syncLeaveLedger('clinic-1', [amina], '2026-01-15');
+    assert.equal(entry('carry_over:annual:2026').days, 0);
+});
+
+test('syncLeaveLedger carries nothing over for staff who joined this year', async () => {
+    settings({ leave_carryover_allowed: true });
+
+    await syncLeaveLedger('clinic-1', [{ id: 'staff-1', created_at: '2026-01-05T08:00:00Z' }], '2026-02-10');
+
+    assert.equal(entry('carry_over:annual:2026'), undefined);
+    assert.equal(entry('entitlement:sick:2025'), undefined);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { applyLeaveChange } = require('../lib/leaveChanges');
+const { recordLeaveDeduction, getLeaveBalances } = require('../lib/leave');
+
+// An HR staff member reviewing (see payrollWorkflow.actorFromUser)
+const reviewer = { key: 'staff:staff-9', userId: null, staffId: 'staff-9', name: 'Wanjiru Kamau', role: 'hr' };
+
+const leave = {
+    id: 'leave-1',
+    clinic_id: 'clinic-1',
+    staff_id: 'staff-1',
+    leave_type: 'annual',
+    status: 'approved',
+    from_date: '2026-03-02',
+    to_date: '2026-03-04',
+    days_count: 3,
+    duration_type: 'full_day',
+    released_block_ids: ['block-1', 'block-2']
+};
+
+const amend = {
+    change_type: 'amend',
+    new_from_date: '2026-03-04',
+    new_to_date: '2026-03-05',
+    new_duration_type: 'full_day',
+    new_half_day_period: null,
+    new_hours: null,
+    new_days_count: 2
+};
+
+const request = (id) => db.rows('leave_requests').find(r => r.id === id);
+const block = (id) => db.rows('schedule_blocks').find(b => b.id === id);
+const annualUsed = async () => (await getLeaveBalances('clinic-1', ['staff-1'], 2026))['staff-1'].annual.used;
+
+test.beforeEach(async () => {
+    db.reset();
+    db.seed('clinic_settings', [{ clinic_id: 'clinic-1' }]);
+    db.seed('staff', [{ id: 'staff-1', clinic_id: 'clinic-1', first_name: 'Amina', last_name: 'Otieno', created_at: '2025-01-06T08:00:00Z' }]);
+    db.seed('leave_requests', [leave]);
+    // Both blocks were released when the leave was approved
+    db.seed('schedule_blocks', [
+        { id: 'block-1', clinic_id: 'clinic-1', date: '2026-03-02', assigned_staff_ids: [], qty_needed: 1, needs_cover: true, cover_reason: 'Amina Otieno on annual leave' },
+        { id: 'block-2', clinic_id: 'clinic-1', date: '2026-03-04', assigned_staff_ids: [], qty_needed: 1, needs_cover: true, cover_reason: 'Amina Otieno on annual leave' }
+    ]);
+    await recordLeaveDeduction(leave);
+});
+
+test('applyLeaveChange cancels leave, gives back its days and puts the staff member back on their blocks', async () => {
+    const { leave: closed, result, error } = await applyLeaveChange({ change_type: 'cancel' }, leave, reviewer);
+
+    assert.equal(error, undefined);
+    assert.equal(result, null);
+    assert.equal(closed.status, 'cancelled');
+    assert.equal(await annualUsed(), 0);
+
+    assert.deepEqual(block('block-1').assigned_staff_ids, ['staff-1']);
+    assert.equal(block('block-1').needs_cover, false);
+    assert.deepEqual(request('leave-1').released_block_ids, []);
+
+    const reversal = db.rows('leave_ledger').find(e => e.entry_type === 'reversal');
+    assert.equal(reversal.created_by, 'staff:staff-9');
+});
+
+test('applyLeaveChange replaces amended leave and records the staff reviewer', async () => {
+    const { leave: closed, result } = await applyLeaveChange(amend, leave, reviewer);
+
+    assert.equal(closed.status, 'amended');
+    assert.equal(result.status, 'approved');
+    assert.equal(result.amended_from, 'leave-1');
+    assert.equal(result.reviewed_by, null);
+    assert.equal(result.reviewed_by_staff_id, 'staff-9');
+    assert.equal(result.reviewed_by_name, 'Wanjiru Kamau');
+
+    // Three days given back, two charged for the new dates
+    assert.equal(await annualUsed(), 2);
+
+    // The block outside the new dates is restored; the one inside stays released
+    assert.deepEqual(block('block-1').assigned_staff_ids, ['staff-1']);
+    assert.deepEqual(block('block-2').assigned_staff_ids, []);
+    assert.deepEqual(request(result.id).released_block_ids, ['block-2']);
+});
+
+test('applyLeaveChange applies a change only once', async () => {
+    await applyLeaveChange({ change_type: 'cancel' }, leave, reviewer);
+
+    const again = await applyLeaveChange(amend, leave, reviewer);
+
+    assert.match(again.error, /no longer approved/);
+    assert.equal(db.rows('leave_requests').length, 1);
+    assert.equal(await annualUsed(), 0);
+});
+
+test('applyLeaveChange leaves the original alone when the new dates do not fit the balance', async () => {
+    const { error } = await applyLeaveChange({ ...amend, new_to_date: '2026-05-29', new_days_count: 60 }, leave, reviewer);
+
+    assert.match(error, /available/);
+    assert.equal(request('leave-1').status, 'approved');
+    assert.equal(await annualUsed(), 3);
+});
+
+test('applyLeaveChange reopens the original when the replacement cannot be saved', async () => {
+    // Any insert for the same staff member and leave type fails
+    db.unique('leave_requests', ['staff_id', 'leave_type']);
+
+    await assert.rejects(applyLeaveChange(amend, leave, reviewer), { code: '23505' });
+
+    assert.equal(request('leave-1').status, 'approved');
+    assert.equal(await annualUsed(), 3);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { recordResetRequest, createResetToken, resetPassword } = require('../lib/passwordReset');
+
+const reset = () => db.rows('password_reset_tokens')[0];
+const minutesAgo = (n) => new Date(Date.now() - n * 60000).toISOString();
+
+test.beforeEach(() => {
+    db.reset();
+    db.seed('staff', [{ id: 'staff-1', password_hash: 'old-hash' }]);
+    db.seed('auth_sessions', [{ id: 'session-1', account_type: 'staff', account_id: 'staff-1', revoked_at: null }]);
+});
+
+test('createResetToken stores only a hash of the emailed token', async () => {
+    const token = await createResetToken('staff', 'staff-1', '10.0.0.1');
+
+    assert.ok(token);
+    assert.notEqual(reset().token_hash, token);
+    assert.equal(reset().requested_ip, '10.0.0.1');
+    assert.ok(new Date(reset().expires_at) > new Date());
+});
+
+test('createResetToken stops after three emails an hour per account', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.ok(await createResetToken('staff', 'staff-1'));
+    }
+    assert.equal(await createResetToken('staff', 'staff-1'), null);
+
+    // Requests older than an hour no longer count
+    db.rows('password_reset_tokens').forEach(r => { r.created_at = minutesAgo(61); });
+    assert.ok(await createResetToken('staff', 'staff-1'));
+});
+
+test('resetPassword sets the password, uses up the link and signs out everywhere', async () => {
+    const token = await createResetToken('staff', 'staff-1');
+    const other = await createResetToken('staff', 'staff-1');
+
+    const result = await resetPassword('staff', token, 'new-password-1');
+
+    assert.equal(result.accountId, 'staff-1');
+    const account = db.rows('staff')[0];
+    assert.ok(await bcrypt.compare('new-password-1', account.password_hash));
+    assert.ok(account.sessions_valid_after);
+    assert.equal(db.rows('auth_sessions')[0].revoked_reason, 'password_reset');
+
+    assert.match((await resetPassword('staff', token, 'again')).error, /already been used/);
+    assert.match((await resetPassword('staff', other, 'again')).error, /already been used/);
+});
+
+test('resetPassword refuses expired, unknown and wrong-account links', async () => {
+    const token = await createResetToken('staff', 'staff-1');
+
+    assert.match((await resetPassword('user', token, 'x')).error, /invalid/);
+    assert.match((await resetPassword('staff', 'made-up', 'x')).error, /invalid/);
+    assert.match((await resetPassword('staff', '', 'x')).error, /invalid/);
+
+    reset().expires_at = minutesAgo(1);
+    assert.match((await resetPassword('staff', token, 'x')).error, /expired/);
+    assert.equal(db.rows('staff')[0].password_hash, 'old-hash');
+});
+
+test('resetPassword: two requests with the same link, one succeeds', async () => {
+    const token = await createResetToken('staff', 'staff-1');
+
+    const results = await Promise.all([
+        resetPassword('staff', token, 'first-password'),
+        resetPassword('staff', token, 'second-password')
+    ]);
+
+    assert.equal(results.filter(r => r.accountId).length, 1);
+    assert.equal(results.filter(r => r.error).length, 1);
+});
+
+test('recordResetRequest refuses an IP after ten requests an hour', async () => {
+    for (let i = 0; i < 10; i++) {
+        assert.equal(await recordResetRequest('10.0.0.1'), false);
+    }
+    assert.equal(await recordResetRequest('10.0.0.1'), true);
+    assert.equal(await recordResetRequest('10.0.0.2'), false);
+    assert.equal(await recordResetRequest(null), false);
+});
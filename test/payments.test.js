@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const {
+    normaliseMpesaPhone,
+    payeeAccount,
+    buildPaymentFile,
+    createPaymentBatch,
+    parseConfirmation,
+    confirmPaymentBatch
+} = require('../lib/payments');
+
+const CLINIC = 'clinic-1';
+const actor = { key: 'user:u1', userId: null, staffId: null, name: 'Owner', role: 'owner' };
+
+function seedPayroll() {
+    db.seed('staff', [
+        { id: 's1', first_name: 'Amina', last_name: 'Otieno', payment_method: 'mpesa', mpesa_phone: '0712 345 678' },
+        { id: 's2', first_name: 'Brian', last_name: 'Kamau', payment_method: 'bank', bank_code: '01', bank_account_number: '123456' },
+        { id: 's3', first_name: 'Cate', last_name: 'Wanjiru', payment_method: 'mpesa', mpesa_phone: null }
+    ]);
+    db.seed('payroll_entries', [
+        { id: 'e1', clinic_id: CLINIC, payroll_key: 'k1', staff_id: 's1', status: 'approved', amount_kes: 30000, net_kes: 25000, payment_batch_id: null },
+        { id: 'e2', clinic_id: CLINIC, payroll_key: 'k2', staff_id: 's1', status: 'approved', amount_kes: 6000, net_kes: 5000, payment_batch_id: null },
+        { id: 'e3', clinic_id: CLINIC, payroll_key: 'k3', staff_id: 's2', status: 'approved', amount_kes: 50000, net_kes: 40000, payment_batch_id: null },
+        { id: 'e4', clinic_id: CLINIC, payroll_key: 'k4', staff_id: 's3', status: 'approved', amount_kes: 20000, net_kes: 18000, payment_batch_id: null },
+        { id: 'e5', clinic_id: CLINIC, payroll_key: 'k5', staff_id: 's1', status: 'submitted', amount_kes: 9000, net_kes: 8000, payment_batch_id: null }
+    ]);
+}
+
+const entry = (key) => db.rows('payroll_entries').find(e => e.payroll_key === key);
+
+test.beforeEach(() => db.reset());
+
+test('normaliseMpesaPhone accepts local and international Kenyan mobiles', () => {
+    assert.equal(normaliseMpesaPhone('0712 345 678'), '254712345678');
+    assert.equal(normaliseMpesaPhone('+254 112 345 678'), '254112345678');
+    assert.equal(normaliseMpesaPhone('712345678'), '254712345678');
+    assert.equal(normaliseMpesaPhone('0201234567'), null);
+    assert.equal(normaliseMpesaPhone(''), null);
+});
+
+test('payeeAccount needs the payout details for the method', () => {
+    assert.deepEqual(payeeAccount({ mpesa_phone: '0712345678', phone: '0799999999' }, 'mpesa'), { phone: '254712345678' });
+    // A contact phone is never used for M-Pesa
+    assert.equal(payeeAccount({ phone: '0712345678' }, 'mpesa'), null);
+    assert.equal(payeeAccount({ bank_account_number: '123' }, 'bank'), null);
+    assert.deepEqual(
+        payeeAccount({ first_name: 'Brian', last_name: 'Kamau', bank_account_number: '123', bank_code: '01' }, 'bank'),
+        { account_number: '123', account_name: 'Brian Kamau', bank_code: '01', branch_code: '' }
+    );
+});
+
+test('buildPaymentFile writes one CSV row per line and quotes commas', () => {
+    const file = buildPaymentFile({
+        reference: 'HURE-1',
+        method: 'bank',
+        lines: [{ line_ref: 'HURE-1-001', amount_kes: 100, account: { account_name: 'Kamau, Brian', account_number: '1', bank_code: '01', branch_code: '' } }]
+    });
+
+    assert.equal(file.fileName, 'HURE-1_bank_transfer.csv');
+    assert.deepEqual(file.content.split('\n'), [
+        'Reference,Beneficiary Name,Account Number,Bank Code,Branch Code,Amount,Narration',
+        'HURE-1-001,"Kamau, Brian",1,01,,100,Salary HURE-1'
+    ]);
+});
+
+test('parseConfirmation reads references, results and receipts', () => {
+    const { results } = parseConfirmation('Reference,Status,Receipt\r\nA-001,Completed,QX1\r\n"A-002",Failed,\r\n');
+
+    assert.deepEqual(results, [
+        { line_ref: 'A-001', paid: true, transaction_ref: 'QX1' },
+        { line_ref: 'A-002', paid: false, transaction_ref: null }
+    ]);
+    assert.match(parseConfirmation('Name,Amount\nA,1').error, /Reference and Status/);
+    assert.match(parseConfirmation('').error, /empty/);
+});
+
+test('createPaymentBatch batches approved net pay per staff member on the method', async () => {
+    seedPayroll();
+
+    const { batch, missing } = await createPaymentBatch(CLINIC, { method: 'mpesa' });
+
+    assert.equal(batch.line_count, 1);
+    assert.equal(batch.total_kes, 30000);
+    assert.deepEqual(batch.lines[0].payroll_keys, ['k1', 'k2']);
+    assert.equal(batch.lines[0].account.phone, '254712345678');
+    assert.deepEqual(missing.map(m => m.staff_id), ['s3']);
+
+    assert.equal(entry('k1').payment_batch_id, batch.id);
+    assert.equal(entry('k1').status, 'approved');
+    assert.equal(entry('k3').payment_batch_id, null);   // bank staff
+    assert.equal(entry('k5').payment_batch_id, null);   // not approved
+});
+
+test('createPaymentBatch backs out when another export claims an entry first', async () => {
+    seedPayroll();
+
+    // Another export stamps k2 just after this one inserted its batch
+    db.onQuery(q => {
+        if (q.table === 'payroll_entries' && q.op === 'update' && !entry('k2').payment_batch_id) {
+            entry('k2').payment_batch_id = 'other-batch';
+        }
+    });
+
+    const result = await createPaymentBatch(CLINIC, { method: 'mpesa' });
+
+    assert.equal(result.conflict, true);
+    assert.equal(result.batch, null);
+    assert.equal(db.rows('payment_batches').length, 0);
+    assert.equal(entry('k1').payment_batch_id, null);
+    assert.equal(entry('k2').payment_batch_id, 'other-batch');
+});
+
+test('confirmPaymentBatch pays confirmed lines and releases failed ones', async () => {
+    seedPayroll();
+    db.rows('staff').find(s => s.id === 's3').mpesa_phone = '0722000000';
+
+    const { batch } = await createPaymentBatch(CLINIC, { method: 'mpesa' });
+    const [amina, cate] = batch.lines;
+
+    const { results } = parseConfirmation(`Reference,Status,Transaction ID\n${amina.line_ref},Success,QX1\n${cate.line_ref},Failed,\nNOPE,Success,`);
+    const confirmed = await confirmPaymentBatch(batch, results, actor);
+
+    assert.deepEqual(confirmed.paidKeys.sort(), ['k1', 'k2']);
+    assert.deepEqual(confirmed.unmatched, ['NOPE']);
+    assert.equal(confirmed.batch.status, 'partially_confirmed');
+
+    assert.equal(entry('k1').status, 'paid');
+    assert.equal(entry('k1').payment_reference, 'QX1');
+    assert.equal(entry('k4').status, 'approved');
+    assert.equal(entry('k4').payment_batch_id, null);
+    assert.equal(db.rows('payroll_status_history').length, 2);
+
+    // A line's first result is final
+    const again = await confirmPaymentBatch(confirmed.batch, [{ line_ref: cate.line_ref, paid: true, transaction_ref: 'QX2' }], actor);
+    assert.deepEqual(again.paidKeys, []);
+    assert.equal(entry('k4').status, 'approved');
+});
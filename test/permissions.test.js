@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { requirePermission, rolesWithPermission, toMatrix } = require('../lib/permissions');
+
+/**
+ * Run requirePermission for a signed-in role and report what it did
+ */
+async function check(permission, role, clinicId = 'clinic-1') {
+    const req = { params: { clinicId }, user: { role } };
+    const result = { status: null, body: null, next: false };
+    const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; }
+    };
+
+    await requirePermission(permission)(req, res, () => { result.next = true; });
+    return { ...result, permissions: req.permissions };
+}
+
+const customRole = (roleName, permissions, clinicId = 'clinic-1') => ({
+    clinic_id: clinicId,
+    role_name: roleName,
+    permissions: toMatrix(permissions)
+});
+
+test.beforeEach(() => {
+    db.reset();
+});
+
+test('requirePermission seeds the default roles and checks them', async () => {
+    const hr = await check('staff.compensation', 'hr');
+    assert.equal(hr.next, true);
+    assert.ok(hr.permissions.includes('leave.balances'));
+    assert.equal(db.rows('role_permissions').length, 4);
+
+    const admin = await check('staff.compensation', 'admin');
+    assert.equal(admin.next, false);
+    assert.equal(admin.status, 403);
+    assert.match(admin.body.error, /staff\.compensation/);
+});
+
+test('requirePermission gives the owner everything and unknown roles nothing', async () => {
+    assert.equal((await check('roles.manage', 'owner')).next, true);
+    assert.equal((await check('staff.view', 'front_desk')).status, 403);
+    assert.equal((await check('staff.view', undefined)).status, 403);
+});
+
+test('requirePermission follows a clinic\'s own matrix, not another clinic\'s', async () => {
+    db.seed('role_permissions', [
+        customRole('front_desk', ['schedule.view', 'attendance.clock']),
+        customRole('admin', ['staff.view']),
+        customRole('front_desk', ['payroll.pay'], 'clinic-2')
+    ]);
+
+    assert.equal((await check('attendance.clock', 'front_desk')).next, true);
+    assert.equal((await check('payroll.pay', 'front_desk')).status, 403);
+
+    // An edited default role keeps its edits
+    assert.equal((await check('schedule.manage', 'admin')).status, 403);
+});
+
+test('requirePermission takes the permission from the request when given a function', async () => {
+    const permission = (req) => (req.user.role === 'hr' ? 'leave.balances' : 'roles.manage');
+
+    assert.equal((await check(permission, 'hr')).next, true);
+    assert.equal((await check(permission, 'admin')).status, 403);
+});
+
+test('rolesWithPermission lists the owner and every portal role holding it', async () => {
+    db.seed('role_permissions', [
+        customRole('night_lead', ['attendance.review']),
+        customRole('employee', ['attendance.review'])
+    ]);
+
+    const roles = await rolesWithPermission('clinic-1', 'attendance.review');
+
+    assert.deepEqual(roles.sort(), ['admin', 'hr', 'night_lead', 'owner']);
+    assert.deepEqual(await rolesWithPermission('clinic-1', 'roles.manage'), ['owner']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/fakeSupabase').installFakeSupabase();
+const { normaliseRules, createPremiumContext, priceAttendance, pricePremiums, weekStart } = require('../lib/premiums');
+
+const TZ = 'Africa/Nairobi'; // UTC+3
+
+const settings = (overrides = {}) => ({
+    required_daily_hours: 8,
+    overtime_multiplier: 1.5,
+    unpaid_break_minutes: 60,
+    premium_rules: [],
+    ...overrides
+});
+
+// A day recorded in segments, times given in Nairobi wall-clock hours
+function segmentedDay(date, spans) {
+    const at = (hour) => new Date(Date.parse(`${date}T00:00:00Z`) + (hour - 3) * 3600000).toISOString();
+    const segments = spans.map(([from, to]) => ({ clock_in: at(from), clock_out: at(to) }));
+    const hours = spans.reduce((sum, [from, to]) => sum + to - from, 0);
+
+    return {
+        date,
+        hours_worked: hours,
+        break_minutes_deducted: 0,
+        clock_in: segments[0].clock_in,
+        clock_out: segments[segments.length - 1].clock_out,
+        segments
+    };
+}
+
+const hoursFor = (result, ruleId, overtime) =>
+    result.buckets.filter(b => b.rule.id === ruleId && b.overtime === overtime).reduce((sum, b) => sum + b.hours, 0);
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('priceAttendance: daily overtime starts after the required hours', () => {
+    const ctx = createPremiumContext(settings(), new Map());
+    const result = priceAttendance(ctx, segmentedDay('2025-03-04', [[8, 14], [16, 20]]), TZ);
+
+    near(result.regular, 8);
+    near(result.overtime, 2);
+    near(hoursFor(result, 'daily_overtime', true), 2);
+});
+
+test('priceAttendance: the gap in a split shift is not priced', () => {
+    const night = { id: 'night', name: 'Night', type: 'time_of_day', start: '22:00', end: '06:00', multiplier: 1.25 };
+    const ctx = createPremiumContext(settings({ premium_rules: [night] }), new Map());
+
+    // 08:00-12:00 and 21:00-23:00: only 22:00-23:00 is night work
+    const result = priceAttendance(ctx, segmentedDay('2025-03-04', [[8, 12], [21, 23]]), TZ);
+
+    near(result.payable, 6);
+    near(result.overtime, 0);
+    near(hoursFor(result, 'night', false), 1);
+});
+
+test('priceAttendance: the highest multiplier wins an overtime hour', () => {
+    const night = { id: 'night', name: 'Night', type: 'time_of_day', start: '22:00', end: '06:00', multiplier: 2 };
+    const ctx = createPremiumContext(settings({ premium_rules: [night] }), new Map());
+
+    // 14:00-23:00: the ninth hour is both overtime and night
+    const result = priceAttendance(ctx, segmentedDay('2025-03-04', [[14, 23]]), TZ);
+
+    near(result.overtime, 1);
+    near(hoursFor(result, 'night', true), 1);
+    near(hoursFor(result, 'daily_overtime', true), 0);
+});
+
+test('priceAttendance: public holidays and unpaid breaks on days without segments', () => {
+    const holiday = { id: 'holiday', name: 'Public holiday', type: 'public_holiday', multiplier: 2 };
+    const ctx = createPremiumContext(settings({ premium_rules: [holiday] }), new Map([['2025-06-01', 'Madaraka Day']]));
+
+    const result = priceAttendance(ctx, {
+        date: '2025-06-01',
+        hours_worked: 9,
+        break_minutes_deducted: null,
+        clock_in: '2025-06-01T05:00:00Z',
+        clock_out: '2025-06-01T14:00:00Z'
+    }, TZ);
+
+    near(result.payable, 8);
+    near(hoursFor(result, 'holiday', false), 8);
+});
+
+test('priceAttendance: weekly overtime carries across days of the same week', () => {
+    const weekly = { id: 'weekly', name: 'Over 40 h a week', type: 'weekly_hours', threshold_hours: 40, multiplier: 1.5 };
+    const ctx = createPremiumContext(settings({ premium_rules: [weekly] }), new Map());
+
+    // Monday to Friday 8 h, then Saturday 4 h
+    ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07'].forEach(date => {
+        const day = priceAttendance(ctx, segmentedDay(date, [[8, 16]]), TZ);
+        near(day.overtime, 0);
+    });
+    const saturday = priceAttendance(ctx, segmentedDay('2025-03-08', [[8, 12]]), TZ);
+
+    near(saturday.regular, 0);
+    near(hoursFor(saturday, 'weekly', true), 4);
+    assert.equal(weekStart('2025-03-08'), '2025-03-03');
+});
+
+test('pricePremiums pays overtime in full and regular premiums above straight time', () => {
+    const night = { id: 'night', name: 'Night', type: 'time_of_day', multiplier: 1.25 };
+    const overtime = { id: 'daily_overtime', name: 'Overtime', type: 'daily_hours', multiplier: 1.5 };
+
+    const result = pricePremiums([
+        { rule: night, overtime: false, hours: 4 },
+        { rule: overtime, overtime: true, hours: 2 }
+    ], 100);
+
+    assert.equal(result.premiumPay, 100);   // 4 h x 100 x 0.25
+    assert.equal(result.overtimePay, 300);  // 2 h x 100 x 1.5
+});
+
+test('normaliseRules rejects bad rules', () => {
+    assert.match(normaliseRules([{ name: 'X', type: 'time_of_day', multiplier: 9 }]).error, /multiplier/);
+    assert.match(normaliseRules([{ name: 'X', type: 'time_of_day', start: '22:00', end: '22:00', multiplier: 1.5 }]).error, /different/);
+    assert.match(normaliseRules([{ name: 'X', type: 'day_of_week', days: [7], multiplier: 1.5 }]).error, /day/);
+
+    const { rules } = normaliseRules([{ name: 'Sunday', type: 'day_of_week', days: [0, '0'], multiplier: 2 }]);
+    assert.deepEqual(rules[0].days, [0]);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const db = require('./helpers/fakeSupabase').installFakeSupabase();
+const { createSession, refreshSession, revokeAllSessions, listSessions } = require('../lib/sessions');
+
+const req = { ip: '10.0.0.1', get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0' };
+
+const staff = {
+    id: 'staff-1',
+    clinic_id: 'clinic-1',
+    email: 'amina@example.com',
+    first_name: 'Amina',
+    last_name: 'Otieno',
+    account_role: 'employee',
+    status: 'active',
+    employment_status: 'active'
+};
+
+const session = () => db.rows('auth_sessions')[0];
+const minutesAgo = (n) => new Date(Date.now() - n * 60000).toISOString();
+
+test.beforeEach(() => {
+    db.reset();
+    db.seed('staff', [staff]);
+});
+
+test('createSession issues an access token tied to the session', async () => {
+    const { token, refreshToken, sessionId } = await createSession('staff', staff, req);
+    const claims = jwt.decode(token);
+
+    assert.equal(claims.sid, sessionId);
+    assert.equal(claims.staffId, 'staff-1');
+    assert.equal(claims.name, 'Amina Otieno');
+    assert.ok(refreshToken);
+    assert.notEqual(session().refresh_token_hash, refreshToken);
+});
+
+test('refreshSession swaps the refresh token for a new one', async () => {
+    const login = await createSession('staff', staff, req);
+
+    const first = await refreshSession(login.refreshToken, req);
+    assert.ok(first.token);
+    assert.ok(first.refreshToken);
+    assert.notEqual(first.refreshToken, login.refreshToken);
+
+    const second = await refreshSession(first.refreshToken, req);
+    assert.ok(second.refreshToken);
+    assert.equal(session().revoked_at ?? null, null);
+});
+
+test('refreshSession: a token swapped moments ago gets an access token only', async () => {
+    const login = await createSession('staff', staff, req);
+    await refreshSession(login.refreshToken, req);
+
+    const late = await refreshSession(login.refreshToken, req);
+
+    assert.ok(late.token);
+    assert.equal(late.refreshToken, undefined);
+    assert.equal(session().revoked_at ?? null, null);
+});
+
+test('refreshSession: two refreshes at once both succeed and one rotates', async () => {
+    const login = await createSession('staff', staff, req);
+
+    const results = await Promise.all([
+        refreshSession(login.refreshToken, req),
+        refreshSession(login.refreshToken, req)
+    ]);
+
+    assert.ok(results.every(r => r.token));
+    assert.equal(results.filter(r => r.refreshToken).length, 1);
+    assert.equal(session().revoked_at ?? null, null);
+});
+
+test('refreshSession: reusing an old refresh token ends the session', async () => {
+    const login = await createSession('staff', staff, req);
+    const rotated = await refreshSession(login.refreshToken, req);
+    session().last_used_at = minutesAgo(5);
+
+    const reused = await refreshSession(login.refreshToken, req);
+
+    assert.match(reused.error, /Session ended/);
+    assert.equal(session().revoked_reason, 'token_reuse');
+
+    // The audit entry is written without holding up the response
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(db.rows('audit_logs')[0].type, 'session_token_reused');
+
+    // The legitimate holder is signed out too
+    assert.match((await refreshSession(rotated.refreshToken, req)).error, /Session ended/);
+});
+
+test('refreshSession: unknown and expired tokens are refused', async () => {
+    assert.match((await refreshSession('not-a-token', req)).error, /Session ended/);
+    assert.match((await refreshSession('', req)).error, /required/);
+
+    const login = await createSession('staff', staff, req);
+    session().expires_at = minutesAgo(1);
+    assert.match((await refreshSession(login.refreshToken, req)).error, /Session ended/);
+});
+
+test('refreshSession: ending employment ends the session', async () => {
+    const login = await createSession('staff', staff, req);
+    db.rows('staff')[0].employment_status = 'terminated';
+
+    const result = await refreshSession(login.refreshToken, req);
+
+    assert.equal(result.error, 'Employment is terminated');
+    assert.equal(session().revoked_reason, 'revoked');
+});
+
+test('refreshSession: new claims pick up a role change', async () => {
+    const login = await createSession('staff', staff, req);
+    db.rows('staff')[0].account_role = 'manager';
+
+    const { token } = await refreshSession(login.refreshToken, req);
+
+    assert.equal(jwt.decode(token).role, 'manager');
+});
+
+test('revokeAllSessions signs an account out everywhere', async () => {
+    await createSession('staff', staff, req);
+    await createSession('staff', staff, req);
+    db.rows('auth_sessions').forEach(s => { s.last_used_at = s.created_at; });
+
+    assert.equal((await listSessions('staff', 'staff-1')).length, 2);
+    assert.equal(await revokeAllSessions('staff', 'staff-1', 'password_reset'), 2);
+    assert.equal((await listSessions('staff', 'staff-1')).length, 0);
+
+    // Tokens from before sessions have no sid and are checked against this
+    assert.ok(db.rows('staff')[0].sessions_valid_after);
+});
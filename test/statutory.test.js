@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/fakeSupabase').installFakeSupabase();
+const { computeStatutory, applyStatutoryDeductions, totalsByStaff, STATUTORY_FIELDS } = require('../lib/statutory');
+
+// Kenya 2025 table from migration 021
+const table = {
+    id: 'table-2025',
+    name: 'Kenya 2025',
+    rates: {
+        paye: {
+            bands: [
+                { upto: 24000, rate: 0.10 },
+                { upto: 32333, rate: 0.25 },
+                { upto: 500000, rate: 0.30 },
+                { upto: 800000, rate: 0.325 },
+                { upto: null, rate: 0.35 }
+            ],
+            personal_relief: 2400
+        },
+        shif: { rate: 0.0275, minimum: 300, deductible: true },
+        nssf: { rate: 0.06, lower_limit: 8000, upper_limit: 72000, deductible: true },
+        housing_levy: { rate: 0.015, deductible: true }
+    }
+};
+
+test('computeStatutory: KES 100,000 a month', () => {
+    const result = computeStatutory(100000, table.rates);
+
+    assert.equal(result.nssf_kes, 4320);          // 72,000 pensionable x 6%
+    assert.equal(result.shif_kes, 2750);          // 2.75%
+    assert.equal(result.housing_levy_kes, 1500);  // 1.5%
+    assert.equal(result.taxable_pay_kes, 91430);  // after the three deductible contributions
+    // 2,400 + 8,333 x 25% + 59,097 x 30% - 2,400 relief
+    assert.equal(result.paye_kes, 19812);
+    assert.deepEqual(result.working.paye.bands.map(b => b.taxed_kes), [24000, 8333, 59097]);
+});
+
+test('computeStatutory: low pay gets the SHIF minimum and no PAYE', () => {
+    const result = computeStatutory(5000, table.rates);
+
+    assert.equal(result.nssf_kes, 300);
+    assert.equal(result.shif_kes, 300);
+    assert.equal(result.housing_levy_kes, 75);
+    assert.equal(result.paye_kes, 0);
+});
+
+test('computeStatutory: nothing is due on no pay', () => {
+    const result = computeStatutory(0, table.rates);
+
+    STATUTORY_FIELDS.forEach(field => assert.equal(result[field], 0, field));
+});
+
+test('computeStatutory: NSSF stops at the upper limit', () => {
+    assert.equal(computeStatutory(72000, table.rates).nssf_kes, 4320);
+    assert.equal(computeStatutory(300000, table.rates).nssf_kes, 4320);
+});
+
+test('computeStatutory: top band applies above KES 800,000', () => {
+    const result = computeStatutory(1000000, table.rates);
+    const bands = result.working.paye.bands;
+
+    assert.equal(bands.length, 5);
+    assert.equal(bands[4].rate, 0.35);
+    assert.equal(bands[4].taxed_kes, result.taxable_pay_kes - 800000);
+});
+
+test('applyStatutoryDeductions: one staff member across two entries is taxed on the combined gross', () => {
+    const entries = [
+        { staff_id: 's1', amount_kes: 60000 },
+        { staff_id: 's1', amount_kes: 40000, other_deductions_kes: 1000 }
+    ];
+    const month = computeStatutory(100000, table.rates);
+
+    applyStatutoryDeductions(entries, table);
+
+    STATUTORY_FIELDS.forEach(field => {
+        assert.equal(entries[0][field] + entries[1][field], month[field], field);
+    });
+    assert.equal(entries[0].paye_kes, Math.round(month.paye_kes * 0.6));
+    assert.equal(entries[0].statutory_table_id, 'table-2025');
+    assert.equal(entries[1].net_kes, 40000
+        - entries[1].paye_kes - entries[1].shif_kes - entries[1].nssf_kes - entries[1].housing_levy_kes - 1000);
+});
+
+test('applyStatutoryDeductions: a second run in the month deducts only what is still due', () => {
+    const first = applyStatutoryDeductions([{ staff_id: 's1', amount_kes: 50000 }], table);
+    const prior = totalsByStaff(first);
+
+    const [second] = applyStatutoryDeductions([{ staff_id: 's1', amount_kes: 50000 }], table, prior);
+    const month = computeStatutory(100000, table.rates);
+
+    STATUTORY_FIELDS.forEach(field => {
+        assert.equal(first[0][field] + second[field], month[field], field);
+    });
+    assert.equal(second.deductions.month_gross_kes, 100000);
+    assert.equal(second.deductions.already_deducted.paye_kes, first[0].paye_kes);
+});
+
+test('applyStatutoryDeductions: staff members are computed separately', () => {
+    const entries = applyStatutoryDeductions([
+        { staff_id: 's1', amount_kes: 100000 },
+        { staff_id: 's2', amount_kes: 5000 }
+    ], table);
+
+    assert.equal(entries[0].paye_kes, 19812);
+    assert.equal(entries[1].paye_kes, 0);
+});
+
+test('totalsByStaff sums gross and each deduction per staff member', () => {
+    const totals = totalsByStaff([
+        { staff_id: 's1', amount_kes: 1000, paye_kes: 10, shif_kes: 30 },
+        { staff_id: 's1', amount_kes: 500, paye_kes: 5 },
+        { staff_id: 's2', amount_kes: 200 }
+    ]);
+
+    assert.equal(totals.s1.amount_kes, 1500);
+    assert.equal(totals.s1.paye_kes, 15);
+    assert.equal(totals.s1.shif_kes, 30);
+    assert.equal(totals.s2.nssf_kes, 0);
+});